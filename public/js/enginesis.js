@@ -33,13 +33,17 @@ const enginesis = {
     internalStateSeq: 0,
     lastResponse: null,
     callBackFunction: null,
+    rejectOnError: false, // true to reject service promises with an EnginesisError instead of resolving with an error result
     authToken: null,
     authTokenWasValidated: false,
     authTokenExpires: null,
     refreshToken: null,
     refreshTokenExpires: null,
+    sessionRefreshPending: null, // Promise of the SessionRefresh in flight, shared by all requests waiting on a new token
     sessionId: null,
     sessionExpires: null,
+    cryptoVersion: 2, // newest payload encryption version this SDK supports
+    sessionCryptoVersion: 1, // payload encryption version the server agreed to for the session, 1 is the legacy AES-CBC format
     developerKey: null,
     loggedInUserInfo: {},
     networkId: 1,
@@ -50,21 +54,194 @@ const enginesis = {
     isBrowserBuild: typeof window !== "undefined" && window !== null && typeof window.document !== "undefined" && typeof window.location !== "undefined",
     isNodeBuild: typeof process !== "undefined" && process.versions != null && process.versions.node != null,
     isTouchDeviceFlag: false,
+    storage: null, // storage adapter the SDK saves its state in, see storageGet()
+    storageFallback: null, // memory storage used once a write to the storage adapter failed
+    requestedServerHost: null, // host, and optional protocol and port, given to init with the serverHost option
     SESSION_COOKIE: "engsession",
     SESSION_USERINFO: "engsession_user",
     refreshTokenStorageKey: "engrefreshtoken",
+    cookieStorageKeyPrefix: "enginesisCookie.",
     captchaId: "99999",
     captchaResponse: "DEADMAN",
     anonymousUserKey: "enginesisAnonymousUser",
     anonymousUser: null,
+    anonymousUserMaxScores: 50, // most scores kept for an anonymous player, the oldest are dropped first
     serviceQueue: [],
     serviceQueueSaveKey: "enginesisServiceQueue",
-    serviceQueueRestored: 0,
-    assetUploadQueue: null,
+    serviceQueueRestored: Promise.resolve(false), // the saved durable requests are on the queue once it resolves
+    scoreSubmitCounterKey: "enginesisScoreCounter",
+    scoreVault: null, // scores waiting to be submitted, null until restored from storage, see scoreVaultLoad()
+    scoreVaultSaveKey: "enginesisScoreVault",
+    scoreVaultSecretKey: "enginesisScoreVaultKey",
+    scoreVaultCryptoKey: null, // Promise of the CryptoKey the score vault is encrypted with, see scoreVaultKey()
+    scoreVaultSending: Promise.resolve(null), // the last change to the score vault or score sent from it, the next one waits on it
+    scoreVaultExpiration: 7 * 24 * 60 * 60 * 1000, // milliseconds a score is kept before it is dropped unsent
+    scoreVaultRetryTimer: null, // timer of the next send of the score vault after a score could not be sent while online
+    scoreVaultRetryAttempt: 0, // number of times the score vault was sent again since a score was last sent
+    serviceQueueDatabase: null, // Promise of the IndexedDB database holding durable requests, resolves null when IndexedDB is not available
+    serviceQueueDatabaseName: "",
+    serviceQueueSaving: Promise.resolve(true), // the last write of the durable requests, reads wait on it
+    serviceQueueIsSaved: false, // true when durable requests were written and the saved copy must be kept up to date
+    serviceQueueMaxSize: 100, // most durable requests kept while offline, the oldest are dropped first
+    serviceQueuePolicy: { // services not listed are not queued and fail right away when offline
+        GameRatingUpdate: {durable: true, ttl: 604800000, dedupe: ["game_id"]},
+        GameTrackingRecord: {durable: true, ttl: 86400000},
+        QuizQuestionPlayed: {durable: true, ttl: 86400000, dedupe: ["game_id", "question_id"]},
+        QuizSubmit: {durable: true, ttl: 86400000},
+        ScoreSubmitUnauth: {durable: true, ttl: 86400000},
+        UserFavoriteGamesAssign: {durable: true, ttl: 2592000000, dedupe: ["game_id"], dedupeGroup: "UserFavoriteGames"},
+        UserFavoriteGamesAssignList: {durable: true, ttl: 2592000000},
+        UserFavoriteGamesMove: {durable: true, ttl: 2592000000, dedupe: ["game_id"]},
+        UserFavoriteGamesUnassign: {durable: true, ttl: 2592000000, dedupe: ["game_id"], dedupeGroup: "UserFavoriteGames"},
+        UserFavoriteGamesUnassignList: {durable: true, ttl: 2592000000}
+    },
+    queuedRequestHandlers: {},
+    responseCacheEnabled: false,
+    responseCacheSaveKey: "enginesisResponseCache",
+    responseCacheMaxEntries: 200,
+    responseCache: {}, // memory tier, cache key to cache entry. Local storage is the persistent tier, one item per entry.
+    responseCacheIndex: null, // cache key to when it was cached of every saved entry, loaded from storage when first needed
+    responseCacheRevalidating: {},
+    responseCachePolicy: { // milliseconds a response is fresh (ttl), then how long a stale response may be used while it is refreshed (staleTtl)
+        DeveloperGet: {ttl: 3600000, staleTtl: 86400000},
+        GameGet: {ttl: 900000, staleTtl: 86400000},
+        GameGetByName: {ttl: 900000, staleTtl: 86400000},
+        GameListCategoryList: {ttl: 3600000, staleTtl: 86400000},
+        GameListListGames: {ttl: 900000, staleTtl: 86400000},
+        SiteListGames: {ttl: 900000, staleTtl: 86400000}
+    },
+    requestResolvers: {}, // state_seq to the resolve function of the promise returned for that request
+    serviceQueueIdleResolvers: [],
+    requestsInFlight: 0,
+    requestsSent: 0,
+    maxConcurrentRequests: 4,
+    requestLanes: ["auth", "score", "default", "background"], // requests in an earlier lane are sent first
+    serviceLane: { // services not listed are in the default lane
+        GameTrackingRecord: "background",
+        QuizSubmit: "score",
+        RegisteredUserCreate: "auth",
+        ScoreSubmit: "score",
+        ScoreSubmitUnauth: "score",
+        SessionBegin: "auth",
+        SessionRefresh: "auth",
+        UserLogin: "auth",
+        UserLoginCoreg: "auth",
+        UserLogout: "auth"
+    },
+    requestTimeout: 30000, // milliseconds a request may take before it fails with TIMEOUT, 0 for no limit
+    essentialRequestLanes: ["auth", "score"], // requests in these lanes are sent while paused
+    pauseRequests: "", // what pause does with requests that are not essential: "", "hold", or "cancel"
+    assetUploadQueue: null, // uploads in progress, saved so they can resume after the app reloads
+    assetUploadQueueSaveKey: "enginesisAssetUploads",
+    assetUploadExpiration: 24 * 60 * 60 * 1000, // milliseconds an unfinished upload can be resumed
+    assetUploadChunkSize: 256 * 1024, // bytes sent with each upload request
+    assetUploadTargets: { // limits checked before an upload is requested, targets not listed use the default
+        default: {
+            maxSize: 10 * 1024 * 1024,
+            mimeTypes: [] // empty to allow any type
+        },
+        gameshare: {
+            maxSize: 2 * 1024 * 1024,
+            mimeTypes: ["image/png", "image/jpeg", "image/gif", "image/webp"]
+        },
+        avatar: {
+            maxSize: 256 * 1024,
+            mimeTypes: ["image/png", "image/jpeg", "image/webp"]
+        }
+    },
+    imageCodec: null, // image codec the avatar functions use, see imageCodecGet()
+    avatarSizes: [50, 150, 300], // pixel width and height of the small, medium, and large avatar
+    avatarMaxBytes: 100 * 1024, // largest avatar image file uploaded
+    avatarMaxSourceBytes: 20 * 1024 * 1024, // largest image file a user can pick for their avatar
+    avatarUpdated: 0, // time the user last uploaded their avatar, so avatarURL is not answered from the browser cache
+    signInProviders: { // OAuth settings of each network signInWith() can use, the app sets each clientId and redirectURI
+        Google: {
+            authorizationEndpoint: "https://accounts.google.com/o/oauth2/v2/auth",
+            tokenEndpoint: "https://oauth2.googleapis.com/token",
+            issuer: "https://accounts.google.com",
+            scope: "openid email profile"
+        },
+        Apple: {
+            // Apple only replies to a query redirect when no name or email is requested
+            authorizationEndpoint: "https://appleid.apple.com/auth/authorize",
+            tokenEndpoint: "https://appleid.apple.com/auth/token",
+            issuer: "https://appleid.apple.com",
+            scope: "openid"
+        },
+        Facebook: {
+            authorizationEndpoint: "https://www.facebook.com/v19.0/dialog/oauth",
+            tokenEndpoint: "https://graph.facebook.com/v19.0/oauth/access_token",
+            issuer: "https://www.facebook.com",
+            scope: "openid email public_profile"
+        },
+        Twitter: {
+            authorizationEndpoint: "https://twitter.com/i/oauth2/authorize",
+            tokenEndpoint: "https://api.twitter.com/2/oauth2/token",
+            userInfoEndpoint: "https://api.twitter.com/2/users/me?user.fields=profile_image_url",
+            scope: "users.read tweet.read"
+        },
+        bsky: {
+            // the authorization server is the one of the user's host, the app sets the endpoints
+            scope: "atproto"
+        }
+    },
+    leaderboardCache: {}, // ranks of leaderboards fetched within leaderboardCacheTime
+    leaderboardCacheTime: 60000, // milliseconds a leaderboard is shown without asking the server again
+    leaderboardPageSize: 25,
+    leaderboardRanksKey: "enginesisLeaderboardRanks",
+    saveSlotsKey: "enginesisSaveSlots",
+    saveSlotVersion: 1, // schema version of the data the game saves in a save slot
+    saveSlotMigrations: {}, // schema version to the function that changes the data of the version before it
+    saveSlotConflict: saveSlotLastWriterWins, // chooses the save to keep when a slot was saved on this device and on another one
+    saveSlotSyncing: Promise.resolve(null), // save slots sync one at a time
+    quizSessionKey: "enginesisQuizSession",
+    quizSession: null, // the quiz being played, see quizStart()
+    quizTimer: null, // ends the time to answer the current question
+    quizOutcome: quizOutcomeDefault, // chooses the outcome of a quiz from the answers
+    analytics: null, // the analytics pipeline of the analytics option of init, see analyticsStart()
+    analyticsConsentKey: "enginesisAnalyticsConsent",
+    analyticsBufferLimit: 500, // most analytics events kept while waiting for consent, the oldest are dropped
+    analyticsHitDataLimit: 255, // bytes of hit_data GameTrackingRecord takes, what gameTrackingRecord() has always sent
+    signInPendingKey: "enginesisSignIn",
+    signInTimeout: 5 * 60 * 1000, // milliseconds a user has to finish signing in with a network
+    tabId: "", // identifies this tab in messages to the other tabs of the site
+    tabChannel: null, // BroadcastChannel to the other tabs of the site
+    tabChannelName: "enginesisTabs",
+    tabStorageListener: null, // storage event listener when there is no BroadcastChannel
+    tabMessageKey: "enginesisTabMessage",
+    refreshLockKey: "enginesisRefreshLock",
+    refreshLockTimeout: 10000, // milliseconds the other tabs wait for the tab refreshing the session
+    refreshLockSettleDelay: 50, // milliseconds a tab waits after writing the local storage refresh lock before it reads who holds it
     nodeRequest: null,
+    retryPolicy: {
+        maxAttempts: 3,  // total number of times a request is sent, including the first
+        baseDelay: 250,  // milliseconds, doubled on each retry
+        maxDelay: 4000   // milliseconds, upper limit of any single retry delay
+    },
+    serviceIsIdempotent: {}, // service name to boolean, changes the idempotent flag of serviceRegistry
     gameInfo: null,
-    favoriteGames: new Set(),
+    favoriteGames: [], // the favorite game ids in order, as shown to the player, see favoriteGamesShow()
+    favoriteGamesConfirmed: [], // the favorite game ids as the server, or this device for an anonymous user, has them
+    favoriteGamesPending: [], // favorite game changes shown before the server confirmed them
     favoriteGamesNextCheck: 0,
+    eventListeners: {},
+    requestFailedResults: new WeakSet(), // the results requestFailed was emitted for, so it is emitted once for each
+    supportedEvents: [
+        "online",
+        "offline",
+        "loggedIn",
+        "loggedOut",
+        "sessionRefreshed",
+        "sessionRefreshFailed",
+        "sessionExpired",
+        "queueFlushed",
+        "requestFailed",
+        "uploadProgress",
+        "scoresPending",
+        "accountMerged",
+        "favoriteGamesChanged",
+        "quizChanged"
+    ],
     supportedNetworks: {
         Enginesis: 1,
         Facebook:  2,
@@ -75,6 +252,134 @@ const enginesis = {
     }
 };
 let enginesisContext = null;
+const internalRequestProperties = ["overRideCallBackFunction", "isReplay", "isRestored", "queueId", "queuedAt", "expires", "dedupeKey", "requestControl"];
+
+/**
+ * An Enginesis error result as a JavaScript error. Service promises reject with these when
+ * `init` is given `rejectOnError`, and `toError` converts any error result to one. Use `instanceof`
+ * with the subclasses, or compare `code` with an Enginesis error code.
+ */
+export class EnginesisError extends Error {
+    /**
+     * True if the same request may succeed when it is sent again later.
+     * @type {boolean}
+     */
+    static retryable = false;
+
+    /**
+     * @param {string} code An Enginesis error code, such as "NOT_LOGGED_IN".
+     * @param {string} message Additional information about the error. The code is used when empty.
+     * @param {object|null} enginesisResult The error result this error was made from.
+     */
+    constructor(code, message, enginesisResult) {
+        super(message || code);
+        this.name = new.target.name;
+        this.code = code;
+        this.retryable = new.target.retryable;
+        this.serviceName = enginesisResult && enginesisResult.fn ? enginesisResult.fn : "";
+        this.result = enginesisResult || null;
+    }
+}
+
+/** The server could not be reached. */
+export class ConnectionError extends EnginesisError {
+    static retryable = true;
+}
+
+/** The network is not available, OFFLINE. */
+export class OfflineError extends ConnectionError {}
+
+/** The server did not reply in time, SERVER_DID_NOT_REPLY. */
+export class ServerDidNotReplyError extends ConnectionError {}
+
+/** The request did not complete within its timeout, TIMEOUT. */
+export class TimeoutError extends ConnectionError {}
+
+/** The request was canceled by its signal or by `pause`, ABORTED. */
+export class AbortedError extends EnginesisError {}
+
+/** The user or their session is not authorized for the request. */
+export class AuthenticationError extends EnginesisError {}
+
+/** The request requires a logged in user, NOT_LOGGED_IN. */
+export class NotLoggedInError extends AuthenticationError {}
+
+/** The user could not be authenticated, NOT_AUTHENTICATED. */
+export class NotAuthenticatedError extends AuthenticationError {}
+
+/** The authentication token is not valid, INVALID_TOKEN. */
+export class InvalidTokenError extends AuthenticationError {}
+
+/** The authentication token expired, TOKEN_EXPIRED. It can be sent again once the session is refreshed. */
+export class TokenExpiredError extends AuthenticationError {
+    static retryable = true;
+}
+
+/** The game session is not valid, INVALID_SESSION. */
+export class InvalidSessionError extends AuthenticationError {}
+
+/** The game session expired, SESSION_EXPIRED. */
+export class SessionExpiredError extends AuthenticationError {}
+
+/** The server failed to complete the request, SERVICE_ERROR. */
+export class ServiceError extends EnginesisError {
+    static retryable = true;
+}
+
+/** The server reply could not be understood, SERVER_RESPONSE_NOT_VALID. */
+export class ServerResponseNotValidError extends ServiceError {}
+
+/** The server did not accept the request, INVALID_SERVICE_REQUEST. */
+export class InvalidServiceRequestError extends ServiceError {
+    static retryable = false;
+}
+
+/** An internal error on the server or in the SDK, SYSTEM_ERROR. */
+export class SystemError extends ServiceError {
+    static retryable = false;
+}
+
+/** The request or the SDK state is not valid. */
+export class ValidationError extends EnginesisError {}
+
+/** The SDK is not initialized, VALIDATION_FAILED. */
+export class ValidationFailedError extends ValidationError {}
+
+/** A request parameter is not valid, INVALID_PARAMETER. */
+export class InvalidParameterError extends ValidationError {}
+
+/** A required request parameter is missing, MISSING_PARAM. */
+export class MissingParameterError extends ValidationError {}
+
+/** Enginesis is disabled, DISABLED. */
+export class DisabledError extends EnginesisError {}
+
+const errorClassForCode = {
+    ABORTED: AbortedError,
+    DISABLED: DisabledError,
+    IMPLAUSIBLE_TIME_PLAYED: ValidationFailedError,
+    INVALID_FILE_SIZE: InvalidParameterError,
+    INVALID_FILE_TYPE: InvalidParameterError,
+    INVALID_PARAMETER: InvalidParameterError,
+    INVALID_SERVICE_REQUEST: InvalidServiceRequestError,
+    INVALID_SESSION: InvalidSessionError,
+    INVALID_TOKEN: InvalidTokenError,
+    MISSING_PARAM: MissingParameterError,
+    NOT_AUTHENTICATED: NotAuthenticatedError,
+    NOT_LOGGED_IN: NotLoggedInError,
+    OFFLINE: OfflineError,
+    REPLAYED_SUBMISSION: ValidationFailedError,
+    SERVER_DID_NOT_REPLY: ServerDidNotReplyError,
+    SERVER_RESPONSE_NOT_VALID: ServerResponseNotValidError,
+    SERVICE_ERROR: ServiceError,
+    SESSION_EXPIRED: SessionExpiredError,
+    SIGN_IN_CANCELED: AbortedError,
+    SIGN_IN_FAILED: NotAuthenticatedError,
+    SYSTEM_ERROR: SystemError,
+    TIMEOUT: TimeoutError,
+    TOKEN_EXPIRED: TokenExpiredError,
+    VALIDATION_FAILED: ValidationFailedError
+};
 
 /**
  * Internal logging function. All logging should call this function to abstract and control the interface.
@@ -96,6 +401,71 @@ function debugLog(message, level) {
     }
 }
 
+/**
+ * Add a function to be called when an Enginesis event occurs.
+ * @param {string} eventName One of the events listed in `enginesis.supportedEvents`.
+ * @param {function} listener Function called with an event data object when the event occurs.
+ * @param {boolean} once If true the listener is removed after it is called the first time.
+ * @returns {boolean} True if the listener was added, false if the event is not supported or the listener is not a function.
+ */
+function enginesisEventAdd(eventName, listener, once) {
+    if ( ! enginesis.supportedEvents.includes(eventName) || typeof listener !== "function") {
+        return false;
+    }
+    if ( ! Array.isArray(enginesis.eventListeners[eventName])) {
+        enginesis.eventListeners[eventName] = [];
+    }
+    enginesis.eventListeners[eventName].push({
+        listener: listener,
+        once: once === true
+    });
+    return true;
+}
+
+/**
+ * Remove a function previously added with `enginesisEventAdd`.
+ * @param {string} eventName The event the listener was added to.
+ * @param {function} listener The function to remove. If not provided all listeners of the event are removed.
+ * @returns {integer} The number of listeners removed.
+ */
+function enginesisEventRemove(eventName, listener) {
+    const eventListeners = enginesis.eventListeners[eventName];
+    let removed = 0;
+    if (Array.isArray(eventListeners)) {
+        enginesis.eventListeners[eventName] = eventListeners.filter(function(eventListener) {
+            const match = typeof listener !== "function" || eventListener.listener === listener;
+            if (match) {
+                removed += 1;
+            }
+            return ! match;
+        });
+    }
+    return removed;
+}
+
+/**
+ * Notify every listener of an event. A listener that throws does not stop the other listeners
+ * from being notified.
+ * @param {string} eventName The event that occurred.
+ * @param {object} eventData Information about the event. `eventData.type` is always set to `eventName`.
+ */
+function emitEvent(eventName, eventData) {
+    const eventListeners = enginesis.eventListeners[eventName];
+    if (Array.isArray(eventListeners) && eventListeners.length > 0) {
+        const event = {...eventData, type: eventName};
+        enginesis.eventListeners[eventName] = eventListeners.filter(function(eventListener) {
+            return ! eventListener.once;
+        });
+        eventListeners.forEach(function(eventListener) {
+            try {
+                eventListener.listener(event);
+            } catch (exception) {
+                debugLog("Enginesis " + eventName + " listener exception " + exception.toString());
+            }
+        });
+    }
+}
+
 /**
  * Review the current state of the enginesis object to make sure we have enough information
  * to properly communicate with the server. The decision may change over time, but for now Enginesis requires:
@@ -232,1986 +602,7430 @@ function validGender(gender) {
 }
 
 /**
- * Save an object in local storage given a key.
- * @param {string} key Key to identify object. If this key exists it will be overwritten with `object`.
- * @param {object} object Value to save under key.
+ * Make a storage adapter that keeps items in memory only. It is used when there is no other storage,
+ * such as in Node.js or when the browser blocks storage, and nothing is saved across runs.
+ * @returns {object} A storage adapter.
  */
-function saveObjectWithKey(key, object) {
-    if (key != null && object != null && typeof window !== "undefined" && typeof window.localStorage !== "undefined") {
-        window.localStorage[key] = JSON.stringify(object);
-    }
+function createMemoryStorage() {
+    const items = new Map();
+    return {
+        name: "memory",
+        getItem: function(key) {
+            return items.has(key) ? items.get(key) : null;
+        },
+        setItem: function(key, value) {
+            items.set(key, String(value));
+        },
+        removeItem: function(key) {
+            items.delete(key);
+        }
+    };
 }
 
 /**
- * Delete a local storage key.
- * @param {string} key Key to identify object.
+ * Make a storage adapter for the browser `localStorage` or `sessionStorage`. Storage is tested first, as
+ * it can be there but throw when used, such as in Safari private mode or an iframe without storage access.
+ * @param {string} storageName "localStorage" or "sessionStorage".
+ * @returns {object} A storage adapter, or memory storage when the browser storage cannot be used.
  */
-function removeObjectWithKey(key) {
-    if (key != null && typeof window !== "undefined" && typeof window.localStorage !== "undefined") {
-        window.localStorage.removeItem(key);
+function createWebStorage(storageName) {
+    let webStorage = null;
+    try {
+        if (typeof window !== "undefined" && window[storageName] != null) {
+            const testKey = "enginesisStorageTest";
+            webStorage = window[storageName];
+            webStorage.setItem(testKey, "1");
+            webStorage.removeItem(testKey);
+        }
+    } catch (exception) {
+        debugLog(storageName + " is not available, using memory: " + exception.toString());
+        webStorage = null;
+    }
+    if (webStorage == null) {
+        return createMemoryStorage();
     }
+    return {
+        name: storageName,
+        getItem: function(key) {
+            return webStorage.getItem(key);
+        },
+        setItem: function(key, value) {
+            webStorage.setItem(key, value);
+        },
+        removeItem: function(key) {
+            webStorage.removeItem(key);
+        }
+    };
 }
 
 /**
- * Restore an object previously saved in local storage.
- * @param {string} key A key to look up in local storage.
- * @returns {object} The data that was saved under key. If key was never previously saved then null is returned.
+ * Make a storage adapter that keeps items in memory and writes them to a slower store in the background.
+ * Reads never wait, and writes are done in the order they were made.
+ * @param {string} name Name of the adapter.
+ * @param {object} savedItems The items already in the store, key to value.
+ * @param {function} writeItem Function called with the key and value of a changed item, value is null when the
+ *   item is removed. Returns a Promise that resolves once the change is written.
+ * @returns {object} A storage adapter with a `flush` function that resolves when every change is written.
  */
-function loadObjectWithKey(key) {
-    let object = null;
+function createWriteBehindStorage(name, savedItems, writeItem) {
+    const items = new Map(Object.entries(savedItems));
+    let writing = Promise.resolve();
 
-    if (key != null && typeof window !== "undefined" && typeof window.localStorage !== "undefined") {
-        const jsonData = window.localStorage[key];
-        if (jsonData != null) {
-            object = JSON.parse(jsonData);
-        }
+    function write(key, value) {
+        writing = writing.then(function() {
+            return writeItem(key, value);
+        })
+        .catch(function(exception) {
+            debugLog(name + " storage write failed for " + key + ": " + exception.toString());
+        });
     }
-    return object;
-}
 
-/**
- * Return the status of an enginesis service request.
- * @param {object} enginesisResult Enginesis server result object.
- * @returns {boolean} true if the request succeeded (it may succeed but return no results) or false if the request failed.
- */
-function resultIsSuccess(enginesisResult) {
-    return enginesisResult && enginesisResult.results && enginesisResult.results.status && enginesisResult.results.status.success == "1";
+    return {
+        name: name,
+        getItem: function(key) {
+            return items.has(key) ? items.get(key) : null;
+        },
+        setItem: function(key, value) {
+            items.set(key, String(value));
+            write(key, String(value));
+        },
+        removeItem: function(key) {
+            items.delete(key);
+            write(key, null);
+        },
+        flush: function() {
+            return writing;
+        }
+    };
 }
 
 /**
- * Determine if the request failed because the users authentication has expired.
- * @param {object} enginesisResult Enginesis server result object.
- * @returns {boolean} true if the server response is the users token is expired.
+ * Make a storage adapter backed by an IndexedDB database. Items are loaded when the adapter is made so
+ * it can be read without waiting.
+ * @param {string} databaseName Optional name of the database, default is "enginesis".
+ * @returns {Promise} Resolves with the storage adapter, or with `localStorage` storage when IndexedDB cannot be used.
  */
-function resultIsExpiredToken(enginesisResult) {
-    return enginesisResult && enginesisResult.results && enginesisResult.results.status && enginesisResult.results.status.success == "0" && enginesisResult.results.status.message == "TOKEN_EXPIRED";
+function createIndexedDBStorage(databaseName) {
+    const storeName = "items";
+    return new Promise(function(resolve, reject) {
+        if (typeof indexedDB === "undefined" || indexedDB == null) {
+            reject(new Error("IndexedDB is not available"));
+            return;
+        }
+        const openRequest = indexedDB.open(databaseName || "enginesis", 1);
+        openRequest.onupgradeneeded = function() {
+            openRequest.result.createObjectStore(storeName);
+        };
+        openRequest.onsuccess = function() {
+            resolve(openRequest.result);
+        };
+        openRequest.onerror = function() {
+            reject(openRequest.error || new Error("IndexedDB failed to open"));
+        };
+    })
+    .then(function(database) {
+        return new Promise(function(resolve, reject) {
+            const savedItems = {};
+            const cursorRequest = database.transaction(storeName, "readonly").objectStore(storeName).openCursor();
+            cursorRequest.onsuccess = function() {
+                const cursor = cursorRequest.result;
+                if (cursor) {
+                    savedItems[cursor.key] = cursor.value;
+                    cursor.continue();
+                } else {
+                    resolve(createWriteBehindStorage("indexedDB", savedItems, function(key, value) {
+                        return new Promise(function(resolveWrite, rejectWrite) {
+                            const transaction = database.transaction(storeName, "readwrite");
+                            if (value === null) {
+                                transaction.objectStore(storeName).delete(key);
+                            } else {
+                                transaction.objectStore(storeName).put(value, key);
+                            }
+                            transaction.oncomplete = function() {
+                                resolveWrite();
+                            };
+                            transaction.onerror = transaction.onabort = function() {
+                                rejectWrite(transaction.error || new Error("IndexedDB write failed"));
+                            };
+                        });
+                    }));
+                }
+            };
+            cursorRequest.onerror = function() {
+                reject(cursorRequest.error || new Error("IndexedDB read failed"));
+            };
+        });
+    })
+    .catch(function(exception) {
+        debugLog("IndexedDB storage is not available, using localStorage: " + exception.toString());
+        return createWebStorage("localStorage");
+    });
 }
 
 /**
- * When a service request fails due to an expired token, it may be possible to refresh
- * the users authentication and reissue the original request. This function attempts to do that by:
- *   1. Determine if we have the refresh token. if so, call SessionRefresh. if not, resolve with original result object.
- *   2. If SessionRefresh fails, resolve with original result object.
- *   3. If SessionRefresh succeeds, reissue the original request and resolve with its response.
- * @param {object} enginesisResult Enginesis server result object of the original request.
- * @returns {Promise} Resolves when session is refreshed and original request is complete, or resolves
- *   with any error that occurred in the process.
+ * Make a storage adapter that saves items in a JSON file, for Node.js. Items are loaded when the adapter
+ * is made so it can be read without waiting, and the file is rewritten when an item changes.
+ * @param {string} filePath Path of the file. It is created when it does not exist.
+ * @returns {Promise} Resolves with the storage adapter, or with memory storage when the file cannot be read.
  */
-function refreshTokenAndReissueRequest(enginesisResult) {
-    return new Promise(function(resolve) {
-        if (_getRefreshToken() !== null) {
-            enginesisContext.sessionRefresh(_getRefreshToken(), null)
-            .then(function(sessionRefreshResult) {
-                // Reissue original request
-                const serviceName = enginesisResult.results.passthru.fn;
-                const parameters = enginesisResult.results.passthru;
-                sendRequest(serviceName, parameters, null)
-                .then(function(reissueResult) {
-                    resolve(reissueResult);
-                }, function(enginesisError) {
-                    debugLog("refreshTokenAndReissueRequest refresh error " + enginesisError.toString());
-                    resolve(enginesisResult);
-                })
-                .catch(function(exception) {
-                    debugLog("refreshTokenAndReissueRequest refresh exception " + exception.toString());
-                    resolve(enginesisResult);
-                });
-            }, function(enginesisError) {
-                debugLog("refreshTokenAndReissueRequest refresh error " + enginesisError.toString());
-                resolve(enginesisResult);
-            })
-            .catch(function(exception) {
-                debugLog("refreshTokenAndReissueRequest refresh exception " + exception.toString());
-                resolve(enginesisResult);
+function createFileStorage(filePath) {
+    let fileSystem = null;
+    return import("node:fs/promises")
+    .then(function(fileSystemModule) {
+        fileSystem = fileSystemModule;
+        return fileSystem.readFile(filePath, "utf8")
+        .then(function(fileData) {
+            return JSON.parse(fileData);
+        }, function(readError) {
+            if (readError.code == "ENOENT") {
+                return {};
+            }
+            throw readError;
+        });
+    })
+    .then(function(savedItems) {
+        const items = {...savedItems};
+        return createWriteBehindStorage("file", savedItems, function(key, value) {
+            if (value === null) {
+                delete items[key];
+            } else {
+                items[key] = value;
+            }
+            // write a copy and rename it so the file is never left half written
+            const temporaryPath = filePath + ".tmp";
+            return fileSystem.writeFile(temporaryPath, JSON.stringify(items))
+            .then(function() {
+                return fileSystem.rename(temporaryPath, filePath);
             });
-        } else {
-            // We cannot refresh the token so respond with the original error.
-            resolve(enginesisResult);
-        }
+        });
+    })
+    .catch(function(exception) {
+        debugLog("File storage " + filePath + " is not available, using memory: " + exception.toString());
+        return createMemoryStorage();
     });
 }
 
 /**
- * Return the error code associated with an enginesis service request. Successful requests
- * usually return an empty string for the error code.
- * @param {object} enginesisResult Enginesis server result object.
- * @returns {string} An enginesis error code (look it up in the error code table.)
+ * Storage adapters the SDK can save its state in. Give one to `init` with the `storage` option.
+ * A storage adapter is any object with the `getItem`, `setItem`, and `removeItem` functions of `localStorage`,
+ * and reads must not wait. `indexedDB` and `file` load their items first and resolve with the adapter.
  */
-function resultErrorCode(enginesisResult) {
-    if (enginesisResult && enginesisResult.results && enginesisResult.results.status) {
-        return enginesisResult.results.status.message;
-    } else {
-        return "INVALID_PARAMETER";
-    }
-}
+export const storageAdapters = {
+    memory: createMemoryStorage,
+    localStorage: function() {
+        return createWebStorage("localStorage");
+    },
+    sessionStorage: function() {
+        return createWebStorage("sessionStorage");
+    },
+    indexedDB: createIndexedDBStorage,
+    file: createFileStorage
+};
 
 /**
- * Generate a standard Enginesis error response for situations where we identified an error condition
- * internally in the SDK and want to reply with a standard response. Complement to PHP function makeErrorResponse().
- * @param {string} errorCode EnginesisErrors error code.
- * @param {string} errorMessage Extended error information.
- * @param {Object|Array} passthruParameters Key/value parameters to include in passthru
- * @returns {Object} An EnginesisResponse object.
+ * Return the storage the SDK saves its state in. This is the `storage` given to `init`, otherwise
+ * `localStorage` when it can be used, otherwise memory.
+ * @returns {object} A storage adapter.
  */
-function makeErrorResponse(errorCode, errorMessage, passthruParameters) {
-    const passthru = {...{state_seq: 0, fn: "unknown"}, ...passthruParameters};
-    return {
-        fn: passthru.fn,
-        results: {
-            passthru: passthru,
-            result: [],
-            status: {
-                success: (errorCode == "" || errorCode == "NO_ERROR") ? "1" : "0",
-                message: errorCode,
-                extended_info: errorMessage
-            }
-        }
-    };
+function storageGet() {
+    if (enginesis.storage == null) {
+        enginesis.storage = createWebStorage("localStorage");
+    }
+    return enginesis.storage;
 }
 
 /**
- * Internal function to handle completed service request and convert the JSON response to
- * an object and then invoke the call back function.
- * @param {Number} stateSequenceNumber The state identifier corresponding to this transaction.
- * @param {EnginesisResponse} enginesisResponseData The Enginesis response object. This is either
- *   a JSON string returned from the server or the JSON parsed object.
- * @param {Function} overRideCallBackFunction Optional function to call when complete.
+ * Set the storage the SDK saves its state in.
+ * @param {object|string} storage A storage adapter, or the name of one of the `storageAdapters` that does not need to load first.
  */
-function serviceRequestComplete (stateSequenceNumber, enginesisResponseData, overRideCallBackFunction) {
-    let enginesisResponseObject;
-
-    removeFromServiceQueue(stateSequenceNumber);
-    try {
-        if (typeof enginesisResponseData === "string") {
-            enginesisResponseObject = JSON.parse(enginesisResponseData);
+function storageSet(storage) {
+    if (typeof storage === "string") {
+        if (storage == "indexedDB" || storage == "file" || typeof storageAdapters[storage] !== "function") {
+            debugLog("Storage " + storage + " must be made with storageAdapters first, using localStorage.");
+            storage = createWebStorage("localStorage");
         } else {
-            enginesisResponseObject = enginesisResponseData;
+            storage = storageAdapters[storage]();
         }
-    } catch (exception) {
-        enginesisResponseObject = forceErrorResponseObject("unknown", stateSequenceNumber, "SERVICE_ERROR", "Error: " + exception.message + "; " + enginesisResponseData.toString(), {});
-        debugLog("Enginesis requestComplete exception " + JSON.stringify(enginesisResponseObject));
     }
-    enginesisResponseObject.fn = enginesisResponseObject.results.passthru.fn;
-    enginesis.lastResponse = enginesisResponseObject;
-    if (typeof overRideCallBackFunction == "function") {
-        overRideCallBackFunction(enginesisResponseObject);
-    } else if (typeof enginesis.callBackFunction == "function") {
-        enginesis.callBackFunction(enginesisResponseObject);
+    if (storage !== enginesis.storage) {
+        enginesis.storage = storage;
+        enginesis.storageFallback = null;
     }
 }
 
 /**
- * When the server responds, intercept any result we get so we can preprocess it before
- * sending it off to the callback function. This may require different logic for different
- * services. In most cases a service call will result in some form of internal state update,
- * such as a refresh auth token or updated game info. In some cases, the server responds with
- * an error that we can resolve with further service calls.
- * @param {Object} enginesisResult Enginesis result object from the service response.
- * @returns {Promise} Resolves with an enginesisResult object when the result pre-process is complete.
+ * Items are saved under a key that includes the site id so several sites, or games of several sites,
+ * can share the same storage.
+ * @param {string} key The key of the item.
+ * @returns {string} The key it is saved under.
  */
-function preprocessEnginesisResult(enginesisResult) {
-    return new Promise(function(resolve) {
-        const serviceEndPoint = enginesisResult.fn;
-        // Handle an expired token here, issue a SessionRefresh, and then re-issue the original request
-        if (resultIsExpiredToken(enginesisResult)) {
-            refreshTokenAndReissueRequest(enginesisResult)
-            .then(function(reissueResult) {
-                resolve(reissueResult);
-            });
-        } else if (resultIsSuccess(enginesisResult) && serviceEndPoint) {
-            // @todo: find a better place to define this dispatch table
-            const dispatchTable = {
-                SessionBegin: updateGameSessionInfo,
-                SessionRefresh: refreshSessionInfo,
-                UserLogin: updateLoggedInUserInfo,
-                UserLogout: clearLoggedInUserInfo,
-                GameGet: updateGameInfo,
-                UserFavoriteGamesList: updateFavoriteGames,
-                UserFavoriteGamesAssign: updateFavoriteGames,
-                UserFavoriteGamesAssignList: updateFavoriteGames,
-                UserFavoriteGamesUnassign: updateFavoriteGames,
-                UserFavoriteGamesUnassignList: updateFavoriteGames
-            };
-            const dispatchFunction = dispatchTable[serviceEndPoint];
-            if ( ! isNull(dispatchFunction)) {
-                dispatchFunction(enginesisResult);
-            }
-        }
-        resolve(enginesisResult);
-    });
+function storageKey(key) {
+    return "enginesis." + enginesis.siteId + "." + key;
 }
 
 /**
- * Convert a binary byte array into its base 64 representation. This will handle
- * any type of array buffer, converting it to unsigned 8 bit integer, and then
- * mapping each 64 bit string to its base 64 representation. See also `base64ToArrayBuffer`.
- * @param {ArrayBuffer} arrayBuffer An array of bytes.
- * @return {String} The base 64 string representation of the input array.
+ * Read an item. Once a write to the storage failed the items written since are kept in memory, and those are read first.
+ * @param {string} key The key of the item, without the site namespace.
+ * @returns {string|null} The saved value, or null.
  */
-function arrayBufferToBase64(arrayBuffer) {
-    return window.btoa(String.fromCharCode.apply(null, new Uint8Array(arrayBuffer)));
+function storageRead(key) {
+    const namespacedKey = storageKey(key);
+    if (enginesis.storageFallback != null) {
+        const value = enginesis.storageFallback.getItem(namespacedKey);
+        if (value !== null) {
+            return value;
+        }
+    }
+    try {
+        return storageGet().getItem(namespacedKey);
+    } catch (exception) {
+        debugLog("Storage read failed for " + key + ": " + exception.toString());
+        return null;
+    }
 }
 
 /**
- * Convert a base 64 string to a binary byte array. This will convert it to unsigned
- * 8 bit integer array. This is the complement to `arrayBufferToBase64`.
- * @param {String} base64String A string of base 64 data.
- * @return {ArrayBuffer} The binary representation of the base 64 string.
+ * Write an item. When the storage fails, such as when it is full or the browser blocks it, the item is kept in memory.
+ * @param {string} key The key of the item, without the site namespace.
+ * @param {string} value The value to save.
  */
-function base64ToArrayBuffer(base64String) {
-    return Uint8Array.from(atob(base64String), function(char) {
-        return char.charCodeAt(0);
-    });
+function storageWrite(key, value) {
+    const namespacedKey = storageKey(key);
+    if (enginesis.storageFallback == null) {
+        try {
+            storageGet().setItem(namespacedKey, value);
+            return;
+        } catch (exception) {
+            debugLog("Storage write failed for " + key + ", keeping it in memory: " + exception.toString());
+            enginesis.storageFallback = createMemoryStorage();
+        }
+    }
+    enginesis.storageFallback.setItem(namespacedKey, value);
 }
 
 /**
- * Replace base-64 chars that are not URL safe. This will help transmit a base 64 string
- * over the internet by translating '+/=' into '-_~'.
- * @param {string} data A string of base 64 characters to translate.
- * @return {string} Translates '+/=' found in data to '-_~'.
+ * Remove an item.
+ * @param {string} key The key of the item, without the site namespace.
  */
-function base64URLEncode(data) {
-    return data
-        .replace(/\+/g, "-")
-        .replace(/\//g, "_")
-        .replace(/=/g, "~");
+function storageRemove(key) {
+    const namespacedKey = storageKey(key);
+    if (enginesis.storageFallback != null) {
+        enginesis.storageFallback.removeItem(namespacedKey);
+    }
+    try {
+        storageGet().removeItem(namespacedKey);
+    } catch (exception) {
+        debugLog("Storage remove failed for " + key + ": " + exception.toString());
+    }
 }
 
 /**
- * Replace base-64 chars that are not URL safe. This will help transmit a base 64 string
- * over the internet by translating '-_~' into '+/='.
- * @param {string} data A string of translated base 64 characters to translate back to true base-64.
- * @return {string} Translates '-_~' found in $data to '+/='.
+ * Move items saved by a prior version of this library, which did not include the site id in the key,
+ * to their key for the current site.
  */
-function base64URLDecode(data) {
-    return data
-        .replace(/-/g, "+")
-        .replace(/_/g, "/")
-        .replace(/~/g, "=");
+function storageMigrateLegacyKeys() {
+    const legacyKeys = [
+        enginesis.SESSION_USERINFO,
+        enginesis.refreshTokenStorageKey,
+        enginesis.anonymousUserKey,
+        enginesis.serviceQueueSaveKey,
+        enginesis.responseCacheSaveKey
+    ];
+    try {
+        const storage = storageGet();
+        legacyKeys.forEach(function(key) {
+            const legacyValue = storage.getItem(key);
+            if (legacyValue !== null) {
+                if (storageRead(key) === null) {
+                    storageWrite(key, legacyValue);
+                }
+                storage.removeItem(key);
+            }
+        });
+    } catch (exception) {
+        debugLog("Storage migration failed: " + exception.toString());
+    }
 }
 
 /**
- * Convert a string into its binary equivalent. This takes each byte of the string
- * and converts it to its binary value (i.e. code point.)
- * @param {String} inputString A string to convert to binary.
- * @returns {Uint8Array} The binary representation of the input string.
+ * Save an object in storage given a key.
+ * @param {string} key Key to identify object. If this key exists it will be overwritten with `object`.
+ * @param {object} object Value to save under key.
  */
-function stringToByteArray(inputString) {
-    const utf8Encode = new TextEncoder();
-    return utf8Encode.encode(inputString);
+function saveObjectWithKey(key, object) {
+    if (key != null && object != null) {
+        storageWrite(key, JSON.stringify(object));
+    }
 }
 
-/* eslint-disable */
 /**
-* Compute the MD5 checksum for the given string.
-* @param {string} s String/byte array to compute the checksum.
-* @returns {string} MD5 checksum.
-*/
-function md5 (s) {
-   function L(k,d) { return(k<<d)|(k>>>(32-d)) }
-   function K(G,k) {
-       var I,d,F,H,x;
-       F=(G&2147483648);H=(k&2147483648);I=(G&1073741824);d=(k&1073741824);x=(G&1073741823)+(k&1073741823);
-       if(I&d){return(x^2147483648^F^H);}
-       if(I|d){if(x&1073741824){return(x^3221225472^F^H);}else{return(x^1073741824^F^H);}}else{return(x^F^H);}
-   }
-   function r(d,F,k){ return(d&F)|((~d)&k); }
-   function q(d,F,k){ return(d&k)|(F&(~k)); }
-   function p(d,F,k){return(d^F^k)}
-   function n(d,F,k){return(F^(d|(~k)))}
-   function u(G,F,aa,Z,k,H,I){G=K(G,K(K(r(F,aa,Z),k),I));return K(L(G,H),F)}
-   function f(G,F,aa,Z,k,H,I){G=K(G,K(K(q(F,aa,Z),k),I));return K(L(G,H),F)}
-   function D(G,F,aa,Z,k,H,I){G=K(G,K(K(p(F,aa,Z),k),I));return K(L(G,H),F)}
-   function t(G,F,aa,Z,k,H,I){G=K(G,K(K(n(F,aa,Z),k),I));return K(L(G,H),F)}
-   function e(G){
-       var Z;var F=G.length;var x=F+8;var k=(x-(x%64))/64;var I=(k+1)*16;var aa=Array(I-1);var d=0;var H=0;
-       while(H<F){
-           Z=(H-(H%4))/4;d=(H%4)*8;aa[Z]=(aa[Z]|(G.charCodeAt(H)<<d));H++;
-       }
-       Z=(H-(H%4))/4;d=(H%4)*8;aa[Z]=aa[Z]|(128<<d);aa[I-2]=F<<3;aa[I-1]=F>>>29;
-       return aa;
-   }
-   function B(x){
-       var k="",F="",G,d;
-       for(d=0;d<=3;d++){
-           G=(x>>>(d*8))&255;F="0"+G.toString(16);k=k+F.substring(F.length-2);
-       }
-       return k;
-   }
-   function J(k){
-       k=k.replace(/rn/g,"n");var d="";
-       for(var F=0;F<k.length;F++){
-           var x=k.charCodeAt(F);
-           if(x<128){
-               d+=String.fromCharCode(x);
-           }else{
-               if((x>127)&&(x<2048)){
-                   d+=String.fromCharCode((x>>6)|192);d+=String.fromCharCode((x&63)|128);
-               }else{
-                   d+=String.fromCharCode((x>>12)|224);d+=String.fromCharCode(((x>>6)&63)|128);d+=String.fromCharCode((x&63)|128);
-               }
-           }
-       }
-       return d;
-   }
-   var i,C,P,h,E,v,g,Y,X,W,V,S=7,Q=12,N=17,M=22,A=5,z=9,y=14,w=20,o=4,m=11,l=16,j=23,U=6,T=10,R=15,O=21;
-   s=J(s);C=e(s);Y=1732584193;X=4023233417;W=2562383102;V=271733878;
-   for(P=0;P<C.length;P+=16){
-       h=Y;E=X;v=W;g=V;Y=u(Y,X,W,V,C[P+0],S,3614090360);V=u(V,Y,X,W,C[P+1],Q,3905402710);W=u(W,V,Y,X,C[P+2],N,606105819);X=u(X,W,V,Y,C[P+3],M,3250441966);Y=u(Y,X,W,V,C[P+4],S,4118548399);V=u(V,Y,X,W,C[P+5],Q,1200080426);W=u(W,V,Y,X,C[P+6],N,2821735955);X=u(X,W,V,Y,C[P+7],M,4249261313);Y=u(Y,X,W,V,C[P+8],S,1770035416);V=u(V,Y,X,W,C[P+9],Q,2336552879);W=u(W,V,Y,X,C[P+10],N,4294925233);X=u(X,W,V,Y,C[P+11],M,2304563134);Y=u(Y,X,W,V,C[P+12],S,1804603682);V=u(V,Y,X,W,C[P+13],Q,4254626195);W=u(W,V,Y,X,C[P+14],N,2792965006);X=u(X,W,V,Y,C[P+15],M,1236535329);Y=f(Y,X,W,V,C[P+1],A,4129170786);V=f(V,Y,X,W,C[P+6],z,3225465664);W=f(W,V,Y,X,C[P+11],y,643717713);X=f(X,W,V,Y,C[P+0],w,3921069994);Y=f(Y,X,W,V,C[P+5],A,3593408605);V=f(V,Y,X,W,C[P+10],z,38016083);W=f(W,V,Y,X,C[P+15],y,3634488961);X=f(X,W,V,Y,C[P+4],w,3889429448);Y=f(Y,X,W,V,C[P+9],A,568446438);V=f(V,Y,X,W,C[P+14],z,3275163606);W=f(W,V,Y,X,C[P+3],y,4107603335);X=f(X,W,V,Y,C[P+8],w,1163531501);Y=f(Y,X,W,V,C[P+13],A,2850285829);V=f(V,Y,X,W,C[P+2],z,4243563512);W=f(W,V,Y,X,C[P+7],y,1735328473);X=f(X,W,V,Y,C[P+12],w,2368359562);Y=D(Y,X,W,V,C[P+5],o,4294588738);V=D(V,Y,X,W,C[P+8],m,2272392833);W=D(W,V,Y,X,C[P+11],l,1839030562);X=D(X,W,V,Y,C[P+14],j,4259657740);Y=D(Y,X,W,V,C[P+1],o,2763975236);V=D(V,Y,X,W,C[P+4],m,1272893353);W=D(W,V,Y,X,C[P+7],l,4139469664);X=D(X,W,V,Y,C[P+10],j,3200236656);Y=D(Y,X,W,V,C[P+13],o,681279174);V=D(V,Y,X,W,C[P+0],m,3936430074);W=D(W,V,Y,X,C[P+3],l,3572445317);X=D(X,W,V,Y,C[P+6],j,76029189);Y=D(Y,X,W,V,C[P+9],o,3654602809);V=D(V,Y,X,W,C[P+12],m,3873151461);W=D(W,V,Y,X,C[P+15],l,530742520);X=D(X,W,V,Y,C[P+2],j,3299628645);Y=t(Y,X,W,V,C[P+0],U,4096336452);V=t(V,Y,X,W,C[P+7],T,1126891415);W=t(W,V,Y,X,C[P+14],R,2878612391);X=t(X,W,V,Y,C[P+5],O,4237533241);Y=t(Y,X,W,V,C[P+12],U,1700485571);V=t(V,Y,X,W,C[P+3],T,2399980690);W=t(W,V,Y,X,C[P+10],R,4293915773);X=t(X,W,V,Y,C[P+1],O,2240044497);Y=t(Y,X,W,V,C[P+8],U,1873313359);V=t(V,Y,X,W,C[P+15],T,4264355552);W=t(W,V,Y,X,C[P+6],R,2734768916);X=t(X,W,V,Y,C[P+13],O,1309151649);Y=t(Y,X,W,V,C[P+4],U,4149444226);V=t(V,Y,X,W,C[P+11],T,3174756917);W=t(W,V,Y,X,C[P+2],R,718787259);X=t(X,W,V,Y,C[P+9],O,3951481745);Y=K(Y,h);X=K(X,E);W=K(W,v);V=K(V,g);
-   }
-   i=B(Y)+B(X)+B(W)+B(V);
-   return i.toLowerCase();
+ * Delete a storage key.
+ * @param {string} key Key to identify object.
+ */
+function removeObjectWithKey(key) {
+    if (key != null) {
+        storageRemove(key);
+    }
 }
-/* eslint-enable */
 
 /**
- * This is the callback from a request to refresh the Enginesis login when the auth token
- * expires. This response is similar to the initial login response. Called from `sessionRefresh`.
- * @param {object} enginesisResult Enginesis result object.
- * @returns {boolean} True if successful.
+ * Restore an object previously saved in storage.
+ * @param {string} key A key to look up in storage.
+ * @returns {object} The data that was saved under key. If key was never previously saved, or it cannot be read, then null is returned.
  */
-function refreshSessionInfo(enginesisResult) {
-    let refreshSuccessful = false;
-    if (enginesisResult && enginesisResult.results && enginesisResult.results.result) {
-        const sessionInfo = enginesisResult.results.result[0];
+function loadObjectWithKey(key) {
+    let object = null;
 
-        // verify session hash so that we know the payload was not tampered with
-        if ( ! sessionVerifyHash(sessionInfo.cr, sessionInfo)) {
-            debugLog("refreshSessionInfo hash does not match. From server: " + sessionInfo.cr + ". Computed here: " + sessionMakeHash());
-        }
-        refreshSuccessful = saveUserSessionInfo(sessionInfo, false);
-    } else {
-        const errorCode = resultErrorCode(enginesisResult);
-        if (errorCode == "INVALID_PARAMETER" || errorCode == "INVALID_TOKEN") {
-            // if the refresh token is invalid then log this user out or else
-            // we will keep trying this bad token on every request.
-            clearUserSessionInfo();
+    if (key != null) {
+        const jsonData = storageRead(key);
+        if (jsonData != null) {
+            try {
+                object = JSON.parse(jsonData);
+            } catch (exception) {
+                debugLog("Saved " + key + " is not valid: " + exception.toString());
+            }
         }
     }
-    return refreshSuccessful;
+    return object;
 }
 
 /**
- * Update the local cache of game information when the server replies with game attributes.
- * @param {object} enginesisResult Enginesis server response object
+ * Return the status of an enginesis service request.
+ * @param {object} enginesisResult Enginesis server result object.
+ * @returns {boolean} true if the request succeeded (it may succeed but return no results) or false if the request failed.
  */
-function updateGameInfo(enginesisResult) {
-    if (enginesisResult.results.result.row) {
-        enginesis.gameInfo = enginesisResult.results.result.row;
-    } else {
-        enginesis.gameInfo = enginesisResult.results.result[0];
-    }
-    if (coerceBoolean(enginesis.gameInfo.is_favorite)) {
-        enginesis.favoriteGames.add(parseInt(enginesis.gameInfo.game_id, 10));
-    }
+function resultIsSuccess(enginesisResult) {
+    return enginesisResult && enginesisResult.results && enginesisResult.results.status && enginesisResult.results.status.success == "1";
 }
 
 /**
- * When a list of the user's favorite games is requested intercept the response and
- * update the local cache of favorite games.
- * @param {object} enginesisResult Enginesis server response object
+ * Determine if the request failed because the users authentication has expired.
+ * @param {object} enginesisResult Enginesis server result object.
+ * @returns {boolean} true if the server response is the users token is expired.
  */
-function updateFavoriteGames(enginesisResult) {
-    const serverFavoriteGamesList = enginesisResult.results.result;
-    enginesis.favoriteGames.clear();
-    for (let i = 0; i < serverFavoriteGamesList.length; i += 1) {
-        enginesis.favoriteGames.add(parseInt(serverFavoriteGamesList[i].game_id, 10));
-    }
+function resultIsExpiredToken(enginesisResult) {
+    return enginesisResult && enginesisResult.results && enginesisResult.results.status && enginesisResult.results.status.success == "0" && enginesisResult.results.status.message == "TOKEN_EXPIRED";
 }
 
 /**
- * Determine a new session expiration time. Return the date in MySQL date format
- * "yyyy-mm-dd hh:mm:ss", this time should also be in UTC without time zone.
- * @returns {string} A new session expire time.
+ * The local storage all tabs of the site share. The refresh lock and the tab messages use it directly rather
+ * than the storage adapter, which may not be shared between tabs.
+ * @returns {object|null} `window.localStorage`, or null when there is none or the browser blocks it.
  */
-function newSessionExpireTime() {
-    return new Date(Date.now() + (24 * 60 * 60 * 1000)).toISOString().slice(0, 19).replace("T", " ");
+function tabSharedStorage() {
+    try {
+        return typeof window !== "undefined" && window.localStorage != null ? window.localStorage : null;
+    } catch (exception) {
+        return null;
+    }
 }
 
 /**
- * Capture the session begin session id so we can use it for communicating with the server.
- * We end up here after a call to `sessionBegin` and this is the server response.
- * @param {object} enginesisResult Enginesis server response object
+ * Read the refresh lock from the shared storage.
+ * @param {object} sharedStorage The storage of `tabSharedStorage()`.
+ * @returns {object|null} The lock `{tabId, expires}`, or null when no tab holds it.
  */
-function updateGameSessionInfo(enginesisResult) {
-    const sessionInfo = enginesisResult.results.result[0];
-    if (sessionVerifyHash(sessionInfo.cr, null)) {
-        updateGameInfo(enginesisResult);
-        if (sessionInfo.authToken || sessionInfo.authtok) {
-            saveUserSessionInfo(sessionInfo, true);
-        } else {
-            enginesis.sessionId = sessionInfo.session_id;
-            enginesis.sessionExpires = newSessionExpireTime();
-            if (sessionInfo.site_mark && sessionInfo.site_mark != enginesis.anonymousUser.userId) {
-                enginesis.anonymousUser.userId = sessionInfo.site_mark;
-                anonymousUserSave();
-            }
-        }
-        if (coerceBoolean(sessionInfo.tokenExpired) && ! isEmpty(enginesis.refreshToken)) {
-            // When the server says the token is expired and we have a refresh token, we can request a fresh auth token.
-            enginesisContext.sessionRefresh(enginesis.refreshToken, null);
-        }
+function refreshLockRead(sharedStorage) {
+    try {
+        return JSON.parse(sharedStorage.getItem(storageKey(enginesis.refreshLockKey)));
+    } catch (exception) {
+        return null;
     }
-    enginesis.siteResources.baseURL = sessionInfo.siteBaseUrl || "";
-    enginesis.siteResources.profileURL = sessionInfo.profileUrl || "";
-    enginesis.siteResources.loginURL = sessionInfo.loginUrl || "";
-    enginesis.siteResources.registerURL = sessionInfo.registerUrl || "";
-    enginesis.siteResources.forgotPasswordURL = sessionInfo.forgotPasswordUrl || "";
-    enginesis.siteResources.playURL = sessionInfo.playUrl || "";
-    enginesis.siteResources.privacyURL = sessionInfo.privacyUrl || "";
-    enginesis.siteResources.termsURL = sessionInfo.termsUrl || "";
 }
 
 /**
- * Initialize all user session related data to a known initial state.
+ * Run a task only if this tab gets the refresh lock, so one tab of the site refreshes the session while the others
+ * wait for it. Uses the Web Locks API when there is one, otherwise a lock item in local storage that expires after
+ * `refreshLockTimeout` in case the tab holding it goes away. Without either the task runs unlocked.
+ * Local storage has no atomic compare and set, so each tab writes the lock, waits `refreshLockSettleDelay` for the
+ * writes of tabs trying at the same time, and reads it again: the tab whose write was last holds it and the others
+ * give way. A tab that writes after another has read the lock again can still win too, so without Web Locks the lock
+ * makes duplicate refreshes rare rather than impossible.
+ * @param {function} leaderTask Returns a Promise, the lock is released once it settles.
+ * @returns {Promise} Resolves with what `leaderTask` resolves with, or null when another tab holds the lock.
  */
-function initializeLocalSessionInfo() {
-    enginesis.loggedInUserInfo = {};
-
-    // Clear the session and user info
-    enginesis.networkId = 1;
-    enginesis.sessionId = null;
-    enginesis.sessionExpires = null;
-    enginesis.authToken = null;
-    enginesis.authTokenWasValidated = false;
-    enginesis.authTokenExpires = null;
-    enginesis.refreshToken = null;
-    enginesis.refreshTokenExpires = null;
+function refreshLockRun(leaderTask) {
+    if (typeof navigator !== "undefined" && navigator.locks != null && typeof navigator.locks.request === "function") {
+        return navigator.locks.request(storageKey(enginesis.refreshLockKey), {ifAvailable: true}, function(lock) {
+            return lock == null ? null : leaderTask();
+        });
+    }
+    const sharedStorage = tabSharedStorage();
+    if (sharedStorage == null) {
+        return leaderTask();
+    }
+    const lockKey = storageKey(enginesis.refreshLockKey);
+    const now = Date.now();
+    const refreshLock = refreshLockRead(sharedStorage);
+    if (refreshLock != null && refreshLock.tabId != enginesis.tabId && refreshLock.expires > now) {
+        return Promise.resolve(null);
+    }
+    try {
+        sharedStorage.setItem(lockKey, JSON.stringify({tabId: enginesis.tabId, expires: now + enginesis.refreshLockTimeout}));
+    } catch (exception) {
+        debugLog("Enginesis refresh lock not saved: " + exception.toString());
+        return leaderTask();
+    }
+    return new Promise(function(resolve) {
+        setTimeout(resolve, enginesis.refreshLockSettleDelay);
+    })
+    .then(function() {
+        const heldLock = refreshLockRead(sharedStorage);
+        if (heldLock == null || heldLock.tabId != enginesis.tabId) {
+            return null;
+        }
+        return leaderTask();
+    })
+    .finally(function() {
+        const heldLock = refreshLockRead(sharedStorage);
+        if (heldLock != null && heldLock.tabId == enginesis.tabId) {
+            sharedStorage.removeItem(lockKey);
+        }
+    });
 }
 
 /**
- * After a successful login copy everything we got back from the server about the
- * validated user. For example, we are going to need the session-id, authentication token,
- * and user-id for subsequent transactions with the server.
- * @param {object} enginesisResult Log in data sent from the server.
- * @returns {boolean} True if save is successful, false if error.
+ * Wait for the tab holding the refresh lock to refresh the session.
+ * @returns {Promise} Resolves with true when the session was refreshed, false when the refresh failed or the user
+ *   was logged out, or null when the other tab did not answer in `refreshLockTimeout`.
  */
-function updateLoggedInUserInfo(enginesisResult) {
-    let updated = false;
-    if (enginesisResult && enginesisResult.results && enginesisResult.results.result) {
-        const userInfo = enginesisResult.results.result[0];
-
-        // verify session hash so that we know the payload was not tampered with
-        if ( ! sessionVerifyHash(userInfo.cr, userInfo)) {
-            debugLog("updateLoggedInUserInfo hash does not match. From server: " + userInfo.cr + ". Computed here: " + sessionMakeHash(userInfo));
+function refreshFollowLeader() {
+    return new Promise(function(resolve) {
+        function refreshSettled(isRefreshed) {
+            clearTimeout(followTimer);
+            enginesisEventRemove("sessionRefreshed", sessionRefreshed);
+            enginesisEventRemove("sessionRefreshFailed", refreshFailed);
+            enginesisEventRemove("loggedOut", refreshFailed);
+            resolve(isRefreshed);
         }
-        // after a log in save the refresh token separately from the session.
-        _saveRefreshToken(userInfo.refresh_token);
+        function sessionRefreshed() {
+            refreshSettled(true);
+        }
+        function refreshFailed() {
+            refreshSettled(false);
+        }
+        const followTimer = setTimeout(refreshSettled, enginesis.refreshLockTimeout, null);
+        enginesisEventAdd("sessionRefreshed", sessionRefreshed, false);
+        enginesisEventAdd("sessionRefreshFailed", refreshFailed, false);
+        enginesisEventAdd("loggedOut", refreshFailed, false);
+    });
+}
 
-        // Move server authorized user data into the local cache
-        enginesis.loggedInUserInfo = userInfo;
-        enginesis.isUserLoggedIn = Math.floor(userInfo.user_id) > 0;
-        enginesis.networkId = userInfo.network_id;
-        updated = saveUserSessionInfo(userInfo, false);
+/**
+ * Refresh the session with SessionRefresh. When synchronized with other tabs only the tab holding the
+ * refresh lock sends it and the others use the session it gets, as a refresh token can only be used once.
+ * A failed refresh is told to the other tabs so they stop waiting for it.
+ * If that tab goes away before it refreshes, the lock expires and this tab tries again.
+ * @returns {Promise} Resolves with true if the session was refreshed.
+ */
+function refreshSession() {
+    function sessionRefreshRequest() {
+        return enginesisContext.sessionRefresh(_getRefreshToken(), null)
+        .then(function(enginesisResult) {
+            const isRefreshed = resultIsSuccess(enginesisResult);
+            if ( ! isRefreshed) {
+                emitEvent("sessionRefreshFailed", {});
+                tabBroadcast("sessionRefreshFailed", {});
+            }
+            return isRefreshed;
+        });
     }
-    return updated;
+    if ( ! tabSyncIsActive()) {
+        return sessionRefreshRequest();
+    }
+    return refreshLockRun(sessionRefreshRequest)
+    .then(function(isRefreshed) {
+        if (isRefreshed !== null) {
+            return isRefreshed;
+        }
+        debugLog("Enginesis waiting on another tab to refresh the session", 2);
+        return refreshFollowLeader()
+        .then(function(isRefreshed) {
+            return isRefreshed !== null ? isRefreshed : refreshLockRun(sessionRefreshRequest);
+        })
+        .then(function(isRefreshed) {
+            return isRefreshed === true;
+        });
+    });
 }
 
 /**
- * After a successful logout clear everything we know about the user.
- * @param {object} enginesisResult
+ * Request a new authentication token with the refresh token. Only one SessionRefresh is ever in
+ * flight: every caller that needs a fresh token while a refresh is pending shares the same Promise,
+ * and other tabs of the site wait for this one, see `refreshSession()`.
+ * @returns {Promise} Resolves with true if the session was refreshed, false if it could not be refreshed.
  */
-function clearLoggedInUserInfo(enginesisResult) {
-    if (enginesisResult && enginesisResult.results && enginesisResult.results.result) {
-        initializeLocalSessionInfo();
-        clearUserSessionInfo();
+function refreshAuthentication() {
+    if (enginesis.sessionRefreshPending == null) {
+        if (_getRefreshToken() === null) {
+            return Promise.resolve(false);
+        }
+        enginesis.sessionRefreshPending = refreshSession()
+        .then(function(isRefreshed) {
+            enginesis.sessionRefreshPending = null;
+            return isRefreshed;
+        }, function(enginesisError) {
+            enginesis.sessionRefreshPending = null;
+            debugLog("refreshAuthentication refresh error " + enginesisError.toString());
+            return false;
+        });
     }
+    return enginesis.sessionRefreshPending;
 }
 
 /**
- * Compute the Enginesis day stamp for the current day. This must match what the server would compute
- * on the same day in UTC.
- * @returns {Number} The session day stamp value.
+ * When a service request fails due to an expired token, it may be possible to refresh
+ * the users authentication and reissue the original request. This function attempts to do that by:
+ *   1. If the request was already a replay, or it is SessionRefresh itself, resolve with the original result object.
+ *   2. If the auth token changed since the request was sent (another request already refreshed it), skip to step 4.
+ *   3. Call SessionRefresh (shared with any other expired request). If it fails, resolve with original result object.
+ *   4. Reissue the original request once and resolve with its response.
+ * @param {object} enginesisResult Enginesis server result object of the original request.
+ * @param {object} enginesisParameters The request parameters that produced `enginesisResult`. If not
+ *   provided the request is rebuilt from the result passthru.
+ * @returns {Promise} Resolves when session is refreshed and original request is complete, or resolves
+ *   with the original result if the request cannot be reissued.
  */
-function sessionDayStamp() {
-    const SESSION_DAYSTAMP_HOURS = 48;
-    return Math.floor(Date.now() / (SESSION_DAYSTAMP_HOURS * 60 * 60 * 1000));
+function refreshTokenAndReissueRequest(enginesisResult, enginesisParameters) {
+    const requestParameters = enginesisParameters || enginesisResult.results.passthru || {};
+    const serviceName = requestParameters.fn || enginesisResult.fn;
+    if (requestParameters.isReplay || serviceName == "SessionRefresh" || isEmpty(serviceName)) {
+        return Promise.resolve(enginesisResult);
+    }
+    let refreshed;
+    if ( ! isEmpty(requestParameters.authtok) && ! isEmpty(enginesis.authToken) && requestParameters.authtok != enginesis.authToken) {
+        refreshed = Promise.resolve(true);
+    } else {
+        refreshed = refreshAuthentication();
+    }
+    return refreshed.then(function(isRefreshed) {
+        if ( ! isRefreshed) {
+            return enginesisResult;
+        }
+        const replayOptions = {isReplay: true};
+        if (requestParameters.requestControl) {
+            replayOptions.signal = requestParameters.requestControl.signal;
+            replayOptions.timeout = requestParameters.requestControl.timeout;
+        }
+        return sendRequest(serviceName, replayParameters(requestParameters), null, replayOptions)
+        .catch(function(exception) {
+            debugLog("refreshTokenAndReissueRequest reissue exception " + exception.toString());
+            return enginesisResult;
+        });
+    });
 }
 
 /**
- * Collect the user session information to make sure we represent the correct
- * user log in and session state.
- * @param {Object} userUserInfo A userInfo object received from a log in, session begin, or restored from local storage.
- * @returns {Object} A userInfo object.
+ * Copy the parameters of a prior request so it can be sent again. Anything tied to the prior
+ * request state, such as its sequence number and authentication token, is removed so a new
+ * state is assigned when the request is reissued.
+ * @param {object} enginesisParameters The parameters of a prior request.
+ * @returns {object} Key/value parameters to send with the reissued request.
  */
-function coerceUserInfoFromUserInfo(userUserInfo) {
-    const loggedInUserInfo = enginesis.loggedInUserInfo || {};
-    const userInfo = userUserInfo || {};
-    const coercedUserInfo = {
-        siteId: enginesis.siteId,
-        userId: coerceNotNull(userInfo.userId, userInfo.user_id, loggedInUserInfo.user_id, 0),
-        userName: coerceNotEmpty(userInfo.userName, userInfo.user_name, loggedInUserInfo.user_name, ""),
-        accessLevel: coerceNotNull(userInfo.accessLevel, userInfo.access_level, loggedInUserInfo.access_level, 10),
-        siteUserId: coerceNotEmpty(userInfo.siteUserId, userInfo.site_user_id, loggedInUserInfo.site_user_id, ""),
-        networkId: coerceNotNull(userInfo.networkId, userInfo.network_id, loggedInUserInfo.network_id, 1),
-        gameId: userInfo.gameId || enginesis.gameId,
-        dayStamp: userInfo.dayStamp || sessionDayStamp(),
-        siteMark: 0
-    };
-    if (coercedUserInfo.userId == 0) {
-        // Use the site mark only if we do not have a user id
-        if (isNull(userInfo.siteMark)) {
-            if (enginesis.anonymousUser) {
-                coercedUserInfo.siteMark = enginesis.anonymousUser.userId;
-            }
-        } else {
-            coercedUserInfo.siteMark = userInfo.siteMark;
+function replayParameters(enginesisParameters) {
+    const requestStateProperties = ["fn", "state_seq", "state_status", "authtok", "logged_in_user_id"];
+    const parameters = {};
+    for (const key in enginesisParameters) {
+        if (enginesisParameters.hasOwnProperty(key) && ! requestStateProperties.includes(key) && ! isInternalRequestProperty(key)) {
+            parameters[key] = enginesisParameters[key];
         }
     }
-    return coercedUserInfo;
+    return parameters;
 }
 
 /**
- * Compute the session hash for the provided session information. If something is missing we will get
- * a default value from the current session, regardless if it is valid or not. It's not really valid
- * calling this function this way if authTokenWasValidated == false. This function matches server-side
- * sessionMakeHash().
- *
- * @param {object} sessionUserInfo an object containing the key/value pairs identifying a user session, all of which are optional:
- *    siteId, userId, userName, siteUserId, networkId, accessLevel, gameId, dayStamp.
- * @returns {string} The hash for the current user session.
+ * Determine if a property of a queued request is for internal SDK use and must not be sent to the server.
+ * @param {string} key A property name of a request parameters object.
+ * @returns {boolean} True if the property is internal to the SDK.
  */
-function sessionMakeHash(sessionUserInfo) {
-    const userInfo = coerceUserInfoFromUserInfo(sessionUserInfo);
-    return md5(`s=${userInfo.siteId}&u=${userInfo.userId}&d=${userInfo.dayStamp}&n=${userInfo.userName}&g=${userInfo.gameId}&i=${userInfo.siteUserId}&w=${userInfo.networkId}&l=${userInfo.accessLevel}&m=${userInfo.siteMark}&k=${enginesis.developerKey}`);
+function isInternalRequestProperty(key) {
+    return internalRequestProperties.includes(key);
 }
 
 /**
- * Determine if the session hash computed on the server matches the session hash computed on
- * the client. This helps us determine if the payload was tampered and a hacker is trying
- * to impersonate another user.
- * @todo: If the hash from the server doesn't match what we expected computed locally,
- * it could be someone trying to impersonate another user. It could also be that the hash
- * has expired and we just need to compute a new one.
- *
- * @param {string} hashFromServer This is the hash computed on the server, usually returned in SessionBegin.
- * @param {object|null} userInfo The user information object to validate. If null will validate against prior log in user information.
- * @return {boolean} True if we think the session from the server matches the data we have locally.
+ * Return the error code associated with an enginesis service request. Successful requests
+ * usually return an empty string for the error code.
+ * @param {object} enginesisResult Enginesis server result object.
+ * @returns {string} An enginesis error code (look it up in the error code table.)
  */
-function sessionVerifyHash(hashFromServer, userInfo) {
-    const userInfoInternal = coerceUserInfoFromUserInfo(userInfo);
-    let isVerified = hashFromServer == sessionMakeHash(userInfoInternal);
-    if ( ! isVerified) {
-        // if not valid, it could be because the users authentication expired, change the timestamp to today and try again.
-        userInfoInternal.dayStamp = sessionDayStamp();
-        isVerified = hashFromServer == sessionMakeHash(userInfoInternal);
-        if (isVerified) {
-            // game session is good but the user must refresh their authentication
-            // debugLog("sessionVerifyHash Session expired but we think we can refresh it.");
-            enginesisContext.sessionRefresh(_getRefreshToken(), null)
-            .then(function(enginesisResult) {
-                debugLog("sessionVerifyHash users authentication has been refreshed. " + enginesisResult.toString());
-            }, function(enginesisError) {
-                debugLog("sessionVerifyHash refresh error " + enginesisError.toString());
-            })
-            .catch(function(exception) {
-                debugLog("sessionVerifyHash refresh exception " + exception.toString());
-            });
+function resultErrorCode(enginesisResult) {
+    if (enginesisResult && enginesisResult.results && enginesisResult.results.status) {
+        return enginesisResult.results.status.message;
+    } else {
+        return "INVALID_PARAMETER";
+    }
+}
+
+/**
+ * Convert an error result to the `EnginesisError` subclass matching its error code. Codes without
+ * a subclass are an `EnginesisError`.
+ * @param {object} enginesisResult Enginesis result object, or an upload response with `status` at the top level.
+ * @returns {EnginesisError} The error.
+ */
+function makeEnginesisError(enginesisResult) {
+    let enginesisStatus = null;
+    if (enginesisResult) {
+        if (enginesisResult.status) {
+            enginesisStatus = enginesisResult.status;
+        } else if (enginesisResult.results && enginesisResult.results.status) {
+            enginesisStatus = enginesisResult.results.status;
         }
     }
-    if ( ! isVerified) {
-        debugLog("sessionVerifyHash hash does not match. From server: " + hashFromServer + ". Computed here: " + sessionMakeHash(userInfoInternal) + " from " + JSON.stringify(userInfoInternal));
+    if (enginesisStatus == null) {
+        enginesisStatus = {
+            message: "INVALID_PARAMETER",
+            extended_info: "Result was not a valid result object."
+        };
     }
-    return isVerified;
+    const ErrorClass = errorClassForCode[enginesisStatus.message] || EnginesisError;
+    return new ErrorClass(enginesisStatus.message, enginesisStatus.extended_info, enginesisResult);
 }
 
 /**
- * Helper function to determine if we call the override function over the global function,
- * or neither if none are set.
- * @param {object} enginesisResult The enginesis service response.
- * @param {function} resolve A Promise resolve function that is always called, or null to not call a resolve function.
- * @param {function} overRideCallBackFunction if not null this function is called with enginesisResult.
- * @param {function} enginesisCallBackFunction if not null and overRideCallBackFunction was
- *   not called then this function is called with enginesisResult.
+ * Generate a standard Enginesis error response for situations where we identified an error condition
+ * internally in the SDK and want to reply with a standard response. Complement to PHP function makeErrorResponse().
+ * @param {string} errorCode EnginesisErrors error code.
+ * @param {string} errorMessage Extended error information.
+ * @param {Object|Array} passthruParameters Key/value parameters to include in passthru
+ * @returns {Object} An EnginesisResponse object.
  */
-function callbackPriority(enginesisResult, resolve, overRideCallBackFunction, enginesisCallBackFunction) {
-    preprocessEnginesisResult(enginesisResult)
-    .then(function(updatedEnginesisResult) {
-        if (overRideCallBackFunction != null) {
-            overRideCallBackFunction(updatedEnginesisResult);
-        } else if (enginesisCallBackFunction != null) {
-            enginesisCallBackFunction(updatedEnginesisResult);
-        }
-        if (resolve != null) {
-            resolve(updatedEnginesisResult);
+function makeErrorResponse(errorCode, errorMessage, passthruParameters) {
+    const passthru = {...{state_seq: 0, fn: "unknown"}, ...passthruParameters};
+    return {
+        fn: passthru.fn,
+        results: {
+            passthru: passthru,
+            result: [],
+            status: {
+                success: (errorCode == "" || errorCode == "NO_ERROR") ? "1" : "0",
+                message: errorCode,
+                extended_info: errorMessage
+            }
         }
-    });
+    };
 }
 
 /**
  * Internal function to handle completed service request and convert the JSON response to
  * an object and then invoke the call back function.
- * @param {integer} stateSequenceNumber Locate matching request id.
- * @returns {integer} The number of entries removed. 0 if no matching entry.
+ * @param {Number} stateSequenceNumber The state identifier corresponding to this transaction.
+ * @param {EnginesisResponse} enginesisResponseData The Enginesis response object. This is either
+ *   a JSON string returned from the server or the JSON parsed object.
+ * @param {Function} overRideCallBackFunction Optional function to call when complete.
  */
-function removeFromServiceQueue(stateSequenceNumber) {
-    let serviceQueue = enginesis.serviceQueue;
-    let removed = 0;
-    if (serviceQueue != null && serviceQueue.length > 0) {
-        serviceQueue = serviceQueue.filter(function(item) {
-            const match = item.state_seq == stateSequenceNumber;
-            if (match) {
-                item.state_status = 2;
-                removed += 1;
-            }
-            return ! match;
-        });
-        enginesis.serviceQueue = serviceQueue;
+function serviceRequestComplete (stateSequenceNumber, enginesisResponseData, overRideCallBackFunction) {
+    let enginesisResponseObject;
+
+    removeFromServiceQueue(stateSequenceNumber);
+    try {
+        if (typeof enginesisResponseData === "string") {
+            enginesisResponseObject = JSON.parse(enginesisResponseData);
+        } else {
+            enginesisResponseObject = enginesisResponseData;
+        }
+    } catch (exception) {
+        enginesisResponseObject = forceErrorResponseObject("unknown", stateSequenceNumber, "SERVICE_ERROR", "Error: " + exception.message + "; " + enginesisResponseData.toString(), {});
+        debugLog("Enginesis requestComplete exception " + JSON.stringify(enginesisResponseObject));
     }
-    if (enginesis.serviceQueueRestored > 0 && removed > 0) {
-        enginesis.serviceQueueRestored -= removed;
-        saveServiceQueue();
+    enginesisResponseObject.fn = enginesisResponseObject.results.passthru.fn;
+    enginesis.lastResponse = enginesisResponseObject;
+    if (typeof overRideCallBackFunction == "function") {
+        overRideCallBackFunction(enginesisResponseObject);
+    } else if (typeof enginesis.callBackFunction == "function") {
+        enginesis.callBackFunction(enginesisResponseObject);
     }
-    return removed;
 }
 
 /**
- * When we go offline or are offline, save the service queue to disk in case the app
- * terminates.
- * @returns {boolean} True if successfully saved.
+ * When the server responds, intercept any result we get so we can preprocess it before
+ * sending it off to the callback function. This may require different logic for different
+ * services. In most cases a service call will result in some form of internal state update,
+ * such as a refresh auth token or updated game info. In some cases, the server responds with
+ * an error that we can resolve with further service calls.
+ * @param {Object} enginesisResult Enginesis result object from the service response.
+ * @param {Object} enginesisParameters Optional parameters of the request that produced the result.
+ * @returns {Promise} Resolves with an enginesisResult object when the result pre-process is complete.
  */
-function saveServiceQueue() {
-    saveObjectWithKey(enginesis.serviceQueueSaveKey, enginesis.serviceQueue);
-    return true;
+function preprocessEnginesisResult(enginesisResult, enginesisParameters) {
+    return new Promise(function(resolve) {
+        const serviceEndPoint = enginesisResult.fn;
+        // Handle an expired token here, issue a SessionRefresh, and then re-issue the original request
+        if (resultIsExpiredToken(enginesisResult)) {
+            refreshTokenAndReissueRequest(enginesisResult, enginesisParameters)
+            .then(function(reissueResult) {
+                resolve(reissueResult);
+            });
+        } else {
+            if (resultIsSuccess(enginesisResult) && serviceEndPoint) {
+                // @todo: find a better place to define this dispatch table
+                const dispatchTable = {
+                    SessionBegin: updateGameSessionInfo,
+                    SessionRefresh: refreshSessionInfo,
+                    UserLogin: updateLoggedInUserInfo,
+                    RegisteredUserCreate: updateRegisteredUserInfo,
+                    RegisteredUserConfirm: updateRegisteredUserInfo,
+                    UserLoginCoreg: updateLoggedInUserInfo,
+                    UserLogout: clearLoggedInUserInfo,
+                    GameGet: updateGameInfo,
+                    UserFavoriteGamesList: updateFavoriteGames,
+                    UserFavoriteGamesAssign: updateFavoriteGames,
+                    UserFavoriteGamesAssignList: updateFavoriteGames,
+                    UserFavoriteGamesMove: updateFavoriteGames,
+                    UserFavoriteGamesUnassign: updateFavoriteGames,
+                    UserFavoriteGamesUnassignList: updateFavoriteGames,
+                    ScoreSubmit: leaderboardCacheClear,
+                    ScoreSubmitUnauth: leaderboardCacheClear
+                };
+                const dispatchFunction = dispatchTable[serviceEndPoint];
+                if ( ! isNull(dispatchFunction)) {
+                    dispatchFunction(enginesisResult);
+                }
+            } else if (serviceEndPoint == "SessionRefresh") {
+                // a failed refresh may mean the refresh token is no longer any good
+                refreshSessionInfo(enginesisResult);
+            }
+            resolve(enginesisResult);
+        }
+    });
 }
 
 /**
- * When the app loads restore the saved service queue. Note we do not restore the
- * queue if we go back online because the queue is already in memory at the correct
- * state.
- * @returns {boolean} True if there are items on the queue to be processed.
+ * Convert a binary byte array into its base 64 representation. This will handle
+ * any type of array buffer, converting it to unsigned 8 bit integer, and then
+ * mapping each 64 bit string to its base 64 representation. See also `base64ToArrayBuffer`.
+ * @param {ArrayBuffer} arrayBuffer An array of bytes.
+ * @return {String} The base 64 string representation of the input array.
  */
-function restoreServiceQueue() {
-    let serviceQueue = loadObjectWithKey(enginesis.serviceQueueSaveKey);
-    if (serviceQueue == null) {
-        serviceQueue = [];
-        enginesis.serviceQueueRestored = 0;
-    } else {
-        saveObjectWithKey(enginesis.serviceQueueSaveKey, []);
-        enginesis.serviceQueueRestored = enginesis.serviceQueue.length;
-    }
-    enginesis.serviceQueue = serviceQueue;
-    resetServiceQueue();
-    return enginesis.serviceQueueRestored > 0;
+function arrayBufferToBase64(arrayBuffer) {
+    return btoa(String.fromCharCode.apply(null, new Uint8Array(arrayBuffer)));
 }
 
 /**
- * When reloading the service queue reset any pending transactions and run them again.
- * @returns {Array} A reference to the queue.
+ * Convert a base 64 string to a binary byte array. This will convert it to unsigned
+ * 8 bit integer array. This is the complement to `arrayBufferToBase64`.
+ * @param {String} base64String A string of base 64 data.
+ * @return {ArrayBuffer} The binary representation of the base 64 string.
  */
-function resetServiceQueue() {
-    const serviceQueue = enginesis.serviceQueue;
-    if (serviceQueue != null && serviceQueue.length > 0) {
-        for (let i = 0; i < serviceQueue.length; i += 1) {
-            serviceQueue[i].state_status = 0;
-        }
-    }
-    return serviceQueue;
+function base64ToArrayBuffer(base64String) {
+    return Uint8Array.from(atob(base64String), function(char) {
+        return char.charCodeAt(0);
+    });
 }
 
 /**
- * Create a set of HTTP headers to communicate with the Enginesis server.
- * @param {object} additionalHeaders key/values to set for this request.
- * @returns {Object} HTTP header to be used on an HTTP request object.
+ * Replace base-64 chars that are not URL safe. This will help transmit a base 64 string
+ * over the internet by translating '+/=' into '-_~'.
+ * @param {string} data A string of base 64 characters to translate.
+ * @return {string} Translates '+/=' found in data to '-_~'.
  */
-function formatHTTPHeader(additionalHeaders) {
-    // @todo: set "multipart/form" when sending files
-    const httpHeaders = Object.assign(
-        {
-            "Accept": "application/json",
-            "X-DeveloperKey": enginesis.developerKey
-        },
-        additionalHeaders);
-    if (enginesis.authTokenWasValidated) {
-        httpHeaders["Authentication"] = "Bearer " + enginesis.authToken;
-    }
-    return httpHeaders;
+function base64URLEncode(data) {
+    return data
+        .replace(/\+/g, "-")
+        .replace(/\//g, "_")
+        .replace(/=/g, "~");
 }
 
 /**
- * Issue an HTTP request when running as a Node.js process.
- * `enginesis.nodeRequest` must be set separately with a compatible request module such as Axios.
- * @param {string} serviceName The Enginesis service to call.
- * @param {object} enginesisParameters Parameters required for the service, assumes this object was created or verified with serverParamObjectMake().
- * @param {function} overRideCallBackFunction Callback function to call when the request completes.
- * @return {boolean} True if a request is sent, false if the request was not sent.
- * @throws {Error} When a request module is not set.
- */
-function sendNodeRequest(serviceName, enginesisParameters, overRideCallBackFunction) {
-    if (enginesis.nodeRequest == null) {
-        if (typeof window !== "undefined" && typeof window.fetch !== "undefined") {
-            enginesis.nodeRequest = window.fetch;
-        } else {
+ * Replace base-64 chars that are not URL safe. This will help transmit a base 64 string
+ * over the internet by translating '-_~' into '+/='.
+ * @param {string} data A string of translated base 64 characters to translate back to true base-64.
+ * @return {string} Translates '-_~' found in $data to '+/='.
+ */
+function base64URLDecode(data) {
+    return data
+        .replace(/-/g, "+")
+        .replace(/_/g, "/")
+        .replace(/~/g, "=");
+}
+
+/**
+ * Convert a string into its binary equivalent. This takes each byte of the string
+ * and converts it to its binary value (i.e. code point.)
+ * @param {String} inputString A string to convert to binary.
+ * @returns {Uint8Array} The binary representation of the input string.
+ */
+function stringToByteArray(inputString) {
+    const utf8Encode = new TextEncoder();
+    return utf8Encode.encode(inputString);
+}
+
+/**
+ * Convert bytes to a string of hex digits, two for each byte.
+ * @param {Uint8Array} bytes The bytes to convert.
+ * @returns {string} The hex digits.
+ */
+function byteArrayToHex(bytes) {
+    return Array.from(bytes, function(byte) {
+        return byte.toString(16).padStart(2, "0");
+    }).join("");
+}
+
+/* eslint-disable */
+/**
+* Compute the MD5 checksum for the given string.
+* @param {string} s String/byte array to compute the checksum.
+* @returns {string} MD5 checksum.
+*/
+function md5 (s) {
+   function L(k,d) { return(k<<d)|(k>>>(32-d)) }
+   function K(G,k) {
+       var I,d,F,H,x;
+       F=(G&2147483648);H=(k&2147483648);I=(G&1073741824);d=(k&1073741824);x=(G&1073741823)+(k&1073741823);
+       if(I&d){return(x^2147483648^F^H);}
+       if(I|d){if(x&1073741824){return(x^3221225472^F^H);}else{return(x^1073741824^F^H);}}else{return(x^F^H);}
+   }
+   function r(d,F,k){ return(d&F)|((~d)&k); }
+   function q(d,F,k){ return(d&k)|(F&(~k)); }
+   function p(d,F,k){return(d^F^k)}
+   function n(d,F,k){return(F^(d|(~k)))}
+   function u(G,F,aa,Z,k,H,I){G=K(G,K(K(r(F,aa,Z),k),I));return K(L(G,H),F)}
+   function f(G,F,aa,Z,k,H,I){G=K(G,K(K(q(F,aa,Z),k),I));return K(L(G,H),F)}
+   function D(G,F,aa,Z,k,H,I){G=K(G,K(K(p(F,aa,Z),k),I));return K(L(G,H),F)}
+   function t(G,F,aa,Z,k,H,I){G=K(G,K(K(n(F,aa,Z),k),I));return K(L(G,H),F)}
+   function e(G){
+       var Z;var F=G.length;var x=F+8;var k=(x-(x%64))/64;var I=(k+1)*16;var aa=Array(I-1);var d=0;var H=0;
+       while(H<F){
+           Z=(H-(H%4))/4;d=(H%4)*8;aa[Z]=(aa[Z]|(G.charCodeAt(H)<<d));H++;
+       }
+       Z=(H-(H%4))/4;d=(H%4)*8;aa[Z]=aa[Z]|(128<<d);aa[I-2]=F<<3;aa[I-1]=F>>>29;
+       return aa;
+   }
+   function B(x){
+       var k="",F="",G,d;
+       for(d=0;d<=3;d++){
+           G=(x>>>(d*8))&255;F="0"+G.toString(16);k=k+F.substring(F.length-2);
+       }
+       return k;
+   }
+   function J(k){
+       k=k.replace(/rn/g,"n");var d="";
+       for(var F=0;F<k.length;F++){
+           var x=k.charCodeAt(F);
+           if(x<128){
+               d+=String.fromCharCode(x);
+           }else{
+               if((x>127)&&(x<2048)){
+                   d+=String.fromCharCode((x>>6)|192);d+=String.fromCharCode((x&63)|128);
+               }else{
+                   d+=String.fromCharCode((x>>12)|224);d+=String.fromCharCode(((x>>6)&63)|128);d+=String.fromCharCode((x&63)|128);
+               }
+           }
+       }
+       return d;
+   }
+   var i,C,P,h,E,v,g,Y,X,W,V,S=7,Q=12,N=17,M=22,A=5,z=9,y=14,w=20,o=4,m=11,l=16,j=23,U=6,T=10,R=15,O=21;
+   s=J(s);C=e(s);Y=1732584193;X=4023233417;W=2562383102;V=271733878;
+   for(P=0;P<C.length;P+=16){
+       h=Y;E=X;v=W;g=V;Y=u(Y,X,W,V,C[P+0],S,3614090360);V=u(V,Y,X,W,C[P+1],Q,3905402710);W=u(W,V,Y,X,C[P+2],N,606105819);X=u(X,W,V,Y,C[P+3],M,3250441966);Y=u(Y,X,W,V,C[P+4],S,4118548399);V=u(V,Y,X,W,C[P+5],Q,1200080426);W=u(W,V,Y,X,C[P+6],N,2821735955);X=u(X,W,V,Y,C[P+7],M,4249261313);Y=u(Y,X,W,V,C[P+8],S,1770035416);V=u(V,Y,X,W,C[P+9],Q,2336552879);W=u(W,V,Y,X,C[P+10],N,4294925233);X=u(X,W,V,Y,C[P+11],M,2304563134);Y=u(Y,X,W,V,C[P+12],S,1804603682);V=u(V,Y,X,W,C[P+13],Q,4254626195);W=u(W,V,Y,X,C[P+14],N,2792965006);X=u(X,W,V,Y,C[P+15],M,1236535329);Y=f(Y,X,W,V,C[P+1],A,4129170786);V=f(V,Y,X,W,C[P+6],z,3225465664);W=f(W,V,Y,X,C[P+11],y,643717713);X=f(X,W,V,Y,C[P+0],w,3921069994);Y=f(Y,X,W,V,C[P+5],A,3593408605);V=f(V,Y,X,W,C[P+10],z,38016083);W=f(W,V,Y,X,C[P+15],y,3634488961);X=f(X,W,V,Y,C[P+4],w,3889429448);Y=f(Y,X,W,V,C[P+9],A,568446438);V=f(V,Y,X,W,C[P+14],z,3275163606);W=f(W,V,Y,X,C[P+3],y,4107603335);X=f(X,W,V,Y,C[P+8],w,1163531501);Y=f(Y,X,W,V,C[P+13],A,2850285829);V=f(V,Y,X,W,C[P+2],z,4243563512);W=f(W,V,Y,X,C[P+7],y,1735328473);X=f(X,W,V,Y,C[P+12],w,2368359562);Y=D(Y,X,W,V,C[P+5],o,4294588738);V=D(V,Y,X,W,C[P+8],m,2272392833);W=D(W,V,Y,X,C[P+11],l,1839030562);X=D(X,W,V,Y,C[P+14],j,4259657740);Y=D(Y,X,W,V,C[P+1],o,2763975236);V=D(V,Y,X,W,C[P+4],m,1272893353);W=D(W,V,Y,X,C[P+7],l,4139469664);X=D(X,W,V,Y,C[P+10],j,3200236656);Y=D(Y,X,W,V,C[P+13],o,681279174);V=D(V,Y,X,W,C[P+0],m,3936430074);W=D(W,V,Y,X,C[P+3],l,3572445317);X=D(X,W,V,Y,C[P+6],j,76029189);Y=D(Y,X,W,V,C[P+9],o,3654602809);V=D(V,Y,X,W,C[P+12],m,3873151461);W=D(W,V,Y,X,C[P+15],l,530742520);X=D(X,W,V,Y,C[P+2],j,3299628645);Y=t(Y,X,W,V,C[P+0],U,4096336452);V=t(V,Y,X,W,C[P+7],T,1126891415);W=t(W,V,Y,X,C[P+14],R,2878612391);X=t(X,W,V,Y,C[P+5],O,4237533241);Y=t(Y,X,W,V,C[P+12],U,1700485571);V=t(V,Y,X,W,C[P+3],T,2399980690);W=t(W,V,Y,X,C[P+10],R,4293915773);X=t(X,W,V,Y,C[P+1],O,2240044497);Y=t(Y,X,W,V,C[P+8],U,1873313359);V=t(V,Y,X,W,C[P+15],T,4264355552);W=t(W,V,Y,X,C[P+6],R,2734768916);X=t(X,W,V,Y,C[P+13],O,1309151649);Y=t(Y,X,W,V,C[P+4],U,4149444226);V=t(V,Y,X,W,C[P+11],T,3174756917);W=t(W,V,Y,X,C[P+2],R,718787259);X=t(X,W,V,Y,C[P+9],O,3951481745);Y=K(Y,h);X=K(X,E);W=K(W,v);V=K(V,g);
+   }
+   i=B(Y)+B(X)+B(W)+B(V);
+   return i.toLowerCase();
+}
+/* eslint-enable */
+
+/**
+ * This is the callback from a request to refresh the Enginesis login when the auth token
+ * expires. This response is similar to the initial login response. Called from `sessionRefresh`.
+ * @param {object} enginesisResult Enginesis result object.
+ * @returns {boolean} True if successful.
+ */
+function refreshSessionInfo(enginesisResult) {
+    let refreshSuccessful = false;
+    if (resultIsSuccess(enginesisResult) && Array.isArray(enginesisResult.results.result) && enginesisResult.results.result.length > 0) {
+        const sessionInfo = enginesisResult.results.result[0];
+
+        // verify session hash so that we know the payload was not tampered with
+        if ( ! sessionVerifyHash(sessionInfo.cr, sessionInfo)) {
+            debugLog("refreshSessionInfo hash does not match. From server: " + sessionInfo.cr + ". Computed here: " + sessionMakeHash());
+        }
+        refreshSuccessful = saveUserSessionInfo(sessionInfo, false);
+        if (refreshSuccessful) {
+            emitEvent("sessionRefreshed", {
+                sessionId: enginesis.sessionId,
+                sessionExpires: enginesis.sessionExpires
+            });
+            tabBroadcast("sessionRefreshed", {});
+        }
+    } else {
+        const errorCode = resultErrorCode(enginesisResult);
+        if (errorCode == "INVALID_PARAMETER" || errorCode == "INVALID_TOKEN" || errorCode == "TOKEN_EXPIRED") {
+            // if the refresh token is invalid then log this user out or else
+            // we will keep trying this bad token on every request.
+            const wasLoggedIn = enginesis.isUserLoggedIn;
+            clearUserSessionInfo();
+            emitEvent("sessionExpired", {
+                errorCode: errorCode
+            });
+            if (wasLoggedIn) {
+                enginesis.isUserLoggedIn = false;
+                favoriteGamesReset([]);
+                responseCacheClear();
+                emitEvent("loggedOut", {
+                    errorCode: errorCode
+                });
+                tabBroadcast("loggedOut", {
+                    errorCode: errorCode
+                });
+            }
+        }
+    }
+    return refreshSuccessful;
+}
+
+/**
+ * Update the local cache of game information when the server replies with game attributes.
+ * @param {object} enginesisResult Enginesis server response object
+ */
+function updateGameInfo(enginesisResult) {
+    if (enginesisResult.results.result.row) {
+        enginesis.gameInfo = enginesisResult.results.result.row;
+    } else {
+        enginesis.gameInfo = enginesisResult.results.result[0];
+    }
+    if (coerceBoolean(enginesis.gameInfo.is_favorite)) {
+        enginesis.favoriteGamesConfirmed = favoriteGamesApply(enginesis.favoriteGamesConfirmed, {
+            action: "assign",
+            gameIds: favoriteGameIds(enginesis.gameInfo.game_id)
+        });
+        favoriteGamesShow("");
+    }
+}
+
+/**
+ * When a list of the user's favorite games is requested intercept the response and
+ * update the local cache of favorite games.
+ * @param {object} enginesisResult Enginesis server response object
+ */
+function updateFavoriteGames(enginesisResult) {
+    enginesis.favoriteGamesConfirmed = favoriteGameIds(enginesisResult.results.result.map(function(favoriteGame) {
+        return favoriteGame.game_id;
+    }));
+    favoriteGamesShow("");
+}
+
+/**
+ * Convert game ids given to a favorite games function to a list of unique integer game ids.
+ * @param {integer|string|Array} gameIds A game id, a comma separated list of game ids, or an array of game ids.
+ * @returns {Array} The game ids, without the ones that are not valid.
+ */
+function favoriteGameIds(gameIds) {
+    const gameIdList = Array.isArray(gameIds) ? gameIds : String(gameIds == null ? "" : gameIds).split(",");
+    return gameIdList.reduce(function(validGameIds, gameId) {
+        gameId = parseInt(gameId, 10);
+        if (gameId > 0 && ! validGameIds.includes(gameId)) {
+            validGameIds.push(gameId);
+        }
+        return validGameIds;
+    }, []);
+}
+
+/**
+ * Apply a change to a list of favorite games. A game assigned is added to the end of the list, and a move
+ * of a game that is not a favorite changes nothing.
+ * @param {Array} gameIds The favorite game ids in order. It is not changed.
+ * @param {object} change The `action`, "assign", "unassign", or "move", the `gameIds` it changes, and
+ *   for a move the `sortOrder`, the position starting at 1 the game is moved to.
+ * @returns {Array} The favorite game ids after the change.
+ */
+function favoriteGamesApply(gameIds, change) {
+    const otherGameIds = gameIds.filter(function(gameId) {
+        return ! change.gameIds.includes(gameId);
+    });
+    if (change.action == "assign") {
+        return gameIds.concat(change.gameIds.filter(function(gameId) {
+            return ! gameIds.includes(gameId);
+        }));
+    } else if (change.action == "unassign") {
+        return otherGameIds;
+    } else if (change.action == "move" && otherGameIds.length < gameIds.length) {
+        otherGameIds.splice(Math.min(Math.max(change.sortOrder - 1, 0), otherGameIds.length), 0, change.gameIds[0]);
+        return otherGameIds;
+    }
+    return gameIds.slice();
+}
+
+/**
+ * Show the player their favorite games: the confirmed list with the changes waiting for the server applied.
+ * When the list changed `favoriteGamesChanged` is emitted and the other tabs of the site are sent the list.
+ * @param {string} errorCode The error code when a change the server did not accept was undone, otherwise "".
+ * @param {boolean} isFromOtherTab True when the list came from another tab, it is not sent back.
+ */
+function favoriteGamesShow(errorCode, isFromOtherTab) {
+    const gameIds = enginesis.favoriteGamesPending.reduce(favoriteGamesApply, enginesis.favoriteGamesConfirmed);
+    const isChanged = gameIds.join(",") != enginesis.favoriteGames.join(",");
+    enginesis.favoriteGames = gameIds;
+    if (isChanged || errorCode != "") {
+        emitEvent("favoriteGamesChanged", {
+            gameIds: gameIds.slice(),
+            errorCode: errorCode
+        });
+    }
+    if (isChanged && ! isFromOtherTab) {
+        tabBroadcast("favoriteGames", {
+            gameIds: gameIds
+        });
+    }
+}
+
+/**
+ * Change the player's favorite games right away and then ask the server to make the same change. Until the server
+ * answers the change is pending, and it is undone if the server does not accept it. A change made while offline stays
+ * pending until its queued request is sent. The favorites of an anonymous player are only kept on this device.
+ * @param {string} serviceName The favorite games service making the change on the server.
+ * @param {object} change The change, see `favoriteGamesApply()`.
+ * @param {object} serviceParameters The named parameters of the service.
+ * @param {function} overRideCallBackFunction
+ * @param {object} requestOptions Optional request options, see `sendRequest`.
+ * @returns {Promise} Resolves with the EnginesisResponse when the change is done. An anonymous player's result
+ *   is the list of favorite games, the same as the server answers.
+ */
+function favoriteGamesChange(serviceName, change, serviceParameters, overRideCallBackFunction, requestOptions) {
+    if (change.gameIds.length == 0) {
+        return immediateErrorResponse(serviceName, {}, "MISSING_PARAM", "A game id is required to change the favorite games.", overRideCallBackFunction);
+    }
+    if ( ! enginesis.isUserLoggedIn) {
+        anonymousUserLoad();
+        enginesis.favoriteGamesConfirmed = favoriteGamesApply(enginesis.favoriteGamesConfirmed, change);
+        anonymousUserSave();
+        favoriteGamesShow("");
+        const enginesisResult = makeErrorResponse("", "", {fn: serviceName});
+        enginesisResult.results.result = enginesis.favoriteGames.map(function(gameId, index) {
+            return {game_id: gameId, sort_order: index + 1};
+        });
+        return Promise.resolve(enginesisResult)
+        .then(function(enginesisResult) {
+            return answerCaller(enginesisResult, overRideCallBackFunction);
+        });
+    }
+    enginesis.favoriteGamesPending.push(change);
+    favoriteGamesShow("");
+    return serviceCall(serviceName, serviceParameters, function(enginesisResult) {
+        favoriteGamesSettle(change, enginesisResult);
+        if (overRideCallBackFunction != null) {
+            overRideCallBackFunction(enginesisResult);
+        } else if (enginesis.callBackFunction != null) {
+            enginesis.callBackFunction(enginesisResult);
+        }
+    }, requestOptions);
+}
+
+/**
+ * The server answered a pending favorite games change. When it succeeded the confirmed list is already the server's,
+ * otherwise the change is undone. The pending changes of the same games made before it are done as well, as the
+ * server has the list after them, or their queued request was replaced by this one.
+ * @param {object} change The change, see `favoriteGamesChange()`.
+ * @param {object} enginesisResult The server's answer.
+ */
+function favoriteGamesSettle(change, enginesisResult) {
+    const errorCode = resultErrorCode(enginesisResult);
+    const changeIndex = enginesis.favoriteGamesPending.indexOf(change);
+    if (errorCode == "OFFLINE" || changeIndex < 0) {
+        // the request is queued and is sent when back online
+        return;
+    }
+    enginesis.favoriteGamesPending = enginesis.favoriteGamesPending.filter(function(pendingChange, index) {
+        return index > changeIndex || ! pendingChange.gameIds.some(function(gameId) {
+            return change.gameIds.includes(gameId);
+        });
+    });
+    favoriteGamesShow(resultIsSuccess(enginesisResult) ? "" : errorCode);
+}
+
+/**
+ * When the player logs in or out their favorite games become those of the account or of the anonymous player
+ * on this device. Changes waiting for the server are no longer shown. When logging in the anonymous favorites
+ * are added to the account by `anonymousUserMerge()`, and the account's list replaces this one once the server answers.
+ * @param {Array} gameIds The favorite games to show until then.
+ */
+function favoriteGamesReset(gameIds) {
+    enginesis.favoriteGamesPending = [];
+    enginesis.favoriteGamesConfirmed = gameIds;
+    enginesis.favoriteGamesNextCheck = 0;
+    favoriteGamesShow("");
+}
+
+/**
+ * Determine a new session expiration time. Return the date in MySQL date format
+ * "yyyy-mm-dd hh:mm:ss", this time should also be in UTC without time zone.
+ * @returns {string} A new session expire time.
+ */
+function newSessionExpireTime() {
+    return new Date(Date.now() + (24 * 60 * 60 * 1000)).toISOString().slice(0, 19).replace("T", " ");
+}
+
+/**
+ * Capture the session begin session id so we can use it for communicating with the server.
+ * We end up here after a call to `sessionBegin` and this is the server response.
+ * @param {object} enginesisResult Enginesis server response object
+ */
+function updateGameSessionInfo(enginesisResult) {
+    const sessionInfo = enginesisResult.results.result[0];
+    if (sessionVerifyHash(sessionInfo.cr, null)) {
+        updateGameInfo(enginesisResult);
+        if (sessionInfo.authToken || sessionInfo.authtok) {
+            saveUserSessionInfo(sessionInfo, true);
+        } else {
+            enginesis.sessionId = sessionInfo.session_id;
+            enginesis.sessionExpires = newSessionExpireTime();
+            updateSessionCryptoVersion(sessionInfo);
+            if (sessionInfo.site_mark && sessionInfo.site_mark != enginesis.anonymousUser.userId) {
+                enginesis.anonymousUser.userId = sessionInfo.site_mark;
+                anonymousUserSave();
+            }
+        }
+        if (coerceBoolean(sessionInfo.tokenExpired) && ! isEmpty(enginesis.refreshToken)) {
+            // When the server says the token is expired and we have a refresh token, we can request a fresh auth token.
+            refreshAuthentication();
+        }
+    }
+    enginesis.siteResources.baseURL = sessionInfo.siteBaseUrl || "";
+    enginesis.siteResources.profileURL = sessionInfo.profileUrl || "";
+    enginesis.siteResources.loginURL = sessionInfo.loginUrl || "";
+    enginesis.siteResources.registerURL = sessionInfo.registerUrl || "";
+    enginesis.siteResources.forgotPasswordURL = sessionInfo.forgotPasswordUrl || "";
+    enginesis.siteResources.playURL = sessionInfo.playUrl || "";
+    enginesis.siteResources.privacyURL = sessionInfo.privacyUrl || "";
+    enginesis.siteResources.termsURL = sessionInfo.termsUrl || "";
+}
+
+/**
+ * A new registration, or its confirmation, logs the user in when the server replies with their session.
+ * @param {object} enginesisResult Enginesis server response object.
+ * @returns {boolean} True if the user is logged in.
+ */
+function updateRegisteredUserInfo(enginesisResult) {
+    const userInfo = Array.isArray(enginesisResult.results.result) ? enginesisResult.results.result[0] : null;
+    if (userInfo != null && (userInfo.authToken || userInfo.authtok)) {
+        return updateLoggedInUserInfo(enginesisResult);
+    }
+    return false;
+}
+
+/**
+ * Initialize all user session related data to a known initial state.
+ */
+function initializeLocalSessionInfo() {
+    enginesis.loggedInUserInfo = {};
+
+    // Clear the session and user info
+    enginesis.networkId = 1;
+    enginesis.sessionId = null;
+    enginesis.sessionExpires = null;
+    enginesis.sessionCryptoVersion = 1;
+    enginesis.authToken = null;
+    enginesis.authTokenWasValidated = false;
+    enginesis.authTokenExpires = null;
+    enginesis.refreshToken = null;
+    enginesis.refreshTokenExpires = null;
+}
+
+/**
+ * After a successful login copy everything we got back from the server about the
+ * validated user. For example, we are going to need the session-id, authentication token,
+ * and user-id for subsequent transactions with the server.
+ * @param {object} enginesisResult Log in data sent from the server.
+ * @returns {boolean} True if save is successful, false if error.
+ */
+function updateLoggedInUserInfo(enginesisResult) {
+    let updated = false;
+    if (enginesisResult && enginesisResult.results && enginesisResult.results.result) {
+        const userInfo = enginesisResult.results.result[0];
+
+        // verify session hash so that we know the payload was not tampered with
+        if ( ! sessionVerifyHash(userInfo.cr, userInfo)) {
+            debugLog("updateLoggedInUserInfo hash does not match. From server: " + userInfo.cr + ". Computed here: " + sessionMakeHash(userInfo));
+        }
+        // after a log in save the refresh token separately from the session.
+        _saveRefreshToken(userInfo.refresh_token);
+
+        // Move server authorized user data into the local cache
+        const wasLoggedIn = enginesis.isUserLoggedIn;
+        enginesis.loggedInUserInfo = userInfo;
+        enginesis.isUserLoggedIn = Math.floor(userInfo.user_id) > 0;
+        enginesis.networkId = userInfo.network_id;
+        updated = saveUserSessionInfo(userInfo, false);
+        if (enginesis.isUserLoggedIn) {
+            responseCacheClear();
+            emitEvent("loggedIn", {
+                userId: Math.floor(userInfo.user_id),
+                userName: userInfo.user_name,
+                networkId: userInfo.network_id
+            });
+            tabBroadcast("loggedIn", {
+                userId: Math.floor(userInfo.user_id)
+            });
+            // the anonymous favorite games are shown until the account's favorite games replace them
+            favoriteGamesReset(wasLoggedIn ? [] : enginesis.favoriteGamesConfirmed);
+            // what the player did anonymously is added to the account, then scores waiting, such as those submitted while offline, are sent
+            anonymousUserMerge(Math.floor(userInfo.user_id));
+            scoreVaultFlush();
+            saveSlotsSync();
+        }
+    }
+    return updated;
+}
+
+/**
+ * After a successful logout clear everything we know about the user. `loggedOut` is emitted only when a user was logged in.
+ * @param {object} enginesisResult
+ */
+function clearLoggedInUserInfo(enginesisResult) {
+    if (enginesisResult && enginesisResult.results && enginesisResult.results.result) {
+        const wasLoggedIn = enginesis.isUserLoggedIn;
+        initializeLocalSessionInfo();
+        clearUserSessionInfo();
+        enginesis.isUserLoggedIn = false;
+        favoriteGamesReset([]);
+        responseCacheClear();
+        if (wasLoggedIn) {
+            emitEvent("loggedOut", {
+                errorCode: ""
+            });
+            tabBroadcast("loggedOut", {
+                errorCode: ""
+            });
+        }
+    }
+}
+
+/**
+ * Tell the other tabs of this site what changed in this tab: a log in, log out, session refresh, or
+ * the favorite games. Sent on a BroadcastChannel, otherwise as a local storage item the other tabs get a storage event for.
+ * Messages never have the tokens of the session.
+ * @param {string} messageType "loggedIn", "loggedOut", "sessionRefreshed", "sessionRefreshFailed", or "favoriteGames".
+ * @param {object} messageData The information of the message.
+ */
+function tabBroadcast(messageType, messageData) {
+    const message = {...messageData, type: messageType, tabId: enginesis.tabId};
+    if (enginesis.tabChannel != null) {
+        try {
+            enginesis.tabChannel.postMessage(message);
+        } catch (exception) {
+            debugLog("Enginesis tab message " + messageType + " not sent: " + exception.toString());
+        }
+    } else if (enginesis.tabStorageListener != null) {
+        const sharedStorage = tabSharedStorage();
+        const tabMessageKey = storageKey(enginesis.tabMessageKey);
+        try {
+            // sentAt makes each message a change of the item, even one the same as the last
+            sharedStorage.setItem(tabMessageKey, JSON.stringify({...message, sentAt: Date.now()}));
+            sharedStorage.removeItem(tabMessageKey);
+        } catch (exception) {
+            debugLog("Enginesis tab message " + messageType + " not sent: " + exception.toString());
+        }
+    }
+}
+
+/**
+ * Handle a message from another tab of this site. Events are emitted the same as when it happens in this tab,
+ * with `otherTab` set. The session another tab logged in or refreshed is read from what that tab saved, as messages
+ * do not have its tokens.
+ * @param {object} message A message of `tabBroadcast()`.
+ */
+function tabMessageReceive(message) {
+    if (message == null || message.tabId == enginesis.tabId) {
+        return;
+    }
+    debugLog("Enginesis tab message " + message.type + " from " + message.tabId, 2);
+    if (message.type == "loggedIn" && restoreUserSessionInfo()) {
+        responseCacheClear();
+        emitEvent("loggedIn", {
+            userId: Math.floor(enginesis.loggedInUserInfo.user_id),
+            userName: enginesis.loggedInUserInfo.user_name,
+            networkId: enginesis.networkId,
+            otherTab: true
+        });
+    } else if (message.type == "sessionRefreshed" && restoreUserSessionInfo()) {
+        emitEvent("sessionRefreshed", {
+            sessionId: enginesis.sessionId,
+            sessionExpires: enginesis.sessionExpires,
+            otherTab: true
+        });
+    } else if (message.type == "sessionRefreshFailed") {
+        emitEvent("sessionRefreshFailed", {
+            otherTab: true
+        });
+    } else if (message.type == "loggedOut") {
+        const wasLoggedIn = enginesis.isUserLoggedIn;
+        initializeLocalSessionInfo();
+        enginesis.isUserLoggedIn = false;
+        if (wasLoggedIn) {
+            favoriteGamesReset([]);
+            responseCacheClear();
+            emitEvent("loggedOut", {
+                errorCode: message.errorCode || "",
+                otherTab: true
+            });
+        }
+    } else if (message.type == "favoriteGames" && Array.isArray(message.gameIds)) {
+        enginesis.favoriteGamesConfirmed = favoriteGameIds(message.gameIds);
+        favoriteGamesShow("", true);
+    }
+}
+
+/**
+ * Start or stop listening to the other tabs of this site. Any channel of a prior `init` is closed.
+ * @param {boolean} isEnabled True to synchronize with the other tabs.
+ */
+function tabSyncStart(isEnabled) {
+    if (enginesis.tabChannel != null) {
+        enginesis.tabChannel.close();
+        enginesis.tabChannel = null;
+    }
+    if (enginesis.tabStorageListener != null) {
+        window.removeEventListener("storage", enginesis.tabStorageListener);
+        enginesis.tabStorageListener = null;
+    }
+    if ( ! isEnabled) {
+        return;
+    }
+    if (typeof globalThis.BroadcastChannel === "function") {
+        enginesis.tabChannel = new globalThis.BroadcastChannel(storageKey(enginesis.tabChannelName));
+        enginesis.tabChannel.onmessage = function(messageEvent) {
+            tabMessageReceive(messageEvent.data);
+        };
+    } else if (tabSharedStorage() != null && typeof window.addEventListener === "function") {
+        const tabMessageKey = storageKey(enginesis.tabMessageKey);
+        enginesis.tabStorageListener = function(storageEvent) {
+            if (storageEvent.key == tabMessageKey && storageEvent.newValue) {
+                try {
+                    tabMessageReceive(JSON.parse(storageEvent.newValue));
+                } catch (exception) {
+                    debugLog("Enginesis tab message is not valid: " + exception.toString());
+                }
+            }
+        };
+        window.addEventListener("storage", enginesis.tabStorageListener);
+    }
+}
+
+/**
+ * Determine if this tab is synchronized with the other tabs of this site.
+ * @returns {boolean} True when tab messages are sent and received.
+ */
+function tabSyncIsActive() {
+    return enginesis.tabChannel != null || enginesis.tabStorageListener != null;
+}
+
+/**
+ * Compute the Enginesis day stamp for the current day. This must match what the server would compute
+ * on the same day in UTC.
+ * @returns {Number} The session day stamp value.
+ */
+function sessionDayStamp() {
+    const SESSION_DAYSTAMP_HOURS = 48;
+    return Math.floor(Date.now() / (SESSION_DAYSTAMP_HOURS * 60 * 60 * 1000));
+}
+
+/**
+ * Collect the user session information to make sure we represent the correct
+ * user log in and session state.
+ * @param {Object} userUserInfo A userInfo object received from a log in, session begin, or restored from local storage.
+ * @returns {Object} A userInfo object.
+ */
+function coerceUserInfoFromUserInfo(userUserInfo) {
+    const loggedInUserInfo = enginesis.loggedInUserInfo || {};
+    const userInfo = userUserInfo || {};
+    const coercedUserInfo = {
+        siteId: enginesis.siteId,
+        userId: coerceNotNull(userInfo.userId, userInfo.user_id, loggedInUserInfo.user_id, 0),
+        userName: coerceNotEmpty(userInfo.userName, userInfo.user_name, loggedInUserInfo.user_name, ""),
+        accessLevel: coerceNotNull(userInfo.accessLevel, userInfo.access_level, loggedInUserInfo.access_level, 10),
+        siteUserId: coerceNotEmpty(userInfo.siteUserId, userInfo.site_user_id, loggedInUserInfo.site_user_id, ""),
+        networkId: coerceNotNull(userInfo.networkId, userInfo.network_id, loggedInUserInfo.network_id, 1),
+        gameId: userInfo.gameId || enginesis.gameId,
+        dayStamp: userInfo.dayStamp || sessionDayStamp(),
+        siteMark: 0
+    };
+    if (coercedUserInfo.userId == 0) {
+        // Use the site mark only if we do not have a user id
+        if (isNull(userInfo.siteMark)) {
+            if (enginesis.anonymousUser) {
+                coercedUserInfo.siteMark = enginesis.anonymousUser.userId;
+            }
+        } else {
+            coercedUserInfo.siteMark = userInfo.siteMark;
+        }
+    }
+    return coercedUserInfo;
+}
+
+/**
+ * Compute the session hash for the provided session information. If something is missing we will get
+ * a default value from the current session, regardless if it is valid or not. It's not really valid
+ * calling this function this way if authTokenWasValidated == false. This function matches server-side
+ * sessionMakeHash().
+ *
+ * @param {object} sessionUserInfo an object containing the key/value pairs identifying a user session, all of which are optional:
+ *    siteId, userId, userName, siteUserId, networkId, accessLevel, gameId, dayStamp.
+ * @returns {string} The hash for the current user session.
+ */
+function sessionMakeHash(sessionUserInfo) {
+    const userInfo = coerceUserInfoFromUserInfo(sessionUserInfo);
+    return md5(`s=${userInfo.siteId}&u=${userInfo.userId}&d=${userInfo.dayStamp}&n=${userInfo.userName}&g=${userInfo.gameId}&i=${userInfo.siteUserId}&w=${userInfo.networkId}&l=${userInfo.accessLevel}&m=${userInfo.siteMark}&k=${enginesis.developerKey}`);
+}
+
+/**
+ * Determine if the session hash computed on the server matches the session hash computed on
+ * the client. This helps us determine if the payload was tampered and a hacker is trying
+ * to impersonate another user.
+ * @todo: If the hash from the server doesn't match what we expected computed locally,
+ * it could be someone trying to impersonate another user. It could also be that the hash
+ * has expired and we just need to compute a new one.
+ *
+ * @param {string} hashFromServer This is the hash computed on the server, usually returned in SessionBegin.
+ * @param {object|null} userInfo The user information object to validate. If null will validate against prior log in user information.
+ * @return {boolean} True if we think the session from the server matches the data we have locally.
+ */
+function sessionVerifyHash(hashFromServer, userInfo) {
+    const userInfoInternal = coerceUserInfoFromUserInfo(userInfo);
+    let isVerified = hashFromServer == sessionMakeHash(userInfoInternal);
+    if ( ! isVerified) {
+        // if not valid, it could be because the users authentication expired, change the timestamp to today and try again.
+        userInfoInternal.dayStamp = sessionDayStamp();
+        isVerified = hashFromServer == sessionMakeHash(userInfoInternal);
+        if (isVerified) {
+            // game session is good but the user must refresh their authentication
+            // debugLog("sessionVerifyHash Session expired but we think we can refresh it.");
+            refreshAuthentication()
+            .then(function(isRefreshed) {
+                debugLog("sessionVerifyHash users authentication " + (isRefreshed ? "has been refreshed." : "could not be refreshed."));
+            })
+            .catch(function(exception) {
+                debugLog("sessionVerifyHash refresh exception " + exception.toString());
+            });
+        }
+    }
+    if ( ! isVerified) {
+        debugLog("sessionVerifyHash hash does not match. From server: " + hashFromServer + ". Computed here: " + sessionMakeHash(userInfoInternal) + " from " + JSON.stringify(userInfoInternal));
+    }
+    return isVerified;
+}
+
+/**
+ * Emit `requestFailed` for a result that is an error. A result is emitted once, even when a public function
+ * answers its caller with the result of a service request that already emitted it.
+ * @param {object} enginesisResult The result of a service request or of a public function.
+ */
+function requestFailedEmit(enginesisResult) {
+    if ( ! resultIsSuccess(enginesisResult) && ! enginesis.requestFailedResults.has(enginesisResult)) {
+        enginesis.requestFailedResults.add(enginesisResult);
+        emitEvent("requestFailed", {
+            serviceName: enginesisResult.fn,
+            errorCode: resultErrorCode(enginesisResult),
+            enginesisResult: enginesisResult
+        });
+    }
+}
+
+/**
+ * Helper function to determine if we call the override function over the global function,
+ * or neither if none are set.
+ * @param {object} enginesisResult The enginesis service response.
+ * @param {function} resolve A Promise resolve function that is always called, or null to not call a resolve function.
+ * @param {function} overRideCallBackFunction if not null this function is called with enginesisResult.
+ * @param {function} enginesisCallBackFunction if not null and overRideCallBackFunction was
+ *   not called then this function is called with enginesisResult.
+ * @param {object} enginesisParameters Optional parameters of the request that produced enginesisResult.
+ */
+function callbackPriority(enginesisResult, resolve, overRideCallBackFunction, enginesisCallBackFunction, enginesisParameters) {
+    preprocessEnginesisResult(enginesisResult, enginesisParameters)
+    .then(function(updatedEnginesisResult) {
+        requestFailedEmit(updatedEnginesisResult);
+        if (overRideCallBackFunction != null) {
+            overRideCallBackFunction(updatedEnginesisResult);
+        } else if (enginesisCallBackFunction != null) {
+            enginesisCallBackFunction(updatedEnginesisResult);
+        }
+        if (resolve != null) {
+            // A reissued request always resolves, the request it replaces decides how to answer its caller.
+            if (enginesis.rejectOnError && ! resultIsSuccess(updatedEnginesisResult) && ! (enginesisParameters && enginesisParameters.isReplay)) {
+                resolve(Promise.reject(makeEnginesisError(updatedEnginesisResult)));
+            } else {
+                resolve(updatedEnginesisResult);
+            }
+        }
+    });
+}
+
+/**
+ * Internal function to handle completed service request and convert the JSON response to
+ * an object and then invoke the call back function.
+ * @param {integer} stateSequenceNumber Locate matching request id.
+ * @returns {integer} The number of entries removed. 0 if no matching entry.
+ */
+function removeFromServiceQueue(stateSequenceNumber) {
+    let serviceQueue = enginesis.serviceQueue;
+    let removed = 0;
+    let removedDurable = false;
+    if (serviceQueue != null && serviceQueue.length > 0) {
+        serviceQueue = serviceQueue.filter(function(item) {
+            const match = item.state_seq == stateSequenceNumber;
+            if (match) {
+                item.state_status = 2;
+                removed += 1;
+                removedDurable = removedDurable || isDurableRequest(item);
+            }
+            return ! match;
+        });
+        enginesis.serviceQueue = serviceQueue;
+    }
+    if (removedDurable && enginesis.serviceQueueIsSaved) {
+        saveServiceQueue();
+    }
+    return removed;
+}
+
+/**
+ * Look up how requests to a service are handled when they cannot be sent because Enginesis is offline.
+ * @param {string} serviceName Enginesis service name.
+ * @returns {object} The queue policy of the service:
+ *   * `durable` {boolean} true if the request is kept, including across app reloads, and sent when back online.
+ *     Requests that are not durable fail right away with `OFFLINE`.
+ *   * `ttl` {integer} milliseconds a durable request is kept before it is dropped. 0 keeps it until it is sent.
+ *   * `dedupe` {Array} parameter names that identify the request. A newer request with the same values replaces
+ *     a request waiting on the queue.
+ *   * `dedupeGroup` {string} services sharing a group dedupe with each other, otherwise only with the same service.
+ */
+function serviceQueuePolicy(serviceName) {
+    return enginesis.serviceQueuePolicy[serviceName] || {durable: false};
+}
+
+/**
+ * Determine if a request is kept on the queue while offline.
+ * @param {object} enginesisParameters A request on the service queue.
+ * @returns {boolean} True if the request is durable.
+ */
+function isDurableRequest(enginesisParameters) {
+    return serviceQueuePolicy(enginesisParameters.fn).durable === true;
+}
+
+/**
+ * Determine if a durable request has been waiting longer than its service policy allows.
+ * @param {object} enginesisParameters A request on the service queue.
+ * @param {integer} now Current time in milliseconds.
+ * @returns {boolean} True if the request expired and should not be sent.
+ */
+function isExpiredRequest(enginesisParameters, now) {
+    return enginesisParameters.expires > 0 && enginesisParameters.expires < (now || Date.now());
+}
+
+/**
+ * Create an identifier for a durable request that is unique across app reloads, unlike `state_seq`.
+ * @returns {string} A queue id.
+ */
+function makeQueueId() {
+    return Date.now().toString(36) + "-" + Math.random().toString(36).substring(2, 10);
+}
+
+/**
+ * Determine the dedupe key of a request from its service policy.
+ * @param {object} enginesisParameters A request on the service queue.
+ * @param {object} policy The service queue policy.
+ * @returns {string|null} The dedupe key, or null if requests to this service are never deduped.
+ */
+function serviceQueueDedupeKey(enginesisParameters, policy) {
+    if ( ! Array.isArray(policy.dedupe) || policy.dedupe.length == 0) {
+        return null;
+    }
+    return (policy.dedupeGroup || enginesisParameters.fn) + ":" + policy.dedupe.map(function(parameterName) {
+        return String(enginesisParameters[parameterName]);
+    }).join(":");
+}
+
+/**
+ * Add a request to the service queue. Durable requests are tagged so they can be saved, expired, and deduped.
+ * While offline a durable request replaces a waiting request with the same dedupe key, for example
+ * favoriting then unfavoriting the same game only sends the unfavorite.
+ * @param {object} enginesisParameters The request to queue.
+ * @returns {object} The request that was queued.
+ */
+function addToServiceQueue(enginesisParameters) {
+    const policy = serviceQueuePolicy(enginesisParameters.fn);
+    if (policy.durable) {
+        enginesisParameters.queueId = makeQueueId();
+        enginesisParameters.queuedAt = Date.now();
+        enginesisParameters.expires = policy.ttl > 0 ? enginesisParameters.queuedAt + policy.ttl : 0;
+        const dedupeKey = serviceQueueDedupeKey(enginesisParameters, policy);
+        if (dedupeKey != null) {
+            enginesisParameters.dedupeKey = dedupeKey;
+            if ( ! enginesis.isOnline) {
+                enginesis.serviceQueue = enginesis.serviceQueue.filter(function(item) {
+                    const isReplaced = item.dedupeKey == dedupeKey && item.state_status == 0;
+                    if (isReplaced) {
+                        debugLog("Queued " + item.fn + " replaced by " + enginesisParameters.fn + " for " + dedupeKey);
+                    }
+                    return ! isReplaced;
+                });
+            }
+        }
+    }
+    enginesis.serviceQueue.push(enginesisParameters);
+    if (policy.durable) {
+        trimServiceQueue();
+    }
+    return enginesisParameters;
+}
+
+/**
+ * Keep the number of durable requests waiting on the queue within `serviceQueueMaxSize` by dropping the oldest.
+ * @returns {integer} The number of requests dropped.
+ */
+function trimServiceQueue() {
+    const waitingRequests = enginesis.serviceQueue.filter(function(item) {
+        return item.state_status == 0 && isDurableRequest(item) && ! enginesis.requestResolvers.hasOwnProperty(item.state_seq);
+    });
+    const dropCount = waitingRequests.length - enginesis.serviceQueueMaxSize;
+    if (dropCount > 0) {
+        const droppedRequests = waitingRequests.sort(function(a, b) {
+            return (a.queuedAt || 0) - (b.queuedAt || 0);
+        }).slice(0, dropCount);
+        enginesis.serviceQueue = enginesis.serviceQueue.filter(function(item) {
+            return ! droppedRequests.includes(item);
+        });
+        debugLog("Service queue is full, dropped " + dropCount + " of the oldest requests.");
+        return dropCount;
+    }
+    return 0;
+}
+
+/**
+ * Remove any expired requests waiting on the queue.
+ * @returns {integer} The number of requests removed.
+ */
+function removeExpiredFromServiceQueue() {
+    const now = Date.now();
+    const queueLength = enginesis.serviceQueue.length;
+    enginesis.serviceQueue = enginesis.serviceQueue.filter(function(item) {
+        const isExpired = item.state_status == 0 && isExpiredRequest(item, now) && ! enginesis.requestResolvers.hasOwnProperty(item.state_seq);
+        if (isExpired) {
+            debugLog("Queued " + item.fn + " expired before it could be sent.");
+        }
+        return ! isExpired;
+    });
+    const removed = queueLength - enginesis.serviceQueue.length;
+    if (removed > 0 && enginesis.serviceQueueIsSaved) {
+        saveServiceQueue();
+    }
+    return removed;
+}
+
+/**
+ * Copy a durable request so it can be saved. Callback functions cannot be saved, the app re-attaches
+ * handlers for restored requests with `queuedRequestHandlerSet`.
+ * @param {object} enginesisParameters A request on the service queue.
+ * @returns {object} A copy of the request that can be saved.
+ */
+function serializableRequest(enginesisParameters) {
+    const savedRequest = {};
+    for (const key in enginesisParameters) {
+        if (enginesisParameters.hasOwnProperty(key) && typeof enginesisParameters[key] !== "function" && key != "overRideCallBackFunction" && key != "isReplay" && key != "isRestored" && key != "requestControl") {
+            savedRequest[key] = enginesisParameters[key];
+        }
+    }
+    savedRequest.state_status = 0;
+    return savedRequest;
+}
+
+/**
+ * Open an IndexedDB database with one object store, making the store the first time the database is opened.
+ * @param {string} databaseName The name of the database.
+ * @param {string} storeName The name of its object store.
+ * @param {object} storeOptions Options of the object store, such as its `keyPath`, none for keys given with each record.
+ * @returns {Promise} Resolves with the database, or null if IndexedDB is not available.
+ */
+function indexedDBOpen(databaseName, storeName, storeOptions) {
+    return new Promise(function(resolve) {
+        let openRequest;
+        if (typeof indexedDB === "undefined" || indexedDB == null) {
+            resolve(null);
+            return;
+        }
+        try {
+            openRequest = indexedDB.open(databaseName, 1);
+        } catch (exception) {
+            debugLog("IndexedDB " + databaseName + " is not available: " + exception.toString());
+            resolve(null);
+            return;
+        }
+        openRequest.onupgradeneeded = function() {
+            openRequest.result.createObjectStore(storeName, storeOptions);
+        };
+        openRequest.onsuccess = function() {
+            resolve(openRequest.result);
+        };
+        openRequest.onerror = function() {
+            debugLog("IndexedDB " + databaseName + " failed to open: " + (openRequest.error ? openRequest.error.toString() : ""));
+            resolve(null);
+        };
+    });
+}
+
+/**
+ * Open the IndexedDB database that holds the durable requests of the site. The database is opened only once.
+ * It is not used when the app gave `init` a storage adapter other than `localStorage`, the requests are then
+ * saved in that storage.
+ * @returns {Promise} Resolves with the database, or null if IndexedDB is not available.
+ */
+function openServiceQueueDatabase() {
+    const databaseName = storageKey(enginesis.serviceQueueSaveKey);
+    if (storageGet().name != "localStorage") {
+        return Promise.resolve(null);
+    }
+    if (enginesis.serviceQueueDatabase == null || enginesis.serviceQueueDatabaseName != databaseName) {
+        enginesis.serviceQueueDatabaseName = databaseName;
+        enginesis.serviceQueueDatabase = indexedDBOpen(databaseName, "requests", {keyPath: "queueId"});
+    }
+    return enginesis.serviceQueueDatabase;
+}
+
+/**
+ * Replace the saved durable requests. IndexedDB is used when available, otherwise the storage adapter.
+ * @param {Array} savedRequests The requests to save.
+ * @returns {Promise} Resolves with true if saved.
+ */
+function writeServiceQueueStore(savedRequests) {
+    return openServiceQueueDatabase()
+    .then(function(database) {
+        if (database == null) {
+            if (savedRequests.length > 0) {
+                saveObjectWithKey(enginesis.serviceQueueSaveKey, savedRequests);
+            } else {
+                removeObjectWithKey(enginesis.serviceQueueSaveKey);
+            }
+            return true;
+        }
+        return new Promise(function(resolve) {
+            const transaction = database.transaction("requests", "readwrite");
+            const objectStore = transaction.objectStore("requests");
+            objectStore.clear();
+            for (let i = 0; i < savedRequests.length; i += 1) {
+                objectStore.put(savedRequests[i]);
+            }
+            transaction.oncomplete = function() {
+                resolve(true);
+            };
+            transaction.onerror = transaction.onabort = function() {
+                debugLog("Service queue save failed: " + (transaction.error ? transaction.error.toString() : ""));
+                resolve(false);
+            };
+        });
+    });
+}
+
+/**
+ * Load the saved durable requests. A queue saved in the storage adapter by a prior version of this library,
+ * or while IndexedDB was not available, is included and then removed.
+ * @returns {Promise} Resolves with an array of saved requests.
+ */
+function readServiceQueueStore() {
+    return enginesis.serviceQueueSaving
+    .then(openServiceQueueDatabase)
+    .then(function(database) {
+        const storedRequests = loadObjectWithKey(enginesis.serviceQueueSaveKey);
+        const savedRequests = Array.isArray(storedRequests) ? storedRequests : [];
+        if (database == null) {
+            return savedRequests;
+        }
+        if (storedRequests != null) {
+            removeObjectWithKey(enginesis.serviceQueueSaveKey);
+        }
+        return new Promise(function(resolve) {
+            const getRequest = database.transaction("requests", "readonly").objectStore("requests").getAll();
+            getRequest.onsuccess = function() {
+                resolve(savedRequests.concat(getRequest.result || []));
+            };
+            getRequest.onerror = function() {
+                debugLog("Service queue load failed: " + (getRequest.error ? getRequest.error.toString() : ""));
+                resolve(savedRequests);
+            };
+        });
+    });
+}
+
+/**
+ * When we go offline or are offline, save the durable requests in case the app
+ * terminates. Saves are done in order so a prior save never overwrites a later one.
+ * @returns {Promise} Resolves with true if successfully saved.
+ */
+function saveServiceQueue() {
+    const savedRequests = enginesis.serviceQueue.filter(isDurableRequest).map(serializableRequest);
+    enginesis.serviceQueueIsSaved = savedRequests.length > 0;
+    enginesis.serviceQueueSaving = enginesis.serviceQueueSaving
+    .then(function() {
+        return writeServiceQueueStore(savedRequests);
+    })
+    .catch(function(exception) {
+        debugLog("Service queue save exception " + exception.toString());
+        return false;
+    });
+    return enginesis.serviceQueueSaving;
+}
+
+/**
+ * Restore the saved durable requests and add any that are not already on the queue, such as
+ * when the app reloads. Expired requests are dropped. Restored requests are given a new
+ * `state_seq` and report their result to the handler set with `queuedRequestHandlerSet`.
+ * @returns {Promise} Resolves with true if there are items on the queue to be processed.
+ */
+function restoreServiceQueue() {
+    return readServiceQueueStore()
+    .then(function(savedRequests) {
+        const now = Date.now();
+        const restoredRequests = savedRequests.filter(function(savedRequest) {
+            return savedRequest != null
+                && isDurableRequest(savedRequest)
+                && ! isExpiredRequest(savedRequest, now)
+                && ! enginesis.serviceQueue.some(function(item) {
+                    return savedRequest.queueId != null && item.queueId == savedRequest.queueId;
+                });
+        }).sort(function(a, b) {
+            return (a.queuedAt || 0) - (b.queuedAt || 0);
+        });
+        for (let i = 0; i < restoredRequests.length; i += 1) {
+            const restoredRequest = restoredRequests[i];
+            enginesis.internalStateSeq += 1;
+            restoredRequest.state_seq = enginesis.internalStateSeq;
+            restoredRequest.state_status = 0;
+            restoredRequest.isRestored = true;
+            restoredRequest.overRideCallBackFunction = queuedRequestComplete;
+            if (restoredRequest.queueId == null) {
+                restoredRequest.queueId = makeQueueId();
+            }
+        }
+        if (restoredRequests.length > 0) {
+            debugLog("Restored " + restoredRequests.length + " queued requests.");
+            enginesis.serviceQueue = restoredRequests.concat(enginesis.serviceQueue);
+            trimServiceQueue();
+        }
+        if (restoredRequests.length > 0 || savedRequests.length > 0) {
+            // keep the saved copy in step with the queue, it may have included expired or duplicate requests
+            saveServiceQueue();
+        }
+        return hasUnprocessedMessages();
+    })
+    .catch(function(exception) {
+        debugLog("Service queue restore exception " + exception.toString());
+        return hasUnprocessedMessages();
+    });
+}
+
+/**
+ * A request restored from a prior app session completed. Its original callback could not be saved so
+ * the result goes to the handler set for its service with `queuedRequestHandlerSet`, or the global
+ * callback if there is no handler. While still offline the request remains queued and no handler is called.
+ * @param {object} enginesisResult The result of the restored request.
+ */
+function queuedRequestComplete(enginesisResult) {
+    if (resultErrorCode(enginesisResult) == "OFFLINE") {
+        return;
+    }
+    const queuedRequestHandlers = enginesis.queuedRequestHandlers;
+    const handler = queuedRequestHandlers[enginesisResult.fn] || queuedRequestHandlers["*"];
+    if (typeof handler === "function") {
+        handler(enginesisResult);
+    } else if (enginesis.callBackFunction != null) {
+        enginesis.callBackFunction(enginesisResult);
+    }
+}
+
+/**
+ * Determine if there are requests on the queue waiting to be sent.
+ * @returns {boolean} True if at least one request is not yet sent.
+ */
+function hasUnprocessedMessages() {
+    return enginesis.serviceQueue.some(function(item) {
+        return typeof item.state_status == "undefined" || item.state_status == 0;
+    });
+}
+
+/**
+ * Create a set of HTTP headers to communicate with the Enginesis server.
+ * @param {object} additionalHeaders key/values to set for this request.
+ * @returns {Object} HTTP header to be used on an HTTP request object.
+ */
+function formatHTTPHeader(additionalHeaders) {
+    // @todo: set "multipart/form" when sending files
+    const httpHeaders = Object.assign(
+        {
+            "Accept": "application/json",
+            "X-DeveloperKey": enginesis.developerKey
+        },
+        additionalHeaders);
+    if (enginesis.authTokenWasValidated) {
+        httpHeaders["Authentication"] = "Bearer " + enginesis.authToken;
+    }
+    return httpHeaders;
+}
+
+/**
+ * Find the HTTP status of a request. `fetch` resolves with the response whatever its status, while request
+ * modules such as Axios reject on an HTTP error status and carry the response on the error.
+ * @param {Response|null} response The HTTP response if one was received.
+ * @param {Error|null} requestError The error if the request was rejected.
+ * @returns {integer} The HTTP status, 0 if the server did not reply.
+ */
+function requestHttpStatus(response, requestError) {
+    if (response) {
+        return response.status;
+    } else if (requestError && requestError.response && requestError.response.status) {
+        return requestError.response.status;
+    }
+    return 0;
+}
+
+/**
+ * Classify why an HTTP request failed so we can decide what to do about it:
+ *   * `network` the server could not be reached, this is the only case where we consider we are offline.
+ *   * `timeout` the server did not reply in time.
+ *   * `server` the server replied with a 5xx status.
+ *   * `client` the server replied with a 4xx status.
+ * @param {Response|null} response The HTTP response if one was received.
+ * @param {Error|null} requestError The error if the request was rejected.
+ * @returns {string} One of the classes listed above, or an empty string if the request succeeded.
+ */
+function requestErrorClass(response, requestError) {
+    const httpStatus = requestHttpStatus(response, requestError);
+    if (httpStatus >= 200 && httpStatus < 300) {
+        return "";
+    } else if (httpStatus >= 500) {
+        return "server";
+    } else if (httpStatus >= 400) {
+        return "client";
+    } else if (httpStatus > 0) {
+        return "server";
+    }
+    const errorName = requestError ? requestError.name : "";
+    const errorCode = requestError ? (requestError.code || (requestError.cause && requestError.cause.code) || "") : "";
+    if (errorName == "TimeoutError" || errorName == "AbortError" || errorCode == "ETIMEDOUT" || errorCode == "ECONNABORTED" || errorCode == "UND_ERR_CONNECT_TIMEOUT" || errorCode == "UND_ERR_HEADERS_TIMEOUT") {
+        return "timeout";
+    }
+    return "network";
+}
+
+/**
+ * Map a request error class to the Enginesis error code reported to the caller.
+ * @param {string} errorClass An error class returned from `requestErrorClass()`.
+ * @returns {string} An Enginesis error code.
+ */
+function requestErrorCode(errorClass) {
+    const errorCodes = {
+        network: "OFFLINE",
+        timeout: "SERVER_DID_NOT_REPLY",
+        server: "SERVICE_ERROR",
+        client: "INVALID_SERVICE_REQUEST"
+    };
+    return errorCodes[errorClass] || "SERVICE_ERROR";
+}
+
+/**
+ * Determine if a service request is safe to send again. Repeating an idempotent service has the same
+ * effect as sending it once. A service that is not idempotent, such as ScoreSubmit, is only sent again
+ * when the server told us it did not process it (503 or 429), otherwise we could record it twice.
+ * @param {string} serviceName The Enginesis service.
+ * @param {string} errorClass Why the last attempt failed, see `requestErrorClass()`.
+ * @param {integer} httpStatus The HTTP status of the last attempt, 0 if there was no response.
+ * @returns {boolean} True if the request may be sent again.
+ */
+function isRetryableRequest(serviceName, errorClass, httpStatus) {
+    if (httpStatus == 503 || httpStatus == 429) {
+        return true;
+    }
+    if ( ! isIdempotentService(serviceName)) {
+        return false;
+    }
+    return errorClass == "network" || errorClass == "timeout" || errorClass == "server";
+}
+
+/**
+ * Compute how long to wait before the next attempt of a failed request. The delay grows exponentially
+ * with each attempt and a random jitter is applied so many clients do not retry at the same time.
+ * @param {integer} attempt The number of attempts made so far, starting at 1.
+ * @returns {integer} Number of milliseconds to wait.
+ */
+function retryDelay(attempt) {
+    const retryPolicy = enginesis.retryPolicy;
+    const delayLimit = Math.min(retryPolicy.maxDelay, retryPolicy.baseDelay * Math.pow(2, attempt - 1));
+    return Math.floor(delayLimit / 2 + Math.random() * delayLimit / 2);
+}
+
+/**
+ * Send an HTTP request and send it again, following the retry policy, when it fails for a reason
+ * that may go away. This never rejects, the outcome describes the last attempt.
+ * @param {function} requestFunction A `fetch` compatible function.
+ * @param {string} url The URL to request.
+ * @param {object} requestOptions `fetch` options.
+ * @param {string} serviceName The Enginesis service, used to determine if it is safe to send again.
+ * @returns {Promise} Resolves with an object of `response` (null if none), `requestError` (null if none),
+ *   `errorClass` (empty if the request succeeded) and `attempts`.
+ */
+function requestWithRetry(requestFunction, url, requestOptions, serviceName) {
+    return new Promise(function(resolve) {
+        let attempts = 0;
+
+        function attemptRequest() {
+            attempts += 1;
+            let requestPromise;
+            try {
+                requestPromise = Promise.resolve(requestFunction(url, requestOptions));
+            } catch (exception) {
+                requestPromise = Promise.reject(exception);
+            }
+            requestPromise
+            .then(function(response) {
+                return {response: response, requestError: null};
+            }, function(requestError) {
+                return {response: null, requestError: requestError};
+            })
+            .then(function(requestOutcome) {
+                const errorClass = requestErrorClass(requestOutcome.response, requestOutcome.requestError);
+                const httpStatus = requestHttpStatus(requestOutcome.response, requestOutcome.requestError);
+                const isAborted = requestOptions.signal != null && requestOptions.signal.aborted;
+                if (errorClass != "" && ! isAborted && attempts < enginesis.retryPolicy.maxAttempts && isRetryableRequest(serviceName, errorClass, httpStatus)) {
+                    const delay = retryDelay(attempts);
+                    debugLog("Enginesis " + serviceName + " " + errorClass + " error, attempt " + attempts + " retry in " + delay + "ms", 2);
+                    setTimeout(attemptRequest, delay);
+                } else {
+                    requestOutcome.errorClass = errorClass;
+                    requestOutcome.attempts = attempts;
+                    resolve(requestOutcome);
+                }
+            });
+        }
+        attemptRequest();
+    });
+}
+
+/**
+ * Generate the error response for a service request that failed at the HTTP level. Only a network
+ * error takes Enginesis offline, in which case the request stays on the queue to be sent when we
+ * are back online. Any other error removes the request from the queue.
+ * @param {string} serviceName The Enginesis service that was requested.
+ * @param {object} enginesisParameters The request parameters.
+ * @param {object} requestOutcome The outcome of `requestWithRetry()`.
+ * @returns {object} An Enginesis error result.
+ */
+function requestFailureResult(serviceName, enginesisParameters, requestOutcome) {
+    const errorClass = requestOutcome.errorClass;
+    let errorMessage;
+    if (errorClass == "network") {
+        if (setOffline()) {
+            errorMessage = "Enginesis Network error encountered, assuming we're offline. " + enginesis.serverHost + " for " + serviceName + ": " + (requestOutcome.requestError ? requestOutcome.requestError.toString() : "");
+        } else {
+            errorMessage = "Enginesis is already offline.";
+        }
+        if (isDurableRequest(enginesisParameters)) {
+            enginesisParameters.state_status = 0;
+            errorMessage += " Leaving this message on the queue.";
+        } else {
+            removeFromServiceQueue(enginesisParameters.state_seq);
+        }
+    } else {
+        removeFromServiceQueue(enginesisParameters.state_seq);
+        const httpStatus = requestHttpStatus(requestOutcome.response, requestOutcome.requestError);
+        if (httpStatus > 0) {
+            errorMessage = "Service error " + httpStatus + " while contacting Enginesis at " + enginesis.serverHost + " for " + serviceName;
+        } else {
+            errorMessage = "Enginesis at " + enginesis.serverHost + " did not reply for " + serviceName + ": " + (requestOutcome.requestError ? requestOutcome.requestError.toString() : "");
+        }
+        errorMessage += " after " + requestOutcome.attempts + " attempt" + (requestOutcome.attempts == 1 ? "" : "s") + ".";
+    }
+    debugLog(errorMessage);
+    return forceErrorResponseObject(serviceName, enginesisParameters.state_seq, requestErrorCode(errorClass), errorMessage, enginesisParameters);
+}
+
+/**
+ * Find the function HTTP requests are sent with when running as a Node.js process: the function given to
+ * `setNodeRequest`, otherwise the global `fetch` of Node.js 18 and later.
+ * @returns {function} A `fetch` compatible function.
+ * @throws {Error} When there is no request function.
+ */
+function nodeRequestFunction() {
+    if (enginesis.nodeRequest == null) {
+        if (typeof globalThis.fetch === "function") {
+            enginesis.nodeRequest = globalThis.fetch;
+        } else {
             throw new Error("enginesis.nodeRequest is not set in the node.js environment");
         }
     }
-    enginesis.nodeRequest(enginesis.siteResources.serviceURL, {
-        method: "POST",
-        headers: formatHTTPHeader(),
-        body: new URLSearchParams(enginesisParameters)
-    })
-    .then(async function(response) {
-        if (response.status != 200) {
-            const errorMessage = "Service error " + response.status + " from " + enginesis.siteResources.serviceURL;
-            // @todo: we still need to determine if this is a server error or a network error
-            // if (setOffline()) {
-            //     errorMessage = "Enginesis network error encountered, assuming we're offline. " + enginesis.siteResources.serviceURL + " for " + serviceName + ": " + requestError.toString();
-            // } else {
-            //     errorMessage = "Enginesis is already offline, leaving this message on the queue.";
-            // }
-            // debugLog(errorMessage);
-            serviceRequestComplete(enginesisParameters.state_seq, forceErrorResponseString(serviceName, enginesisParameters.state_seq, "OFFLINE", errorMessage, enginesisParameters), overRideCallBackFunction);
-        } else {
-            // depending on the response format type we should handle the response data
-            let responseData;
-            if (typeof enginesisParameters.response == "undefined" || enginesisParameters.response == "json") {
-                responseData = await response.json();
-            } else {
-                responseData = response.body;
+    return enginesis.nodeRequest;
+}
+
+/**
+ * Issue an HTTP request when running as a Node.js process, with the function from `nodeRequestFunction`.
+ * @param {string} serviceName The Enginesis service to call.
+ * @param {object} enginesisParameters Parameters required for the service, assumes this object was created or verified with serverParamObjectMake().
+ * @param {function} overRideCallBackFunction Callback function to call when the request completes.
+ * @param {AbortSignal} signal Optional signal to abort the HTTP request.
+ * @return {boolean} True if a request is sent, false if the request was not sent.
+ * @throws {Error} When there is no request function.
+ */
+function sendNodeRequest(serviceName, enginesisParameters, overRideCallBackFunction, signal) {
+    requestWithRetry(nodeRequestFunction(), enginesis.siteResources.serviceURL, {
+        method: "POST",
+        headers: formatHTTPHeader(),
+        body: new URLSearchParams(convertParamsToFormData(enginesisParameters, false)),
+        keepalive: requestIsKeepAlive(enginesisParameters),
+        signal: signal
+    }, serviceName)
+    .then(async function(requestOutcome) {
+        if (signal && signal.aborted) {
+            // whoever aborted the request already answered it
+            return;
+        }
+        if (requestOutcome.errorClass != "") {
+            const enginesisResult = requestFailureResult(serviceName, enginesisParameters, requestOutcome);
+            enginesis.lastResponse = enginesisResult;
+            overRideCallBackFunction(enginesisResult);
+        } else {
+            // depending on the response format type we should handle the response data
+            const response = requestOutcome.response;
+            let responseData;
+            if (typeof enginesisParameters.response == "undefined" || enginesisParameters.response == "json") {
+                responseData = await response.json();
+            } else {
+                responseData = response.body;
+            }
+            serviceRequestComplete(enginesisParameters.state_seq, responseData, overRideCallBackFunction);
+        }
+    })
+    .catch(function(requestError) {
+        const errorMessage = "Invalid response from Enginesis at " + enginesis.siteResources.serviceURL + " for " + serviceName + ": " + requestError.toString();
+        debugLog(errorMessage);
+        serviceRequestComplete(enginesisParameters.state_seq, forceErrorResponseString(serviceName, enginesisParameters.state_seq, "SERVER_RESPONSE_NOT_VALID", errorMessage, enginesisParameters), overRideCallBackFunction);
+    });
+    return true;
+}
+
+/**
+ * Determine the lane of a service. Requests in an earlier lane of `enginesis.requestLanes` are sent first.
+ * @param {string} serviceName Enginesis service name.
+ * @returns {integer} The lane index, lower is sent first.
+ */
+function requestLane(serviceName) {
+    const laneIndex = enginesis.requestLanes.indexOf(enginesis.serviceLane[serviceName] || "default");
+    return laneIndex < 0 ? enginesis.requestLanes.length : laneIndex;
+}
+
+/**
+ * Determine if a request must be sent even when the game is paused. A request is essential if its
+ * service is in one of `essentialRequestLanes`, or the caller asked for it with the `essential` request option.
+ * @param {object} enginesisParameters The request.
+ * @returns {boolean} True if the request is essential.
+ */
+function requestIsEssential(enginesisParameters) {
+    if (enginesisParameters.requestControl && enginesisParameters.requestControl.isEssential) {
+        return true;
+    }
+    return enginesis.essentialRequestLanes.includes(enginesis.serviceLane[enginesisParameters.fn] || "default");
+}
+
+/**
+ * Determine if a request must complete even when the page is closed, as asked with the `keepalive` request option.
+ * @param {object} enginesisParameters The request.
+ * @returns {boolean} True if the HTTP request is made with `keepalive`.
+ */
+function requestIsKeepAlive(enginesisParameters) {
+    return enginesisParameters.requestControl != null && enginesisParameters.requestControl.isKeepAlive === true;
+}
+
+/**
+ * Determine if a request waits on the queue until the game resumes.
+ * @param {object} enginesisParameters The request.
+ * @returns {boolean} True if the request is not sent now.
+ */
+function requestIsHeld(enginesisParameters) {
+    return enginesis.isPaused && enginesis.pauseRequests != "" && ! requestIsEssential(enginesisParameters);
+}
+
+/**
+ * Return the next item on the queue. Requests in an earlier lane are sent first, and within
+ * a lane requests are sent in the order they were queued. Requests held while paused are skipped.
+ * @returns {object} Item to be processed.
+ */
+function getNextUnprocessedMessage() {
+    removeExpiredFromServiceQueue();
+    const serviceQueue = enginesis.serviceQueue;
+    let unprocessedRequest = null;
+    let unprocessedRequestLane = 0;
+
+    for (let i = 0; i < serviceQueue.length; i += 1) {
+        const enginesisRequest = serviceQueue[i];
+        if ((typeof enginesisRequest.state_status == "undefined" || enginesisRequest.state_status == 0) && ! requestIsHeld(enginesisRequest)) {
+            const lane = requestLane(enginesisRequest.fn);
+            if (unprocessedRequest == null || lane < unprocessedRequestLane) {
+                unprocessedRequest = enginesisRequest;
+                unprocessedRequestLane = lane;
+            }
+        }
+    }
+    if (unprocessedRequest != null) {
+        unprocessedRequest.state_status = 1;
+    }
+    return unprocessedRequest;
+}
+
+/**
+ * Send waiting requests until `maxConcurrentRequests` are in flight. This is called when a request
+ * is queued, when a request completes, and when we come back online.
+ */
+function processServiceQueue() {
+    while (enginesis.isOnline && enginesis.requestsInFlight < enginesis.maxConcurrentRequests) {
+        const enginesisParameters = getNextUnprocessedMessage();
+        if (enginesisParameters == null) {
+            break;
+        }
+        enginesis.requestsInFlight += 1;
+        enginesis.requestsSent += 1;
+        processMessage(enginesisParameters)
+        .then(function(enginesisResult) {
+            enginesis.requestsInFlight -= 1;
+            if (enginesisResult != null) {
+                completeRequest(enginesisParameters, enginesisResult);
+            }
+            processServiceQueue();
+        });
+    }
+    if (serviceQueueIsIdle()) {
+        const idleResolvers = enginesis.serviceQueueIdleResolvers;
+        enginesis.serviceQueueIdleResolvers = [];
+        for (let i = 0; i < idleResolvers.length; i += 1) {
+            idleResolvers[i]();
+        }
+    }
+}
+
+/**
+ * Determine if the queue has nothing more to do, either everything was sent, we are offline, or the
+ * remaining requests are held while paused, and no requests are in flight.
+ * @returns {boolean} True if the queue is idle.
+ */
+function serviceQueueIsIdle() {
+    return enginesis.requestsInFlight == 0 && ( ! enginesis.isOnline || ! enginesis.serviceQueue.some(function(item) {
+        return (typeof item.state_status == "undefined" || item.state_status == 0) && ! requestIsHeld(item);
+    }));
+}
+
+/**
+ * Wait for the queue to be idle.
+ * @returns {Promise} Resolves when no requests are in flight and no more requests can be sent.
+ */
+function waitForServiceQueueIdle() {
+    return new Promise(function(resolve) {
+        if (serviceQueueIsIdle()) {
+            resolve();
+        } else {
+            enginesis.serviceQueueIdleResolvers.push(resolve);
+        }
+    });
+}
+
+/**
+ * Hand a request result to whoever is waiting on it: the promise returned to the caller of the request,
+ * found by its `state_seq`, and the callback function.
+ * @param {object} enginesisParameters The request that completed.
+ * @param {object} enginesisResult The result of the request.
+ */
+function completeRequest(enginesisParameters, enginesisResult) {
+    const resolve = enginesis.requestResolvers[enginesisParameters.state_seq] || null;
+    // A reissued request answers only the request it replaces, it does not call back again.
+    const overRideCallBackFunction = enginesisParameters.isReplay ? null : enginesisParameters.overRideCallBackFunction;
+    const enginesisCallBackFunction = enginesisParameters.isReplay ? null : enginesis.callBackFunction;
+    delete enginesis.requestResolvers[enginesisParameters.state_seq];
+    requestControlRelease(enginesisParameters);
+    callbackPriority(enginesisResult, resolve, overRideCallBackFunction, enginesisCallBackFunction, enginesisParameters);
+}
+
+/**
+ * Make the error result of a request that was stopped before the server replied.
+ * @param {object} enginesisParameters The request.
+ * @param {string} errorCode "ABORTED" or "TIMEOUT".
+ * @returns {object} An Enginesis error result.
+ */
+function abortedRequestResult(enginesisParameters, errorCode) {
+    const serviceName = enginesisParameters.fn;
+    let errorMessage;
+    if (errorCode == "TIMEOUT") {
+        const timeout = enginesisParameters.requestControl ? enginesisParameters.requestControl.timeout : enginesis.requestTimeout;
+        errorMessage = "Enginesis " + serviceName + " did not complete within " + timeout + "ms.";
+    } else {
+        errorMessage = "Enginesis " + serviceName + " was canceled.";
+    }
+    debugLog(errorMessage);
+    return forceErrorResponseObject(serviceName, enginesisParameters.state_seq, errorCode, errorMessage, enginesisParameters);
+}
+
+/**
+ * Start watching the caller's timeout and abort signal of a request that is waiting for the server.
+ * Either one stops the request with `abortRequest`.
+ * @param {object} enginesisParameters The request.
+ * @param {object} requestOptions Optional `timeout`, `signal`, `essential` and `keepalive` request options.
+ */
+function requestControlSet(enginesisParameters, requestOptions) {
+    const options = requestOptions || {};
+    const requestControl = {
+        signal: options.signal || null,
+        timeout: typeof options.timeout === "number" && options.timeout >= 0 ? options.timeout : enginesis.requestTimeout,
+        isEssential: options.essential === true,
+        isKeepAlive: options.keepalive === true,
+        timeoutId: null,
+        abortListener: null
+    };
+    enginesisParameters.requestControl = requestControl;
+    if (requestControl.signal != null) {
+        requestControl.abortListener = function() {
+            abortRequest(enginesisParameters, "ABORTED");
+        };
+        requestControl.signal.addEventListener("abort", requestControl.abortListener);
+    }
+    if (requestControl.timeout > 0) {
+        requestControl.timeoutId = setTimeout(function() {
+            abortRequest(enginesisParameters, "TIMEOUT");
+        }, requestControl.timeout);
+    }
+}
+
+/**
+ * Stop watching the timeout and abort signal of a request once it completed.
+ * @param {object} enginesisParameters The request.
+ */
+function requestControlRelease(enginesisParameters) {
+    const requestControl = enginesisParameters.requestControl;
+    if (requestControl) {
+        if (requestControl.timeoutId != null) {
+            clearTimeout(requestControl.timeoutId);
+        }
+        if (requestControl.abortListener != null) {
+            requestControl.signal.removeEventListener("abort", requestControl.abortListener);
+        }
+        delete enginesisParameters.requestControl;
+    }
+}
+
+/**
+ * Stop a request before the server replies. A request in flight is aborted, a request waiting on the
+ * queue is removed from it, and either one completes with the error code. A request that already
+ * completed is not changed.
+ * @param {object} enginesisParameters The request.
+ * @param {string} errorCode "ABORTED" or "TIMEOUT".
+ */
+function abortRequest(enginesisParameters, errorCode) {
+    if (typeof enginesisParameters.abortInFlight === "function") {
+        enginesisParameters.abortInFlight(errorCode);
+    } else if (removeFromServiceQueue(enginesisParameters.state_seq) > 0) {
+        completeRequest(enginesisParameters, abortedRequestResult(enginesisParameters, errorCode));
+    }
+}
+
+/**
+ * Apply the pause request mode to requests that are not essential. With "cancel" every request a caller is
+ * waiting on is aborted. With "hold" a request in flight to a service that is safe to send again is aborted
+ * and goes back on the queue, to be sent again on `resume`. In both modes requests on the queue are not
+ * sent until `resume`.
+ */
+function pauseServiceQueue() {
+    enginesis.serviceQueue.slice().forEach(function(enginesisParameters) {
+        if ( ! requestIsEssential(enginesisParameters)) {
+            if (enginesis.pauseRequests == "cancel" && enginesisParameters.requestControl) {
+                abortRequest(enginesisParameters, "ABORTED");
+            } else if (enginesis.pauseRequests == "hold" && typeof enginesisParameters.abortInFlight === "function" && isIdempotentService(enginesisParameters.fn)) {
+                enginesisParameters.abortInFlight("HOLD");
+            }
+        }
+    });
+}
+
+/**
+ * Send one request to the server.
+ * @param {object} enginesisParameters The request taken off the queue.
+ * @returns {Promise} Resolves with the EnginesisResult once the server replies, the request fails, or it is aborted.
+ *   Resolves with null when the request was put back on the queue to hold it while paused. It does not reject.
+ */
+function processMessage(enginesisParameters) {
+    return new Promise(function(messageResolve) {
+        const serviceName = enginesisParameters.fn;
+        const abortController = typeof AbortController !== "undefined" ? new AbortController() : null;
+        const signal = abortController ? abortController.signal : undefined;
+        let isSettled = false;
+
+        // The first of the server reply or an abort answers the request, anything after that is ignored.
+        function resolve(enginesisResult) {
+            if ( ! isSettled) {
+                isSettled = true;
+                delete enginesisParameters.abortInFlight;
+                messageResolve(enginesisResult);
+            }
+        }
+
+        enginesisParameters.abortInFlight = function(reason) {
+            if (abortController != null) {
+                abortController.abort(reason);
+            }
+            if (reason == "HOLD") {
+                enginesisParameters.state_status = 0;
+                resolve(null);
+            } else {
+                removeFromServiceQueue(enginesisParameters.state_seq);
+                resolve(abortedRequestResult(enginesisParameters, reason));
+            }
+        };
+        if (enginesis.isNodeBuild) {
+            try {
+                sendNodeRequest(serviceName, enginesisParameters, resolve, signal);
+            } catch (exception) {
+                removeFromServiceQueue(enginesisParameters.state_seq);
+                resolve(forceErrorResponseObject(serviceName, enginesisParameters.state_seq, "SYSTEM_ERROR", exception.toString(), enginesisParameters));
+            }
+        } else {
+            requestWithRetry(fetch, enginesis.siteResources.serviceURL, {
+                method: "POST",
+                mode: "cors",
+                cache: "no-cache",
+                credentials: "same-origin",
+                headers: formatHTTPHeader(),
+                body: convertParamsToFormData(enginesisParameters),
+                keepalive: requestIsKeepAlive(enginesisParameters),
+                signal: signal
+            }, serviceName)
+            .then(function (requestOutcome) {
+                const response = requestOutcome.response;
+                if (signal && signal.aborted) {
+                    // whoever aborted the request already answered it
+                    return;
+                }
+                if (requestOutcome.errorClass == "") {
+                    removeFromServiceQueue(enginesisParameters.state_seq);
+                    response.json()
+                    .then(function (enginesisResult) {
+                        let errorMessage;
+                        if (enginesisResult == null) {
+                            // If Enginesis fails to return a valid object then the service must have failed, possible the response was not parsable JSON (e.g. error 500)
+                            debugLog("Enginesis service error for " + serviceName + ": " + response.statusText);
+                            errorMessage = "Enginesis service while contacting Enginesis at " + enginesis.serverHost + " for " + serviceName;
+                            enginesisResult = forceErrorResponseObject(serviceName, enginesisParameters.state_seq, "SERVICE_ERROR", errorMessage, enginesisParameters);
+                        } else {
+                            enginesisResult.fn = serviceName;
+                        }
+                        resolve(enginesisResult);
+                    })
+                    .catch(function (error) {
+                        const errorMessage = "Invalid response from Enginesis at " + enginesis.serverHost + " for " + serviceName + ": " + error.toString();
+                        debugLog(errorMessage);
+                        resolve(forceErrorResponseObject(serviceName, enginesisParameters.state_seq, "SERVER_RESPONSE_NOT_VALID", errorMessage, enginesisParameters));
+                    });
+                } else {
+                    resolve(requestFailureResult(serviceName, enginesisParameters, requestOutcome));
+                }
+            });
+        }
+    });
+}
+
+/**
+ * Internal function to send a service request to the server.
+ * @param {string} serviceName Which service endpoint to call.
+ * @param {object} parameters Key/value pairs for all parameters to send.
+ * @param {function} overRideCallBackFunction Optional function to call when service request completes.
+ * @param {object} requestOptions Optional request options:
+ *   * `timeout` {integer} milliseconds to wait for the request to complete before it fails with TIMEOUT. 0 waits
+ *     with no limit. When not provided `requestTimeout` is used.
+ *   * `signal` {AbortSignal} the request fails with ABORTED when this signal is aborted.
+ *   * `essential` {boolean} true to send the request even when the game is paused.
+ *   * `keepalive` {boolean} true to make the HTTP request with `keepalive`, so it completes when the page is closed.
+ *   * `isReplay` {boolean} internal, the request reissues a prior request after its token was refreshed. A replay is
+ *     never refreshed and reissued again, and it does not call back.
+ * @returns {Promise} A promise object is returned that resolves when the service request completes.
+ */
+function sendRequest(serviceName, parameters, overRideCallBackFunction, requestOptions) {
+    return new Promise(function(resolve) {
+        if ( ! enginesis.disabled && isValidOperationalState()) {
+            const enginesisParameters = serverParamObjectMake(serviceName, parameters);
+            enginesisParameters.overRideCallBackFunction = overRideCallBackFunction;
+            if (requestOptions && requestOptions.isReplay) {
+                enginesisParameters.isReplay = true;
+            }
+            if (requestOptions && requestOptions.signal && requestOptions.signal.aborted) {
+                callbackPriority(abortedRequestResult(enginesisParameters, "ABORTED"), resolve, overRideCallBackFunction, enginesis.callBackFunction, enginesisParameters);
+            } else if (enginesis.isOnline) {
+                requestControlSet(enginesisParameters, requestOptions);
+                enginesis.requestResolvers[enginesisParameters.state_seq] = resolve;
+                addToServiceQueue(enginesisParameters);
+                processServiceQueue();
+            } else if (isDurableRequest(enginesisParameters)) {
+                const errorMessage = "Enginesis is offline. Message " + serviceName + " will be processed when network connectivity is restored.";
+                const enginesisResult = forceErrorResponseObject(serviceName, enginesisParameters.state_seq, "OFFLINE", errorMessage, parameters);
+                addToServiceQueue(enginesisParameters);
+                saveServiceQueue();
+                debugLog(errorMessage);
+                callbackPriority(enginesisResult, resolve, overRideCallBackFunction, enginesis.callBackFunction, enginesisParameters);
+            } else {
+                const errorMessage = "Enginesis is offline. Message " + serviceName + " was not sent.";
+                const enginesisResult = forceErrorResponseObject(serviceName, enginesisParameters.state_seq, "OFFLINE", errorMessage, parameters);
+                debugLog(errorMessage);
+                callbackPriority(enginesisResult, resolve, overRideCallBackFunction, enginesis.callBackFunction, enginesisParameters);
+            }
+        } else {
+            let enginesisResult;
+            if (enginesis.disabled) {
+                enginesisResult = forceErrorResponseObject(serviceName, 0, "DISABLED", "Enginesis is disabled.", parameters);
+            } else {
+                enginesisResult = forceErrorResponseObject(serviceName, 0, "VALIDATION_FAILED", "Enginesis internal state failed validation.", parameters);
+            }
+            callbackPriority(enginesisResult, resolve, overRideCallBackFunction, enginesis.callBackFunction);
+        }
+    });
+}
+
+/**
+ * Build the key a service response is cached under. Only the parameters of the request and the
+ * site and language it was made for are part of the key.
+ * @param {string} serviceName Enginesis service name.
+ * @param {object} parameters Key/value pairs of the request parameters.
+ * @returns {string} The cache key.
+ */
+function responseCacheKey(serviceName, parameters) {
+    const keyParameters = {
+        site_id: enginesis.siteId,
+        language_code: enginesis.languageCode
+    };
+    Object.keys(parameters || {}).sort().forEach(function(key) {
+        keyParameters[key] = parameters[key];
+    });
+    return serviceName + ":" + JSON.stringify(keyParameters);
+}
+
+/**
+ * Return the index of the saved cache entries, loading it from storage the first time. The index is kept
+ * in memory and written through when an entry is added or removed.
+ * @returns {object} Cache key to the time the entry was cached.
+ */
+function responseCacheIndexGet() {
+    if (enginesis.responseCacheIndex == null) {
+        enginesis.responseCacheIndex = loadObjectWithKey(enginesis.responseCacheSaveKey) || {};
+    }
+    return enginesis.responseCacheIndex;
+}
+
+/**
+ * The storage key a cache entry is saved under.
+ * @param {string} cacheKey The key from `responseCacheKey`.
+ * @returns {string} The storage key.
+ */
+function responseCacheEntryKey(cacheKey) {
+    return enginesis.responseCacheSaveKey + ":" + cacheKey;
+}
+
+/**
+ * Remove cache entries from the memory and persistent caches. The caller saves the index.
+ * @param {Array} cacheKeys The keys from `responseCacheKey`.
+ */
+function responseCacheRemove(cacheKeys) {
+    const cacheIndex = responseCacheIndexGet();
+    cacheKeys.forEach(function(cacheKey) {
+        delete enginesis.responseCache[cacheKey];
+        if (cacheIndex[cacheKey] !== undefined) {
+            delete cacheIndex[cacheKey];
+            removeObjectWithKey(responseCacheEntryKey(cacheKey));
+        }
+    });
+}
+
+/**
+ * Find a cached response, first in memory and then in local storage.
+ * @param {string} cacheKey The key from `responseCacheKey`.
+ * @returns {object|null} The cache entry with `cachedAt`, `expires`, `staleUntil`, and `enginesisResult`, or null.
+ */
+function responseCacheGet(cacheKey) {
+    let cacheEntry = enginesis.responseCache[cacheKey];
+    if (cacheEntry == null && responseCacheIndexGet()[cacheKey] !== undefined) {
+        cacheEntry = loadObjectWithKey(responseCacheEntryKey(cacheKey));
+        if (cacheEntry != null) {
+            enginesis.responseCache[cacheKey] = cacheEntry;
+        } else {
+            // the entry is gone from storage, such as when the browser cleared it
+            responseCacheRemove([cacheKey]);
+            saveObjectWithKey(enginesis.responseCacheSaveKey, enginesis.responseCacheIndex);
+        }
+    }
+    return cacheEntry || null;
+}
+
+/**
+ * Save a successful response in the memory and persistent caches. When the cache is full the oldest
+ * entries are removed.
+ * @param {string} cacheKey The key from `responseCacheKey`.
+ * @param {object} enginesisResult The response to cache.
+ * @param {object} policy The cache policy of the service.
+ */
+function responseCacheSet(cacheKey, enginesisResult, policy) {
+    const now = Date.now();
+    const cacheIndex = responseCacheIndexGet();
+    const cacheEntry = {
+        cachedAt: now,
+        expires: now + policy.ttl,
+        staleUntil: now + policy.ttl + (policy.staleTtl || 0),
+        enginesisResult: enginesisResult
+    };
+    enginesis.responseCache[cacheKey] = cacheEntry;
+    cacheIndex[cacheKey] = now;
+    saveObjectWithKey(responseCacheEntryKey(cacheKey), cacheEntry);
+    const cacheKeys = Object.keys(cacheIndex);
+    if (cacheKeys.length > enginesis.responseCacheMaxEntries) {
+        responseCacheRemove(cacheKeys.sort(function(a, b) {
+            return cacheIndex[a] - cacheIndex[b];
+        }).slice(0, cacheKeys.length - enginesis.responseCacheMaxEntries));
+    }
+    saveObjectWithKey(enginesis.responseCacheSaveKey, cacheIndex);
+}
+
+/**
+ * Remove cached responses from the memory and persistent caches.
+ * @param {string} serviceName Optional, remove only the responses of this service. When not provided the cache is emptied.
+ * @returns {integer} The number of cached responses removed from memory.
+ */
+function responseCacheClear(serviceName) {
+    const keyPrefix = isEmpty(serviceName) ? "" : serviceName + ":";
+    const isCacheKey = function(cacheKey) {
+        return cacheKey.startsWith(keyPrefix);
+    };
+    const removed = Object.keys(enginesis.responseCache).filter(isCacheKey).length;
+    responseCacheRemove(Object.keys(enginesis.responseCache).concat(Object.keys(responseCacheIndexGet())).filter(isCacheKey));
+    if (keyPrefix == "") {
+        enginesis.responseCacheRevalidating = {};
+        removeObjectWithKey(enginesis.responseCacheSaveKey);
+    } else {
+        saveObjectWithKey(enginesis.responseCacheSaveKey, enginesis.responseCacheIndex);
+    }
+    return removed;
+}
+
+/**
+ * Make the response given to the caller from a cache entry. It is a copy so the caller cannot change
+ * the cache, and it is flagged `cached`, and `stale` if it is past its TTL.
+ * @param {object} cacheEntry A cache entry.
+ * @param {boolean} isStale True if the entry is past its TTL.
+ * @returns {object} An EnginesisResult.
+ */
+function cachedEnginesisResult(cacheEntry, isStale) {
+    const enginesisResult = JSON.parse(JSON.stringify(cacheEntry.enginesisResult));
+    enginesisResult.cached = true;
+    enginesisResult.stale = isStale;
+    enginesisResult.cachedAt = cacheEntry.cachedAt;
+    return enginesisResult;
+}
+
+/**
+ * Request a service from the server and cache a successful response. A request already in flight for
+ * the same key is shared.
+ * @param {string} serviceName Enginesis service name.
+ * @param {object} parameters Key/value pairs of the request parameters.
+ * @param {function} overRideCallBackFunction Function to call with the result, or a function that
+ *   does nothing when revalidating in the background.
+ * @param {string} cacheKey The key from `responseCacheKey`.
+ * @param {object} policy The cache policy of the service.
+ * @param {object} requestOptions Optional request options, see `sendRequest`.
+ * @returns {Promise} Resolves with the EnginesisResult from the server.
+ */
+function requestAndCacheResponse(serviceName, parameters, overRideCallBackFunction, cacheKey, policy, requestOptions) {
+    return sendRequest(serviceName, parameters, overRideCallBackFunction, requestOptions)
+    .then(function(enginesisResult) {
+        if (resultIsSuccess(enginesisResult) && ! enginesisResult.cached && enginesis.responseCacheEnabled) {
+            responseCacheSet(cacheKey, enginesisResult, policy);
+        }
+        return enginesisResult;
+    });
+}
+
+/**
+ * Send a request for a service that may be answered from the response cache. When the cache is not enabled,
+ * or the service has no cache policy, this is the same as `sendRequest`. A response within its TTL is returned
+ * without contacting the server. A response past its TTL but within its stale time is returned and
+ * refreshed in the background. When offline any cached response is returned.
+ * @param {string} serviceName Which service endpoint to call.
+ * @param {object} parameters Key/value pairs for all parameters to send.
+ * @param {function} overRideCallBackFunction Optional function to call when service request completes.
+ * @param {object} requestOptions Optional request options, see `sendRequest`.
+ * @returns {Promise} A promise that resolves with the EnginesisResult.
+ */
+function sendCachedRequest(serviceName, parameters, overRideCallBackFunction, requestOptions) {
+    const policy = enginesis.responseCachePolicy[serviceName];
+    if ( ! enginesis.responseCacheEnabled || policy == null || ! (policy.ttl > 0)) {
+        return sendRequest(serviceName, parameters, overRideCallBackFunction, requestOptions);
+    }
+    const cacheKey = responseCacheKey(serviceName, parameters);
+    const cacheEntry = responseCacheGet(cacheKey);
+    const now = Date.now();
+    if (cacheEntry != null) {
+        const isStale = cacheEntry.expires <= now;
+        if ( ! isStale || cacheEntry.staleUntil > now || ! enginesis.isOnline) {
+            if (isStale && enginesis.isOnline && ! enginesis.responseCacheRevalidating[cacheKey]) {
+                enginesis.responseCacheRevalidating[cacheKey] = true;
+                const revalidated = function() {
+                    delete enginesis.responseCacheRevalidating[cacheKey];
+                };
+                requestAndCacheResponse(serviceName, parameters, function() {}, cacheKey, policy)
+                .then(revalidated, revalidated);
+            }
+            return new Promise(function(resolve) {
+                callbackPriority(cachedEnginesisResult(cacheEntry, isStale), resolve, overRideCallBackFunction, enginesis.callBackFunction);
+            });
+        }
+    }
+    return requestAndCacheResponse(serviceName, parameters, overRideCallBackFunction, cacheKey, policy, requestOptions);
+}
+
+/**
+ * When a process fails on the client, we don't need to send a request to the server. In order
+ * to keep the process flow, send back an error that wll immediately resolve to a proper
+ * EnginesisResult with the error information.
+ *
+ * @param {string} serviceName Enginesis service name.
+ * @param {object} parameters Parameters sent to server.
+ * @param {string} errorCode Enginesis error code to send.
+ * @param {string} errorMessage Additional error information.
+ * @param {function} overRideCallBackFunction Function to call with result.
+ * @returns {Promise} A promise that will resolve with the EnginesisResult as an error response.
+ */
+function immediateErrorResponse(serviceName, parameters, errorCode, errorMessage, overRideCallBackFunction) {
+    return new Promise(function(resolve) {
+        const enginesisResult = forceErrorResponseObject(serviceName, parameters.state_seq || 0, errorCode, errorMessage, parameters);
+        callbackPriority(enginesisResult, resolve, overRideCallBackFunction, enginesis.callBackFunction);
+    });
+}
+
+/**
+ * Description of each Enginesis service. A service is sent with `serviceCall()`, which validates the named parameters
+ * with this description first, and `services` has a function for each service made from it. A service description has:
+ *   * `parameters` {Array} each parameter in the order of the positional function, with `name` the named parameter,
+ *     `param` the server parameter when not the same, `type`, `required` true when it must have a value, and a `default`
+ *     value, or a function returning it, used when no value is given. A type is "string", "integer", "number",
+ *     "boolean" (sent as 1 or 0), "date", "list" (an array is sent comma separated), "data" (encoded with `safeData()`), or "any".
+ *   * `authenticated` {boolean} true when a user must be logged in.
+ *   * `idempotent` {boolean} false when it is not safe to send again, see `isIdempotentService()`.
+ *   * `prepared` {boolean} true when only the SDK function of the service can prepare its request, such as an
+ *     encrypted score. There is no `services` function for it.
+ */
+const serviceRegistry = {
+    ConferenceGet: {
+        parameters: [
+            {name: "conferenceId", param: "conference_id", type: "integer"},
+            {name: "visibleId", param: "visible_id", type: "string"}
+        ]
+    },
+    ConferenceTopicGet: {
+        parameters: [
+            {name: "conferenceId", param: "conference_id", type: "integer"},
+            {name: "visibleId", param: "visible_id", type: "string"},
+            {name: "conferenceTopicId", param: "conference_topic_id", type: "integer", required: true}
+        ]
+    },
+    ConferenceTopicList: {
+        parameters: [
+            {name: "conferenceId", param: "conference_id", type: "integer"},
+            {name: "visibleId", param: "visible_id", type: "string"},
+            {name: "tags", type: "list"},
+            {name: "startDate", param: "start_date", type: "date"},
+            {name: "endDate", param: "end_date", type: "date"},
+            {name: "startItem", param: "start_item", type: "integer"},
+            {name: "numItems", param: "num_items", type: "integer"}
+        ]
+    },
+    DeveloperGet: {
+        parameters: [
+            {name: "developerId", param: "developer_id", type: "integer", required: true}
+        ]
+    },
+    GameConfigGet: {
+        parameters: [
+            {name: "gameConfigId", param: "game_config_id", type: "integer", default: 0},
+            {name: "gameId", param: "game_id", type: "integer", required: true},
+            {name: "categoryId", param: "category", type: "integer", default: 1},
+            {name: "airDate", param: "air_date", type: "date"}
+        ]
+    },
+    GameDataCreate: {
+        parameters: [
+            {name: "fromAddress", param: "from_address", type: "string"},
+            {name: "fromName", param: "from_name", type: "string"},
+            {name: "toAddress", param: "to_address", type: "string", required: true},
+            {name: "toName", param: "to_name", type: "string"},
+            {name: "userMessage", param: "user_msg", type: "string"},
+            {name: "userFiles", param: "user_files", type: "string"},
+            {name: "gameData", param: "game_data", type: "data"},
+            {name: "nameTag", param: "name_tag", type: "string"},
+            {name: "addToGallery", param: "add_to_gallery", type: "boolean", default: false},
+            {name: "lastScore", param: "last_score", type: "number"}
+        ],
+        idempotent: false
+    },
+    GameDataGet: {
+        parameters: [
+            {name: "gameDataId", param: "game_data_id", type: "integer", required: true}
+        ]
+    },
+    GameFind: {
+        parameters: [
+            {name: "gameNamePart", param: "game_name_part", type: "string", required: true}
+        ]
+    },
+    GameFindByName: {
+        parameters: [
+            {name: "gameName", param: "game_name", type: "string", required: true}
+        ]
+    },
+    GameGet: {
+        parameters: [
+            {name: "gameId", param: "game_id", type: "integer", required: true}
+        ]
+    },
+    GameGetByName: {
+        parameters: [
+            {name: "gameName", param: "game_name", type: "string", required: true}
+        ]
+    },
+    GameListByCategory: {
+        parameters: [
+            {name: "numItemsPerCategory", param: "num_items_per_category", type: "integer"},
+            {name: "gameStatusId", param: "game_status_id", type: "integer"}
+        ]
+    },
+    GameListByIdList: {
+        parameters: [
+            {name: "gameIdList", param: "game_id_list", type: "list", required: true},
+            {name: "delimiter", type: "string", default: ","}
+        ]
+    },
+    GameListByMostPopular: {
+        parameters: [
+            {name: "startDate", param: "start_date", type: "date"},
+            {name: "endDate", param: "end_date", type: "date"},
+            {name: "startItem", param: "start_item", type: "integer"},
+            {name: "numberOfItems", param: "num_items", type: "integer"}
+        ]
+    },
+    GameListCategoryList: {
+        parameters: []
+    },
+    GameListList: {
+        parameters: []
+    },
+    GameListListGames: {
+        parameters: [
+            {name: "gameListId", param: "game_list_id", type: "integer", required: true}
+        ]
+    },
+    GameListListGamesByName: {
+        parameters: [
+            {name: "gameListName", param: "game_list_name", type: "string", required: true}
+        ]
+    },
+    GameListListRecommendedGames: {
+        parameters: [
+            {name: "gameListId", param: "game_list_id", type: "integer", required: true}
+        ]
+    },
+    GamePlayEventListByMostPlayed: {
+        parameters: [
+            {name: "startDate", param: "start_date", type: "date"},
+            {name: "endDate", param: "end_date", type: "date"},
+            {name: "numberOfItems", param: "num_items", type: "integer"}
+        ]
+    },
+    GameRatingGet: {
+        parameters: [
+            {name: "gameId", param: "game_id", type: "integer", required: true}
+        ]
+    },
+    GameRatingList: {
+        parameters: [
+            {name: "gameId", param: "game_id", type: "integer", required: true},
+            {name: "numberOfGames", param: "num_items", type: "integer"}
+        ]
+    },
+    GameRatingUpdate: {
+        parameters: [
+            {name: "gameId", param: "game_id", type: "integer", required: true},
+            {name: "rating", type: "integer", required: true}
+        ]
+    },
+    GameTrackingRecord: {
+        parameters: [
+            {name: "category", param: "hit_category", type: "string", required: true},
+            {name: "action", param: "hit_action", type: "string"},
+            {name: "label", param: "hit_label", type: "string"},
+            {name: "hitData", param: "hit_data", type: "string"},
+            {name: "hitType", param: "hit_type", type: "string", default: "game_event"}
+        ],
+        idempotent: false
+    },
+    NewsletterAddressAssign: {
+        parameters: [
+            {name: "emailAddress", param: "email_address", type: "string", required: true},
+            {name: "userName", param: "user_name", type: "string"},
+            {name: "companyName", param: "company_name", type: "string"},
+            {name: "categories", type: "list"},
+            {name: "delimiter", type: "string", default: ","}
+        ],
+        idempotent: false
+    },
+    NewsletterAddressDelete: {
+        parameters: [
+            {name: "emailAddress", param: "email_address", type: "string", required: true},
+            {name: "newsletterAddressId", param: "newsletter_address_id", type: "string", default: "NULL"}
+        ]
+    },
+    NewsletterAddressGet: {
+        parameters: [
+            {name: "emailAddress", param: "email_address", type: "string", required: true}
+        ]
+    },
+    NewsletterAddressUpdate: {
+        parameters: [
+            {name: "newsletterAddressId", param: "newsletter_address_id", type: "integer", required: true},
+            {name: "emailAddress", param: "email_address", type: "string"},
+            {name: "userName", param: "user_name", type: "string"},
+            {name: "companyName", param: "company_name", type: "string"},
+            {name: "active", type: "boolean"}
+        ]
+    },
+    NewsletterCategoryList: {
+        parameters: []
+    },
+    PromotionItemList: {
+        parameters: [
+            {name: "promotionId", param: "promotion_id", type: "integer", required: true},
+            {name: "queryDate", param: "query_date", type: "date"},
+            {name: "showItems", param: "show_items", type: "boolean"}
+        ]
+    },
+    QuizGet: {
+        parameters: [
+            {name: "quizId", param: "game_id", type: "integer", required: true}
+        ]
+    },
+    QuizOutcomesCountList: {
+        parameters: [
+            {name: "quizId", param: "game_id", type: "integer", required: true},
+            {name: "gameGroupId", param: "game_group_id", type: "integer"}
+        ]
+    },
+    QuizPlay: {
+        parameters: [
+            {name: "quizId", param: "game_id", type: "integer", required: true},
+            {name: "gameGroupId", param: "game_group_id", type: "integer"}
+        ]
+    },
+    QuizPlayScheduled: {
+        parameters: [
+            {name: "quizId", param: "game_id", type: "integer", required: true},
+            {name: "gameGroupId", param: "game_group_id", type: "integer"}
+        ]
+    },
+    QuizQuestionPlayed: {
+        parameters: [
+            {name: "quizId", param: "game_id", type: "integer", required: true},
+            {name: "questionId", param: "question_id", type: "integer", required: true},
+            {name: "choiceId", param: "choice_id", type: "integer"}
+        ],
+        idempotent: false
+    },
+    QuizSubmit: {
+        parameters: [
+            {name: "quizId", param: "game_id", type: "integer", required: true},
+            {name: "results", type: "any", required: true}
+        ],
+        idempotent: false
+    },
+    RecommendedGameList: {
+        parameters: [
+            {name: "gameId", param: "game_id", type: "integer", required: true}
+        ]
+    },
+    RegisteredUserConfirm: {
+        parameters: [
+            {name: "userId", param: "user_id", type: "integer", required: true},
+            {name: "secondaryPassword", param: "secondary_password", type: "string", required: true}
+        ]
+    },
+    RegisteredUserCreate: {
+        parameters: [
+            {name: "userName", param: "user_name", type: "string", required: true, default: function() {
+                return enginesisContext.anonymousUserGetUserName();
+            }},
+            {name: "password", type: "string", required: true},
+            {name: "email", param: "email_address", type: "string", default: function() {
+                return enginesisContext.anonymousUserGetSubscriberEmail();
+            }},
+            {name: "realName", param: "real_name", type: "string"},
+            {name: "dateOfBirth", param: "dob", type: "date"},
+            {name: "gender", type: "string"},
+            {name: "city", type: "string"},
+            {name: "state", type: "string"},
+            {name: "zipcode", type: "string"},
+            {name: "countryCode", param: "country_code", type: "string"},
+            {name: "mobileNumber", param: "mobile_number", type: "string"},
+            {name: "imId", param: "im_id", type: "string"},
+            {name: "tagline", type: "string"},
+            {name: "siteUserId", param: "site_user_id", type: "string"},
+            {name: "networkId", param: "network_id", type: "integer"},
+            {name: "agreement", type: "boolean"},
+            {name: "securityQuestionId", param: "security_question_id", type: "integer"},
+            {name: "securityAnswer", param: "security_answer", type: "string"},
+            {name: "imgUrl", param: "img_url", type: "string"},
+            {name: "aboutMe", param: "about_me", type: "string"},
+            {name: "additionalInfo", param: "additional_info", type: "any"},
+            {name: "sourceSiteId", param: "source_site_id", type: "integer"},
+            {name: "captchaId", param: "captcha_id", type: "string", default: captchaIdDefault},
+            {name: "captchaResponse", param: "captcha_response", type: "string", default: captchaResponseDefault}
+        ],
+        idempotent: false
+    },
+    RegisteredUserForgotPassword: {
+        parameters: [
+            {name: "userName", param: "user_name", type: "string"},
+            {name: "email", type: "string"}
+        ],
+        idempotent: false
+    },
+    RegisteredUserGet: {
+        parameters: [
+            {name: "userId", param: "get_user_id", type: "integer"},
+            {name: "siteUserId", param: "site_user_id", type: "string"},
+            {name: "networkId", param: "network_id", type: "integer"}
+        ]
+    },
+    RegisteredUserPasswordChange: {
+        parameters: [
+            {name: "captchaId", param: "captcha_id", type: "string", default: captchaIdDefault},
+            {name: "captchaResponse", param: "captcha_response", type: "string", default: captchaResponseDefault},
+            {name: "password", type: "string", required: true},
+            {name: "secondaryPassword", param: "secondary_password", type: "string", required: true}
+        ]
+    },
+    RegisteredUserRequestPasswordChange: {
+        parameters: [],
+        authenticated: true,
+        idempotent: false
+    },
+    RegisteredUserResetSecondaryPassword: {
+        parameters: [
+            {name: "userId", param: "user_id", type: "integer"},
+            {name: "userName", param: "user_name", type: "string"},
+            {name: "emailAddress", param: "email_address", type: "string"},
+            {name: "secondaryPassword", param: "secondary_password", type: "string"}
+        ],
+        idempotent: false
+    },
+    RegisteredUserSecurityGet: {
+        parameters: [
+            {name: "siteUserId", param: "site_user_id", type: "string", default: ""}
+        ],
+        authenticated: true
+    },
+    RegisteredUserSecurityUpdate: {
+        parameters: [
+            {name: "captchaId", param: "captcha_id", type: "string", default: captchaIdDefault},
+            {name: "captchaResponse", param: "captcha_response", type: "string", default: captchaResponseDefault},
+            {name: "securityQuestionId", param: "security_question_id", type: "integer"},
+            {name: "securityQuestion", param: "security_question", type: "string"},
+            {name: "securityAnswer", param: "security_answer", type: "string"}
+        ],
+        authenticated: true
+    },
+    RegisteredUserUpdate: {
+        parameters: [
+            {name: "userName", param: "user_name", type: "string"},
+            {name: "email", param: "email_address", type: "string"},
+            {name: "realName", param: "real_name", type: "string"},
+            {name: "dateOfBirth", param: "dob", type: "date"},
+            {name: "gender", type: "string"},
+            {name: "city", type: "string"},
+            {name: "state", type: "string"},
+            {name: "zipcode", type: "string"},
+            {name: "countryCode", param: "country_code", type: "string"},
+            {name: "mobileNumber", param: "mobile_number", type: "string"},
+            {name: "imId", param: "im_id", type: "string"},
+            {name: "tagline", type: "string"},
+            {name: "imgUrl", param: "img_url", type: "string"},
+            {name: "aboutMe", param: "about_me", type: "string"},
+            {name: "additionalInfo", param: "additional_info", type: "any"},
+            {name: "captchaId", param: "captcha_id", type: "string", default: captchaIdDefault},
+            {name: "captchaResponse", param: "captcha_response", type: "string", default: captchaResponseDefault},
+            {name: "userId", param: "user_id", type: "integer", default: function() {
+                return enginesisContext.userIdGet();
+            }}
+        ],
+        authenticated: true
+    },
+    ScoreRankList: {
+        parameters: [
+            {name: "gameId", param: "game_id", type: "integer", required: true},
+            {name: "level", param: "level_id", type: "integer"},
+            {name: "timePeriodType", param: "time_period_type", type: "integer", default: 0},
+            {name: "timePeriod", param: "time_period", type: "integer", default: 0},
+            {name: "startRank", param: "start_rank", type: "integer", default: 1},
+            {name: "numberOfRanks", param: "num_ranks", type: "integer", default: 100},
+            {name: "userId", param: "user_id", type: "integer"}
+        ]
+    },
+    ScoreSubmit: {
+        prepared: true,
+        authenticated: true,
+        idempotent: false
+    },
+    ScoreSubmitUnauth: {
+        parameters: [
+            {name: "gameId", param: "game_id", type: "integer", required: true},
+            {name: "userName", param: "user_name", type: "string", required: true},
+            {name: "score", type: "number", required: true},
+            {name: "gameData", param: "game_data", type: "data"},
+            {name: "timePlayed", param: "time_played", type: "integer"},
+            {name: "userSource", param: "user_source", type: "string"},
+            {name: "sessionId", param: "session_id", type: "string", default: function() {
+                return enginesis.sessionId;
+            }}
+        ],
+        idempotent: false
+    },
+    SessionBegin: {
+        prepared: true
+    },
+    SessionRefresh: {
+        prepared: true,
+        idempotent: false
+    },
+    SiteListGames: {
+        parameters: [
+            {name: "startItem", param: "start_item", type: "integer", default: 1},
+            {name: "numberOfItems", param: "num_items", type: "integer", default: 500},
+            {name: "gameStatusId", param: "game_status_id", type: "integer", default: 2}
+        ]
+    },
+    SiteListGamesRandom: {
+        parameters: [
+            {name: "numberOfItems", param: "num_items", type: "integer", default: 500}
+        ]
+    },
+    UserFavoriteGamesAssign: {
+        parameters: [
+            {name: "gameId", param: "game_id", type: "integer", required: true}
+        ],
+        authenticated: true
+    },
+    UserFavoriteGamesAssignList: {
+        parameters: [
+            {name: "gameIdList", param: "game_id_list", type: "list", required: true},
+            {name: "delimiter", type: "string", default: ","}
+        ],
+        authenticated: true
+    },
+    UserFavoriteGamesList: {
+        parameters: [],
+        authenticated: true
+    },
+    UserFavoriteGamesMove: {
+        parameters: [
+            {name: "gameId", param: "game_id", type: "integer", required: true},
+            {name: "sortOrder", param: "sort_order", type: "integer", required: true}
+        ],
+        authenticated: true
+    },
+    UserFavoriteGamesUnassign: {
+        parameters: [
+            {name: "gameId", param: "game_id", type: "integer", required: true}
+        ],
+        authenticated: true
+    },
+    UserFavoriteGamesUnassignList: {
+        parameters: [
+            {name: "gameIdList", param: "game_id_list", type: "list", required: true},
+            {name: "delimiter", type: "string", default: ","}
+        ],
+        authenticated: true
+    },
+    UserGetByEmail: {
+        parameters: [
+            {name: "emailAddress", param: "email_address", type: "string", required: true}
+        ]
+    },
+    UserGetByName: {
+        parameters: [
+            {name: "userName", param: "user_name", type: "string", required: true}
+        ]
+    },
+    UserLogin: {
+        parameters: [
+            {name: "userName", param: "user_name", type: "string", required: true},
+            {name: "password", type: "string", required: true}
+        ]
+    },
+    UserLoginCoreg: {
+        parameters: [
+            {name: "siteUserId", param: "site_user_id", type: "string", required: true},
+            {name: "userName", param: "user_name", type: "string"},
+            {name: "realName", param: "real_name", type: "string"},
+            {name: "emailAddress", param: "email_address", type: "string"},
+            {name: "gender", type: "string", default: "U"},
+            {name: "dob", type: "date"},
+            {name: "networkId", param: "network_id", type: "integer", required: true},
+            {name: "scope", type: "string", default: ""},
+            {name: "agreement", type: "string", default: "0"},
+            {name: "avatarURL", param: "avatar_url", type: "string", default: ""},
+            {name: "idToken", param: "id_token", type: "string", default: ""}
+        ],
+        idempotent: false
+    },
+    UserLogout: {
+        parameters: []
+    },
+    VoteCountPerURIGroup: {
+        parameters: [
+            {name: "voteGroupURI", param: "vote_group_uri", type: "string", required: true}
+        ]
+    },
+    VoteForURIUnauth: {
+        parameters: [
+            {name: "voteURI", param: "uri", type: "string", required: true},
+            {name: "voteGroupURI", param: "vote_group_uri", type: "string", required: true},
+            {name: "voteValue", param: "vote_value", type: "number", required: true},
+            {name: "securityKey", param: "security_key", type: "string"}
+        ],
+        idempotent: false
+    }
+};
+
+/**
+ * The captcha sent when none is given.
+ * @returns {string} The captcha id.
+ */
+function captchaIdDefault() {
+    return enginesis.captchaId;
+}
+
+/**
+ * The captcha response sent when none is given.
+ * @returns {string} The captcha response.
+ */
+function captchaResponseDefault() {
+    return enginesis.captchaResponse;
+}
+
+/**
+ * Determine if it is safe to send a request to a service again after it failed. The `serviceIsIdempotent`
+ * init parameter overrides the service registry, services that are not registered are idempotent.
+ * @param {string} serviceName The Enginesis service.
+ * @returns {boolean} True if the service is idempotent.
+ */
+function isIdempotentService(serviceName) {
+    if (typeof enginesis.serviceIsIdempotent[serviceName] === "boolean") {
+        return enginesis.serviceIsIdempotent[serviceName];
+    }
+    return serviceRegistry[serviceName] === undefined || serviceRegistry[serviceName].idempotent !== false;
+}
+
+/**
+ * Convert a parameter value to what is sent to the server, if it is a value of the parameter type.
+ * @param {any} value The value given.
+ * @param {string} type The type of the parameter, see `serviceRegistry`.
+ * @returns {any} The value to send, or undefined if the value is not of the type.
+ */
+function serviceParameterValue(value, type) {
+    if (type == "string") {
+        return typeof value === "string" || typeof value === "number" ? value : undefined;
+    } else if (type == "integer") {
+        return Number.isInteger(value) || (typeof value === "string" && /^-?\d+$/.test(value)) ? value : undefined;
+    } else if (type == "number") {
+        return (typeof value === "number" && isFinite(value)) || (typeof value === "string" && value.trim() != "" && isFinite(value)) ? value : undefined;
+    } else if (type == "boolean") {
+        if (value === true || value === 1 || value === "1" || value === "true") {
+            return 1;
+        }
+        return value === false || value === 0 || value === "0" || value === "false" ? 0 : undefined;
+    } else if (type == "date") {
+        if (value instanceof Date) {
+            return isNaN(value.getTime()) ? undefined : value.toISOString().slice(0, 10);
+        }
+        return typeof value === "string" ? value : undefined;
+    } else if (type == "list") {
+        if (Array.isArray(value)) {
+            return value.join(",");
+        }
+        return typeof value === "string" || typeof value === "number" ? value : undefined;
+    } else if (type == "data") {
+        return safeData(value);
+    }
+    return value;
+}
+
+/**
+ * Make the server parameters of a service request from its named parameters, as the service registry describes them.
+ * @param {string} serviceName The Enginesis service.
+ * @param {object} namedParameters The named parameters, see the `parameters` of the service in `serviceRegistry`.
+ * @param {boolean} isLenient True to leave to the server a missing required parameter, a value not of its type,
+ *   which is sent as given, and a service for a logged in user when no user is logged in.
+ * @returns {object} The `parameters` to send, or the `errorCode` and `errorMessage` of why the request cannot be sent.
+ */
+function serviceParametersMake(serviceName, namedParameters, isLenient) {
+    const service = serviceRegistry[serviceName];
+    const parameters = {};
+    if (service === undefined || service.prepared) {
+        return {errorCode: "INVALID_SERVICE_REQUEST", errorMessage: "There is no service " + serviceName + " to call with named parameters."};
+    }
+    if (namedParameters == null || typeof namedParameters !== "object" || Array.isArray(namedParameters)) {
+        return {errorCode: "INVALID_PARAMETER", errorMessage: serviceName + " parameters must be an object of named parameters."};
+    }
+    const unknownParameter = Object.keys(namedParameters).find(function(parameterName) {
+        return ! service.parameters.some(function(parameter) {
+            return parameter.name == parameterName;
+        });
+    });
+    if (unknownParameter !== undefined) {
+        return {errorCode: "INVALID_PARAMETER", errorMessage: serviceName + " has no parameter " + unknownParameter + "."};
+    }
+    if (service.authenticated && ! enginesis.isUserLoggedIn && ! isLenient) {
+        return {errorCode: "NOT_LOGGED_IN", errorMessage: serviceName + " requires a logged in user."};
+    }
+    for (const parameter of service.parameters) {
+        let value = namedParameters[parameter.name];
+        if ((value === undefined || value === null || value === "") && parameter.default !== undefined) {
+            value = typeof parameter.default === "function" ? parameter.default() : parameter.default;
+        }
+        if (value === undefined || value === null || value === "") {
+            if (parameter.required && ! isLenient) {
+                return {errorCode: "MISSING_PARAM", errorMessage: serviceName + " requires " + parameter.name + "."};
+            }
+            if (value === "") {
+                parameters[parameter.param || parameter.name] = value;
+            }
+        } else {
+            const serverValue = serviceParameterValue(value, parameter.type);
+            if (serverValue === undefined && ! isLenient) {
+                return {errorCode: "INVALID_PARAMETER", errorMessage: serviceName + " " + parameter.name + " must be of type " + parameter.type + "."};
+            }
+            parameters[parameter.param || parameter.name] = serverValue === undefined ? value : serverValue;
+        }
+    }
+    return {parameters: parameters};
+}
+
+/**
+ * Send a request to a service with named parameters. The parameters are validated with the service registry
+ * and the request is not sent when they are not valid.
+ * @param {string} serviceName The Enginesis service.
+ * @param {object} namedParameters The named parameters of the service.
+ * @param {function} overRideCallBackFunction Optional function to call when service request completes.
+ * @param {object} requestOptions Optional request options, see `sendRequest`.
+ * @returns {Promise} Resolves with the EnginesisResult, a MISSING_PARAM, INVALID_PARAMETER, or NOT_LOGGED_IN
+ *   error when the request cannot be sent.
+ */
+function serviceCall(serviceName, namedParameters, overRideCallBackFunction, requestOptions) {
+    const serviceRequest = serviceParametersMake(serviceName, namedParameters);
+    if (serviceRequest.errorCode) {
+        return immediateErrorResponse(serviceName, {}, serviceRequest.errorCode, serviceRequest.errorMessage, overRideCallBackFunction);
+    }
+    return sendCachedRequest(serviceName, serviceRequest.parameters, overRideCallBackFunction, requestOptions);
+}
+
+/**
+ * Send a request of one of the positional SDK functions, such as `userLogin(userName, password)`. These send what they
+ * are given as they did before the service registry: only the named parameters are checked, the server answers
+ * a missing or invalid parameter, or a service for a logged in user when no user is logged in.
+ * @param {string} serviceName The Enginesis service.
+ * @param {object} namedParameters The named parameters of the service.
+ * @param {function} overRideCallBackFunction Optional function to call when service request completes.
+ * @param {object} requestOptions Optional request options, see `sendRequest`.
+ * @returns {Promise} Resolves with the EnginesisResult.
+ */
+function serviceCallPositional(serviceName, namedParameters, overRideCallBackFunction, requestOptions) {
+    const serviceRequest = serviceParametersMake(serviceName, namedParameters, true);
+    if (serviceRequest.errorCode) {
+        return immediateErrorResponse(serviceName, {}, serviceRequest.errorCode, serviceRequest.errorMessage, overRideCallBackFunction);
+    }
+    return sendCachedRequest(serviceName, serviceRequest.parameters, overRideCallBackFunction, requestOptions);
+}
+
+/**
+ * Make the `services` function of a service, named after the service, such as `registeredUserCreate`
+ * for RegisteredUserCreate. It takes the named parameters, a call back function, and request options.
+ * @param {string} serviceName The Enginesis service.
+ */
+function serviceFunctionMake(serviceName) {
+    if ( ! serviceRegistry[serviceName].prepared) {
+        services[serviceName.charAt(0).toLowerCase() + serviceName.substring(1)] = function(namedParameters, overRideCallBackFunction, requestOptions) {
+            return serviceCall(serviceName, namedParameters || {}, overRideCallBackFunction, requestOptions);
+        };
+    }
+}
+
+/**
+ * A function for each service of the service registry, see `serviceFunctionMake()`.
+ */
+const services = {};
+Object.keys(serviceRegistry).forEach(serviceFunctionMake);
+
+/**
+ * Internal function to make a parameter object complementing a service request. Depending on the
+ * current state of the system specific internal variables are appended to the service request.
+ * @param {string} serviceName Enginesis service endpoint.
+ * @param {object} additionalParameters Key/value pairs of parameters and their respective values.
+ * @returns {object} An object to be used in an Enginesis service request.
+ */
+function serverParamObjectMake (serviceName, additionalParameters) {
+    enginesis.internalStateSeq += 1;
+    // these are defaults that could be overridden with additionalParameters
+    const serverParams = {
+        fn: serviceName,
+        language_code: enginesis.languageCode,
+        site_id: enginesis.siteId,
+        state_seq: enginesis.internalStateSeq,
+        state_status: 0,
+        response: "json"
+    };
+    if (enginesis.loggedInUserInfo && enginesis.authTokenWasValidated && Math.floor(enginesis.loggedInUserInfo.user_id) != 0) {
+        serverParams.authtok = enginesis.authToken;
+        if (serviceName == "SessionRefresh") {
+            serverParams.logged_in_user_id = enginesis.loggedInUserInfo.user_id;
+        }
+    }
+    if (enginesis.gameId) {
+        serverParams.game_id = enginesis.gameId;
+    }
+    if (additionalParameters != null) {
+        for (const key in additionalParameters) {
+            if (additionalParameters.hasOwnProperty(key)) {
+                serverParams[key] = additionalParameters[key];
+            }
+        }
+    }
+    return serverParams;
+}
+
+/**
+ * Generate an internal error that looks the same as an error response from the server.
+ * @param {string} serviceName The official Enginesis service endpoint that was invoked.
+ * @param {integer} stateSeq Session serial number.
+ * @param {string} errorCode An Enginesis error code.
+ * @param {string} errorMessage Additional info about the error, such as data conditions.
+ * @param {object} passThrough Object of parameters supplied to the service endpoint.
+ * @returns {string} a JSON string representing a standard Enginesis error.
+ */
+function forceErrorResponseString(serviceName, stateSeq, errorCode, errorMessage, passThrough) {
+    return JSON.stringify(forceErrorResponseObject(serviceName, stateSeq, errorCode, errorMessage, passThrough));
+}
+
+/**
+ * Generate an internal error that looks the same as an error response from the server.
+ * @param {string} serviceName The official Enginesis service endpoint that was invoked.
+ * @param {integer} sequenceNumber Session serial number.
+ * @param {string} errorCode An Enginesis error code.
+ * @param {string} errorMessage Additional info about the error, such as data conditions.
+ * @param {object} passThrough Object of parameters supplied to the service endpoint.
+ * @returns {object} the Enginesis error object.
+ */
+function forceErrorResponseObject(serviceName, sequenceNumber, errorCode, errorMessage, passThrough) {
+    if (typeof serviceName === "undefined" || serviceName === null || serviceName == "") {
+        serviceName = "unknown";
+    }
+    if (typeof sequenceNumber === "undefined" || sequenceNumber == null) {
+        sequenceNumber = 0;
+    }
+    if (typeof passThrough === "undefined" || passThrough == null) {
+        passThrough = {};
+    }
+    if (typeof passThrough.fn === "undefined" || passThrough.fn == null) {
+        passThrough.fn = serviceName;
+    }
+    if (typeof passThrough.state_seq === "undefined" || passThrough.state_seq == null) {
+        passThrough.state_seq = sequenceNumber;
+    }
+    const isError = ! (errorCode == "" || errorCode == "NO_ERROR");
+    return {
+        fn: serviceName,
+        results: {
+            result: [],
+            status: {
+                success: isError ? "0" : "1",
+                message: errorCode,
+                extended_info: errorMessage
+            },
+            passthru: passThrough
+        }
+    };
+}
+
+/**
+ * Convert a parameter object to a proper HTTP Form request. Properties internal to the SDK are not included.
+ * @param {object} parameterObject The object to convert.
+ * @param {boolean} useFormData Optional, true to return a FormData object, false to return a plain
+ *   key/value object. Default is FormData only when running in a browser.
+ * @returns {FormData|object} Form data object to be used in HTTP request.
+ */
+function convertParamsToFormData (parameterObject, useFormData) {
+    let formDataObject;
+    if (typeof useFormData === "undefined") {
+        useFormData = enginesis.isBrowserBuild;
+    }
+    if (useFormData) {
+        formDataObject = new FormData();
+    } else {
+        formDataObject = {};
+    }
+    for (const key in parameterObject) {
+        if (parameterObject.hasOwnProperty(key) && typeof parameterObject[key] !== "function" && ! isInternalRequestProperty(key)) {
+            if (useFormData) {
+                formDataObject.append(key, parameterObject[key]);
+            } else {
+                formDataObject[key] = parameterObject[key];
+            }
+        }
+    }
+    return formDataObject;
+}
+
+/**
+ * When Enginesis is offline durable messages are queued and all others fail.
+ * @returns {boolean} True if set offline, otherwise false for online.
+ */
+function setOffline() {
+    let fromOnlineToOffline;
+    if (enginesis.isOnline) {
+        saveServiceQueue();
+        fromOnlineToOffline = true;
+    } else {
+        fromOnlineToOffline = false;
+    }
+    enginesis.isOnline = false;
+    if (fromOnlineToOffline) {
+        emitEvent("offline", {
+            queueLength: enginesis.serviceQueue.length
+        });
+    }
+    return fromOnlineToOffline;
+}
+
+/**
+ * When network connectivity is restored process all messages in the queue.
+ * @returns {Promise} Resolve is called once all items in the queue are complete, or we go back offline.
+ */
+function restoreOnline() {
+    const wasOffline = ! enginesis.isOnline;
+    enginesis.isOnline = true;
+
+    if (wasOffline) {
+        emitEvent("online", {
+            queueLength: enginesis.serviceQueue.length
+        });
+    }
+    return restoreServiceQueue()
+    .then(function() {
+        const requestsSent = enginesis.requestsSent;
+        processServiceQueue();
+        return waitForServiceQueueIdle()
+        .then(scoreVaultFlush)
+        .then(function() {
+            return saveSlotsSync();
+        })
+        .then(function() {
+            const messagesProcessed = enginesis.requestsSent - requestsSent;
+            // If we went back offline while processing the queue the offline event was already sent.
+            if (enginesis.isOnline && messagesProcessed > 0) {
+                emitEvent("queueFlushed", {
+                    messagesProcessed: messagesProcessed
+                });
+            }
+        });
+    });
+}
+
+/**
+ * Set the internal https protocol flag based on the current page we are loaded on. There
+ * is a special case for when we are running in Node with Jest.
+ */
+function setProtocolFromCurrentLocation () {
+    if (enginesis.isBrowserBuild && ! enginesis.isNodeBuild) {
+        enginesis.useHTTPS = window.location.protocol == "https:";
+    } else {
+        enginesis.useHTTPS = true;
+    }
+    return enginesis.useHTTPS;
+}
+
+/**
+ * Return the proper protocol based on our internal HTTPS setting.
+ * @returns {string}
+ */
+function getProtocol() {
+    return enginesis.useHTTPS ? "https://" : "http://";
+}
+
+/**
+ * Return the domain name and TLD only (remove server name, protocol, anything else) e.g. this function
+ * converts http://www.games.com into games.com or http://www.games-q.com into games-q.com
+ * @param {string} domain A string we expect to contain a domain, like service.enginesis.com.
+ * @return {string} A top-level domain, like enginesis.com.
+ */
+function serverTail(requestedDomain) {
+    let domain = requestedDomain ? requestedDomain : enginesis.serverHost;
+    let slashPos = domain.indexOf("://");
+    if (slashPos >= 0) {
+        domain = domain.substring(slashPos + 3);
+    }
+    slashPos = domain.indexOf("/");
+    if (slashPos > 0) {
+        domain = domain.substring(0, slashPos);
+    }
+    const domainParts = domain.split(".");
+    const numParts = domainParts.length;
+    if (numParts > 1) {
+        domain = domainParts[numParts - 2] + "." + domainParts[numParts - 1];
+    }
+    return domain;
+}
+
+/**
+ * Use the server host given to `init` with the `serverHost` option. A protocol in the host sets
+ * the protocol, otherwise HTTPS is used. The stage is found in the host name.
+ * @param {string} requestedServerHost Host name with an optional protocol and port, such as "enginesis-q.com"
+ *   or "http://localhost:8088".
+ * @returns {string} The server stage.
+ */
+function setServerHost(requestedServerHost) {
+    let serverHost = requestedServerHost.trim().replace(/\/+$/, "");
+    const protocolMatch = /^(https?):\/\//i.exec(serverHost);
+    if (protocolMatch != null) {
+        enginesis.useHTTPS = protocolMatch[1].toLowerCase() == "https";
+        serverHost = serverHost.substring(protocolMatch[0].length);
+    } else {
+        enginesis.useHTTPS = true;
+    }
+    const regMatch = /-[ldqx]\./.exec(serverHost);
+    if (regMatch != null && regMatch.index > 0) {
+        enginesis.serverStage = serverHost.substring(regMatch.index, regMatch.index + 2);
+    } else if (serverHost.substring(0, 9) == "localhost" || serverHost.substring(0, 9) == "127.0.0.1") {
+        enginesis.serverStage = "-l";
+    } else {
+        enginesis.serverStage = "";
+    }
+    enginesis.serverHost = serverHost;
+    enginesis.siteResources.serviceURL = getProtocol() + enginesis.serverHost + "/index.php";
+    enginesis.siteResources.avatarImageURL = getProtocol() + enginesis.serverHost + "/avatar/index.php";
+    enginesis.siteResources.assetUploadURL = getProtocol() + enginesis.serverHost + "/procs/asset.php";
+    return enginesis.serverStage;
+}
+
+/**
+ * Set the server stage we will converse with using some simple heuristics.
+ * @param {string} newServerStage Server stage to communicate with.
+ * @returns {string} The server stage that was set.
+ */
+function qualifyAndSetServerStage (newServerStage) {
+    // Without a page there is no current host, the stage must be given, otherwise it is the local development stage.
+    const currentHost = enginesis.isBrowserBuild ? window.location.host : "enginesis-l.com";
+    let isLocalhost = false;
+    let regMatch;
+    enginesis.serverHost = null;
+
+    if ( ! isEmpty(enginesis.requestedServerHost)) {
+        return setServerHost(enginesis.requestedServerHost);
+    }
+
+    if (newServerStage === undefined || newServerStage === null) {
+        // if a stage is not request then match the current stage
+        newServerStage = "*";
+    }
+    switch (newServerStage) {
+    case "":
+    case "-l":
+    case "-d":
+    case "-q":
+    case "-x":
+        // use the stage requested
+        enginesis.serverStage = newServerStage;
+        break;
+    case "*":
+        // match the stage matching current host
+        if (currentHost.substring(0, 9) == "localhost") {
+            newServerStage = "-l";
+            isLocalhost = true;
+        } else {
+            regMatch = /-[ldqx]\./.exec(currentHost);
+            if (regMatch != null && regMatch.index > 0) {
+                newServerStage = currentHost.substring(regMatch.index, regMatch.index + 2);
+            } else {
+                // anything we do not expect goes to the live instance
+                newServerStage = "";
+            }
+        }
+        enginesis.serverStage = newServerStage;
+        break;
+    default:
+        // if it was not a stage match assume it is a full host name, find the stage in it if it exists
+        regMatch = /-[ldqx]\./.exec(newServerStage);
+        if (regMatch != null && regMatch.index > 0) {
+            enginesis.serverStage = newServerStage.substring(regMatch.index, regMatch.index + 2);
+        } else {
+            // anything we do not expect goes to the live instance
+            enginesis.serverStage = "";
+        }
+        // use the domain requested
+        enginesis.serverHost = newServerStage;
+        break;
+    }
+    if (enginesis.serverHost === null) {
+        // convert www.host.tld into enginesis.host.tld
+        const service = "enginesis";
+        const domainParts = currentHost.split(".");
+        const numberOfParts = domainParts.length;
+        if (numberOfParts > 1) {
+            const host = domainParts[numberOfParts - 2].replace(/-[ldqx]$/, "");
+            if (host != service) {
+                enginesis.serverHost = service + ".";
+            } else {
+                enginesis.serverHost = "";
+            }
+            enginesis.serverHost += host
+                + enginesis.serverStage
+                + "." + domainParts[numberOfParts - 1];
+        } else if (isLocalhost) {
+            enginesis.serverHost = "enginesis-l.com";
+        } else {
+            enginesis.serverHost = currentHost;
+        }
+    }
+    enginesis.siteResources.serviceURL = getProtocol() + enginesis.serverHost + "/index.php";
+    enginesis.siteResources.avatarImageURL = getProtocol() + enginesis.serverHost + "/avatar/index.php";
+    enginesis.siteResources.assetUploadURL = getProtocol() + enginesis.serverHost + "/procs/asset.php";
+    return enginesis.serverStage;
+}
+
+/**
+ * Determine if the device we are running on is considered a touch interface.
+ * @returns {boolean} true if touch available, false if not.
+ */
+function touchDevice () {
+    let isTouch = false;
+    if (enginesis.isBrowserBuild) {
+        if ("ontouchstart" in window) {
+            isTouch = true;
+        } else if (window.DocumentTouch && document instanceof DocumentTouch) {
+            isTouch = true;
+        }
+    }
+    return isTouch;
+}
+
+/**
+ * Cache settings regarding the current platform we are running on.
+ */
+function setPlatform () {
+    if (enginesis.isBrowserBuild) {
+        enginesis.platform = "browser";
+        enginesis.locale = navigator.language;
+        enginesis.isNativeBuild = window.location.protocol == "file:";
+        enginesis.isTouchDeviceFlag = touchDevice();
+    } else {
+        enginesis.platform = "nodejs";
+        enginesis.locale = "en";
+        enginesis.isNativeBuild = true;
+        enginesis.isTouchDeviceFlag = false;
+    }
+}
+
+/**
+ * Set the language code for Enginesis error messages and service responses.
+ * @param {string} languageCode 2-letter language code, e.g. "en".
+ */
+function setLanguageCode(languageCode) {
+    if (isEmpty(languageCode)) {
+        languageCode = "en";
+    } else if (languageCode.length > 2) {
+        languageCode = languageCode.substring(0, 2);
+    }
+    return languageCode;
+}
+
+/**
+ * Return the current document query string as an object with
+ * key/value pairs converted to properties.
+ * @param {string} urlParameterString An optional query string to parse as the query string. If not
+ *   provided then use window.location.search.
+ * @return {object} result The query string converted to an object of key/value pairs.
+ */
+function queryStringToObject (urlParameterString) {
+    const search = /([^&=]+)=?([^&]*)/g;
+    const result = {};
+    let match;
+    let queryString;
+
+    function decode(s) {
+        return decodeURIComponent(s.replace(/\+/g, " "));
+    }
+
+    if ( ! urlParameterString && enginesis.isBrowserBuild) {
+        queryString = window.location.search.substring(1);
+    } else {
+        if (urlParameterString) {
+            queryString = urlParameterString;
+        } else {
+            return result;
+        }
+    }
+    if (queryString[0] == "?") {
+        queryString = queryString.substring(1);
+    }
+    while ((match = search.exec(queryString)) != null) {
+        result[decode(match[1])] = decode(match[2]);
+    }
+    return result;
+}
+
+/**
+ * Return the contents of the cookie indexed by the specified key.
+ * @param {string} key Indicate which cookie to get.
+ * @returns {string} Contents of cookie stored with key.
+ */
+function cookieGet (key) {
+    if ( ! key) {
+        return null;
+    } else if ( ! hasDocumentCookie()) {
+        const savedCookie = loadObjectWithKey(enginesis.cookieStorageKeyPrefix + key);
+        if (savedCookie != null && savedCookie.expires > 0 && savedCookie.expires <= Date.now()) {
+            removeObjectWithKey(enginesis.cookieStorageKeyPrefix + key);
+            return null;
+        }
+        return savedCookie ? savedCookie.value : null;
+    } else {
+        return decodeURIComponent(window.document.cookie.replace(new RegExp("(?:(?:^|.*;)\\s*" + encodeURIComponent(key).replace(/[\-\.\+\*]/g, "\\$&") + "\\s*\\=\\s*([^;]*).*$)|^.*$"), "$1")) || null;
+    }
+}
+
+/**
+ * Determine if cookies can be set, which needs a browser `document`. When there is no document,
+ * such as in Node.js, cookies are kept in storage with the key prefix `cookieStorageKeyPrefix`.
+ * @returns {boolean} True if there is `document.cookie`.
+ */
+function hasDocumentCookie() {
+    return typeof window !== "undefined" && window.document != null && typeof window.document.cookie === "string";
+}
+
+/**
+ * Figure out which domain we want to save the cookie under. We always want to set
+ * the cookie domain to the top-level server, e.g. `enginesis.com`.
+ * @param {string} requestedDomain A proposed domain to set the cookie on. If empty, will use
+ *   the domain of the server we are connecting to.
+ * @returns {string} The domain we want to set the cookie on.
+ */
+function sessionCookieDomain(requestedDomain) {
+    return serverTail(requestedDomain);
+}
+
+/**
+ * Convert a cookie expiration to the time it expires.
+ * @param {Number|String|Date} expiration Max age in seconds, or a GMT date string, or a Date. Empty never expires.
+ * @returns {Number} Time the cookie expires, in milliseconds since the epoch. 0 if it never expires.
+ */
+function cookieExpirationTime(expiration) {
+    let expires = 0;
+    if (expiration) {
+        if (expiration.constructor == Number) {
+            expires = expiration === Infinity ? 0 : Date.now() + (expiration * 1000);
+        } else if (expiration.constructor == String || expiration.constructor == Date) {
+            expires = new Date(expiration).getTime() || 0;
+        }
+    }
+    return expires;
+}
+
+/**
+ * Set a cookie indexed by the specified key.
+ * @param {string} key Indicate which cookie to set.
+ * @param {object} value Value to store under key. If null, expire the prior cookie.
+ * @param {Number|String|Date} expiration When the cookie should expire. Number indicates
+ *   max age, in seconds. String indicates GMT date. Date is converted to GMT date.
+ * @param {string} path Cookie URL path.
+ * @param {string} domain Cookie domain.
+ * @param {boolean} isSecure Set cookie secure flag. Default is true.
+ * @return {boolean|string} true if set, false if error. Returns string if not running in
+ *   a browser environment, such as Node, where the cookie is saved in storage instead.
+ */
+function cookieSet (key, value, expiration, path, domain, isSecure) {
+    let cookieData;
+
+    if ( ! domain) {
+        domain = sessionCookieDomain(enginesis.serverHost);
+    }
+    if ( ! key || /^(?:expires|max\-age|path|domain|secure)$/i.test(key)) {
+        // This is an invalid cookie key.
+        return false;
+    }
+    if (value === null || typeof value === "undefined") {
+        // remove the cookie by expiring it
+        cookieData = "; expires=Thu, 01 Jan 1970 00:00:00 GMT" + (domain ? "; domain=" + domain : "") + (path ? "; path=" + path : "");
+    } else {
+        const neverExpires = "expires=Fri, 31 Dec 9999 23:59:59 GMT";
+        const sameSite = "SameSite=LAX";
+        let expires = "";
+        if (typeof isSecure === "undefined") {
+            isSecure = true;
+        }
+        if (typeof value === "object") {
+            value = JSON.stringify(value);
+        }
+        if (expiration) {
+            switch (expiration.constructor) {
+            case Number:
+                expires = expiration === Infinity ? neverExpires : "; max-age=" + expiration;
+                break;
+            case String:
+                expires = "expires=" + expiration;
+                break;
+            case Date:
+                expires = "expires=" + expiration.toUTCString();
+                break;
+            default:
+                expires = neverExpires;
+                break;
+            }
+        } else {
+            expires = neverExpires;
+        }
+        cookieData = encodeURIComponent(value) + "; "
+            + expires + "; "
+            + (domain ? ("domain=" + domain + "; ") : "")
+            + (path ? ("path=" + path + "; ") : "")
+            + sameSite + "; "
+            + (isSecure ? "Secure;" : "");
+    }
+    if ( ! hasDocumentCookie()) {
+        // If the document object is undefined then we are running in Node.
+        if (value === null || typeof value === "undefined") {
+            removeObjectWithKey(enginesis.cookieStorageKeyPrefix + key);
+        } else {
+            saveObjectWithKey(enginesis.cookieStorageKeyPrefix + key, {
+                value: value,
+                expires: cookieExpirationTime(expiration)
+            });
+        }
+        return cookieData;
+    }
+    window.document.cookie = encodeURIComponent(key) + "=" + cookieData;
+    return true;
+}
+
+/**
+ * Get info about the current logged in user, if there is one, from authtok parameter or cookie.
+ * The authentication token can be provided to the game via query string (authtok=xxx) or
+ * stored in a HTTP session cookie. The priority logic is:
+ *   1. use authToken provided as a parameter to `enginesis.init()`
+ *   2. else, use authtok provided as a query to the current page
+ *   3. else, use authToken saved in enginesis session cookie
+ * @param {string} authToken can be specified if one is being passed around, but it still requires validation.
+ * @returns {boolean} true if a user is restored this way, false if not.
+ */
+function restoreUserFromAuthToken (authToken) {
+    let wasRestored = false;
+    let loggedInUserInfo = null;
+
+    if (isEmpty(authToken)) {
+        // if a token was not provided, try to find it in a cache in the following order:
+        // 1. from server-supplied cookie
+        // 2. from query string parameter
+        // 3. in local storage from prior session
+        authToken = cookieGet(enginesis.SESSION_COOKIE);
+        if (isEmpty(authToken)) {
+            const queryParameters = queryStringToObject();
+            if (queryParameters.authtok !== undefined) {
+                authToken = queryParameters.authtok;
+            }
+            if (isEmpty(authToken)) {
+                loggedInUserInfo = loadObjectWithKey(enginesis.SESSION_USERINFO);
+                if (loggedInUserInfo != null && loggedInUserInfo.authToken) {
+                    authToken = loggedInUserInfo.authToken;
+                }
+            }
+        }
+    }
+    if ( ! isEmpty(authToken)) {
+        // @todo: Validate the token (for now we are accepting that it is valid but we should check!) If the authToken is valid then we can trust the userInfo
+        // @todo: we can use cr to validate the token was not changed
+        if (loggedInUserInfo == null) {
+            loggedInUserInfo = JSON.parse(cookieGet(enginesis.SESSION_USERINFO));
+            if (loggedInUserInfo == null) {
+                loggedInUserInfo = loadObjectWithKey(enginesis.SESSION_USERINFO);
+            }
+        }
+        if (loggedInUserInfo != null) {
+            enginesis.authToken = authToken;
+            enginesis.authTokenExpires = null; // @todo: Need to get the expiry of this token.
+            enginesis.authTokenWasValidated = true; // @todo: we should verify this payload is valid.
+            enginesis.isUserLoggedIn = Math.floor(loggedInUserInfo.user_id) > 0;
+            enginesis.loggedInUserInfo = loggedInUserInfo;
+            enginesis.networkId = Math.floor(loggedInUserInfo.network_id);
+            wasRestored = true;
+        } else {
+            // if we have an auth token but we did not cache the user info, then
+            // if we trust that token, we need to log this user in
+            debugLog("restoreUserFromAuthToken valid token but no cached user " + authToken);
+        }
+    }
+    return wasRestored;
+}
+
+/**
+ * Remove the local cache of user info.
+ */
+function clearUserSessionInfo() {
+    removeObjectWithKey(enginesis.SESSION_USERINFO);
+    _clearRefreshToken();
+    cookieSet(enginesis.SESSION_USERINFO, null, 0, "/", sessionCookieDomain(enginesis.serverHost), true);
+    initializeLocalSessionInfo();
+}
+
+/**
+ * Once a user logs in successfully we save the important data in a local cache so we can
+ * restore the session between game loads. If the session expires we can use a session
+ * refresh instead of asking the user to log in again.
+ * @param {Object|null} sessionInfo the parameters that define the user session, otherwise saves
+ *   what is already set on the current session.
+ *   sessionInfo.expires is a UTC date when this info should expire.
+ * @returns {boolean} true if the save was successful, otherwise false.
+ */
+function saveUserSessionInfo(sessionInfo) {
+    let haveValidSession;
+    if (sessionInfo) {
+        haveValidSession = sessionVerifyHash(sessionInfo.cr, null);
+        if ( ! haveValidSession) {
+            const hash = sessionMakeHash(enginesis.loggedInUserInfo);
+            debugLog("Possible payload compromise: provided hash " + sessionInfo.cr + " does not match computer here " + hash);
+            // @todo: What action to take if hash does not agree?
+        }
+        haveValidSession = true;
+        enginesis.sessionId = sessionInfo.session_id;
+        enginesis.sessionExpires = newSessionExpireTime();
+        enginesis.authToken = sessionInfo.authToken || sessionInfo.authtok;
+        enginesis.authTokenExpires = enginesis.sessionExpires;
+        enginesis.loggedInUserInfo.authToken = enginesis.authToken;
+        enginesis.loggedInUserInfo.authTokenExpires = sessionInfo.expires;
+        enginesis.authTokenWasValidated = true;
+        updateSessionCryptoVersion(sessionInfo);
+        enginesis.loggedInUserInfo.crypto_version = enginesis.sessionCryptoVersion;
+        if (sessionInfo.refresh_token) {
+            enginesis.refreshToken = sessionInfo.refresh_token;
+            enginesis.refreshTokenExpires = sessionInfo.expires;
+            enginesis.loggedInUserInfo.refresh_token = enginesis.refreshToken;
+            enginesis.loggedInUserInfo.expires = enginesis.refreshTokenExpires;
+        }
+        saveObjectWithKey(enginesis.SESSION_USERINFO, enginesis.loggedInUserInfo);
+    } else {
+        haveValidSession = false;
+    }
+    return haveValidSession;
+}
+
+/**
+ * Restore a prior user session if one can be determined. If an Enginesis authentication token is provided,
+ * use it to validate the user. If the token is not provided or it is not valid, attempt to use a prior
+ * local storage or browser cookie.
+ * @param {string} authToken If an Enginesis authentication token is provided use it to validate the user.
+ */
+function restoreUserSession(authToken) {
+    if ( ! restoreUserFromAuthToken(authToken)) {
+        restoreUserSessionInfo();
+    }
+    if ( ! enginesis.isUserLoggedIn) {
+        anonymousUserLoad();
+    }
+}
+
+/**
+ * When reloading the game we can see if a prior user login was in the cache so we can
+ * restore the session. If the session expires we can use a session refresh instead of
+ * asking the user to log in again.
+ * @returns {boolean} true if the save was successful, otherwise false.
+ */
+function restoreUserSessionInfo() {
+    let userInfoSaved = loadObjectWithKey(enginesis.SESSION_USERINFO);
+    if (userInfoSaved == null) {
+        userInfoSaved = cookieGet(enginesis.SESSION_USERINFO);
+        if (userInfoSaved != null) {
+            try {
+                userInfoSaved = JSON.parse(userInfoSaved);
+            } catch (exception) {
+                userInfoSaved = null;
+                clearUserSessionInfo();
+            }
+        }
+    }
+    if (userInfoSaved != null) {
+        const hash = sessionMakeHash({
+            siteId: enginesis.siteId,
+            userId: userInfoSaved.userId,
+            userName: userInfoSaved.userName,
+            siteUserId: userInfoSaved.siteUserId || "",
+            networkId: userInfoSaved.networkId || 1,
+            accessLevel: userInfoSaved.accessLevel,
+            siteKey: enginesis.developerKey
+        });
+        // @todo: verify hash to verify the payload was not tampered.
+        // @todo: verify session, authtok, but if expired try to refresh the session.
+        if (hash != userInfoSaved.cr) {
+            debugLog("restoreUserSessionInfo hash does not match. From server: " + userInfoSaved.cr + ". Computed here: " + hash);
+        }
+        enginesis.loggedInUserInfo = userInfoSaved;
+        if (isEmpty(userInfoSaved.session_id)) {
+            debugLog("*** enginesis.restoreUserSessionInfo unexpected server response from " + JSON.stringify(userInfoSaved));
+        }
+        enginesis.networkId = userInfoSaved.network_id;
+        enginesis.sessionId = userInfoSaved.session_id;
+        enginesis.sessionExpires = userInfoSaved.session_expires;
+        updateSessionCryptoVersion(userInfoSaved);
+        enginesis.authToken = userInfoSaved.authToken;
+        enginesis.authTokenExpires = userInfoSaved.session_expires;
+        enginesis.authTokenWasValidated = true; // @todo: We should actually validate it (check expired, check hash, verify user_id matches)
+        enginesis.refreshToken = userInfoSaved.refresh_token;
+        enginesis.refreshTokenExpires = userInfoSaved.expires;
+        enginesis.isUserLoggedIn = isUserLoggedIn();
+    } else if (enginesis.isUserLoggedIn) {
+        // if a user was not cached and we trust the authtok then we need to load this user
+        enginesis.isUserLoggedIn = isUserLoggedIn();
+        debugLog("enginesis.restoreUserSessionInfo we think the user is logged in but wasn't cached");
+    }
+    return enginesis.isUserLoggedIn;
+}
+
+/**
+ * Verify the information we have on this user matches what we cached from the server (in case
+ * a hacker compromised what's in memory.) Verify the authentication token has not expired. If
+ * it has we need to request a new one, which will require a trip to the server and take time.
+ * This is something that should be called before any sensitive transaction with the server.
+ * Granted, the server will still do these checks, but doing them here saves server resources
+ * and user frustration.
+ * @returns {Promise} Returns a Promise that will resolve if the session is not expired, or if
+ *   the session has expired then once a new session is established with the server. The new session
+ *   will automatically update the local cache and Enginesis internal state. This will reject if
+ *   the session cannot be refreshed, in which case the user must log in.
+ */
+function verifyUserSessionInfo() {
+    return new Promise(function(resolve, reject) {
+        const loggedInUserInfo = enginesis.loggedInUserInfo;
+        const userInfoSaved = loadObjectWithKey(enginesis.SESSION_COOKIE);
+        let sessionExpireTime;
+        let isRefreshed = false;
+        if (userInfoSaved != null) {
+            if ( ! userInfoSaved.sessionExpires) {
+                // if we don't get a session expire date then just assume it expired.
+                sessionExpireTime = new Date();
+            } else {
+                sessionExpireTime = new Date(userInfoSaved.sessionExpires);
+            }
+            const timeZoneOffset = sessionExpireTime.getTimezoneOffset() * 60000;
+            const sessionExpired = Date.now().valueOf() > (sessionExpireTime.valueOf() - timeZoneOffset);
+            const hash = sessionMakeHash({
+                siteId: enginesis.siteId,
+                userId: loggedInUserInfo.user_id,
+                userName: loggedInUserInfo.user_name,
+                siteUserId: loggedInUserInfo.site_user_id || "",
+                networkId: loggedInUserInfo.network_id || 1,
+                accessLevel: loggedInUserInfo.access_level,
+                siteKey: enginesis.developerKey
+            });
+            const hashMatched = (hash == userInfoSaved.cr) && (Math.floor(loggedInUserInfo.user_id) == Math.floor(userInfoSaved.user_id));
+            if ( ! sessionExpired && hashMatched) {
+                isRefreshed = true;
+                resolve(isRefreshed);
+            } else {
+                if (sessionExpired) {
+                    debugLog("verifyUserSessionInfo Session expired but we think we can refresh it.");
+                    refreshAuthentication()
+                    .then(function(wasRefreshed) {
+                        if (wasRefreshed) {
+                            isRefreshed = true;
+                            resolve(isRefreshed);
+                        } else {
+                            reject(new Error("Session expired and could not be refreshed."));
+                        }
+                    })
+                    .catch(function(exception) {
+                        reject(exception);
+                    });
+                } else {
+                    const errorMessage = "Session hash does not match but session not expired.";
+                    debugLog("verifyUserSessionInfo " + errorMessage + " from cache: " + userInfoSaved.cr + ". Computed here: " + hash);
+                    reject(new Error(errorMessage));
+                }
+            }
+        } else {
+            // user is not logged in do an anonymouse user session refresh
+            resolve(isRefreshed);
+        }
+    });
+}
+
+/**
+ * Save a refresh token in local storage. We use this token to refresh a login if we
+ * have a logged in user but the authentication token expired.
+ * @param {string} refreshToken Refresh token to save.
+ */
+function _saveRefreshToken(refreshToken) {
+    if ( ! isEmpty(refreshToken)) {
+        const refreshTokenData = {
+            refreshToken: refreshToken,
+            timestamp: new Date().getTime()
+        };
+        saveObjectWithKey(enginesis.refreshTokenStorageKey, refreshTokenData);
+    }
+}
+
+/**
+ * Recall a refresh token in local storage.
+ * @returns {string} either the token that was saved or null.
+ */
+function _getRefreshToken() {
+    let refreshToken = enginesis.refreshToken;
+    if (isEmpty(refreshToken)) {
+        restoreUserSessionInfo();
+        refreshToken = enginesis.refreshToken;
+        if (isEmpty(refreshToken)) {
+            refreshToken = null;
+        }
+    }
+    return refreshToken;
+}
+
+/**
+ * Remove a refresh token in local storage.
+ */
+function _clearRefreshToken() {
+    removeObjectWithKey(enginesis.refreshTokenStorageKey);
+}
+
+/**
+ * Initialize the anonymous user data.
+ * @returns {object} The user data object.
+ */
+function anonymousUserInitialize() {
+    return {
+        dateCreated: new Date(),
+        dateLastVisit: new Date(),
+        subscriberEmail: "",
+        userId: 0,
+        userName: "",
+        favoriteGames: null,
+        gamesPlayed: new Set(),
+        scores: [],
+        cr: ""
+    };
+}
+
+/**
+ * Load the anonymous user data from local storage. If we do not have a prior save then initialize
+ * a first time user.
+ * @returns {object} The user data object.
+ */
+function anonymousUserLoad() {
+    if (enginesis.anonymousUser == null) {
+        enginesis.anonymousUser = loadObjectWithKey(enginesis.anonymousUserKey);
+        if (enginesis.anonymousUser == null) {
+            enginesis.anonymousUser = anonymousUserInitialize();
+        } else {
+            const cr = enginesis.anonymousUser.cr || "";
+            if (cr != anonymousUserHash()) {
+                enginesis.anonymousUser = anonymousUserInitialize();
+            }
+            if (Array.isArray(enginesis.anonymousUser.favoriteGames)) {
+                if ( ! enginesis.isUserLoggedIn) {
+                    favoriteGamesReset(favoriteGameIds(enginesis.anonymousUser.favoriteGames));
+                }
+                enginesis.anonymousUser.favoriteGames = null;
+            }
+            if (Array.isArray(enginesis.anonymousUser.gamesPlayed)) {
+                enginesis.anonymousUser.gamesPlayed = new Set(enginesis.anonymousUser.gamesPlayed);
+            }
+            if ( ! Array.isArray(enginesis.anonymousUser.scores)) {
+                enginesis.anonymousUser.scores = [];
+            }
+        }
+    }
+    return enginesis.anonymousUser;
+}
+
+/**
+ * Save the anonymous user to local storage. The Sets are converted to Arrays for serialization. The favorite
+ * games are those of the anonymous player, a logged in user's favorite games are kept by the server.
+ */
+function anonymousUserSave() {
+    if (enginesis.anonymousUser != null) {
+        const anonymousUser = enginesis.anonymousUser;
+        anonymousUser.favoriteGames = enginesis.isUserLoggedIn ? [] : enginesis.favoriteGamesConfirmed.slice();
+        anonymousUser.gamesPlayed = Array.from(anonymousUser.gamesPlayed);
+        anonymousUser.cr = anonymousUserHash();
+        saveObjectWithKey(enginesis.anonymousUserKey, anonymousUser);
+        anonymousUser.favoriteGames = null;
+        anonymousUser.gamesPlayed = new Set(anonymousUser.gamesPlayed);
+    }
+}
+
+/**
+ * Create a hash for the anonymous user data object.
+ * @param {object|null} anonymousUser The anonymous user data, the current anonymous user when not provided.
+ * @returns {string} Hash for anonymous user data.
+ */
+function anonymousUserHash(anonymousUser) {
+    anonymousUser = anonymousUser || enginesis.anonymousUser;
+    return md5(anonymousUser.subscriberEmail + anonymousUser.userId + anonymousUser.userName + enginesis.developerKey);
+}
+
+/**
+ * After a user logs in or registers, add what the player did as an anonymous user to their account: the
+ * anonymous favorite games are assigned to the account, whose favorite games are then shown to the player, and the
+ * anonymous scores, with their game data, are submitted through the score vault. The anonymous user data is then removed
+ * so nothing is merged twice.
+ * Once merged the `accountMerged` event reports what was added.
+ * @param {integer} userId The user who logged in.
+ * @returns {Promise} Resolves with true if there was anonymous data to merge.
+ */
+function anonymousUserMerge(userId) {
+    const savedAnonymousUser = loadObjectWithKey(enginesis.anonymousUserKey);
+    if (savedAnonymousUser == null || savedAnonymousUser.cr != anonymousUserHash(savedAnonymousUser)) {
+        return Promise.resolve(false);
+    }
+    const favoriteGames = Array.isArray(savedAnonymousUser.favoriteGames) ? savedAnonymousUser.favoriteGames : [];
+    const anonymousScores = Array.isArray(savedAnonymousUser.scores) ? savedAnonymousUser.scores : [];
+    const vaultEntries = anonymousScores.map(function(anonymousScore) {
+        return {
+            id: makeQueueId(),
+            userId: userId,
+            gameId: anonymousScore.gameId,
+            level: anonymousScore.level,
+            score: anonymousScore.score,
+            gameData: anonymousScore.gameData,
+            timePlayed: anonymousScore.timePlayed,
+            playEvidence: anonymousScore.playEvidence || null,
+            playedAt: anonymousScore.dateCreated || 0,
+            queuedAt: Date.now()
+        };
+    });
+    // the scores are in the vault before the anonymous data is removed, and are sent with the next scoreVaultFlush()
+    return scoreVaultSerialize(function() {
+        return scoreVaultPush(vaultEntries);
+    })
+    .then(function() {
+        removeObjectWithKey(enginesis.anonymousUserKey);
+        enginesis.anonymousUser = anonymousUserInitialize();
+        if (favoriteGames.length > 0) {
+            return enginesisContext.userFavoriteGamesAssignList(favoriteGames.join(","))
+            .catch(function(enginesisError) {
+                // rejectOnError, the favorites request has already reported its error
+                return enginesisError.result;
+            });
+        }
+        return null;
+    })
+    .then(function() {
+        if (favoriteGames.length > 0 || vaultEntries.length > 0) {
+            emitEvent("accountMerged", {
+                userId: userId,
+                favoriteGames: favoriteGames.length,
+                scores: vaultEntries.length
+            });
+        }
+        return favoriteGames.length > 0 || vaultEntries.length > 0;
+    });
+}
+
+/**
+ * When sending data over the network we should make sure it is not going to break the
+ * URL rules. We can't trust data supplied by the game so encode it to be safe.
+ * @param {any} gameData Something considered game data to be sent to the network.
+ * @returns {string} Something considered safe to send over the network.
+ */
+function safeData(gameData) {
+    let gameDataString;
+    if (typeof gameData != "string") {
+        gameDataString = JSON.stringify(gameData);
+    } else {
+        gameDataString = gameData;
+    }
+    return encodeURIComponent(gameDataString);
+}
+
+/**
+ * Prepare a score submission to be sent securely to the server. This is an internal function and
+ * not designed to be called by client code.
+ * @param {integer} siteId Site identifier.
+ * @param {integer} userId User who is submitting the score.
+ * @param {integer} gameId Game that was played.
+ * @param {integer} level The game level the score pertains to. Use 0 for final score.
+ * @param {integer} gameScore Game final score.
+ * @param {string|object} gameData Object or JSON string of game-specific play data.
+ * @param {integer} timePlayed Game play time related to score and gameData, in milliseconds.
+ * @param {string|null} sessionId Optional session id that was given at SessionBegin. If not provided
+ *   will attempt to use the last recorded session id from SessionBegin or SessionRefresh.
+ * @param {object|null} playEvidence Optional evidence of the game play the game supplies, see `playEvidenceDigest()`.
+ * @param {integer} playedAt Optional time the score was submitted by the game. When it is before the session the
+ *   score is sent with, such as a score added to an account from an anonymous player, the server cannot check the
+ *   time played against the session and checks it against the play evidence only.
+ * @returns {Promise} A Promise that resolves with the encrypted score payload or null if an error occurred. The payload
+ *   is in the version 2 format of `encryptPayload()` when the server agreed to it, otherwise in the legacy format.
+ *   Every payload has a random nonce, the next counter of the session, and the time it was made, so the server can
+ *   refuse a payload that is sent again. The server also refuses a counter lower than one it has seen, so a payload
+ *   must be sent before the next one is made: `scoreVaultSend()` makes and sends one score at a time.
+ */
+function encryptScoreSubmit(siteId, userId, gameId, level, gameScore, gameData, timePlayed, sessionId, playEvidence, playedAt) {
+    return new Promise(function(resolve, reject) {
+        let gameDataString;
+        if (typeof gameData !== "string") {
+            gameDataString = JSON.stringify(gameData);
+        } else {
+            gameDataString = gameData;
+        }
+        if (!sessionId) {
+            sessionId = enginesis.sessionId;
+        }
+        const nonce = byteArrayToHex(generateEncryptIV(16));
+        playEvidenceDigest(playEvidence)
+        .then(function(evidence) {
+            const counter = scoreSubmitCounterNext(sessionId);
+            // game_data stays last, it is not encoded and the server takes the rest of the payload as the game data
+            const submitData = `site_id=${siteId}&user_id=${userId}&game_id=${gameId}&level_id=${level}&score=${gameScore}&time_played=${timePlayed}`
+                + `&nonce=${nonce}&counter=${counter}&timestamp=${Date.now()}`
+                + `&evidence=${evidence.digest}&strokes=${evidence.strokes}&checkpoints=${evidence.checkpoints}&played_at=${playedAt || 0}`
+                + `&game_data=${gameDataString}`;
+            if (payloadCryptoVersion() >= 2) {
+                return encryptPayload(submitData, sessionId, "enginesis score submit");
+            } else {
+                return encryptString(submitData, sessionId);
+            }
+        })
+        .then(function(encryptedData) {
+            if (encryptedData) {
+                resolve(encryptedData);
+            } else {
+                reject(new Error("Internal data encryption failed, verify your session is good."));
+            }
+        })
+        .catch(function(exception) {
+            reject(exception);
+        });
+    });
+}
+
+/**
+ * Get the next score submit counter of a session. The counter only goes up for as long as the session lasts,
+ * including after the app reloads, so the server can refuse a score payload it has seen before.
+ * @param {string} sessionId The session the score is submitted with.
+ * @returns {integer} The counter of the next score submit.
+ */
+function scoreSubmitCounterNext(sessionId) {
+    const savedCounter = loadObjectWithKey(enginesis.scoreSubmitCounterKey);
+    let counter = 1;
+    if (savedCounter != null && savedCounter.sessionId == sessionId) {
+        counter = (parseInt(savedCounter.counter, 10) || 0) + 1;
+    }
+    saveObjectWithKey(enginesis.scoreSubmitCounterKey, {sessionId: sessionId, counter: counter});
+    return counter;
+}
+
+/**
+ * Make the compact play evidence sent with a score: a digest of the stroke log and the checkpoint timings, the
+ * number of strokes, and the checkpoint timings so the server can check they agree with the time played.
+ * @param {object|null} playEvidence The evidence the game supplies:
+ *   * `strokes` {Array} the log of each stroke, or move, the player made, in any form the game can repeat.
+ *   * `checkpoints` {Array} milliseconds from the start of play at which the player reached each checkpoint, such as each hole.
+ * @returns {Promise} Resolves with `digest` (hex, empty when there is no evidence), `strokes`, and `checkpoints` (comma separated).
+ */
+function playEvidenceDigest(playEvidence) {
+    const strokes = playEvidence && Array.isArray(playEvidence.strokes) ? playEvidence.strokes : [];
+    const checkpoints = playEvidence && Array.isArray(playEvidence.checkpoints) ? playEvidence.checkpoints.map(function(checkpointTime) {
+        return Math.round(checkpointTime);
+    }) : [];
+    if (strokes.length == 0 && checkpoints.length == 0) {
+        return Promise.resolve({digest: "", strokes: 0, checkpoints: ""});
+    }
+    return globalThis.crypto.subtle.digest("SHA-256", stringToByteArray(JSON.stringify(strokes) + "|" + checkpoints.join(",")))
+    .then(function(digest) {
+        return {
+            digest: byteArrayToHex(new Uint8Array(digest, 0, 16)),
+            strokes: strokes.length,
+            checkpoints: checkpoints.join(",")
+        };
+    });
+}
+
+/**
+ * Determine if there is no session or it is past its expiration time, so it must be refreshed before it is used.
+ * @returns {boolean} True if the session cannot be used.
+ */
+function sessionHasExpired() {
+    if (isEmpty(enginesis.sessionId)) {
+        return true;
+    }
+    if (isEmpty(enginesis.sessionExpires)) {
+        return false;
+    }
+    // sessionExpires is a UTC date "yyyy-mm-dd hh:mm:ss", see newSessionExpireTime()
+    const sessionExpireTime = Date.parse(String(enginesis.sessionExpires).replace(" ", "T") + "Z");
+    return ! isNaN(sessionExpireTime) && Date.now() > sessionExpireTime;
+}
+
+/**
+ * Get the session a score from the vault is encrypted with, refreshing the session first when it expired.
+ * @returns {Promise} Resolves with the session id, or null when there is no session and it could not be refreshed.
+ */
+function scoreVaultSession() {
+    if ( ! sessionHasExpired()) {
+        return Promise.resolve(enginesis.sessionId);
+    }
+    return refreshAuthentication()
+    .then(function(isRefreshed) {
+        return isRefreshed && ! isEmpty(enginesis.sessionId) ? enginesis.sessionId : null;
+    });
+}
+
+/**
+ * Get the key the score vault is encrypted with on this device, making it the first time it is needed. The key is
+ * a non-extractable AES-GCM CryptoKey kept in IndexedDB, so it can encrypt and decrypt on this device but cannot be
+ * read or copied. Without IndexedDB, or when the app gave `init` a storage adapter other than `localStorage`, the
+ * key is derived from a secret saved in that storage next to the vault, which keeps the scores from being read or
+ * changed by hand but not by a script that reads the storage.
+ * @returns {Promise} Resolves with the CryptoKey.
+ */
+function scoreVaultKey() {
+    if (enginesis.scoreVaultCryptoKey == null) {
+        const keyDatabase = storageGet().name == "localStorage" ? indexedDBOpen(storageKey(enginesis.scoreVaultSecretKey), "keys") : Promise.resolve(null);
+        enginesis.scoreVaultCryptoKey = keyDatabase
+        .then(function(database) {
+            if (database == null) {
+                let vaultSecret = loadObjectWithKey(enginesis.scoreVaultSecretKey);
+                if (typeof vaultSecret !== "string" || vaultSecret.length < 32) {
+                    vaultSecret = byteArrayToHex(generateEncryptIV(32));
+                    saveObjectWithKey(enginesis.scoreVaultSecretKey, vaultSecret);
+                }
+                return derivePayloadKey(vaultSecret, "enginesis score vault");
+            }
+            return globalThis.crypto.subtle.generateKey({name: "AES-GCM", length: 256}, false, ["encrypt", "decrypt"])
+            .then(function(newKey) {
+                // read and add the key in one transaction so tabs starting together agree on the key
+                return new Promise(function(resolve, reject) {
+                    const transaction = database.transaction("keys", "readwrite");
+                    const keyStore = transaction.objectStore("keys");
+                    const getRequest = keyStore.get("scoreVault");
+                    let vaultKey = newKey;
+                    getRequest.onsuccess = function() {
+                        if (getRequest.result != null) {
+                            vaultKey = getRequest.result;
+                        } else {
+                            keyStore.put(newKey, "scoreVault");
+                        }
+                    };
+                    transaction.oncomplete = function() {
+                        resolve(vaultKey);
+                    };
+                    transaction.onerror = transaction.onabort = function() {
+                        reject(transaction.error || new Error("The score vault key cannot be saved."));
+                    };
+                });
+            });
+        });
+        enginesis.scoreVaultCryptoKey.catch(function() {
+            enginesis.scoreVaultCryptoKey = null;
+        });
+    }
+    return enginesis.scoreVaultCryptoKey;
+}
+
+/**
+ * Run a change to the score vault, or a send of its scores, after the one before it completes. Scores are
+ * then sent in the order they were submitted and the saved vault is never overwritten by an older copy.
+ * @param {function} vaultOperation Function returning a Promise that completes the operation.
+ * @returns {Promise} Resolves or rejects the same as the Promise of `vaultOperation`.
+ */
+function scoreVaultSerialize(vaultOperation) {
+    const vaultOperationDone = enginesis.scoreVaultSending.then(vaultOperation);
+    enginesis.scoreVaultSending = vaultOperationDone.catch(function() {
+        return null;
+    });
+    return vaultOperationDone;
+}
+
+/**
+ * Restore the score vault the first time it is needed. Scores that waited longer than `scoreVaultExpiration` are
+ * dropped, as is a saved vault that cannot be decrypted.
+ * @returns {Promise} Resolves with the list of scores in the vault.
+ */
+function scoreVaultLoad() {
+    if (enginesis.scoreVault != null) {
+        return Promise.resolve(enginesis.scoreVault);
+    }
+    const savedVault = loadObjectWithKey(enginesis.scoreVaultSaveKey);
+    let restoredVault;
+    if (typeof savedVault === "string") {
+        restoredVault = scoreVaultKey()
+        .then(function(vaultKey) {
+            return decryptPayloadWithKey(savedVault, vaultKey);
+        })
+        .then(function(vaultData) {
+            const now = Date.now();
+            const vaultEntries = JSON.parse(vaultData);
+            return Array.isArray(vaultEntries) ? vaultEntries.filter(function(vaultEntry) {
+                return vaultEntry != null && now - vaultEntry.queuedAt < enginesis.scoreVaultExpiration;
+            }) : [];
+        })
+        .catch(function(exception) {
+            debugLog("Saved scores cannot be restored: " + exception.toString());
+            return [];
+        });
+    } else {
+        restoredVault = Promise.resolve([]);
+    }
+    return restoredVault
+    .then(function(vaultEntries) {
+        // another load may have completed while this one was decrypting
+        if (enginesis.scoreVault == null) {
+            enginesis.scoreVault = vaultEntries;
+        }
+        return enginesis.scoreVault;
+    });
+}
+
+/**
+ * Save the score vault encrypted with the key of this device, see `scoreVaultKey()`. Once saved the `scoresPending` event reports the number of scores of the user waiting.
+ * @returns {Promise} Resolves with true if saved.
+ */
+function scoreVaultSave() {
+    const vaultEntries = enginesis.scoreVault || [];
+    let vaultSaved;
+    if (vaultEntries.length > 0) {
+        vaultSaved = scoreVaultKey()
+        .then(function(vaultKey) {
+            return encryptPayloadWithKey(JSON.stringify(vaultEntries), vaultKey);
+        })
+        .then(function(payload) {
+            saveObjectWithKey(enginesis.scoreVaultSaveKey, payload);
+            return true;
+        })
+        .catch(function(exception) {
+            debugLog("Score vault save exception " + exception.toString());
+            return false;
+        });
+    } else {
+        removeObjectWithKey(enginesis.scoreVaultSaveKey);
+        vaultSaved = Promise.resolve(true);
+    }
+    return vaultSaved
+    .then(function(isSaved) {
+        emitEvent("scoresPending", {
+            count: scoreVaultUserScores(vaultEntries).length
+        });
+        return isSaved;
+    });
+}
+
+/**
+ * Find the scores in the vault submitted by the logged in user.
+ * @param {Array} vaultEntries The scores in the vault.
+ * @returns {Array} The scores of the logged in user, empty when no user is logged in.
+ */
+function scoreVaultUserScores(vaultEntries) {
+    const userId = enginesis.isUserLoggedIn ? Math.floor(enginesis.loggedInUserInfo.user_id) : 0;
+    return vaultEntries.filter(function(vaultEntry) {
+        return userId > 0 && vaultEntry.userId == userId;
+    });
+}
+
+/**
+ * Make the parameters a score submit error result passes through.
+ * @param {object} vaultEntry A score in the vault.
+ * @returns {object} The score parameters.
+ */
+function scoreVaultParameters(vaultEntry) {
+    return {
+        game_id: vaultEntry.gameId,
+        level_id: vaultEntry.level,
+        score: vaultEntry.score,
+        game_data: vaultEntry.gameData,
+        time_played: vaultEntry.timePlayed
+    };
+}
+
+/**
+ * Determine if a score stays in the vault after it was sent: it does when the server did not answer, or the
+ * session must be refreshed, so it can be sent again later. A score the server accepted or refused is removed.
+ * @param {object|null} enginesisResult The result of sending the score.
+ * @returns {boolean} True if the score stays in the vault.
+ */
+function scoreVaultRetains(enginesisResult) {
+    if (resultIsSuccess(enginesisResult)) {
+        return false;
+    }
+    const errorCode = resultErrorCode(enginesisResult);
+    const ErrorClass = errorClassForCode[errorCode];
+    return errorCode == "ABORTED" || errorCode == "INVALID_SESSION" || (ErrorClass != null && ErrorClass.retryable);
+}
+
+/**
+ * Send the scores in the vault again after a delay when a score could not be sent while online, such as when the
+ * server was busy. The delay grows the same as the retries of a request and it is tried `retryPolicy.maxAttempts`
+ * times, after that the scores wait for `restoreOnline()` or the next log in, as scores kept while offline do.
+ * @param {object|null} enginesisResult The result of sending the score that stays in the vault.
+ */
+function scoreVaultFlushLater(enginesisResult) {
+    const errorCode = resultErrorCode(enginesisResult);
+    if ( ! enginesis.isOnline || errorCode == "ABORTED" || errorCode == "INVALID_SESSION"
+        || enginesis.scoreVaultRetryTimer != null || enginesis.scoreVaultRetryAttempt >= enginesis.retryPolicy.maxAttempts) {
+        return;
+    }
+    enginesis.scoreVaultRetryAttempt += 1;
+    enginesis.scoreVaultRetryTimer = setTimeout(function() {
+        enginesis.scoreVaultRetryTimer = null;
+        scoreVaultFlush();
+    }, retryDelay(enginesis.scoreVaultRetryAttempt + 1));
+}
+
+/**
+ * Encrypt a score from the vault with the session that is valid now and send it. The score is removed from
+ * the vault unless `scoreVaultRetains()` the result. Must be run with `scoreVaultSerialize()`.
+ * @param {object} vaultEntry A score in the vault.
+ * @param {function} overRideCallBackFunction Function called with the result.
+ * @param {object} requestOptions Optional `timeout` and `signal` of the request.
+ * @returns {Promise} Resolves with the result of the score submit.
+ */
+function scoreVaultSend(vaultEntry, overRideCallBackFunction, requestOptions) {
+    const service = "ScoreSubmit";
+
+    function respondWithError(errorCode, errorMessage) {
+        return new Promise(function(resolve) {
+            const enginesisResult = forceErrorResponseObject(service, 0, errorCode, errorMessage, scoreVaultParameters(vaultEntry));
+            callbackPriority(enginesisResult, resolve, overRideCallBackFunction, enginesis.callBackFunction);
+        });
+    }
+
+    function settle(enginesisResult) {
+        if (scoreVaultRetains(enginesisResult)) {
+            scoreVaultFlushLater(enginesisResult);
+            return Promise.resolve(true);
+        }
+        enginesis.scoreVaultRetryAttempt = 0;
+        enginesis.scoreVault = enginesis.scoreVault.filter(function(otherEntry) {
+            return otherEntry.id != vaultEntry.id;
+        });
+        return scoreVaultSave();
+    }
+
+    return scoreVaultSession()
+    .then(function(sessionId) {
+        if (sessionId == null) {
+            return respondWithError("INVALID_SESSION", "There is no session to submit the score with.");
+        }
+        return encryptScoreSubmit(enginesis.siteId, vaultEntry.userId, vaultEntry.gameId, vaultEntry.level, vaultEntry.score, vaultEntry.gameData, vaultEntry.timePlayed, sessionId, vaultEntry.playEvidence, vaultEntry.playedAt)
+        .then(function(submitString) {
+            return sendRequest(service, {data: base64URLEncode(submitString)}, overRideCallBackFunction, requestOptions);
+        }, function(exception) {
+            return respondWithError("INVALID_PARAMETER", "Exception encountered while processing score submit: " + exception.toString());
+        });
+    })
+    .then(function(enginesisResult) {
+        return settle(enginesisResult)
+        .then(function() {
+            return enginesisResult;
+        });
+    }, function(enginesisError) {
+        // rejectOnError, the error has the result
+        return settle(enginesisError.result)
+        .then(function() {
+            throw enginesisError;
+        });
+    });
+}
+
+/**
+ * Add scores to the vault and save it. Must be run with `scoreVaultSerialize()`.
+ * @param {Array} newEntries The scores to add.
+ * @returns {Promise} Resolves with true if the vault was saved.
+ */
+function scoreVaultPush(newEntries) {
+    return scoreVaultLoad()
+    .then(function(vaultEntries) {
+        if (newEntries.length == 0) {
+            return true;
+        }
+        Array.prototype.push.apply(vaultEntries, newEntries);
+        return scoreVaultSave();
+    });
+}
+
+/**
+ * Keep a score in the vault and send it when online. While offline the score waits in the vault and the caller
+ * gets an OFFLINE result, the score is sent when back online.
+ * @param {object} vaultEntry The score to submit.
+ * @param {function} overRideCallBackFunction Function called with the result.
+ * @param {object} requestOptions Optional `timeout` and `signal` of the request.
+ * @returns {Promise} Resolves with the result of the score submit.
+ */
+function scoreVaultSubmit(vaultEntry, overRideCallBackFunction, requestOptions) {
+    return scoreVaultSerialize(function() {
+        return scoreVaultPush([vaultEntry])
+        .then(function() {
+            if (enginesis.isOnline) {
+                return scoreVaultSend(vaultEntry, overRideCallBackFunction, requestOptions);
+            }
+            return new Promise(function(resolve) {
+                const errorMessage = "Enginesis is offline. The score will be submitted when network connectivity is restored.";
+                const enginesisResult = forceErrorResponseObject("ScoreSubmit", 0, "OFFLINE", errorMessage, scoreVaultParameters(vaultEntry));
+                debugLog(errorMessage);
+                callbackPriority(enginesisResult, resolve, overRideCallBackFunction, enginesis.callBackFunction);
+            });
+        });
+    });
+}
+
+/**
+ * Send the scores of the logged in user waiting in the vault, in the order they were submitted. Sending stops at
+ * the first score that stays in the vault, such as when we go offline again. The result of each score goes to
+ * the handler set with `queuedRequestHandlerSet`.
+ * @returns {Promise} Resolves with true when every score of the user was sent.
+ */
+function scoreVaultFlush() {
+    return scoreVaultSerialize(function() {
+        return scoreVaultLoad()
+        .then(function(vaultEntries) {
+            return scoreVaultUserScores(vaultEntries).reduce(function(previousSent, vaultEntry) {
+                return previousSent
+                .then(function(isSent) {
+                    if ( ! isSent || ! enginesis.isOnline) {
+                        return false;
+                    }
+                    return scoreVaultSend(vaultEntry, queuedRequestComplete)
+                    .then(function(enginesisResult) {
+                        return ! scoreVaultRetains(enginesisResult);
+                    }, function(enginesisError) {
+                        return ! scoreVaultRetains(enginesisError.result);
+                    });
+                });
+            }, Promise.resolve(true));
+        });
+    });
+}
+
+/**
+ * The named periods of a leaderboard and the `timePeriodType` of ScoreRankList each one is. The `timePeriod`
+ * counts back from the current period, 0 is the current day, week, or month.
+ */
+const leaderboardPeriods = {
+    allTime: 0,
+    daily: 1,
+    weekly: 2,
+    monthly: 3
+};
+
+/**
+ * Determine which leaderboard the options of a leaderboard function ask for.
+ * @param {object} leaderboardOptions `gameId`, `level`, `period`, `periodsAgo`, and `count`, see `leaderboardGet()`.
+ * @returns {object|null} The leaderboard with a `key` that identifies it, null if the options are not valid.
+ */
+function leaderboardMake(leaderboardOptions) {
+    const options = leaderboardOptions || {};
+    const leaderboard = {
+        gameId: parseInt(options.gameId || enginesis.gameId, 10),
+        level: parseInt(options.level || 0, 10),
+        period: options.period || "allTime",
+        periodsAgo: parseInt(options.periodsAgo || 0, 10),
+        count: parseInt(options.count || enginesis.leaderboardPageSize, 10)
+    };
+    if ( ! (leaderboard.gameId > 0) || ! (leaderboard.level >= 0) || ! (leaderboard.periodsAgo >= 0) || ! (leaderboard.count > 0)
+        || leaderboardPeriods[leaderboard.period] === undefined) {
+        return null;
+    }
+    leaderboard.key = [leaderboard.gameId, leaderboard.level, leaderboard.period, leaderboard.periodsAgo].join(":");
+    return leaderboard;
+}
+
+/**
+ * Make the cursor of the page next to a rank of a leaderboard. The cursor is all that is needed to get the page.
+ * It is keyed on the rank entry, its score, user, and date, so the page starts right after or ends right
+ * before that entry even when scores submitted since moved it to another rank.
+ * @param {object} leaderboard The leaderboard from `leaderboardMake()`.
+ * @param {object} rankEntry The last rank entry of a page for the next page, the first for the previous page.
+ * @param {boolean} isNext True for the page after the entry, false for the page before it.
+ * @returns {string} The cursor.
+ */
+function leaderboardCursorMake(leaderboard, rankEntry, isNext) {
+    return btoa(JSON.stringify({
+        gameId: leaderboard.gameId,
+        level: leaderboard.level,
+        period: leaderboard.period,
+        periodsAgo: leaderboard.periodsAgo,
+        count: leaderboard.count,
+        rank: parseInt(rankEntry.rank, 10),
+        score: rankEntry.score,
+        userId: parseInt(rankEntry.user_id, 10),
+        dateCreated: rankEntry.date_created,
+        isNext: isNext
+    }));
+}
+
+/**
+ * Read a cursor made by `leaderboardCursorMake()`.
+ * @param {string} cursor The cursor.
+ * @returns {object|null} The `leaderboard` of the cursor, the rank entry it is keyed on as `rankEntry`, and
+ *   `isNext`, null if it is not a cursor.
+ */
+function leaderboardCursorRead(cursor) {
+    try {
+        const cursorOptions = JSON.parse(atob(cursor));
+        const leaderboard = leaderboardMake(cursorOptions);
+        const rank = parseInt(cursorOptions.rank, 10);
+        const userId = parseInt(cursorOptions.userId, 10);
+        if (leaderboard != null && rank > 0 && userId > 0 && typeof cursorOptions.isNext === "boolean") {
+            return {
+                leaderboard: leaderboard,
+                rankEntry: {rank: rank, score: cursorOptions.score, userId: userId, dateCreated: cursorOptions.dateCreated},
+                isNext: cursorOptions.isNext
+            };
+        }
+    } catch (exception) {
+        debugLog("Leaderboard cursor is not valid " + exception.toString());
+    }
+    return null;
+}
+
+/**
+ * Get ranks of a leaderboard from the server, or from the leaderboard cache when they were fetched
+ * within `leaderboardCacheTime`.
+ * @param {object} leaderboard The leaderboard from `leaderboardMake()`.
+ * @param {integer} startRank The first rank to get.
+ * @param {integer} numberOfRanks How many ranks to get.
+ * @param {boolean} isRefresh True to ask the server even when the ranks are cached.
+ * @param {object} requestOptions Optional request options, see `sendRequest`.
+ * @param {integer} userId Optional, get only the ranks of this user.
+ * @returns {Promise} Resolves with the EnginesisResult, flagged `cached` when it came from the cache.
+ */
+function leaderboardRanksGet(leaderboard, startRank, numberOfRanks, isRefresh, requestOptions, userId) {
+    const cacheKey = leaderboard.key + ":" + startRank + ":" + numberOfRanks + (userId ? ":" + userId : "");
+    const cacheEntry = enginesis.leaderboardCache[cacheKey];
+    if ( ! isRefresh && cacheEntry != null && cacheEntry.cachedAt + enginesis.leaderboardCacheTime > Date.now()) {
+        return Promise.resolve(cachedEnginesisResult(cacheEntry, false));
+    }
+    return serviceCall("ScoreRankList", {
+        gameId: leaderboard.gameId,
+        level: leaderboard.level,
+        timePeriodType: leaderboardPeriods[leaderboard.period],
+        timePeriod: leaderboard.periodsAgo,
+        startRank: startRank,
+        numberOfRanks: numberOfRanks,
+        userId: userId
+    }, function() {}, requestOptions)
+    .catch(function(enginesisError) {
+        // rejectOnError, the caller is answered when the leaderboard is complete
+        return enginesisError.result;
+    })
+    .then(function(enginesisResult) {
+        if (resultIsSuccess(enginesisResult)) {
+            enginesis.leaderboardCache[cacheKey] = {
+                cachedAt: Date.now(),
+                enginesisResult: enginesisResult
+            };
+        }
+        return enginesisResult;
+    });
+}
+
+/**
+ * Remove the cached leaderboards, as a new score may change any rank.
+ */
+function leaderboardCacheClear() {
+    enginesis.leaderboardCache = {};
+}
+
+/**
+ * Find the rank of the logged in user on a leaderboard, and how it changed since the last time the leaderboard
+ * was fetched from the server. The rank of each leaderboard is saved so the change is known after the app reloads.
+ * @param {object} leaderboard The leaderboard from `leaderboardMake()`.
+ * @param {object} enginesisResult The result of a request of the leaderboard ranks.
+ * @returns {object} `userRank`, `previousUserRank`, and `rankChange`, the number of places moved up, or null when not known.
+ */
+function leaderboardUserRank(leaderboard, enginesisResult) {
+    const userId = enginesisContext.userIdGet();
+    const userEntry = enginesisResult.results.result.find(function(rankEntry) {
+        return userId > 0 && parseInt(rankEntry.user_id, 10) == userId;
+    });
+    let savedRanks = loadObjectWithKey(enginesis.leaderboardRanksKey);
+    if (savedRanks == null || savedRanks.userId != userId) {
+        savedRanks = {userId: userId, ranks: {}};
+    }
+    let savedRank = savedRanks.ranks[leaderboard.key] || null;
+    if (userEntry !== undefined && ! enginesisResult.cached) {
+        savedRank = {
+            rank: parseInt(userEntry.rank, 10),
+            previousRank: savedRank != null ? savedRank.rank : null
+        };
+        savedRanks.ranks[leaderboard.key] = savedRank;
+        saveObjectWithKey(enginesis.leaderboardRanksKey, savedRanks);
+    }
+    if (userEntry === undefined || savedRank == null) {
+        return {userRank: null, previousUserRank: null, rankChange: null};
+    }
+    return {
+        userRank: savedRank.rank,
+        previousUserRank: savedRank.previousRank,
+        rankChange: savedRank.previousRank != null ? savedRank.previousRank - savedRank.rank : null
+    };
+}
+
+/**
+ * Describe a page of a leaderboard with the `leaderboard` property of its result.
+ * @param {object} leaderboard The leaderboard from `leaderboardMake()`.
+ * @param {object} enginesisResult The result of the request of the ranks the page is from.
+ * @param {Array} ranks The rank entries of the page.
+ * @returns {object} The EnginesisResult of the page.
+ */
+function leaderboardPageMake(leaderboard, enginesisResult, ranks) {
+    const pageResult = {...enginesisResult, results: {...enginesisResult.results, result: ranks}};
+    const firstEntry = ranks[0];
+    const lastEntry = ranks[ranks.length - 1];
+    pageResult.leaderboard = {
+        gameId: leaderboard.gameId,
+        level: leaderboard.level,
+        period: leaderboard.period,
+        periodsAgo: leaderboard.periodsAgo,
+        startRank: firstEntry !== undefined ? parseInt(firstEntry.rank, 10) : 0,
+        nextCursor: ranks.length < leaderboard.count ? null : leaderboardCursorMake(leaderboard, lastEntry, true),
+        previousCursor: firstEntry !== undefined && parseInt(firstEntry.rank, 10) > 1 ? leaderboardCursorMake(leaderboard, firstEntry, false) : null,
+        ...leaderboardUserRank(leaderboard, pageResult)
+    };
+    return pageResult;
+}
+
+/**
+ * Get a page of a leaderboard starting at a rank.
+ * @param {object} leaderboard The leaderboard from `leaderboardMake()`.
+ * @param {integer} startRank The first rank of the page.
+ * @param {boolean} isRefresh True to ask the server even when the page is cached.
+ * @param {object} requestOptions Optional request options, see `sendRequest`.
+ * @returns {Promise} Resolves with the EnginesisResult.
+ */
+function leaderboardPageGet(leaderboard, startRank, isRefresh, requestOptions) {
+    return leaderboardRanksGet(leaderboard, startRank, leaderboard.count, isRefresh, requestOptions)
+    .then(function(enginesisResult) {
+        return resultIsSuccess(enginesisResult) ? leaderboardPageMake(leaderboard, enginesisResult, enginesisResult.results.result) : enginesisResult;
+    });
+}
+
+/**
+ * Get the page of a leaderboard a cursor is for. The ranks of a page on either side of where the cursor entry was
+ * are fetched along with the page, so the page is found next to the entry even when it moved that many places.
+ * When the entry is no longer on the leaderboard, or moved further, the page is the ranks next to where it was.
+ * @param {object} leaderboardCursor What `leaderboardCursorRead()` read.
+ * @param {boolean} isRefresh True to ask the server even when the ranks are cached.
+ * @param {object} requestOptions Optional request options, see `sendRequest`.
+ * @returns {Promise} Resolves with the EnginesisResult.
+ */
+function leaderboardCursorPageGet(leaderboardCursor, isRefresh, requestOptions) {
+    const leaderboard = leaderboardCursor.leaderboard;
+    const cursorEntry = leaderboardCursor.rankEntry;
+    const count = leaderboard.count;
+    const searchStart = Math.max(1, leaderboardCursor.isNext ? cursorEntry.rank + 1 - count : cursorEntry.rank - 2 * count);
+    return leaderboardRanksGet(leaderboard, searchStart, 3 * count, isRefresh, requestOptions)
+    .then(function(enginesisResult) {
+        if ( ! resultIsSuccess(enginesisResult)) {
+            return enginesisResult;
+        }
+        const ranks = enginesisResult.results.result;
+        const entryIndex = ranks.findIndex(function(rankEntry) {
+            return parseInt(rankEntry.user_id, 10) == cursorEntry.userId && rankEntry.score == cursorEntry.score && rankEntry.date_created == cursorEntry.dateCreated;
+        });
+        let pageRanks;
+        if (entryIndex >= 0) {
+            pageRanks = leaderboardCursor.isNext ? ranks.slice(entryIndex + 1, entryIndex + 1 + count) : ranks.slice(Math.max(0, entryIndex - count), entryIndex);
+        } else {
+            const startRank = leaderboardCursor.isNext ? cursorEntry.rank + 1 : Math.max(1, cursorEntry.rank - count);
+            const endRank = leaderboardCursor.isNext ? startRank + count : cursorEntry.rank;
+            pageRanks = ranks.filter(function(rankEntry) {
+                const rank = parseInt(rankEntry.rank, 10);
+                return rank >= startRank && rank < endRank;
+            });
+        }
+        return leaderboardPageMake(leaderboard, enginesisResult, pageRanks);
+    });
+}
+
+/**
+ * Get the page of a leaderboard with the logged in user's rank in the middle of it. The user's rank is asked for
+ * with a ScoreRankList of only their ranks, then the page around it is fetched.
+ * @param {object} leaderboard The leaderboard from `leaderboardMake()`.
+ * @param {boolean} isRefresh True to ask the server even when the ranks are cached.
+ * @param {object} requestOptions Optional request options, see `sendRequest`.
+ * @returns {Promise} Resolves with the EnginesisResult of the page. Its `leaderboard` has `isUserRanked` true, or false
+ *   with no ranks when the user is not on the leaderboard, or null with no ranks when the server did not tell the user's rank.
+ */
+function leaderboardUserPageGet(leaderboard, isRefresh, requestOptions) {
+    const userId = enginesisContext.userIdGet();
+    return leaderboardRanksGet(leaderboard, 1, 1, isRefresh, requestOptions, userId)
+    .then(function(enginesisResult) {
+        if ( ! resultIsSuccess(enginesisResult)) {
+            return enginesisResult;
+        }
+        const ranks = enginesisResult.results.result;
+        const userEntry = ranks.find(function(rankEntry) {
+            return parseInt(rankEntry.user_id, 10) == userId;
+        });
+        if (userEntry === undefined) {
+            // a server that does not know user_id replies with the top rank, which says nothing about the user
+            const unrankedResult = leaderboardPageMake(leaderboard, enginesisResult, []);
+            unrankedResult.leaderboard.isUserRanked = ranks.length > 0 ? null : false;
+            return unrankedResult;
+        }
+        const startRank = Math.max(1, parseInt(userEntry.rank, 10) - Math.floor(leaderboard.count / 2));
+        return leaderboardPageGet(leaderboard, startRank, isRefresh, requestOptions)
+        .then(function(pageResult) {
+            if (resultIsSuccess(pageResult)) {
+                pageResult.leaderboard.isUserRanked = true;
+            }
+            return pageResult;
+        });
+    });
+}
+
+/**
+ * The name tag of the game data a save slot is kept in on the server.
+ * @param {string} slotName The save slot.
+ * @returns {string} The name tag.
+ */
+function saveSlotNameTag(slotName) {
+    return "saveSlot:" + enginesis.gameId + ":" + slotName;
+}
+
+/**
+ * Load the save slots of the current user from local storage. Slots saved by an anonymous player become
+ * the slots of the user who logs in, unless the user already has a slot of that name on this device.
+ * @returns {object} The save slots of each user id, and of the current user `userSlots`, slot name to slot.
+ */
+function saveSlotsLoad() {
+    const savedSlots = loadObjectWithKey(enginesis.saveSlotsKey) || {};
+    const userId = enginesis.isUserLoggedIn ? Math.floor(enginesis.loggedInUserInfo.user_id) : 0;
+    if (savedSlots[userId] === undefined) {
+        savedSlots[userId] = {};
+    }
+    if (userId != 0 && savedSlots[0] !== undefined) {
+        Object.keys(savedSlots[0]).forEach(function(slotName) {
+            if (savedSlots[userId][slotName] === undefined) {
+                savedSlots[userId][slotName] = {...savedSlots[0][slotName], revision: 0, isDirty: true};
+            }
+        });
+        delete savedSlots[0];
+    }
+    return {savedSlots: savedSlots, userSlots: savedSlots[userId]};
+}
+
+/**
+ * Save the save slots loaded with `saveSlotsLoad()`.
+ * @param {object} loadedSlots What `saveSlotsLoad()` returned, with the user slots changed.
+ */
+function saveSlotsSave(loadedSlots) {
+    saveObjectWithKey(enginesis.saveSlotsKey, loadedSlots.savedSlots);
+}
+
+/**
+ * Bring the data of a save slot up to the current schema version with the migration function of each
+ * version after the one it was saved with.
+ * @param {object} slot The save slot, `data` and the `version` it was saved with.
+ * @returns {object|null} The slot at the current version, null if it was saved by a newer version of the game.
+ */
+function saveSlotMigrate(slot) {
+    if (slot.version > enginesis.saveSlotVersion) {
+        return null;
+    }
+    let data = slot.data;
+    for (let version = slot.version + 1; version <= enginesis.saveSlotVersion; version += 1) {
+        if (typeof enginesis.saveSlotMigrations[version] === "function") {
+            data = enginesis.saveSlotMigrations[version](data, version - 1);
+        }
+    }
+    return {...slot, data: data, version: enginesis.saveSlotVersion};
+}
+
+/**
+ * Describe a save slot to the game, without what the SDK uses to sync it.
+ * @param {string} slotName The save slot.
+ * @param {object} slot The save slot.
+ * @returns {object} `slotName`, `data`, `version`, `updatedAt`, and `isSynced` false when it is only on this device.
+ */
+function saveSlotDescribe(slotName, slot) {
+    return {
+        slotName: slotName,
+        data: slot.data,
+        version: slot.version,
+        updatedAt: slot.updatedAt,
+        isSynced: ! slot.isDirty
+    };
+}
+
+/**
+ * Read the save of a slot from the server, the game data of the user with the slot's name tag. Like `sendToFriend()`
+ * the request is sent as is, as the `gameDataGet()` parameters are those of a game data id.
+ * @param {string} slotName The save slot.
+ * @param {object} requestOptions Optional request options, see `sendRequest`.
+ * @returns {Promise} Resolves with the slot, null if the server has none, or the EnginesisResult of a request that failed.
+ */
+function saveSlotFetch(slotName, requestOptions) {
+    return sendRequest("GameDataGet", {game_id: enginesis.gameId, name_tag: saveSlotNameTag(slotName)}, function() {}, requestOptions)
+    .catch(function(enginesisError) {
+        return enginesisError.result;
+    })
+    .then(function(enginesisResult) {
+        if ( ! resultIsSuccess(enginesisResult)) {
+            return enginesisResult;
+        }
+        const gameData = enginesisResult.results.result[0];
+        if (gameData === undefined) {
+            return null;
+        }
+        let savedSlot;
+        try {
+            savedSlot = JSON.parse(decodeURIComponent(gameData.game_data));
+        } catch (exception) {
+            debugLog("Save slot " + slotName + " is not valid " + exception.toString());
+            return null;
+        }
+        return {
+            data: savedSlot.data,
+            version: parseInt(savedSlot.version, 10) || 1,
+            updatedAt: parseInt(savedSlot.updatedAt, 10) || 0,
+            revision: parseInt(savedSlot.revision, 10) || 0,
+            isDirty: false
+        };
+    });
+}
+
+/**
+ * Sync a save slot with the server. A save made on this device since the last sync is sent, unless another device
+ * saved the slot since then. That is a conflict: the `saveSlotConflict` function chooses which save to keep, or by
+ * default the save made last is kept. A save of a newer version of the game is never replaced.
+ * The slot is one game data record of the user, found by its name tag and replaced by GameDataCreate with the same
+ * name tag. Its `game_data` has the `revision` of the save, one more than the save it replaced, so a device can tell
+ * the slot was saved by another device since its last sync.
+ * @param {string} slotName The save slot.
+ * @param {object} requestOptions Optional request options, see `sendRequest`.
+ * @returns {Promise} Resolves with the EnginesisResult of the request that failed, otherwise null.
+ */
+async function saveSlotSync(slotName, requestOptions) {
+    const remoteSlot = await saveSlotFetch(slotName, requestOptions);
+    if (remoteSlot != null && remoteSlot.results) {
+        return remoteSlot;
+    }
+    const loadedSlots = saveSlotsLoad();
+    let localSlot = loadedSlots.userSlots[slotName] || null;
+    if (remoteSlot != null && (localSlot == null || remoteSlot.revision != localSlot.revision)) {
+        const migratedSlot = saveSlotMigrate(remoteSlot);
+        if (migratedSlot == null) {
+            return makeErrorResponse("VALIDATION_FAILED", "Save slot " + slotName + " was saved by a newer version of the game.", {fn: "GameDataGet"});
+        }
+        if (localSlot == null || ! localSlot.isDirty) {
+            localSlot = migratedSlot;
+        } else {
+            const keptSlot = await Promise.resolve(enginesis.saveSlotConflict(saveSlotDescribe(slotName, localSlot), saveSlotDescribe(slotName, migratedSlot)));
+            if (keptSlot == null || keptSlot.data === migratedSlot.data) {
+                localSlot = migratedSlot;
+            } else {
+                localSlot = {data: keptSlot.data, version: enginesis.saveSlotVersion, updatedAt: Date.now(), revision: migratedSlot.revision, isDirty: true};
+            }
+        }
+    }
+    if (localSlot != null && localSlot.isDirty) {
+        const revision = localSlot.revision + 1;
+        const enginesisResult = await sendRequest("GameDataCreate", {
+            game_id: enginesis.gameId,
+            name_tag: saveSlotNameTag(slotName),
+            game_data: safeData({data: localSlot.data, version: localSlot.version, updatedAt: localSlot.updatedAt, revision: revision})
+        }, function() {}, requestOptions)
+        .catch(function(enginesisError) {
+            return enginesisError.result;
+        });
+        if ( ! resultIsSuccess(enginesisResult)) {
+            return enginesisResult;
+        }
+        localSlot = {...localSlot, revision: revision, isDirty: false};
+    }
+    if (localSlot != null) {
+        // the slots are loaded again as the game may have saved another slot while this one was syncing
+        const currentSlots = saveSlotsLoad();
+        const currentSlot = currentSlots.userSlots[slotName];
+        if (currentSlot !== undefined && currentSlot.isDirty && currentSlot.updatedAt > localSlot.updatedAt) {
+            localSlot = {...currentSlot, revision: localSlot.revision};
+        }
+        currentSlots.userSlots[slotName] = localSlot;
+        saveSlotsSave(currentSlots);
+    }
+    return null;
+}
+
+/**
+ * Sync save slots with the server, one at a time, when a user is logged in and the network is up.
+ * @param {Array} slotNames The save slots to sync, default is every slot saved on this device since its last sync.
+ * @param {object} requestOptions Optional request options, see `sendRequest`.
+ * @returns {Promise} Resolves with the EnginesisResult of the first request that failed, otherwise null.
+ */
+function saveSlotsSync(slotNames, requestOptions) {
+    enginesis.saveSlotSyncing = enginesis.saveSlotSyncing
+    .then(function() {
+        if ( ! enginesis.isUserLoggedIn || ! enginesis.isOnline) {
+            return null;
+        }
+        const userSlots = saveSlotsLoad().userSlots;
+        const syncSlotNames = slotNames || Object.keys(userSlots).filter(function(slotName) {
+            return userSlots[slotName].isDirty;
+        });
+        return syncSlotNames.reduce(function(previousSync, slotName) {
+            return previousSync
+            .then(function(failedResult) {
+                return failedResult || saveSlotSync(slotName, requestOptions);
+            });
+        }, Promise.resolve(null));
+    })
+    .catch(function(exception) {
+        return makeErrorResponse("SYSTEM_ERROR", "Save slot sync failed " + exception.toString(), {fn: "GameDataCreate"});
+    });
+    return enginesis.saveSlotSyncing;
+}
+
+/**
+ * The default `saveSlotConflict` function, the save made last is kept.
+ * @param {object} localSlot The save made on this device.
+ * @param {object} remoteSlot The save made on another device.
+ * @returns {object} The save to keep.
+ */
+function saveSlotLastWriterWins(localSlot, remoteSlot) {
+    return localSlot.updatedAt > remoteSlot.updatedAt ? localSlot : remoteSlot;
+}
+
+/**
+ * Send a request of the quiz runner. The caller of the quiz function is answered once the quiz is updated.
+ * @param {string} serviceName The quiz service.
+ * @param {object} serviceParameters The named parameters of the service.
+ * @param {object} requestOptions Optional request options, see `sendRequest`.
+ * @returns {Promise} Resolves with the EnginesisResult of the request, also when it failed.
+ */
+function quizServiceCall(serviceName, serviceParameters, requestOptions) {
+    return serviceCall(serviceName, serviceParameters, function() {}, requestOptions)
+    .catch(function(enginesisError) {
+        // rejectOnError, the caller is answered when the quiz is updated
+        return enginesisError.result;
+    });
+}
+
+/**
+ * Get the quiz from the answer of a quiz service: the quiz, its questions with their choices, and its outcomes.
+ * A question's `time_limit` is in seconds, 0 when there is no limit. A choice has `is_correct` when it is the right
+ * answer of a trivia question, or the `outcome_id` it leads to. An outcome is got by the answers leading to it or
+ * by a score from `min_score` to `max_score`.
+ * @param {object} enginesisResult The answer of QuizPlay, QuizPlayScheduled, or QuizGet.
+ * @returns {object|null} The quiz, null if the answer is not a quiz with questions.
+ */
+function quizFromResult(enginesisResult) {
+    const result = enginesisResult.results.result;
+    const quizData = Array.isArray(result) ? result[0] : result;
+    if (quizData == null || ! Array.isArray(quizData.questions) || quizData.questions.length == 0) {
+        return null;
+    }
+    const quizInfo = quizData.quiz || {};
+    return {
+        quizId: parseInt(quizInfo.quiz_id || quizInfo.game_id, 10) || 0,
+        title: quizInfo.title || "",
+        questions: quizData.questions.map(function(question) {
+            return {
+                questionId: parseInt(question.question_id, 10),
+                question: question.question || "",
+                timeLimit: (parseFloat(question.time_limit) || 0) * 1000,
+                choices: (question.choices || []).map(function(choice) {
+                    return {
+                        choiceId: parseInt(choice.choice_id, 10),
+                        choice: choice.choice || "",
+                        isCorrect: coerceBoolean(choice.is_correct),
+                        outcomeId: parseInt(choice.outcome_id, 10) || 0
+                    };
+                })
+            };
+        }),
+        outcomes: (quizData.outcomes || []).map(function(outcome) {
+            return {
+                outcomeId: parseInt(outcome.outcome_id, 10),
+                title: outcome.title || "",
+                minScore: outcome.min_score != null ? parseInt(outcome.min_score, 10) : null,
+                maxScore: outcome.max_score != null ? parseInt(outcome.max_score, 10) : null
+            };
+        })
+    };
+}
+
+/**
+ * Describe the quiz being played to the game. The answers of the current question are not given away.
+ * @param {object} quizSession The quiz session, see `quizStart()`.
+ * @returns {object} The quiz: `quizId`, `title`, `state` "question", "submitting", or "complete", `questionNumber` from 1,
+ *   `questionCount`, the current `question` with its `questionId`, `question`, `choices`, `timeLimit` and `timeRemaining` in
+ *   milliseconds, the `answers` so far, and once the quiz is finished the `outcome` and what other players got, `otherOutcomes`.
+ */
+function quizSessionDescribe(quizSession) {
+    const quiz = quizSession.quiz;
+    const question = quizSession.state == "question" ? quiz.questions[quizSession.questionIndex] : null;
+    return {
+        quizId: quizSession.quizId,
+        title: quiz.title,
+        state: quizSession.state,
+        questionNumber: Math.min(quizSession.questionIndex + 1, quiz.questions.length),
+        questionCount: quiz.questions.length,
+        question: question == null ? null : {
+            questionId: question.questionId,
+            question: question.question,
+            choices: question.choices.map(function(choice) {
+                return {choiceId: choice.choiceId, choice: choice.choice};
+            }),
+            timeLimit: question.timeLimit,
+            timeRemaining: question.timeLimit > 0 ? Math.max(0, quizSession.questionStartedAt + question.timeLimit - Date.now()) : null
+        },
+        answers: quizSession.answers.map(function(answer) {
+            return {...answer};
+        }),
+        outcome: quizSession.outcome,
+        otherOutcomes: quizSession.otherOutcomes
+    };
+}
+
+/**
+ * Keep the quiz being played in storage so it can be resumed after the app reloads. A finished quiz is removed.
+ * Only where the player is and their answers are kept, not the quiz, so the right answers are not in storage.
+ */
+function quizSessionSave() {
+    const quizSession = enginesis.quizSession;
+    if (quizSession == null || quizSession.state == "complete") {
+        removeObjectWithKey(enginesis.quizSessionKey);
+    } else {
+        saveObjectWithKey(enginesis.quizSessionKey, {
+            quizId: quizSession.quizId,
+            gameGroupId: quizSession.gameGroupId,
+            questionIndex: quizSession.questionIndex,
+            questionStartedAt: quizSession.questionStartedAt,
+            answers: quizSession.answers.map(function(answer) {
+                return {questionId: answer.questionId, choiceId: answer.choiceId, timeTaken: answer.timeTaken};
+            })
+        });
+    }
+}
+
+/**
+ * Check the quiz saved by `quizSessionSave()` is what it saves, as storage can be changed outside of the SDK.
+ * @param {any} savedSession What was read from storage.
+ * @returns {boolean} True when it can be resumed.
+ */
+function quizSessionIsValid(savedSession) {
+    return savedSession != null && typeof savedSession === "object"
+        && Number.isInteger(savedSession.quizId) && savedSession.quizId > 0
+        && (savedSession.gameGroupId == null || Number.isInteger(savedSession.gameGroupId))
+        && Number.isInteger(savedSession.questionIndex) && savedSession.questionIndex >= 0
+        && Number.isFinite(savedSession.questionStartedAt)
+        && Array.isArray(savedSession.answers) && savedSession.answers.length == savedSession.questionIndex
+        && savedSession.answers.every(function(answer) {
+            return answer != null && Number.isInteger(answer.questionId)
+                && (answer.choiceId === null || Number.isInteger(answer.choiceId))
+                && Number.isFinite(answer.timeTaken);
+        });
+}
+
+/**
+ * Make the quiz session of a quiz saved by `quizSessionSave()` again. The quiz is fetched with QuizGet and the
+ * answers are checked with its questions.
+ * @param {object} savedSession The saved quiz, see `quizSessionIsValid()`.
+ * @param {object} requestOptions Optional request options, see `sendRequest`.
+ * @returns {Promise} Resolves with the quiz session, or the EnginesisResult of why it cannot be resumed.
+ */
+function quizSessionRestore(savedSession, requestOptions) {
+    return quizServiceCall("QuizGet", {quizId: savedSession.quizId}, requestOptions)
+    .then(function(enginesisResult) {
+        if ( ! resultIsSuccess(enginesisResult)) {
+            return enginesisResult;
+        }
+        const quiz = quizFromResult(enginesisResult);
+        const answers = quiz == null || savedSession.questionIndex > quiz.questions.length ? null : savedSession.answers.map(function(answer, index) {
+            const question = quiz.questions[index];
+            const choice = question.choices.find(function(questionChoice) {
+                return questionChoice.choiceId == answer.choiceId;
+            });
+            if (question.questionId != answer.questionId || (answer.choiceId !== null && choice === undefined)) {
+                return null;
             }
-            serviceRequestComplete(enginesisParameters.state_seq, responseData, overRideCallBackFunction);
+            return {questionId: answer.questionId, choiceId: answer.choiceId, isCorrect: choice !== undefined && choice.isCorrect, timeTaken: answer.timeTaken};
+        });
+        if (answers == null || answers.includes(null)) {
+            removeObjectWithKey(enginesis.quizSessionKey);
+            return makeErrorResponse("QUIZ_ERROR", "The saved quiz " + savedSession.quizId + " is not the same as the quiz.", {fn: "QuizGet"});
+        }
+        const quizSession = {
+            quizId: savedSession.quizId,
+            gameGroupId: savedSession.gameGroupId,
+            quiz: quiz,
+            state: savedSession.questionIndex < quiz.questions.length ? "question" : "submitting",
+            questionIndex: savedSession.questionIndex,
+            questionStartedAt: savedSession.questionStartedAt,
+            answers: answers,
+            outcome: null,
+            otherOutcomes: null
+        };
+        if (quizSession.state == "submitting") {
+            quizSession.outcome = quizOutcomeMake(quizSession);
         }
-    })
-    .catch(function(requestError) {
-        const errorMessage = "Internal error posting to " + enginesis.siteResources.serviceURL + ": " + requestError.toString();
-        debugLog(errorMessage);
-        serviceRequestComplete(enginesisParameters.state_seq, forceErrorResponseString(serviceName, enginesisParameters.state_seq, "OFFLINE", errorMessage, enginesisParameters), overRideCallBackFunction);
+        return quizSession;
     });
-    return true;
 }
 
 /**
- * Return the next item on the queue.
- * @returns {object} Item to be processed.
+ * Determine if the QuizSubmit of a quiz is waiting on the service queue, such as one sent while offline before the
+ * app reloaded. The queue saved by the prior app session is restored first.
+ * @param {integer} quizId The quiz.
+ * @returns {Promise} Resolves with true when the quiz is on the queue to be submitted.
  */
-function getNextUnprocessedMessage() {
-    const serviceQueue = enginesis.serviceQueue;
-    let unprocessedRequest = null;
-
-    for (let i = 0; i < serviceQueue.length; i += 1) {
-        const enginesisRequest = serviceQueue[i];
-        if (typeof enginesisRequest.state_status == "undefined" || enginesisRequest.state_status == 0) {
-            enginesisRequest.state_status = 1;
-            unprocessedRequest = enginesisRequest;
-            break;
-        }
-    }
-    return unprocessedRequest;
+function quizSubmitIsQueued(quizId) {
+    return enginesis.serviceQueueRestored
+    .then(function() {
+        return enginesis.serviceQueue.some(function(item) {
+            return item.fn == "QuizSubmit" && item.game_id == quizId;
+        });
+    });
 }
 
 /**
- * Process the top-most message in the queue and call the provided resolve function when complete.
- * @param {function} resolve A Promise resolve function, or null if no context can be determined when the function completes.
- * @param {function} reject A Promise reject function, or null if no context can be determined when the function completes.
+ * The quiz changed: save it and tell the game with `quizChanged`.
  */
-function processNextMessage(resolve, reject) {
-    if (enginesis.isOnline && enginesis.serviceQueue.length > 0) {
-        const enginesisParameters = getNextUnprocessedMessage();
-        if (enginesisParameters != null) {
-            const serviceName = enginesisParameters.fn;
-            const overRideCallBackFunction = enginesisParameters.overRideCallBackFunction;
-            let errorMessage;
+function quizSessionChanged() {
+    quizSessionSave();
+    emitEvent("quizChanged", {
+        quiz: quizSessionDescribe(enginesis.quizSession)
+    });
+}
 
-            if (enginesis.isNodeBuild) {
-                sendNodeRequest(serviceName, enginesisParameters, function (enginesisResult) {
-                    callbackPriority(enginesisResult, resolve, overRideCallBackFunction, enginesis.callBackFunction);
-                });
-            } else {
-                fetch(enginesis.siteResources.serviceURL, {
-                    method: "POST",
-                    mode: "cors",
-                    cache: "no-cache",
-                    credentials: "same-origin",
-                    headers: formatHTTPHeader(),
-                    body: convertParamsToFormData(enginesisParameters)
-                })
-                .then(function (response) {
-                    removeFromServiceQueue(enginesisParameters.state_seq);
-                    if (response.status == 200) {
-                        response.json()
-                        .then(function (enginesisResult) {
-                            let errorMessage;
-                            if (enginesisResult == null) {
-                                // If Enginesis fails to return a valid object then the service must have failed, possible the response was not parsable JSON (e.g. error 500)
-                                debugLog("Enginesis service error for " + serviceName + ": " + response.text());
-                                errorMessage = "Enginesis service while contacting Enginesis at " + enginesis.serverHost + " for " + serviceName;
-                                enginesisResult = forceErrorResponseObject(serviceName, enginesisParameters.state_seq, "SERVICE_ERROR", errorMessage, enginesisParameters);
-                            } else {
-                                enginesisResult.fn = serviceName;
-                            }
-                            callbackPriority(enginesisResult, resolve, overRideCallBackFunction, enginesis.callBackFunction);
-                        })
-                        .catch(function (error) {
-                            const errorMessage = "Invalid response from Enginesis at " + enginesis.serverHost + " for " + serviceName + ": " + error.toString();
-                            const enginesisResult = forceErrorResponseObject(serviceName, enginesisParameters.state_seq, "SERVICE_ERROR", errorMessage, enginesisParameters);
-                            debugLog(errorMessage);
-                            callbackPriority(enginesisResult, resolve, overRideCallBackFunction, enginesis.callBackFunction);
-                        });
-                    } else {
-                        const errorMessage = "Network error " + response.status + " while contacting Enginesis at " + enginesis.serverHost + " for " + serviceName;
-                        const enginesisResult = forceErrorResponseObject(serviceName, enginesisParameters.state_seq, "SERVICE_ERROR", errorMessage, enginesisParameters);
-                        debugLog(errorMessage);
-                        callbackPriority(enginesisResult, resolve, overRideCallBackFunction, enginesis.callBackFunction);
-                    }
-                }, function (error) {
-                    // @todo: If the error is no network, then set offline and queue this request
-                    if (setOffline()) {
-                        errorMessage = "Enginesis Network error encountered, assuming we're offline. " + enginesis.serverHost + " for " + serviceName + ": " + error.toString();
-                    } else {
-                        errorMessage = "Enginesis is already offline, leaving this message on the queue.";
-                    }
-                    debugLog(errorMessage);
-                    callbackPriority(
-                        forceErrorResponseObject(serviceName, enginesisParameters.state_seq, "OFFLINE", errorMessage, enginesisParameters),
-                        resolve,
-                        overRideCallBackFunction,
-                        enginesis.callBackFunction
-                    );
-                })
-                .catch(function (error) {
-                    // @todo: If the error is no network, then set offline and queue this request
-                    if (setOffline()) {
-                        errorMessage = "Enginesis Network error encountered, assuming we're offline. " + enginesis.serverHost + " for " + serviceName + ": " + error.toString();
-                    } else {
-                        errorMessage = "Enginesis is already offline, leaving this message on the queue.";
+/**
+ * Start the time to answer the current question. When it runs out the question is answered without a choice.
+ * The time of a question resumed after a reload continues from when the question was first shown.
+ */
+function quizTimerStart() {
+    const quizSession = enginesis.quizSession;
+    const question = quizSession.quiz.questions[quizSession.questionIndex];
+    quizTimerStop();
+    if (question.timeLimit > 0) {
+        enginesis.quizTimer = setTimeout(function() {
+            enginesis.quizTimer = null;
+            if (enginesis.quizSession === quizSession) {
+                quizAnswerRecord(null, null)
+                .then(function(enginesisResult) {
+                    if ( ! resultIsSuccess(enginesisResult)) {
+                        debugLog("Quiz question " + question.questionId + " timed out, the quiz was not updated " + resultErrorCode(enginesisResult));
                     }
-                    debugLog(errorMessage);
-                    callbackPriority(
-                        forceErrorResponseObject(serviceName, enginesisParameters.state_seq, "OFFLINE", errorMessage, enginesisParameters),
-                        resolve,
-                        overRideCallBackFunction,
-                        enginesis.callBackFunction
-                    );
+                }, function(exception) {
+                    debugLog("Quiz question " + question.questionId + " timed out with exception " + exception.toString());
                 });
             }
-        } else {
-            if (reject != null) {
-                reject(new Error("Queue is empty"));
-            }
-        }
+        }, Math.max(0, quizSession.questionStartedAt + question.timeLimit - Date.now()));
+    }
+}
+
+/**
+ * Stop the time of the current question.
+ */
+function quizTimerStop() {
+    if (enginesis.quizTimer != null) {
+        clearTimeout(enginesis.quizTimer);
+        enginesis.quizTimer = null;
+    }
+}
+
+/**
+ * Answer the current question and go to the next one, or finish the quiz after the last question. The answer is
+ * recorded with QuizQuestionPlayed, which is queued while offline.
+ * @param {integer|null} choiceId The choice the player picked, null when the time ran out.
+ * @param {object} requestOptions Optional request options, see `sendRequest`.
+ * @returns {Promise} Resolves with the EnginesisResult of the quiz after the answer.
+ */
+function quizAnswerRecord(choiceId, requestOptions) {
+    const quizSession = enginesis.quizSession;
+    const question = quizSession.quiz.questions[quizSession.questionIndex];
+    const choice = question.choices.find(function(questionChoice) {
+        return questionChoice.choiceId == choiceId;
+    });
+    if (choiceId != null && choice === undefined) {
+        return Promise.resolve(makeErrorResponse("INVALID_QUIZ_CHOICE_ID", "The quiz choice selected is not valid.", {fn: "QuizQuestionPlayed"}));
+    }
+    quizTimerStop();
+    quizSession.answers.push({
+        questionId: question.questionId,
+        choiceId: choice !== undefined ? choice.choiceId : null,
+        isCorrect: choice !== undefined && choice.isCorrect,
+        timeTaken: Date.now() - quizSession.questionStartedAt
+    });
+    quizSession.questionIndex += 1;
+    quizSession.questionStartedAt = Date.now();
+    const isFinished = quizSession.questionIndex >= quizSession.quiz.questions.length;
+    if (isFinished) {
+        quizSession.state = "submitting";
+        quizSession.outcome = quizOutcomeMake(quizSession);
     } else {
-        if (reject != null) {
-            reject(new Error("Offline or queue is empty"));
+        quizTimerStart();
+    }
+    quizSessionChanged();
+    return quizServiceCall("QuizQuestionPlayed", {
+        quizId: quizSession.quizId,
+        questionId: question.questionId,
+        choiceId: choice !== undefined ? choice.choiceId : undefined
+    }, requestOptions)
+    .then(function(enginesisResult) {
+        if ( ! resultIsSuccess(enginesisResult)) {
+            debugLog("Quiz answer of question " + question.questionId + " not recorded " + resultErrorCode(enginesisResult));
+        }
+        return isFinished ? quizSubmit(quizSession, requestOptions) : quizSessionResult(quizSession, "QuizQuestionPlayed");
+    });
+}
+
+/**
+ * The outcome of a finished quiz: the `score`, the number of correct answers, and the `outcomeId` and `title` of
+ * the outcome chosen by the `quizOutcome` function.
+ * @param {object} quizSession The quiz session, see `quizStart()`.
+ * @returns {object} The outcome.
+ */
+function quizOutcomeMake(quizSession) {
+    const quiz = quizSession.quiz;
+    const answers = quizSession.answers.map(function(answer) {
+        return {...answer};
+    });
+    const outcomeId = parseInt(enginesis.quizOutcome(quiz, answers), 10) || 0;
+    const outcome = quiz.outcomes.find(function(quizOutcome) {
+        return quizOutcome.outcomeId == outcomeId;
+    });
+    return {
+        score: answers.filter(function(answer) {
+            return answer.isCorrect;
+        }).length,
+        outcomeId: outcomeId,
+        title: outcome !== undefined ? outcome.title : ""
+    };
+}
+
+/**
+ * The default `quizOutcome` function. When the choices lead to outcomes the outcome most of the chosen answers lead to
+ * is got, the first of the quiz outcomes when tied. Otherwise the outcome of the score, the number of correct answers.
+ * @param {object} quiz The quiz, see `quizFromResult()`.
+ * @param {Array} answers The player's answers, `questionId`, `choiceId`, and `isCorrect`.
+ * @returns {integer} The outcome id, 0 when no outcome was got.
+ */
+function quizOutcomeDefault(quiz, answers) {
+    const outcomeCounts = {};
+    answers.forEach(function(answer) {
+        const question = quiz.questions.find(function(quizQuestion) {
+            return quizQuestion.questionId == answer.questionId;
+        });
+        const choice = question.choices.find(function(questionChoice) {
+            return questionChoice.choiceId == answer.choiceId;
+        });
+        if (choice !== undefined && choice.outcomeId > 0) {
+            outcomeCounts[choice.outcomeId] = (outcomeCounts[choice.outcomeId] || 0) + 1;
         }
+    });
+    if (Object.keys(outcomeCounts).length > 0) {
+        return quiz.outcomes.reduce(function(mostChosen, outcome) {
+            return (outcomeCounts[outcome.outcomeId] || 0) > (outcomeCounts[mostChosen] || 0) ? outcome.outcomeId : mostChosen;
+        }, 0);
     }
+    const score = answers.filter(function(answer) {
+        return answer.isCorrect;
+    }).length;
+    const scoreOutcome = quiz.outcomes.find(function(outcome) {
+        return (outcome.minScore == null || score >= outcome.minScore) && (outcome.maxScore == null || score <= outcome.maxScore);
+    });
+    return scoreOutcome !== undefined ? scoreOutcome.outcomeId : 0;
 }
 
 /**
- * Internal function to send a service request to the server.
- * @param {string} serviceName Which service endpoint to call.
- * @param {object} parameters Key/value pairs for all parameters to send.
- * @param {function} overRideCallBackFunction Optional function to call when service request completes.
- * @returns {Promise} A promise object is returned that resolves when the service request completes.
+ * Submit the results of a finished quiz and then get what the other players got. A quiz submitted while offline is
+ * queued and it is complete without the other players' outcomes. If the submit failed the quiz stays "submitting"
+ * so `quizResume()` can submit it again.
+ * @param {object} quizSession The quiz session, see `quizStart()`.
+ * @param {object} requestOptions Optional request options, see `sendRequest`.
+ * @returns {Promise} Resolves with the EnginesisResult of the quiz, or of the submit that failed.
  */
-function sendRequest(serviceName, parameters, overRideCallBackFunction) {
-    return new Promise(function(resolve, reject) {
-        if ( ! enginesis.disabled && isValidOperationalState()) {
-            const enginesisParameters = serverParamObjectMake(serviceName, parameters);
-            enginesisParameters.overRideCallBackFunction = overRideCallBackFunction;
-            enginesis.serviceQueue.push(enginesisParameters);
-            if (enginesis.isOnline) {
-                processNextMessage(resolve, reject);
-            } else {
-                const errorMessage = "Enginesis is offline. Message " + serviceName + " will be processed when network connectivity is restored.";
-                const enginesisResult = forceErrorResponseObject(serviceName, enginesisParameters.state_seq, "OFFLINE", errorMessage, parameters);
-                saveServiceQueue();
-                debugLog(errorMessage);
-                callbackPriority(enginesisResult, resolve, overRideCallBackFunction, enginesis.callBackFunction);
+function quizSubmit(quizSession, requestOptions) {
+    return quizServiceCall("QuizSubmit", {
+        quizId: quizSession.quizId,
+        results: JSON.stringify({
+            score: quizSession.outcome.score,
+            outcome_id: quizSession.outcome.outcomeId,
+            answers: quizSession.answers.map(function(answer) {
+                return {question_id: answer.questionId, choice_id: answer.choiceId, time_taken: answer.timeTaken};
+            })
+        })
+    }, requestOptions)
+    .then(function(submitResult) {
+        const isQueued = resultErrorCode(submitResult) == "OFFLINE";
+        if ( ! resultIsSuccess(submitResult) && ! isQueued) {
+            return submitResult;
+        }
+        return (isQueued ? Promise.resolve(null) : quizServiceCall("QuizOutcomesCountList", {quizId: quizSession.quizId, gameGroupId: quizSession.gameGroupId}, requestOptions))
+        .then(function(outcomesResult) {
+            if (outcomesResult != null && resultIsSuccess(outcomesResult)) {
+                const outcomesCounted = outcomesResult.results.result.reduce(function(total, outcomeCount) {
+                    return total + (parseInt(outcomeCount.count, 10) || 0);
+                }, 0);
+                quizSession.otherOutcomes = outcomesResult.results.result.map(function(outcomeCount) {
+                    const outcomeId = parseInt(outcomeCount.outcome_id, 10);
+                    const count = parseInt(outcomeCount.count, 10) || 0;
+                    const outcome = quizSession.quiz.outcomes.find(function(quizOutcome) {
+                        return quizOutcome.outcomeId == outcomeId;
+                    });
+                    return {
+                        outcomeId: outcomeId,
+                        title: outcome !== undefined ? outcome.title : "",
+                        count: count,
+                        share: outcomesCounted > 0 ? count / outcomesCounted : 0
+                    };
+                });
             }
-        } else {
-            let enginesisResult;
-            if (enginesis.disabled) {
-                enginesisResult = forceErrorResponseObject(serviceName, 0, "DISABLED", "Enginesis is disabled.", parameters);
-            } else {
-                enginesisResult = forceErrorResponseObject(serviceName, 0, "VALIDATION_FAILED", "Enginesis internal state failed validation.", parameters);
+            quizSession.state = "complete";
+            if (enginesis.quizSession === quizSession) {
+                quizSessionChanged();
             }
-            callbackPriority(enginesisResult, resolve, overRideCallBackFunction, enginesis.callBackFunction);
-        }
+            return quizSessionResult(quizSession, "QuizSubmit");
+        });
     });
 }
 
 /**
- * When a process fails on the client, we don't need to send a request to the server. In order
- * to keep the process flow, send back an error that wll immediately resolve to a proper
- * EnginesisResult with the error information.
- *
- * @param {string} serviceName Enginesis service name.
- * @param {object} parameters Parameters sent to server.
- * @param {string} errorCode Enginesis error code to send.
- * @param {string} errorMessage Additional error information.
- * @param {function} overRideCallBackFunction Function to call with result.
- * @returns {Promise} A promise that will resolve with the EnginesisResult as an error response.
+ * Make the result of a quiz function, its result is the quiz, see `quizSessionDescribe()`.
+ * @param {object} quizSession The quiz session.
+ * @param {string} serviceName The quiz service the result is of.
+ * @returns {object} The EnginesisResult.
  */
-function immediateErrorResponse(serviceName, parameters, errorCode, errorMessage, overRideCallBackFunction) {
-    return new Promise(function(resolve) {
-        const enginesisResult = forceErrorResponseObject(serviceName, parameters.state_seq || 0, errorCode, errorMessage, parameters);
-        callbackPriority(enginesisResult, resolve, overRideCallBackFunction, enginesis.callBackFunction);
-    });
+function quizSessionResult(quizSession, serviceName) {
+    const enginesisResult = makeErrorResponse("", "", {fn: serviceName});
+    enginesisResult.results.result.push(quizSessionDescribe(quizSession));
+    return enginesisResult;
 }
 
 /**
- * Internal function to make a parameter object complementing a service request. Depending on the
- * current state of the system specific internal variables are appended to the service request.
- * @param {string} serviceName Enginesis service endpoint.
- * @param {object} additionalParameters Key/value pairs of parameters and their respective values.
- * @returns {object} An object to be used in an Enginesis service request.
+ * The analytics events a game can track with `analyticsTrack()`. An event has the `category` it is sampled and
+ * reported by, and its `parameters` described the same as those of the `serviceRegistry`, with `name`, `type`, and
+ * `required`. Add events with `analyticsEventRegister()`. `game_event` is an event of `gameTrackingRecord()`.
  */
-function serverParamObjectMake (serviceName, additionalParameters) {
-    enginesis.internalStateSeq += 1;
-    // these are defaults that could be overridden with additionalParameters
-    const serverParams = {
-        fn: serviceName,
-        language_code: enginesis.languageCode,
-        site_id: enginesis.siteId,
-        state_seq: enginesis.internalStateSeq,
-        state_status: 0,
-        response: "json"
-    };
-    if (enginesis.loggedInUserInfo && enginesis.authTokenWasValidated && Math.floor(enginesis.loggedInUserInfo.user_id) != 0) {
-        serverParams.authtok = enginesis.authToken;
-        if (serviceName == "SessionRefresh") {
-            serverParams.logged_in_user_id = enginesis.loggedInUserInfo.user_id;
-        }
+const analyticsEventCatalog = {
+    game_event: {
+        category: "game",
+        parameters: [
+            {name: "category", type: "string", required: true},
+            {name: "action", type: "string"},
+            {name: "label", type: "string"},
+            {name: "hitData", type: "string"}
+        ]
+    },
+    round_start: {
+        category: "round",
+        parameters: [
+            {name: "courseId", type: "integer", required: true},
+            {name: "holes", type: "integer", required: true}
+        ]
+    },
+    stroke: {
+        category: "stroke",
+        parameters: [
+            {name: "courseId", type: "integer", required: true},
+            {name: "hole", type: "integer", required: true},
+            {name: "strokeNumber", type: "integer", required: true},
+            {name: "power", type: "number"},
+            {name: "angle", type: "number"}
+        ]
+    },
+    hole_complete: {
+        category: "hole",
+        parameters: [
+            {name: "courseId", type: "integer", required: true},
+            {name: "hole", type: "integer", required: true},
+            {name: "strokes", type: "integer", required: true},
+            {name: "par", type: "integer", required: true}
+        ]
+    },
+    round_complete: {
+        category: "round",
+        parameters: [
+            {name: "courseId", type: "integer", required: true},
+            {name: "strokes", type: "integer", required: true},
+            {name: "par", type: "integer"},
+            {name: "timePlayed", type: "integer"}
+        ]
     }
-    if (enginesis.gameId) {
-        serverParams.game_id = enginesis.gameId;
+};
+
+/**
+ * Make an analytics event from the properties the game gave, checked with the event catalog.
+ * @param {string} eventName An event of `analyticsEventCatalog`.
+ * @param {object} properties The event's properties, named as its parameters.
+ * @returns {object} The `event`, or the `errorCode` and `errorMessage` of why it cannot be tracked.
+ */
+function analyticsEventMake(eventName, properties) {
+    const eventDescription = analyticsEventCatalog[eventName];
+    if (eventDescription === undefined) {
+        return {errorCode: "INVALID_PARAMETER", errorMessage: "Analytics event " + eventName + " is not in the event catalog."};
     }
-    if (additionalParameters != null) {
-        for (const key in additionalParameters) {
-            if (additionalParameters.hasOwnProperty(key)) {
-                serverParams[key] = additionalParameters[key];
+    const eventProperties = properties || {};
+    const unknownProperty = Object.keys(eventProperties).find(function(propertyName) {
+        return ! eventDescription.parameters.some(function(parameter) {
+            return parameter.name == propertyName;
+        });
+    });
+    if (unknownProperty !== undefined) {
+        return {errorCode: "INVALID_PARAMETER", errorMessage: "Analytics event " + eventName + " has no property " + unknownProperty + "."};
+    }
+    const data = {};
+    for (const parameter of eventDescription.parameters) {
+        const value = eventProperties[parameter.name];
+        if (value === undefined || value === null || value === "") {
+            if (parameter.required) {
+                return {errorCode: "MISSING_PARAM", errorMessage: "Analytics event " + eventName + " requires " + parameter.name + "."};
             }
+            continue;
+        }
+        const checkedValue = serviceParameterValue(value, parameter.type);
+        if (checkedValue === undefined) {
+            return {errorCode: "INVALID_PARAMETER", errorMessage: "Analytics event " + eventName + " " + parameter.name + " must be " + parameter.type + "."};
+        }
+        if (parameter.type == "integer" || parameter.type == "number") {
+            data[parameter.name] = Number(checkedValue);
+        } else if (parameter.type == "boolean") {
+            data[parameter.name] = checkedValue == 1;
+        } else {
+            data[parameter.name] = checkedValue;
         }
     }
-    return serverParams;
+    return {
+        event: {
+            name: eventName,
+            category: eventDescription.category,
+            data: data,
+            gameId: enginesis.gameId,
+            userId: enginesis.isUserLoggedIn ? Math.floor(enginesis.loggedInUserInfo.user_id) : 0,
+            time: new Date().toISOString(),
+            sampleRate: 1
+        }
+    };
 }
 
 /**
- * Generate an internal error that looks the same as an error response from the server.
- * @param {string} serviceName The official Enginesis service endpoint that was invoked.
- * @param {integer} stateSeq Session serial number.
- * @param {string} errorCode An Enginesis error code.
- * @param {string} errorMessage Additional info about the error, such as data conditions.
- * @param {object} passThrough Object of parameters supplied to the service endpoint.
- * @returns {string} a JSON string representing a standard Enginesis error.
+ * Encode a batch of analytics events of the same game and user as the hit_data of a GameTrackingRecord, as small as
+ * it can be so many events fit in what the server takes: `{"g": gameId, "u": userId, "t": time of the first event in
+ * milliseconds, "e": events}`. Each event is `[name, milliseconds after the first event, values]` with the values of
+ * its properties in the order of the event's parameters in `analyticsEventCatalog`, null for a property it does not
+ * have, and its sample rate after the values when it is less than 1.
+ * @param {Array} events The events, see `analyticsEventMake()`.
+ * @returns {string} The hit data.
  */
-function forceErrorResponseString(serviceName, stateSeq, errorCode, errorMessage, passThrough) {
-    return JSON.stringify(forceErrorResponseObject(serviceName, stateSeq, errorCode, errorMessage, passThrough));
+function analyticsBatchEncode(events) {
+    const firstTime = Date.parse(events[0].time);
+    return JSON.stringify({
+        g: events[0].gameId,
+        u: events[0].userId,
+        t: firstTime,
+        e: events.map(function(event) {
+            const eventDescription = analyticsEventCatalog[event.name];
+            let values = event.data;
+            if (eventDescription !== undefined) {
+                values = eventDescription.parameters.map(function(parameter) {
+                    return event.data[parameter.name] !== undefined ? event.data[parameter.name] : null;
+                });
+                while (values.length > 0 && values[values.length - 1] === null) {
+                    values.pop();
+                }
+            }
+            const encodedEvent = [event.name, Date.parse(event.time) - firstTime, values];
+            if (event.sampleRate < 1) {
+                encodedEvent.push(event.sampleRate);
+            }
+            return encodedEvent;
+        })
+    });
 }
 
 /**
- * Generate an internal error that looks the same as an error response from the server.
- * @param {string} serviceName The official Enginesis service endpoint that was invoked.
- * @param {integer} sequenceNumber Session serial number.
- * @param {string} errorCode An Enginesis error code.
- * @param {string} errorMessage Additional info about the error, such as data conditions.
- * @param {object} passThrough Object of parameters supplied to the service endpoint.
- * @returns {object} the Enginesis error object.
+ * Make the analytics sink that sends a batch of events to Enginesis with GameTrackingRecord requests. The events are
+ * encoded with `analyticsBatchEncode()` and sent in as few requests as keep each hit_data within the `hitDataLimit`
+ * of the pipeline. A `game_event` of `gameTrackingRecord()` too large to batch is sent on its own the same as
+ * `gameTrackingRecord()` sends it without the pipeline, any other event larger than that on its own is not sent.
+ * The requests are queued while offline.
+ * @returns {object} An analytics sink.
  */
-function forceErrorResponseObject(serviceName, sequenceNumber, errorCode, errorMessage, passThrough) {
-    if (typeof serviceName === "undefined" || serviceName === null || serviceName == "") {
-        serviceName = "unknown";
-    }
-    if (typeof sequenceNumber === "undefined" || sequenceNumber == null) {
-        sequenceNumber = 0;
-    }
-    if (typeof passThrough === "undefined" || passThrough == null) {
-        passThrough = {};
-    }
-    if (typeof passThrough.fn === "undefined" || passThrough.fn == null) {
-        passThrough.fn = serviceName;
-    }
-    if (typeof passThrough.state_seq === "undefined" || passThrough.state_seq == null) {
-        passThrough.state_seq = sequenceNumber;
+function createEnginesisAnalyticsSink() {
+    const byteEncoder = new TextEncoder();
+
+    function hitDataLimit() {
+        return enginesis.analytics != null ? enginesis.analytics.hitDataLimit : enginesis.analyticsHitDataLimit;
     }
-    const isError = ! (errorCode == "" || errorCode == "NO_ERROR");
-    return {
-        fn: serviceName,
-        results: {
-            result: [],
-            status: {
-                success: isError ? "0" : "1",
-                message: errorCode,
-                extended_info: errorMessage
-            },
-            passthru: passThrough
+
+    function isWithinLimit(events) {
+        return byteEncoder.encode(analyticsBatchEncode(events)).length <= hitDataLimit();
+    }
+
+    function isSameSource(hit, event) {
+        return hit[0].gameId == event.gameId && hit[0].userId == event.userId;
+    }
+
+    return {
+        name: "enginesis",
+        send: function(events, sendOptions) {
+            const requestOptions = sendOptions != null && sendOptions.isPageHide ? {keepalive: true, essential: true} : undefined;
+            const hits = [];
+            const gameEvents = [];
+            events.forEach(function(event) {
+                const hit = hits.length > 0 ? hits[hits.length - 1] : null;
+                if (hit != null && isSameSource(hit, event) && isWithinLimit(hit.concat(event))) {
+                    hit.push(event);
+                } else if (isWithinLimit([event])) {
+                    hits.push([event]);
+                } else if (event.name == "game_event") {
+                    gameEvents.push(event);
+                } else {
+                    debugLog("Analytics event " + event.name + " is larger than " + hitDataLimit() + " bytes and is not sent to Enginesis.");
+                }
+            });
+            return Promise.all(hits.map(function(hit) {
+                return serviceCall("GameTrackingRecord", {
+                    category: "analytics",
+                    action: "batch",
+                    label: String(hit.length),
+                    hitData: analyticsBatchEncode(hit),
+                    hitType: "game_event_batch"
+                }, function() {}, requestOptions);
+            }).concat(gameEvents.map(function(event) {
+                return serviceCall("GameTrackingRecord", {
+                    category: event.data.category,
+                    action: event.data.action,
+                    label: event.data.label,
+                    hitData: event.data.hitData
+                }, function() {}, requestOptions);
+            })));
         }
     };
 }
 
 /**
- * Convert a parameter object to a proper HTTP Form request.
- * @param {object} parameterObject The object to convert.
- * @returns {FormData} Form data object to be used in HTTP request.
+ * Make the analytics sink that pushes each event to Google Tag Manager's `window.dataLayer`, or sends it with
+ * Google Analytics `window.ga`, when the page has one of them.
+ * @returns {object} An analytics sink.
  */
-function convertParamsToFormData (parameterObject) {
-    let formDataObject;
-    if (enginesis.isBrowserBuild) {
-        formDataObject = new FormData();
-    } else {
-        formDataObject = {};
-    }
-    for (const key in parameterObject) {
-        if (parameterObject.hasOwnProperty(key) && typeof parameterObject[key] !== "function" && key != "overRideCallBackFunction") {
-            if (enginesis.isBrowserBuild) {
-                formDataObject.append(key, parameterObject[key]);
-            } else {
-                formDataObject[key] = parameterObject[key];
+function createDataLayerAnalyticsSink() {
+    return {
+        name: "dataLayer",
+        send: function(events) {
+            if (typeof window === "undefined" || window == null) {
+                return;
             }
+            events.forEach(function(event) {
+                const isGameEvent = event.name == "game_event";
+                const category = isGameEvent ? event.data.category : event.name;
+                const action = isGameEvent ? event.data.action || "" : event.category;
+                const label = isGameEvent ? event.data.label || "" : "";
+                const value = isGameEvent ? event.data.hitData || "" : JSON.stringify(event.data);
+                if (window.dataLayer != undefined) {
+                    window.dataLayer.push({"event": category, "gameid": String(event.gameId), "action": action, "label": label, "value": value});
+                } else if (window.ga != undefined) {
+                    window.ga("send", "event", category, action, label, value);
+                }
+            });
         }
-    }
-    return formDataObject;
+    };
 }
 
 /**
- * When Enginesis is offline all messages are queued.
- * @returns {boolean} True if set offline, otherwise false for online.
+ * Make the analytics sink that logs each event to the console, to see the events while making the game.
+ * @returns {object} An analytics sink.
  */
-function setOffline() {
-    let fromOnlineToOffline;
-    if (enginesis.isOnline) {
-        saveServiceQueue();
-        fromOnlineToOffline = true;
-    } else {
-        fromOnlineToOffline = false;
-    }
-    enginesis.isOnline = false;
-    return fromOnlineToOffline;
+function createConsoleAnalyticsSink() {
+    return {
+        name: "console",
+        send: function(events) {
+            events.forEach(function(event) {
+                console.log("Analytics " + event.name + " " + JSON.stringify(event.data));
+            });
+        }
+    };
 }
 
 /**
- * When network connectivity is restored process all messages in the queue.
- * @returns {Promise} Resolve is called once all items in the queue are complete, or we go back offline.
+ * Make the analytics sink that keeps the events in its `events` array, for tests.
+ * @returns {object} An analytics sink.
  */
-function restoreOnline() {
-    const wasOffline = ! enginesis.isOnline;
-    enginesis.isOnline = true;
-
-    function processNextIfQueueNotEmpty(resolve) {
-        if (enginesis.isOnline && enginesis.serviceQueue.length > 0) {
-            if (wasOffline) {
-                // @todo: we were offline but now we are back online, should we generate an event to alert the app?
-            }
-            processNextMessage(function() {
-                processNextIfQueueNotEmpty(resolve);
-            }, function() {
-                processNextIfQueueNotEmpty(resolve);
-            });
-        } else {
-            if (wasOffline) {
-                // @todo: we were offline and we're still offline.
-            }
-            resolve();
+function createMemoryAnalyticsSink() {
+    const sink = {
+        name: "memory",
+        events: [],
+        send: function(events) {
+            sink.events.push(...events);
         }
-    }
-
-    restoreServiceQueue();
-    return new Promise(function(resolve) {
-        processNextIfQueueNotEmpty(resolve);
-    });
+    };
+    return sink;
 }
 
 /**
- * Set the internal https protocol flag based on the current page we are loaded on. There
- * is a special case for when we are running in Node with Jest.
+ * Analytics sinks the analytics pipeline sends events to. Give them to `init` with the `sinks` of the `analytics` option.
+ * An analytics sink is any object with a `name` and `send(events, sendOptions)`, which may return a Promise. Each event
+ * has the event `name`, its `category`, its `data`, the `gameId`, `userId`, `time`, and the `sampleRate` it was kept with.
+ * `sendOptions.isPageHide` is true when the events are sent as the page closes, a sink that makes a request must make
+ * it in a way the browser completes after the page is gone, such as `fetch` with `keepalive` or `navigator.sendBeacon`.
  */
-function setProtocolFromCurrentLocation () {
-    if (enginesis.isBrowserBuild && ! enginesis.isNodeBuild) {
-        enginesis.useHTTPS = window.location.protocol == "https:";
-    } else {
-        enginesis.useHTTPS = true;
+export const analyticsSinks = {
+    enginesis: createEnginesisAnalyticsSink,
+    dataLayer: createDataLayerAnalyticsSink,
+    console: createConsoleAnalyticsSink,
+    memory: createMemoryAnalyticsSink
+};
+
+/**
+ * Start the analytics pipeline of the `analytics` option of `init`. The pipeline of a prior `init` is stopped, its
+ * events waiting for a flush are dropped. Events are sent once the player gave consent, see `analyticsConsentSet()`.
+ * @param {object} analyticsOptions The `analytics` option of `init`, when not given there is no pipeline and
+ *   `gameTrackingRecord()` sends each event.
+ */
+function analyticsStart(analyticsOptions) {
+    const priorAnalytics = enginesis.analytics;
+    if (priorAnalytics != null) {
+        clearTimeout(priorAnalytics.flushTimer);
+        if (priorAnalytics.pageHideListener != null) {
+            window.removeEventListener("pagehide", priorAnalytics.pageHideListener);
+        }
+        enginesis.analytics = null;
+    }
+    if (analyticsOptions == null) {
+        return;
+    }
+    const sinks = (analyticsOptions.sinks || ["enginesis", "dataLayer"]).map(function(sink) {
+        return typeof sink === "string" && typeof analyticsSinks[sink] === "function" ? analyticsSinks[sink]() : sink;
+    }).filter(function(sink) {
+        return sink != null && typeof sink.send === "function";
+    });
+    const savedConsent = loadObjectWithKey(enginesis.analyticsConsentKey);
+    enginesis.analytics = {
+        sinks: sinks,
+        flushInterval: analyticsOptions.flushInterval >= 0 ? analyticsOptions.flushInterval : 10000,
+        batchSize: analyticsOptions.batchSize > 0 ? Math.floor(analyticsOptions.batchSize) : 20,
+        hitDataLimit: analyticsOptions.hitDataLimit > 0 ? Math.floor(analyticsOptions.hitDataLimit) : enginesis.analyticsHitDataLimit,
+        sampleRates: {...analyticsOptions.sampleRates},
+        hasConsent: savedConsent != null ? savedConsent.hasConsent === true : null,
+        events: [],
+        flushTimer: null,
+        pageHideListener: null
+    };
+    if (typeof window !== "undefined" && window != null && typeof window.addEventListener === "function") {
+        // the events waiting when the player leaves the page are sent as it closes
+        enginesis.analytics.pageHideListener = function() {
+            analyticsFlush(true);
+        };
+        window.addEventListener("pagehide", enginesis.analytics.pageHideListener);
     }
-    return enginesis.useHTTPS;
 }
 
 /**
- * Return the proper protocol based on our internal HTTPS setting.
- * @returns {string}
+ * Add an event to the analytics pipeline. An event of a category with a sample rate is kept only for that share of
+ * the events. Until the player gave consent the events wait, and once they refused no event is kept. A full batch is
+ * sent right away, otherwise the events are sent after the flush interval.
+ * @param {object} event The event, see `analyticsEventMake()`.
  */
-function getProtocol() {
-    return enginesis.useHTTPS ? "https://" : "http://";
+function analyticsAdd(event) {
+    const analytics = enginesis.analytics;
+    const sampleRate = analytics.sampleRates[event.category];
+    if (analytics.hasConsent === false) {
+        return;
+    }
+    if (typeof sampleRate === "number" && sampleRate < 1) {
+        if (Math.random() >= sampleRate) {
+            return;
+        }
+        event.sampleRate = sampleRate;
+    }
+    analytics.events.push(event);
+    if (analytics.events.length > enginesis.analyticsBufferLimit) {
+        analytics.events.splice(0, analytics.events.length - enginesis.analyticsBufferLimit);
+    }
+    if (analytics.hasConsent === true) {
+        if (analytics.events.length >= analytics.batchSize) {
+            analyticsFlush();
+        } else if (analytics.flushTimer == null) {
+            analytics.flushTimer = setTimeout(analyticsFlush, analytics.flushInterval);
+        }
+    }
 }
 
 /**
- * Return the domain name and TLD only (remove server name, protocol, anything else) e.g. this function
- * converts http://www.games.com into games.com or http://www.games-q.com into games-q.com
- * @param {string} domain A string we expect to contain a domain, like service.enginesis.com.
- * @return {string} A top-level domain, like enginesis.com.
+ * Send the events waiting in the analytics pipeline to every sink, in batches of the batch size. Nothing is sent
+ * without the player's consent. A sink that fails does not stop the others.
+ * @param {boolean} isPageHide True when the page is closing, the sinks then send in a way that outlives the page.
+ * @returns {Promise} Resolves with the number of events sent.
  */
-function serverTail(requestedDomain) {
-    let domain = requestedDomain ? requestedDomain : enginesis.serverHost;
-    let slashPos = domain.indexOf("://");
-    if (slashPos >= 0) {
-        domain = domain.substring(slashPos + 3);
-    }
-    slashPos = domain.indexOf("/");
-    if (slashPos > 0) {
-        domain = domain.substring(0, slashPos);
+function analyticsFlush(isPageHide) {
+    const analytics = enginesis.analytics;
+    if (analytics == null || analytics.hasConsent !== true) {
+        return Promise.resolve(0);
     }
-    const domainParts = domain.split(".");
-    const numParts = domainParts.length;
-    if (numParts > 1) {
-        domain = domainParts[numParts - 2] + "." + domainParts[numParts - 1];
+    clearTimeout(analytics.flushTimer);
+    analytics.flushTimer = null;
+    const events = analytics.events;
+    analytics.events = [];
+    const batches = [];
+    for (let i = 0; i < events.length; i += analytics.batchSize) {
+        batches.push(events.slice(i, i + analytics.batchSize));
     }
-    return domain;
+    return Promise.all(batches.map(function(batch) {
+        return Promise.all(analytics.sinks.map(function(sink) {
+            return Promise.resolve()
+            .then(function() {
+                return sink.send(batch.map(function(event) {
+                    return {...event, data: {...event.data}};
+                }), {isPageHide: isPageHide === true});
+            })
+            .catch(function(exception) {
+                debugLog("Analytics sink " + sink.name + " exception " + exception.toString());
+            });
+        }));
+    }))
+    .then(function() {
+        return events.length;
+    });
 }
 
 /**
- * Set the server stage we will converse with using some simple heuristics.
- * @param {string} newServerStage Server stage to communicate with.
- * @returns {string} The server stage that was set.
+ * MIME types of the file extensions we can guess when an upload does not say what type of file it is.
  */
-function qualifyAndSetServerStage (newServerStage) {
-    const currentHost = enginesis.isBrowserBuild ? window.location.host : "enginesis-l.com"; // @todo: How to get host in NodeJS?
-    let isLocalhost = false;
-    let regMatch;
-    enginesis.serverHost = null;
+const mimeTypeForExtension = {
+    gif: "image/gif",
+    jpeg: "image/jpeg",
+    jpg: "image/jpeg",
+    json: "application/json",
+    mp3: "audio/mpeg",
+    mp4: "video/mp4",
+    ogg: "audio/ogg",
+    png: "image/png",
+    svg: "image/svg+xml",
+    txt: "text/plain",
+    wav: "audio/wav",
+    webm: "video/webm",
+    webp: "image/webp"
+};
 
-    if (newServerStage === undefined || newServerStage === null) {
-        // if a stage is not request then match the current stage
-        newServerStage = "*";
+/**
+ * Convert the file data given to an upload to a Blob so it can be measured and sliced into chunks.
+ * A string may be a data URL, such as from `canvas.toDataURL()`, in which case the data it encodes is uploaded.
+ * @param {Blob|File|ArrayBuffer|ArrayBufferView|string} fileData The data to upload.
+ * @param {string} mimeType The type of the data, if known.
+ * @returns {Blob|null} The data as a Blob, null if there is no data.
+ */
+function assetUploadBlob(fileData, mimeType) {
+    if (fileData == null) {
+        return null;
     }
-    switch (newServerStage) {
-    case "":
-    case "-l":
-    case "-d":
-    case "-q":
-    case "-x":
-        // use the stage requested
-        enginesis.serverStage = newServerStage;
-        break;
-    case "*":
-        // match the stage matching current host
-        if (currentHost.substring(0, 9) == "localhost") {
-            newServerStage = "-l";
-            isLocalhost = true;
-        } else {
-            regMatch = /-[ldqx]\./.exec(currentHost);
-            if (regMatch != null && regMatch.index > 0) {
-                newServerStage = currentHost.substring(regMatch.index, regMatch.index + 2);
-            } else {
-                // anything we do not expect goes to the live instance
-                newServerStage = "";
-            }
-        }
-        enginesis.serverStage = newServerStage;
-        break;
-    default:
-        // if it was not a stage match assume it is a full host name, find the stage in it if it exists
-        regMatch = /-[ldqx]\./.exec(newServerStage);
-        if (regMatch != null && regMatch.index > 0) {
-            enginesis.serverStage = newServerStage.substring(regMatch.index, regMatch.index + 2);
-        } else {
-            // anything we do not expect goes to the live instance
-            enginesis.serverStage = "";
-        }
-        // use the domain requested
-        enginesis.serverHost = newServerStage;
-        break;
+    if (fileData instanceof Blob) {
+        return fileData;
     }
-    if (enginesis.serverHost === null) {
-        // convert www.host.tld into enginesis.host.tld
-        const service = "enginesis";
-        const domainParts = currentHost.split(".");
-        const numberOfParts = domainParts.length;
-        if (numberOfParts > 1) {
-            const host = domainParts[numberOfParts - 2].replace(/-[ldqx]$/, "");
-            if (host != service) {
-                enginesis.serverHost = service + ".";
+    if (typeof fileData === "string") {
+        const dataURL = fileData.match(/^data:([^;,]*)(;base64)?,(.*)$/s);
+        if (dataURL != null) {
+            let content;
+            if (dataURL[2]) {
+                content = Uint8Array.from(atob(dataURL[3]), function(character) {
+                    return character.charCodeAt(0);
+                });
             } else {
-                enginesis.serverHost = "";
+                content = decodeURIComponent(dataURL[3]);
             }
-            enginesis.serverHost += host
-                + enginesis.serverStage
-                + "." + domainParts[numberOfParts - 1];
-        } else if (isLocalhost) {
-            enginesis.serverHost = "enginesis-l.com";
-        } else {
-            enginesis.serverHost = currentHost;
+            return new Blob([content], {type: mimeType || dataURL[1]});
         }
     }
-    enginesis.siteResources.serviceURL = getProtocol() + enginesis.serverHost + "/index.php";
-    enginesis.siteResources.avatarImageURL = getProtocol() + enginesis.serverHost + "/avatar/index.php";
-    enginesis.siteResources.assetUploadURL = getProtocol() + enginesis.serverHost + "/procs/asset.php";
-    return enginesis.serverStage;
+    return new Blob([fileData], {type: mimeType || ""});
 }
 
 /**
- * Determine if the device we are running on is considered a touch interface.
- * @returns {boolean} true if touch available, false if not.
+ * Determine the MIME type of a file to upload: the type the caller gave, else the type of the Blob,
+ * else a guess from the file name extension.
+ * @param {Blob|null} fileBlob The file data.
+ * @param {string} fileName The file name.
+ * @param {string} mimeType The type the caller gave, if any.
+ * @returns {string} A MIME type.
  */
-function touchDevice () {
-    let isTouch = false;
-    if (enginesis.isBrowserBuild) {
-        if ("ontouchstart" in window) {
-            isTouch = true;
-        } else if (window.DocumentTouch && document instanceof DocumentTouch) {
-            isTouch = true;
-        }
+function assetUploadMimeType(fileBlob, fileName, mimeType) {
+    if ( ! isEmpty(mimeType)) {
+        return mimeType;
     }
-    return isTouch;
+    if (fileBlob != null && ! isEmpty(fileBlob.type)) {
+        return fileBlob.type;
+    }
+    const extension = fileName.includes(".") ? fileName.split(".").pop().toLowerCase() : "";
+    return mimeTypeForExtension[extension] || "application/octet-stream";
 }
 
 /**
- * Cache settings regarding the current platform we are running on.
+ * Make the key that identifies a file in the uploads in progress, so an upload resumes only when the same file
+ * is given again. The key includes a SHA-256 digest of the start of the file, as a Blob made from data has no
+ * modification time and files of the same name and size are not always the same file.
+ * @param {object} uploadAttributes The `target`, `fileName`, `fileSize`, and `mimeType` of the upload.
+ * @param {Blob} fileBlob The file data.
+ * @param {number} lastModified The modification time of a File, 0 if it is not known.
+ * @returns {Promise} Resolves with the key, or with an empty string when the file cannot be read so it is not resumed.
  */
-function setPlatform () {
-    if (enginesis.isBrowserBuild) {
-        enginesis.platform = "browser";
-        enginesis.locale = navigator.language;
-        enginesis.isNativeBuild = window.location.protocol == "file:";
-        enginesis.isTouchDeviceFlag = touchDevice();
-    } else {
-        enginesis.platform = "nodejs";
-        enginesis.locale = "en";
-        enginesis.isNativeBuild = true;
-        enginesis.isTouchDeviceFlag = false;
-    }
+function assetUploadFileKey(uploadAttributes, fileBlob, lastModified) {
+    return fileBlob.slice(0, enginesis.assetUploadChunkSize).arrayBuffer()
+    .then(function(fileStart) {
+        return globalThis.crypto.subtle.digest("SHA-256", fileStart);
+    })
+    .then(function(digest) {
+        return [uploadAttributes.target, uploadAttributes.fileName, uploadAttributes.fileSize, uploadAttributes.mimeType, lastModified || 0, byteArrayToHex(new Uint8Array(digest))].join("|");
+    })
+    .catch(function(exception) {
+        debugLog("Upload of " + uploadAttributes.fileName + " cannot be resumed: " + exception.toString());
+        return "";
+    });
 }
 
 /**
- * Set the language code for Enginesis error messages and service responses.
- * @param {string} languageCode 2-letter language code, e.g. "en".
+ * Check a file may be uploaded to `target` before asking the server for an upload token. The limits
+ * are from `enginesis.assetUploadTargets` and may be changed with the `maxSize` and `mimeTypes` upload options.
+ * @param {object} uploadAttributes The `target`, `fileName`, `fileSize`, and `mimeType` of the upload.
+ * @param {object} uploadOptions Options given to the upload.
+ * @returns {object|null} An object of `errorCode` and `errorMessage` when the file cannot be uploaded, null if it can.
  */
-function setLanguageCode(languageCode) {
-    if (isEmpty(languageCode)) {
-        languageCode = "en";
-    } else if (languageCode.length > 2) {
-        languageCode = languageCode.substring(0, 2);
+function assetUploadValidate(uploadAttributes, uploadOptions) {
+    const targetLimits = {
+        ...enginesis.assetUploadTargets.default,
+        ...enginesis.assetUploadTargets[uploadAttributes.target]
+    };
+    const maxSize = uploadOptions.maxSize || targetLimits.maxSize;
+    const mimeTypes = uploadOptions.mimeTypes || targetLimits.mimeTypes;
+    if (isEmpty(uploadAttributes.target) || isEmpty(uploadAttributes.fileName)) {
+        return {errorCode: "MISSING_PARAM", errorMessage: "An upload requires a target and a file name."};
     }
-    return languageCode;
+    if (uploadAttributes.fileSize <= 0) {
+        return {errorCode: "INVALID_FILE_SIZE", errorMessage: "File " + uploadAttributes.fileName + " is empty."};
+    }
+    if (maxSize > 0 && uploadAttributes.fileSize > maxSize) {
+        return {errorCode: "INVALID_FILE_SIZE", errorMessage: "File " + uploadAttributes.fileName + " with size " + uploadAttributes.fileSize + " is larger than the " + maxSize + " bytes allowed for " + uploadAttributes.target + "."};
+    }
+    if (Array.isArray(mimeTypes) && mimeTypes.length > 0 && ! mimeTypes.includes(uploadAttributes.mimeType)) {
+        return {errorCode: "INVALID_FILE_TYPE", errorMessage: "File " + uploadAttributes.fileName + " of type " + uploadAttributes.mimeType + " cannot be uploaded to " + uploadAttributes.target + "."};
+    }
+    return null;
 }
 
 /**
- * Return the current document query string as an object with
- * key/value pairs converted to properties.
- * @param {string} urlParameterString An optional query string to parse as the query string. If not
- *   provided then use window.location.search.
- * @return {object} result The query string converted to an object of key/value pairs.
+ * Get the uploads in progress, restoring them from storage the first time.
+ * Uploads older than `assetUploadExpiration` can no longer be resumed and are dropped.
+ * @returns {Array} The attributes of each upload in progress.
  */
-function queryStringToObject (urlParameterString) {
-    const search = /([^&=]+)=?([^&]*)/g;
-    const result = {};
-    let match;
-    let queryString;
-
-    function decode(s) {
-        return decodeURIComponent(s.replace(/\+/g, " "));
+function assetUploadQueueGet() {
+    if (enginesis.assetUploadQueue == null) {
+        const savedUploads = loadObjectWithKey(enginesis.assetUploadQueueSaveKey);
+        const oldestUploadTime = Date.now() - enginesis.assetUploadExpiration;
+        enginesis.assetUploadQueue = Array.isArray(savedUploads) ? savedUploads.filter(function(uploadAttributes) {
+            return uploadAttributes.uploadTime > oldestUploadTime;
+        }) : [];
     }
+    return enginesis.assetUploadQueue;
+}
 
-    if ( ! urlParameterString && enginesis.isBrowserBuild) {
-        queryString = window.location.search.substring(1);
+/**
+ * Save the uploads in progress so they can resume after the app reloads.
+ */
+function assetUploadQueueSave() {
+    const assetUploadQueue = assetUploadQueueGet();
+    if (assetUploadQueue.length > 0) {
+        saveObjectWithKey(enginesis.assetUploadQueueSaveKey, assetUploadQueue);
     } else {
-        if (urlParameterString) {
-            queryString = urlParameterString;
-        } else {
-            return result;
-        }
-    }
-    if (queryString[0] == "?") {
-        queryString = queryString.substring(1);
+        removeObjectWithKey(enginesis.assetUploadQueueSaveKey);
     }
-    while ((match = search.exec(queryString)) != null) {
-        result[decode(match[1])] = decode(match[2]);
-    }
-    return result;
 }
 
 /**
- * Return the contents of the cookie indexed by the specified key.
- * @param {string} key Indicate which cookie to get.
- * @returns {string} Contents of cookie stored with key.
+ * Remove an upload from the uploads in progress once it is complete or can no longer be resumed.
+ * @param {object} uploadAttributes The upload to remove.
  */
-function cookieGet (key) {
-    if (typeof window !== "undefined" && key) {
-        return decodeURIComponent(window.document.cookie.replace(new RegExp("(?:(?:^|.*;)\\s*" + encodeURIComponent(key).replace(/[\-\.\+\*]/g, "\\$&") + "\\s*\\=\\s*([^;]*).*$)|^.*$"), "$1")) || null;
-    } else {
-        return null;
-    }
+function assetUploadQueueRemove(uploadAttributes) {
+    enginesis.assetUploadQueue = assetUploadQueueGet().filter(function(otherUpload) {
+        return otherUpload.fileKey != uploadAttributes.fileKey;
+    });
+    assetUploadQueueSave();
 }
 
 /**
- * Figure out which domain we want to save the cookie under. We always want to set
- * the cookie domain to the top-level server, e.g. `enginesis.com`.
- * @param {string} requestedDomain A proposed domain to set the cookie on. If empty, will use
- *   the domain of the server we are connecting to.
- * @returns {string} The domain we want to set the cookie on.
+ * Tell the caller's `onProgress` function and the `uploadProgress` event listeners how much of a file the server has received.
+ * @param {object} uploadAttributes The upload in progress.
+ * @param {object} uploadOptions Options given to the upload.
  */
-function sessionCookieDomain(requestedDomain) {
-    return serverTail(requestedDomain);
+function assetUploadProgress(uploadAttributes, uploadOptions) {
+    const progressEvent = {
+        target: uploadAttributes.target,
+        fileName: uploadAttributes.fileName,
+        uploadId: uploadAttributes.uploadId,
+        bytesSent: uploadAttributes.bytesAcknowledged,
+        totalBytes: uploadAttributes.fileSize,
+        progress: uploadAttributes.bytesAcknowledged / uploadAttributes.fileSize
+    };
+    if (typeof uploadOptions.onProgress === "function") {
+        try {
+            uploadOptions.onProgress({...progressEvent, type: "uploadProgress"});
+        } catch (exception) {
+            debugLog("Enginesis upload onProgress exception " + exception.toString());
+        }
+    }
+    emitEvent("uploadProgress", progressEvent);
 }
 
 /**
- * Set a cookie indexed by the specified key.
- * @param {string} key Indicate which cookie to set.
- * @param {object} value Value to store under key. If null, expire the prior cookie.
- * @param {Number|String|Date} expiration When the cookie should expire. Number indicates
- *   max age, in seconds. String indicates GMT date. Date is converted to GMT date.
- * @param {string} path Cookie URL path.
- * @param {string} domain Cookie domain.
- * @param {boolean} isSecure Set cookie secure flag. Default is true.
- * @return {boolean|string} true if set, false if error. Returns string if not running in
- *   a browser environment, such as Node.
+ * Send one request to the asset upload endpoint. The endpoint replies with its status at the top level
+ * and a single result, the reply is converted to a standard Enginesis result of `AssetUpload` so it can be
+ * handled like the result of any other service. A request is failed with TIMEOUT when it takes longer than
+ * the `timeout` upload option, or `requestTimeout`, and with ABORTED when the `signal` upload option is aborted.
+ * @param {object} parameters Form parameters of the request, `action` determines what the endpoint does.
+ * @param {object} uploadOptions Options given to the upload.
+ * @returns {Promise} Resolves with an Enginesis result, it never rejects.
  */
-function cookieSet (key, value, expiration, path, domain, isSecure) {
-    let cookieData;
+function assetUploadRequest(parameters, uploadOptions) {
+    const passthru = {...parameters, fn: "AssetUpload"};
+    const timeout = uploadOptions.timeout != null ? uploadOptions.timeout : enginesis.requestTimeout;
+    const abortController = new AbortController();
+    const userSignal = uploadOptions.signal;
+    let timeoutId = null;
+    delete passthru.data;
+    delete passthru.image;
+
+    function abortUpload() {
+        abortController.abort();
+    }
 
-    if ( ! domain) {
-        domain = sessionCookieDomain(enginesis.serverHost);
+    if (userSignal) {
+        if (userSignal.aborted) {
+            return Promise.resolve(makeErrorResponse("ABORTED", "The upload was aborted.", passthru));
+        }
+        userSignal.addEventListener("abort", abortUpload);
     }
-    if ( ! key || /^(?:expires|max\-age|path|domain|secure)$/i.test(key)) {
-        // This is an invalid cookie key.
-        return false;
+    if (timeout > 0) {
+        timeoutId = setTimeout(abortUpload, timeout);
     }
-    if (value === null || typeof value === "undefined") {
-        // remove the cookie by expiring it
-        cookieData = "; expires=Thu, 01 Jan 1970 00:00:00 GMT" + (domain ? "; domain=" + domain : "") + (path ? "; path=" + path : "");
-    } else {
-        const neverExpires = "expires=Fri, 31 Dec 9999 23:59:59 GMT";
-        const sameSite = "SameSite=LAX";
-        let expires = "";
-        if (typeof isSecure === "undefined") {
-            isSecure = true;
-        }
-        if (typeof value === "object") {
-            value = JSON.stringify(value);
-        }
-        if (expiration) {
-            switch (expiration.constructor) {
-            case Number:
-                expires = expiration === Infinity ? neverExpires : "; max-age=" + expiration;
-                break;
-            case String:
-                expires = "expires=" + expiration;
-                break;
-            case Date:
-                expires = "expires=" + expiration.toUTCString();
-                break;
-            default:
-                expires = neverExpires;
-                break;
+    return Promise.resolve()
+    .then(function() {
+        return requestWithRetry(enginesis.isNodeBuild ? nodeRequestFunction() : fetch, enginesis.siteResources.assetUploadURL, {
+            method: "POST",
+            mode: "cors",
+            credentials: "same-origin",
+            cache: "no-cache",
+            headers: formatHTTPHeader(),
+            body: convertParamsToFormData({site_id: enginesis.siteId, game_id: enginesis.gameId, ...parameters}, true),
+            signal: abortController.signal
+        }, "AssetUpload");
+    })
+    .then(function(requestOutcome) {
+        if (userSignal && userSignal.aborted) {
+            return makeErrorResponse("ABORTED", "The upload was aborted.", passthru);
+        }
+        if (requestOutcome.errorClass != "") {
+            const errorCode = requestOutcome.errorClass == "timeout" ? "TIMEOUT" : "SERVICE_ERROR";
+            const errorDetail = requestOutcome.requestError ? requestOutcome.requestError.toString() : "HTTP status " + requestOutcome.response.status;
+            return makeErrorResponse(errorCode, "Error from service when uploading " + parameters.file + " (" + parameters.action + "): " + errorDetail + ".", passthru);
+        }
+        return requestOutcome.response.json()
+        .then(function(uploadResponse) {
+            if (uploadResponse == null || uploadResponse.status == null) {
+                return makeErrorResponse("SERVER_RESPONSE_NOT_VALID", "Unexpected response received from service when uploading " + parameters.file + ".", passthru);
             }
-        } else {
-            expires = neverExpires;
+            return {
+                fn: "AssetUpload",
+                results: {
+                    passthru: passthru,
+                    result: uploadResponse.results ? [uploadResponse.results] : [],
+                    status: uploadResponse.status
+                }
+            };
+        });
+    })
+    .catch(function(exception) {
+        return makeErrorResponse("SERVER_RESPONSE_NOT_VALID", "Unexpected response received from service when uploading " + parameters.file + ": " + exception.toString(), passthru);
+    })
+    .finally(function() {
+        clearTimeout(timeoutId);
+        if (userSignal) {
+            userSignal.removeEventListener("abort", abortUpload);
         }
-        cookieData = encodeURIComponent(value) + "; "
-            + expires + "; "
-            + (domain ? ("domain=" + domain + "; ") : "")
-            + (path ? ("path=" + path + "; ") : "")
-            + sameSite + "; "
-            + (isSecure ? "Secure;" : "");
-    }
-    if (typeof window === "undefined" || typeof window.document === "undefined") {
-        // If the document object is undefined then we are running in Node.
-        return cookieData;
-    }
-    window.document.cookie = encodeURIComponent(key) + "=" + cookieData;
-    return true;
+    });
 }
 
 /**
- * Get info about the current logged in user, if there is one, from authtok parameter or cookie.
- * The authentication token can be provided to the game via query string (authtok=xxx) or
- * stored in a HTTP session cookie. The priority logic is:
- *   1. use authToken provided as a parameter to `enginesis.init()`
- *   2. else, use authtok provided as a query to the current page
- *   3. else, use authToken saved in enginesis session cookie
- * @param {string} authToken can be specified if one is being passed around, but it still requires validation.
- * @returns {boolean} true if a user is restored this way, false if not.
+ * Upload a file to an Enginesis asset target. The file is validated, then the server is asked for an upload token.
+ * When the server grants the token without a `chunk_size` the whole file is sent with one `upload` request.
+ * When it grants a `chunk_size` the file is sent in chunks of that many bytes, then the upload is completed. Each chunk
+ * the server acknowledges is recorded in `assetUploadQueue`, so when the same file is uploaded to the same target
+ * again after a failure or a reload the upload resumes from the last acknowledged chunk.
+ * @param {string} target The type of asset, see the Enginesis documentation regarding the upload targets.
+ * @param {Blob|File|ArrayBuffer|ArrayBufferView|string} fileData The file to upload.
+ * @param {object} uploadOptions See `uploadAsset()`.
+ * @returns {Promise} Resolves with an Enginesis result, it never rejects.
  */
-function restoreUserFromAuthToken (authToken) {
-    let wasRestored = false;
-    let loggedInUserInfo = null;
+async function assetUpload(target, fileData, uploadOptions) {
+    const fileBlob = assetUploadBlob(fileData, uploadOptions.mimeType);
+    const fileName = uploadOptions.fileName || (fileData && fileData.name) || "";
+    const newUpload = {
+        target: target,
+        token: null,
+        uploadId: 0,
+        fileName: fileName,
+        fileSize: fileBlob != null ? fileBlob.size : 0,
+        mimeType: assetUploadMimeType(fileBlob, fileName, uploadOptions.mimeType),
+        fileKey: "",
+        chunkSize: uploadOptions.chunkSize || enginesis.assetUploadChunkSize,
+        bytesAcknowledged: 0,
+        uploadTime: Date.now()
+    };
+    const uploadError = assetUploadValidate(newUpload, uploadOptions);
+    if (uploadError != null) {
+        return makeErrorResponse(uploadError.errorCode, uploadError.errorMessage, {fn: "AssetUpload", target: target, file: fileName, size: newUpload.fileSize, mime_type: newUpload.mimeType});
+    }
+    newUpload.fileKey = await assetUploadFileKey(newUpload, fileBlob, fileData && fileData.lastModified);
 
-    if (isEmpty(authToken)) {
-        // if a token was not provided, try to find it in a cache in the following order:
-        // 1. from server-supplied cookie
-        // 2. from query string parameter
-        // 3. in local storage from prior session
-        authToken = cookieGet(enginesis.SESSION_COOKIE);
-        if (isEmpty(authToken)) {
-            const queryParameters = queryStringToObject();
-            if (queryParameters.authtok !== undefined) {
-                authToken = queryParameters.authtok;
-            }
-            if (isEmpty(authToken)) {
-                loggedInUserInfo = loadObjectWithKey(enginesis.SESSION_USERINFO);
-                if (loggedInUserInfo != null && loggedInUserInfo.authToken) {
-                    authToken = loggedInUserInfo.authToken;
-                }
+    let uploadAttributes = newUpload.fileKey == "" ? null : assetUploadQueueGet().find(function(savedUpload) {
+        return savedUpload.fileKey == newUpload.fileKey;
+    });
+    if (uploadAttributes != null) {
+        // ask the server what it has, it may have received a chunk we did not hear back about
+        const statusResult = await assetUploadRequest({action: "status", target: target, file: fileName, token: uploadAttributes.token, id: uploadAttributes.uploadId}, uploadOptions);
+        if (resultIsSuccess(statusResult)) {
+            uploadAttributes.bytesAcknowledged = parseInt(statusResult.results.result[0].received, 10) || 0;
+        } else if (resultErrorCode(statusResult) == "INVALID_TOKEN") {
+            assetUploadQueueRemove(uploadAttributes);
+            uploadAttributes = null;
+        } else {
+            return statusResult;
+        }
+    }
+    if (uploadAttributes == null) {
+        const requestResult = await assetUploadRequest({
+            action: "request",
+            target: target,
+            file: fileName,
+            size: newUpload.fileSize,
+            mime_type: newUpload.mimeType,
+            chunk_size: newUpload.chunkSize
+        }, uploadOptions);
+        if ( ! resultIsSuccess(requestResult)) {
+            return requestResult;
+        }
+        const uploadGranted = requestResult.results.result[0];
+        uploadAttributes = {
+            ...newUpload,
+            token: uploadGranted.token,
+            uploadId: uploadGranted.id,
+            chunkSize: parseInt(uploadGranted.chunk_size, 10) || 0
+        };
+        if (uploadAttributes.chunkSize < 1) {
+            // the server takes the file in one request and cannot resume it
+            const uploadResult = await assetUploadRequest({
+                action: "upload",
+                target: target,
+                file: fileName,
+                size: uploadAttributes.fileSize,
+                token: uploadAttributes.token,
+                id: uploadAttributes.uploadId,
+                image: fileBlob
+            }, uploadOptions);
+            if (resultIsSuccess(uploadResult)) {
+                uploadAttributes.bytesAcknowledged = uploadAttributes.fileSize;
+                assetUploadProgress(uploadAttributes, uploadOptions);
             }
+            return uploadResult;
+        }
+        if (uploadAttributes.fileKey != "") {
+            assetUploadQueueGet().push(uploadAttributes);
+            assetUploadQueueSave();
         }
     }
-    if ( ! isEmpty(authToken)) {
-        // @todo: Validate the token (for now we are accepting that it is valid but we should check!) If the authToken is valid then we can trust the userInfo
-        // @todo: we can use cr to validate the token was not changed
-        if (loggedInUserInfo == null) {
-            loggedInUserInfo = JSON.parse(cookieGet(enginesis.SESSION_USERINFO));
-            if (loggedInUserInfo == null) {
-                loggedInUserInfo = loadObjectWithKey(enginesis.SESSION_USERINFO);
+
+    while (uploadAttributes.bytesAcknowledged < uploadAttributes.fileSize) {
+        const offset = uploadAttributes.bytesAcknowledged;
+        const chunkResult = await assetUploadRequest({
+            action: "chunk",
+            target: target,
+            file: fileName,
+            token: uploadAttributes.token,
+            id: uploadAttributes.uploadId,
+            offset: offset,
+            data: fileBlob.slice(offset, offset + uploadAttributes.chunkSize, uploadAttributes.mimeType)
+        }, uploadOptions);
+        if ( ! resultIsSuccess(chunkResult)) {
+            if (resultErrorCode(chunkResult) == "INVALID_TOKEN") {
+                assetUploadQueueRemove(uploadAttributes);
             }
+            return chunkResult;
         }
-        if (loggedInUserInfo != null) {
-            enginesis.authToken = authToken;
-            enginesis.authTokenExpires = null; // @todo: Need to get the expiry of this token.
-            enginesis.authTokenWasValidated = true; // @todo: we should verify this payload is valid.
-            enginesis.isUserLoggedIn = Math.floor(loggedInUserInfo.user_id) > 0;
-            enginesis.loggedInUserInfo = loggedInUserInfo;
-            enginesis.networkId = Math.floor(loggedInUserInfo.network_id);
-            wasRestored = true;
-        } else {
-            // if we have an auth token but we did not cache the user info, then
-            // if we trust that token, we need to log this user in
-            debugLog("restoreUserFromAuthToken valid token but no cached user " + authToken);
+        const bytesReceived = parseInt(chunkResult.results.result[0].received, 10) || 0;
+        if (bytesReceived <= offset) {
+            return makeErrorResponse("SERVER_RESPONSE_NOT_VALID", "The server did not acknowledge the chunk of " + fileName + " at " + offset + ".", chunkResult.results.passthru);
         }
+        uploadAttributes.bytesAcknowledged = Math.min(bytesReceived, uploadAttributes.fileSize);
+        assetUploadQueueSave();
+        assetUploadProgress(uploadAttributes, uploadOptions);
     }
-    return wasRestored;
+
+    const completeResult = await assetUploadRequest({action: "complete", target: target, file: fileName, token: uploadAttributes.token, id: uploadAttributes.uploadId}, uploadOptions);
+    if (resultIsSuccess(completeResult) || resultErrorCode(completeResult) == "INVALID_TOKEN") {
+        assetUploadQueueRemove(uploadAttributes);
+    }
+    return completeResult;
 }
 
 /**
- * Remove the local cache of user info.
+ * Pass bytes through a CompressionStream or DecompressionStream.
+ * @param {Uint8Array} bytes The bytes to compress or decompress.
+ * @param {TransformStream} transformStream The stream to pass them through.
+ * @returns {Promise} Resolves with a Uint8Array of the result.
  */
-function clearUserSessionInfo() {
-    removeObjectWithKey(enginesis.SESSION_USERINFO);
-    _clearRefreshToken();
-    cookieSet(enginesis.SESSION_USERINFO, null, 0, "/", sessionCookieDomain(enginesis.serverHost), true);
-    initializeLocalSessionInfo();
+function streamBytes(bytes, transformStream) {
+    return new Response(new Blob([bytes]).stream().pipeThrough(transformStream)).arrayBuffer()
+    .then(function(arrayBuffer) {
+        return new Uint8Array(arrayBuffer);
+    });
 }
 
+let crc32Table = null;
+
 /**
- * Once a user logs in successfully we save the important data in a local cache so we can
- * restore the session between game loads. If the session expires we can use a session
- * refresh instead of asking the user to log in again.
- * @param {Object|null} sessionInfo the parameters that define the user session, otherwise saves
- *   what is already set on the current session.
- *   sessionInfo.expires is a UTC date when this info should expire.
- * @returns {boolean} true if the save was successful, otherwise false.
+ * Compute the CRC-32 of bytes, as used by PNG chunks.
+ * @param {Uint8Array} bytes The bytes to check.
+ * @returns {integer} The unsigned CRC-32.
  */
-function saveUserSessionInfo(sessionInfo) {
-    let haveValidSession;
-    if (sessionInfo) {
-        haveValidSession = sessionVerifyHash(sessionInfo.cr, null);
-        if ( ! haveValidSession) {
-            const hash = sessionMakeHash(enginesis.loggedInUserInfo);
-            debugLog("Possible payload compromise: provided hash " + sessionInfo.cr + " does not match computer here " + hash);
-            // @todo: What action to take if hash does not agree?
-        }
-        haveValidSession = true;
-        enginesis.sessionId = sessionInfo.session_id;
-        enginesis.sessionExpires = newSessionExpireTime();
-        enginesis.authToken = sessionInfo.authToken || sessionInfo.authtok;
-        enginesis.authTokenExpires = enginesis.sessionExpires;
-        enginesis.loggedInUserInfo.authToken = enginesis.authToken;
-        enginesis.loggedInUserInfo.authTokenExpires = sessionInfo.expires;
-        enginesis.authTokenWasValidated = true;
-        if (sessionInfo.refresh_token) {
-            enginesis.refreshToken = sessionInfo.refresh_token;
-            enginesis.refreshTokenExpires = sessionInfo.expires;
+function crc32(bytes) {
+    if (crc32Table == null) {
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n += 1) {
+            let c = n;
+            for (let k = 0; k < 8; k += 1) {
+                c = (c & 1) ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crc32Table[n] = c;
         }
-        saveObjectWithKey(enginesis.SESSION_USERINFO, enginesis.loggedInUserInfo);
-    } else {
-        haveValidSession = false;
     }
-    return haveValidSession;
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i += 1) {
+        crc = crc32Table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
 }
 
 /**
- * Restore a prior user session if one can be determined. If an Enginesis authentication token is provided,
- * use it to validate the user. If the token is not provided or it is not valid, attempt to use a prior
- * local storage or browser cookie.
- * @param {string} authToken If an Enginesis authentication token is provided use it to validate the user.
+ * The Paeth predictor of the PNG filter type 4.
+ * @param {integer} left Byte to the left.
+ * @param {integer} up Byte above.
+ * @param {integer} upLeft Byte above and to the left.
+ * @returns {integer} The predicted byte.
  */
-function restoreUserSession(authToken) {
-    if ( ! restoreUserFromAuthToken(authToken)) {
-        restoreUserSessionInfo();
-    }
-    if ( ! enginesis.isUserLoggedIn) {
-        anonymousUserLoad();
+function paethPredictor(left, up, upLeft) {
+    const estimate = left + up - upLeft;
+    const distanceLeft = Math.abs(estimate - left);
+    const distanceUp = Math.abs(estimate - up);
+    const distanceUpLeft = Math.abs(estimate - upLeft);
+    if (distanceLeft <= distanceUp && distanceLeft <= distanceUpLeft) {
+        return left;
     }
+    return distanceUp <= distanceUpLeft ? up : upLeft;
 }
 
+const pngSignature = [137, 80, 78, 71, 13, 10, 26, 10];
+const pngChannels = {0: 1, 2: 3, 3: 1, 4: 2, 6: 4}; // color type to samples per pixel
+
 /**
- * When reloading the game we can see if a prior user login was in the cache so we can
- * restore the session. If the session expires we can use a session refresh instead of
- * asking the user to log in again.
- * @returns {boolean} true if the save was successful, otherwise false.
+ * Decode a PNG file to RGBA pixels. Only what the images users pick need is supported: 8 bit samples of
+ * any color type, not interlaced. Only the image data is read, all metadata chunks are ignored.
+ * @param {Blob} fileBlob The PNG file.
+ * @returns {Promise} Resolves with an image of `width`, `height`, and `data`, a Uint8ClampedArray of RGBA pixels.
  */
-function restoreUserSessionInfo() {
-    let userInfoSaved = loadObjectWithKey(enginesis.SESSION_USERINFO);
-    if (userInfoSaved == null) {
-        userInfoSaved = cookieGet(enginesis.SESSION_USERINFO);
-        if (userInfoSaved != null) {
-            try {
-                userInfoSaved = JSON.parse(userInfoSaved);
-            } catch (exception) {
-                userInfoSaved = null;
-                clearUserSessionInfo();
+async function pngDecode(fileBlob) {
+    const bytes = new Uint8Array(await fileBlob.arrayBuffer());
+    const dataView = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (bytes.length < 8 || ! pngSignature.every(function(signatureByte, index) {
+        return bytes[index] == signatureByte;
+    })) {
+        throw new Error("The image is not a PNG file.");
+    }
+    const imageDataChunks = [];
+    let header = null;
+    let palette = null;
+    let transparency = null;
+    let offset = 8;
+    while (offset + 8 <= bytes.length) {
+        const chunkLength = dataView.getUint32(offset);
+        const chunkType = String.fromCharCode(bytes[offset + 4], bytes[offset + 5], bytes[offset + 6], bytes[offset + 7]);
+        const chunkData = bytes.subarray(offset + 8, offset + 8 + chunkLength);
+        if (chunkType == "IHDR") {
+            header = {
+                width: dataView.getUint32(offset + 8),
+                height: dataView.getUint32(offset + 12),
+                bitDepth: bytes[offset + 16],
+                colorType: bytes[offset + 17],
+                interlace: bytes[offset + 20]
+            };
+        } else if (chunkType == "PLTE") {
+            palette = chunkData;
+        } else if (chunkType == "tRNS") {
+            transparency = chunkData;
+        } else if (chunkType == "IDAT") {
+            imageDataChunks.push(chunkData);
+        } else if (chunkType == "IEND") {
+            break;
+        }
+        offset += chunkLength + 12;
+    }
+    if (header == null || header.bitDepth != 8 || header.interlace != 0 || pngChannels[header.colorType] == null || (header.colorType == 3 && palette == null)) {
+        throw new Error("The PNG format of the image is not supported.");
+    }
+    const channels = pngChannels[header.colorType];
+    const stride = header.width * channels;
+    const filtered = await streamBytes(new Blob(imageDataChunks), new DecompressionStream("deflate"));
+    if (filtered.length < (stride + 1) * header.height) {
+        throw new Error("The PNG image data is incomplete.");
+    }
+    const samples = new Uint8Array(stride * header.height);
+    for (let y = 0; y < header.height; y += 1) {
+        const filterType = filtered[y * (stride + 1)];
+        const rowStart = y * stride;
+        for (let x = 0; x < stride; x += 1) {
+            const filteredByte = filtered[y * (stride + 1) + 1 + x];
+            const left = x >= channels ? samples[rowStart + x - channels] : 0;
+            const up = y > 0 ? samples[rowStart - stride + x] : 0;
+            const upLeft = x >= channels && y > 0 ? samples[rowStart - stride + x - channels] : 0;
+            let predicted = 0;
+            if (filterType == 1) {
+                predicted = left;
+            } else if (filterType == 2) {
+                predicted = up;
+            } else if (filterType == 3) {
+                predicted = (left + up) >> 1;
+            } else if (filterType == 4) {
+                predicted = paethPredictor(left, up, upLeft);
             }
+            samples[rowStart + x] = (filteredByte + predicted) & 0xff;
         }
     }
-    if (userInfoSaved != null) {
-        const hash = sessionMakeHash({
-            siteId: enginesis.siteId,
-            userId: userInfoSaved.userId,
-            userName: userInfoSaved.userName,
-            siteUserId: userInfoSaved.siteUserId || "",
-            networkId: userInfoSaved.networkId || 1,
-            accessLevel: userInfoSaved.accessLevel,
-            siteKey: enginesis.developerKey
-        });
-        // @todo: verify hash to verify the payload was not tampered.
-        // @todo: verify session, authtok, but if expired try to refresh the session.
-        if (hash != userInfoSaved.cr) {
-            debugLog("restoreUserSessionInfo hash does not match. From server: " + userInfoSaved.cr + ". Computed here: " + hash);
+    const data = new Uint8ClampedArray(header.width * header.height * 4);
+    for (let pixel = 0; pixel < header.width * header.height; pixel += 1) {
+        const sample = pixel * channels;
+        const rgba = pixel * 4;
+        if (header.colorType == 3) {
+            const paletteIndex = samples[sample];
+            data[rgba] = palette[paletteIndex * 3];
+            data[rgba + 1] = palette[paletteIndex * 3 + 1];
+            data[rgba + 2] = palette[paletteIndex * 3 + 2];
+            data[rgba + 3] = transparency != null && paletteIndex < transparency.length ? transparency[paletteIndex] : 255;
+        } else if (header.colorType == 0 || header.colorType == 4) {
+            data[rgba] = data[rgba + 1] = data[rgba + 2] = samples[sample];
+            data[rgba + 3] = header.colorType == 4 ? samples[sample + 1] : 255;
+        } else {
+            data[rgba] = samples[sample];
+            data[rgba + 1] = samples[sample + 1];
+            data[rgba + 2] = samples[sample + 2];
+            data[rgba + 3] = header.colorType == 6 ? samples[sample + 3] : 255;
         }
-        enginesis.loggedInUserInfo = userInfoSaved;
-        if (isEmpty(userInfoSaved.session_id)) {
-            debugLog("*** enginesis.restoreUserSessionInfo unexpected server response from " + JSON.stringify(userInfoSaved));
+    }
+    return {width: header.width, height: header.height, data: data};
+}
+
+/**
+ * Encode RGBA pixels as a PNG file with only the chunks required to show the image.
+ * @param {object} image An image of `width`, `height`, and `data` RGBA pixels.
+ * @returns {Promise} Resolves with a Blob of the PNG file.
+ */
+async function pngEncode(image) {
+    const stride = image.width * 4;
+    const filtered = new Uint8Array((stride + 1) * image.height);
+    for (let y = 0; y < image.height; y += 1) {
+        // the Sub filter, each byte is stored as the difference from the same sample of the pixel to its left
+        filtered[y * (stride + 1)] = 1;
+        for (let x = 0; x < stride; x += 1) {
+            const left = x >= 4 ? image.data[y * stride + x - 4] : 0;
+            filtered[y * (stride + 1) + 1 + x] = (image.data[y * stride + x] - left) & 0xff;
         }
-        enginesis.networkId = userInfoSaved.network_id;
-        enginesis.sessionId = userInfoSaved.session_id;
-        enginesis.sessionExpires = userInfoSaved.session_expires;
-        enginesis.authToken = userInfoSaved.authToken;
-        enginesis.authTokenExpires = userInfoSaved.session_expires;
-        enginesis.authTokenWasValidated = true; // @todo: We should actually validate it (check expired, check hash, verify user_id matches)
-        enginesis.refreshToken = userInfoSaved.refresh_token;
-        enginesis.refreshTokenExpires = userInfoSaved.expires;
-        enginesis.isUserLoggedIn = isUserLoggedIn();
-    } else if (enginesis.isUserLoggedIn) {
-        // if a user was not cached and we trust the authtok then we need to load this user
-        enginesis.isUserLoggedIn = isUserLoggedIn();
-        debugLog("enginesis.restoreUserSessionInfo we think the user is logged in but wasn't cached");
     }
-    return enginesis.isUserLoggedIn;
+    const header = new Uint8Array(13);
+    const headerView = new DataView(header.buffer);
+    headerView.setUint32(0, image.width);
+    headerView.setUint32(4, image.height);
+    header[8] = 8; // bit depth
+    header[9] = 6; // color type RGBA
+    const chunks = [
+        pngChunk("IHDR", header),
+        pngChunk("IDAT", await streamBytes(filtered, new CompressionStream("deflate"))),
+        pngChunk("IEND", new Uint8Array(0))
+    ];
+    return new Blob([new Uint8Array(pngSignature)].concat(chunks), {type: "image/png"});
+}
+
+/**
+ * Make a PNG chunk.
+ * @param {string} chunkType The four letter chunk type.
+ * @param {Uint8Array} chunkData The chunk data.
+ * @returns {Uint8Array} The length, type, data, and CRC of the chunk.
+ */
+function pngChunk(chunkType, chunkData) {
+    const chunk = new Uint8Array(chunkData.length + 12);
+    const chunkView = new DataView(chunk.buffer);
+    chunkView.setUint32(0, chunkData.length);
+    for (let i = 0; i < 4; i += 1) {
+        chunk[4 + i] = chunkType.charCodeAt(i);
+    }
+    chunk.set(chunkData, 8);
+    chunkView.setUint32(chunkData.length + 8, crc32(chunk.subarray(4, chunkData.length + 8)));
+    return chunk;
 }
 
 /**
- * Verify the information we have on this user matches what we cached from the server (in case
- * a hacker compromised what's in memory.) Verify the authentication token has not expired. If
- * it has we need to request a new one, which will require a trip to the server and take time.
- * This is something that should be called before any sensitive transaction with the server.
- * Granted, the server will still do these checks, but doing them here saves server resources
- * and user frustration.
- * @returns {Promise} Returns a Promise that will resolve if the session is not expired, or if
- *   the session has expired then once a new session is established with the server. The new session
- *   will automatically update the local cache and Enginesis internal state. This will reject if
- *   the session cannot be refreshed, in which case the user must log in.
+ * Make an image codec that decodes and encodes PNG files in JavaScript. It needs only `CompressionStream`,
+ * so it works in Node.js and web workers as well as the browser.
+ * @returns {object} An image codec.
  */
-function verifyUserSessionInfo() {
-    return new Promise(function(resolve, reject) {
-        const loggedInUserInfo = enginesis.loggedInUserInfo;
-        const userInfoSaved = loadObjectWithKey(enginesis.SESSION_COOKIE);
-        let sessionExpireTime;
-        let isRefreshed = false;
-        if (userInfoSaved != null) {
-            if ( ! userInfoSaved.sessionExpires) {
-                // if we don't get a session expire date then just assume it expired.
-                sessionExpireTime = new Date();
-            } else {
-                sessionExpireTime = new Date(userInfoSaved.sessionExpires);
+function createPNGImageCodec() {
+    return {
+        name: "png",
+        mimeType: "image/png",
+        decode: pngDecode,
+        encode: function(image) {
+            return pngEncode(image);
+        }
+    };
+}
+
+/**
+ * Make a canvas of a size, an OffscreenCanvas when the platform has one.
+ * @param {integer} width Width in pixels.
+ * @param {integer} height Height in pixels.
+ * @returns {OffscreenCanvas|HTMLCanvasElement} The canvas.
+ */
+function makeCanvas(width, height) {
+    if (typeof OffscreenCanvas !== "undefined") {
+        return new OffscreenCanvas(width, height);
+    }
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+/**
+ * Make an image codec that uses the browser to decode any image it can show and to encode JPEG, PNG, or WebP.
+ * Images are decoded with their EXIF orientation applied.
+ * @returns {object} An image codec.
+ */
+function createCanvasImageCodec() {
+    return {
+        name: "canvas",
+        mimeType: "image/jpeg",
+        decode: async function(fileBlob) {
+            const imageBitmap = await createImageBitmap(fileBlob);
+            const canvas = makeCanvas(imageBitmap.width, imageBitmap.height);
+            const context = canvas.getContext("2d");
+            context.drawImage(imageBitmap, 0, 0);
+            imageBitmap.close();
+            return {
+                width: canvas.width,
+                height: canvas.height,
+                data: context.getImageData(0, 0, canvas.width, canvas.height).data
+            };
+        },
+        encode: function(image, mimeType, quality) {
+            const canvas = makeCanvas(image.width, image.height);
+            canvas.getContext("2d").putImageData(new ImageData(image.data, image.width, image.height), 0, 0);
+            if (typeof canvas.convertToBlob === "function") {
+                return canvas.convertToBlob({type: mimeType, quality: quality});
             }
-            const timeZoneOffset = sessionExpireTime.getTimezoneOffset() * 60000;
-            const sessionExpired = Date.now().valueOf() > (sessionExpireTime.valueOf() - timeZoneOffset);
-            const hash = sessionMakeHash({
-                siteId: enginesis.siteId,
-                userId: loggedInUserInfo.user_id,
-                userName: loggedInUserInfo.user_name,
-                siteUserId: loggedInUserInfo.site_user_id || "",
-                networkId: loggedInUserInfo.network_id || 1,
-                accessLevel: loggedInUserInfo.access_level,
-                siteKey: enginesis.developerKey
+            return new Promise(function(resolve) {
+                canvas.toBlob(resolve, mimeType, quality);
             });
-            const hashMatched = (hash == userInfoSaved.cr) && (Math.floor(loggedInUserInfo.user_id) == Math.floor(userInfoSaved.user_id));
-            if ( ! sessionExpired && hashMatched) {
-                isRefreshed = true;
-                resolve(isRefreshed);
-            } else {
-                if (sessionExpired) {
-                    debugLog("verifyUserSessionInfo Session expired but we think we can refresh it.");
-                    enginesisContext.sessionRefresh(_getRefreshToken(), null)
-                    .then(function() {
-                        isRefreshed = true;
-                        resolve(isRefreshed);
-                    }, function(enginesisError) {
-                        reject(enginesisError);
-                    })
-                    .catch(function(exception) {
-                        reject(exception);
-                    });
-                } else {
-                    const errorMessage = "Session hash does not match but session not expired.";
-                    debugLog("verifyUserSessionInfo " + errorMessage + " from cache: " + userInfoSaved.cr + ". Computed here: " + hash);
-                    reject(new Error(errorMessage));
+        }
+    };
+}
+
+/**
+ * Image codecs the avatar functions decode and encode images with. Give one to `init` with the `imageCodec` option.
+ * An image codec is any object with a `mimeType` it encodes by default, `decode(blob)` that resolves with an image of
+ * `width`, `height`, and `data` RGBA pixels, and `encode(image, mimeType, quality)` that resolves with a Blob.
+ */
+export const imageCodecs = {
+    canvas: createCanvasImageCodec,
+    png: createPNGImageCodec
+};
+
+/**
+ * Get the image codec, when none was set the browser canvas codec if the platform has one, else the PNG codec.
+ * @returns {object} An image codec.
+ */
+function imageCodecGet() {
+    if (enginesis.imageCodec == null) {
+        if (typeof createImageBitmap === "function" && (typeof OffscreenCanvas !== "undefined" || typeof document !== "undefined")) {
+            enginesis.imageCodec = createCanvasImageCodec();
+        } else {
+            enginesis.imageCodec = createPNGImageCodec();
+        }
+    }
+    return enginesis.imageCodec;
+}
+
+/**
+ * Determine the square of an image to make an avatar from. When `crop` is not given it is the largest square
+ * in the center of the image, otherwise it is `crop` moved and sized to fit in the image.
+ * @param {object} image An image of `width` and `height`.
+ * @param {object|null} crop The square the user picked, `x` and `y` of its top left corner and its `size`, in pixels of the image.
+ * @returns {object} The square of `x`, `y`, and `size`.
+ */
+function imageCropArea(image, crop) {
+    let size = Math.min(image.width, image.height);
+    if (crop == null) {
+        return {x: Math.floor((image.width - size) / 2), y: Math.floor((image.height - size) / 2), size: size};
+    }
+    size = Math.max(1, Math.min(Math.round(crop.size) || size, size));
+    return {
+        x: Math.max(0, Math.min(Math.round(crop.x) || 0, image.width - size)),
+        y: Math.max(0, Math.min(Math.round(crop.y) || 0, image.height - size)),
+        size: size
+    };
+}
+
+/**
+ * Copy a square from an image.
+ * @param {object} image An image of `width`, `height`, and `data` RGBA pixels.
+ * @param {object} cropArea The square to copy, from `imageCropArea()`.
+ * @returns {object} The square image.
+ */
+function imageCropSquare(image, cropArea) {
+    const data = new Uint8ClampedArray(cropArea.size * cropArea.size * 4);
+    for (let y = 0; y < cropArea.size; y += 1) {
+        const rowStart = ((cropArea.y + y) * image.width + cropArea.x) * 4;
+        data.set(image.data.subarray(rowStart, rowStart + cropArea.size * 4), y * cropArea.size * 4);
+    }
+    return {width: cropArea.size, height: cropArea.size, data: data};
+}
+
+/**
+ * Resize an image. Each pixel is the average of the pixels of the source it covers, weighted by their
+ * coverage and alpha, so a smaller image is smooth and does not darken at transparent edges.
+ * @param {object} image An image of `width`, `height`, and `data` RGBA pixels.
+ * @param {integer} width Width of the resized image.
+ * @param {integer} height Height of the resized image.
+ * @returns {object} The resized image.
+ */
+function imageResize(image, width, height) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    const scaleX = image.width / width;
+    const scaleY = image.height / height;
+    for (let y = 0; y < height; y += 1) {
+        const top = y * scaleY;
+        const bottom = Math.min(image.height, top + scaleY);
+        for (let x = 0; x < width; x += 1) {
+            const left = x * scaleX;
+            const right = Math.min(image.width, left + scaleX);
+            let red = 0;
+            let green = 0;
+            let blue = 0;
+            let alpha = 0;
+            let area = 0;
+            for (let sourceY = Math.floor(top); sourceY < bottom; sourceY += 1) {
+                const coverY = Math.min(bottom, sourceY + 1) - Math.max(top, sourceY);
+                for (let sourceX = Math.floor(left); sourceX < right; sourceX += 1) {
+                    const coverage = coverY * (Math.min(right, sourceX + 1) - Math.max(left, sourceX));
+                    const source = (sourceY * image.width + sourceX) * 4;
+                    const weight = coverage * image.data[source + 3];
+                    red += image.data[source] * weight;
+                    green += image.data[source + 1] * weight;
+                    blue += image.data[source + 2] * weight;
+                    alpha += weight;
+                    area += coverage;
                 }
             }
-        } else {
-            // user is not logged in do an anonymouse user session refresh
-            resolve(isRefreshed);
+            const target = (y * width + x) * 4;
+            if (alpha > 0) {
+                data[target] = Math.round(red / alpha);
+                data[target + 1] = Math.round(green / alpha);
+                data[target + 2] = Math.round(blue / alpha);
+            }
+            data[target + 3] = area > 0 ? Math.round(alpha / area) : 0;
         }
-    });
+    }
+    return {width: width, height: height, data: data};
 }
 
 /**
- * Save a refresh token in local storage. We use this token to refresh a login if we
- * have a logged in user but the authentication token expired.
- * @param {string} refreshToken Refresh token to save.
+ * Put an image on a solid background for formats without transparency, such as JPEG.
+ * @param {object} image An image of `width`, `height`, and `data` RGBA pixels.
+ * @param {Array} background The red, green, and blue of the background.
+ * @returns {object} The opaque image.
  */
-function _saveRefreshToken(refreshToken) {
-    if ( ! isEmpty(refreshToken)) {
-        const refreshTokenData = {
-            refreshToken: refreshToken,
-            timestamp: new Date().getTime()
-        };
-        saveObjectWithKey(enginesis.refreshTokenStorageKey, refreshTokenData);
+function imageFlatten(image, background) {
+    const data = new Uint8ClampedArray(image.data.length);
+    for (let i = 0; i < data.length; i += 4) {
+        const alpha = image.data[i + 3] / 255;
+        data[i] = image.data[i] * alpha + background[0] * (1 - alpha);
+        data[i + 1] = image.data[i + 1] * alpha + background[1] * (1 - alpha);
+        data[i + 2] = image.data[i + 2] * alpha + background[2] * (1 - alpha);
+        data[i + 3] = 255;
     }
+    return {width: image.width, height: image.height, data: data};
 }
 
 /**
- * Recall a refresh token in local storage.
- * @returns {string} either the token that was saved or null.
+ * Encode an avatar no larger than `maxBytes`. The quality is lowered first, for formats that have a quality,
+ * then the image is made smaller until it fits.
+ * @param {object} codec The image codec.
+ * @param {object} image The square avatar image.
+ * @param {string} mimeType The type of image to make.
+ * @param {integer} maxBytes The largest file size allowed.
+ * @returns {Promise} Resolves with a Blob of the encoded image and its `width`.
  */
-function _getRefreshToken() {
-    let refreshToken = enginesis.refreshToken;
-    if (isEmpty(refreshToken)) {
-        restoreUserSessionInfo();
-        refreshToken = enginesis.refreshToken;
-        if (isEmpty(refreshToken)) {
-            refreshToken = null;
+async function avatarEncode(codec, image, mimeType, maxBytes) {
+    const qualities = [0.92, 0.8, 0.65, 0.5];
+    let sizedImage = image;
+    while (true) {
+        for (let i = 0; i < qualities.length; i += 1) {
+            const imageBlob = await codec.encode(sizedImage, mimeType, qualities[i]);
+            if (imageBlob.size <= maxBytes) {
+                return {blob: imageBlob, width: sizedImage.width};
+            }
+            if (mimeType == "image/png") {
+                break; // quality does not change the size of a PNG
+            }
         }
+        if (sizedImage.width <= 16) {
+            throw new Error("The avatar cannot be made smaller than " + maxBytes + " bytes.");
+        }
+        const smallerSize = Math.max(16, Math.floor(sizedImage.width * 0.8));
+        sizedImage = imageResize(image, smallerSize, smallerSize);
     }
-    return refreshToken;
 }
 
 /**
- * Remove a refresh token in local storage.
+ * Check an image file the user picked for their avatar before it is decoded.
+ * @param {Blob|File} imageFile The image the user picked.
+ * @returns {object|null} An object of `errorCode` and `errorMessage` when the image cannot be used, null if it can.
  */
-function _clearRefreshToken() {
-    removeObjectWithKey(enginesis.refreshTokenStorageKey);
+function avatarValidate(imageFile) {
+    const fileSize = imageFile instanceof Blob ? imageFile.size : 0;
+    if (fileSize <= 0) {
+        return {errorCode: "INVALID_FILE_SIZE", errorMessage: "The avatar image is empty."};
+    }
+    if (fileSize > enginesis.avatarMaxSourceBytes) {
+        return {errorCode: "INVALID_FILE_SIZE", errorMessage: "The avatar image with size " + fileSize + " is larger than the " + enginesis.avatarMaxSourceBytes + " bytes allowed."};
+    }
+    if ( ! isEmpty(imageFile.type) && ! imageFile.type.startsWith("image/")) {
+        return {errorCode: "INVALID_FILE_TYPE", errorMessage: "A file of type " + imageFile.type + " cannot be used as an avatar."};
+    }
+    return null;
 }
 
 /**
- * Initialize the anonymous user data.
- * @returns {object} The user data object.
+ * Make the small, medium, and large avatar images from an image file. The image is cropped to a square, resized to
+ * `avatarSizes`, and encoded again. Encoding again from the pixels drops the EXIF data and any other metadata of the file.
+ * @param {Blob|File} imageFile The image the user picked.
+ * @param {object} avatarOptions See `avatarPrepare()`.
+ * @returns {Promise} Resolves with the `crop` used and a list of `images`, each with `size`, `width`, `blob`, and `fileName`.
+ *   Rejects with an `EnginesisError` when the image cannot be used.
  */
-function anonymousUserInitialize() {
+async function avatarPrepare(imageFile, avatarOptions) {
+    const avatarError = avatarValidate(imageFile);
+    if (avatarError != null) {
+        throw makeEnginesisError(makeErrorResponse(avatarError.errorCode, avatarError.errorMessage, {fn: "AvatarUpload"}));
+    }
+    const codec = imageCodecGet();
+    const mimeType = avatarOptions.mimeType || codec.mimeType;
+    const maxBytes = avatarOptions.maxBytes || enginesis.avatarMaxBytes;
+    const extension = Object.keys(mimeTypeForExtension).find(function(fileExtension) {
+        return mimeTypeForExtension[fileExtension] == mimeType;
+    }) || "img";
+    let sourceImage;
+    try {
+        sourceImage = await codec.decode(imageFile);
+    } catch (exception) {
+        throw makeEnginesisError(makeErrorResponse("INVALID_FILE_TYPE", "The avatar image cannot be read: " + exception.message, {fn: "AvatarUpload"}));
+    }
+    const cropArea = imageCropArea(sourceImage, avatarOptions.crop);
+    let squareImage = imageCropSquare(sourceImage, cropArea);
+    if (mimeType == "image/jpeg") {
+        squareImage = imageFlatten(squareImage, avatarOptions.background || [255, 255, 255]);
+    }
+    const images = [];
+    let largerWidth = squareImage.width;
+    // make the largest size first, a size made smaller to fit maxBytes must not end up smaller than the size below it
+    for (let size = enginesis.avatarSizes.length - 1; size >= 0; size -= 1) {
+        const width = Math.min(enginesis.avatarSizes[size], largerWidth);
+        const avatarImage = width == squareImage.width ? squareImage : imageResize(squareImage, width, width);
+        const encodedImage = await avatarEncode(codec, avatarImage, mimeType, maxBytes);
+        largerWidth = encodedImage.width;
+        images.unshift({
+            size: size,
+            width: encodedImage.width,
+            blob: encodedImage.blob,
+            fileName: "avatar-" + size + "." + extension
+        });
+    }
     return {
-        dateCreated: new Date(),
-        dateLastVisit: new Date(),
-        subscriberEmail: "",
-        userId: 0,
-        userName: "",
-        favoriteGames: null,
-        gamesPlayed: new Set(),
-        cr: ""
+        crop: cropArea,
+        images: images
     };
 }
 
 /**
- * Load the anonymous user data from local storage. If we do not have a prior save then initialize
- * a first time user.
- * @returns {object} The user data object.
+ * Make the avatar images from an image file and upload each size to the `avatar` asset target.
+ * @param {Blob|File} imageFile The image the user picked.
+ * @param {object} avatarOptions See `avatarUpload()`.
+ * @returns {Promise} Resolves with an Enginesis result of `AvatarUpload`, it never rejects.
  */
-function anonymousUserLoad() {
-    if (enginesis.anonymousUser == null) {
-        enginesis.anonymousUser = loadObjectWithKey(enginesis.anonymousUserKey);
-        if (enginesis.anonymousUser == null) {
-            enginesis.anonymousUser = anonymousUserInitialize();
-        } else {
-            const cr = enginesis.anonymousUser.cr || "";
-            if (cr != anonymousUserHash()) {
-                enginesis.anonymousUser = anonymousUserInitialize();
-            }
-            if (Array.isArray(enginesis.anonymousUser.favoriteGames)) {
-                enginesis.favoriteGames = new Set(enginesis.anonymousUser.favoriteGames);
-                enginesis.anonymousUser.favoriteGames = null;
-            }
-            if (Array.isArray(enginesis.anonymousUser.gamesPlayed)) {
-                enginesis.anonymousUser.gamesPlayed = new Set(enginesis.anonymousUser.gamesPlayed);
-            }
+async function avatarUpload(imageFile, avatarOptions) {
+    const passthru = {fn: "AvatarUpload", file: (imageFile && imageFile.name) || ""};
+    if ( ! enginesis.isUserLoggedIn) {
+        return makeErrorResponse("NOT_LOGGED_IN", "A user must be logged in to set their avatar.", passthru);
+    }
+    let preparedAvatar;
+    try {
+        preparedAvatar = await avatarPrepare(imageFile, avatarOptions);
+    } catch (exception) {
+        return exception.result || makeErrorResponse("SYSTEM_ERROR", exception.toString(), passthru);
+    }
+    const uploadedImages = [];
+    for (let i = 0; i < preparedAvatar.images.length; i += 1) {
+        const avatarImage = preparedAvatar.images[i];
+        const uploadResult = await assetUpload("avatar", avatarImage.blob, {
+            fileName: avatarImage.fileName,
+            signal: avatarOptions.signal,
+            timeout: avatarOptions.timeout
+        });
+        if ( ! resultIsSuccess(uploadResult)) {
+            return uploadResult;
         }
+        uploadedImages.push({...uploadResult.results.result[0], size: avatarImage.size, width: avatarImage.width});
     }
-    return enginesis.anonymousUser;
+    enginesis.avatarUpdated = Date.now();
+    return {
+        fn: "AvatarUpload",
+        results: {
+            passthru: passthru,
+            result: uploadedImages,
+            status: {
+                success: "1",
+                message: "",
+                extended_info: ""
+            }
+        }
+    };
 }
 
 /**
- * Save the anonymous user to local storage. The Sets are converted to Arrays for serialization.
+ * Encode bytes as base64url without padding, the encoding of PKCE and JSON Web Tokens. This is not the
+ * Enginesis URL safe encoding of `base64URLEncode()`.
+ * @param {Uint8Array|ArrayBuffer} bytes The bytes to encode.
+ * @returns {string} The encoded bytes.
  */
-function anonymousUserSave() {
-    if (enginesis.anonymousUser != null) {
-        const anonymousUser = enginesis.anonymousUser;
-        anonymousUser.favoriteGames = Array.from(enginesis.favoriteGames);
-        anonymousUser.gamesPlayed = Array.from(anonymousUser.gamesPlayed);
-        anonymousUser.cr = anonymousUserHash();
-        saveObjectWithKey(enginesis.anonymousUserKey, anonymousUser);
-        anonymousUser.favoriteGames = null;
-        anonymousUser.gamesPlayed = new Set(anonymousUser.gamesPlayed);
+function oauthBase64URLEncode(bytes) {
+    return arrayBufferToBase64(bytes).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/**
+ * Read the claims of a JSON Web Token, such as an OpenID Connect ID token. The signature is not checked
+ * here, the Enginesis server verifies the token given to UserLoginCoreg.
+ * @param {string} jsonWebToken The token.
+ * @returns {object|null} The claims, null if the token cannot be read.
+ */
+function jsonWebTokenClaims(jsonWebToken) {
+    const tokenParts = String(jsonWebToken || "").split(".");
+    if (tokenParts.length != 3) {
+        return null;
+    }
+    try {
+        const payload = tokenParts[1].replace(/-/g, "+").replace(/_/g, "/");
+        const claims = JSON.parse(new TextDecoder().decode(base64ToArrayBuffer(payload + "===".slice((payload.length + 3) % 4))));
+        return claims != null && typeof claims === "object" ? claims : null;
+    } catch (exception) {
+        return null;
     }
 }
 
 /**
- * Create a hash for the anonymous user data object.
- * @returns {string} Hash for anonymous user data.
+ * Make the error a sign in fails with. Sign in results are UserLoginCoreg results.
+ * @param {string} errorCode An Enginesis error code.
+ * @param {string} errorMessage Why the sign in failed.
+ * @returns {EnginesisError} The error to throw.
  */
-function anonymousUserHash() {
-    const anonymousUser = enginesis.anonymousUser;
-    return md5(anonymousUser.subscriberEmail + anonymousUser.userId + anonymousUser.userName + enginesis.developerKey);
+function signInError(errorCode, errorMessage) {
+    debugLog("Enginesis sign in error " + errorCode + ": " + errorMessage);
+    return makeEnginesisError(makeErrorResponse(errorCode, errorMessage, {fn: "UserLoginCoreg"}));
 }
 
 /**
- * When sending data over the network we should make sure it is not going to break the
- * URL rules. We can't trust data supplied by the game so encode it to be safe.
- * @param {any} gameData Something considered game data to be sent to the network.
- * @returns {string} Something considered safe to send over the network.
+ * Find the OAuth settings of a network from `signInProviders`.
+ * @param {string|integer} network A network name of `supportedNetworks` in any case, or its network id.
+ * @returns {object|null} The provider settings with the `networkName` and `networkId`, null if it is not a network to sign in with.
  */
-function safeData(gameData) {
-    let gameDataString;
-    if (typeof gameData != "string") {
-        gameDataString = JSON.stringify(gameData);
-    } else {
-        gameDataString = gameData;
+function signInProvider(network) {
+    const networkName = Object.keys(enginesis.supportedNetworks).find(function(supportedNetwork) {
+        return supportedNetwork.toLowerCase() == String(network).toLowerCase() || enginesis.supportedNetworks[supportedNetwork] == network;
+    });
+    if (networkName === undefined || enginesis.signInProviders[networkName] === undefined) {
+        return null;
     }
-    return encodeURIComponent(gameDataString);
+    return {...enginesis.signInProviders[networkName], networkName: networkName, networkId: enginesis.supportedNetworks[networkName]};
 }
 
 /**
- * Prepare a score submission to be sent securely to the server. This is an internal function and
- * not designed to be called by client code.
- * @param {integer} siteId Site identifier.
- * @param {integer} userId User who is submitting the score.
- * @param {integer} gameId Game that was played.
- * @param {integer} level The game level the score pertains to. Use 0 for final score.
- * @param {integer} gameScore Game final score.
- * @param {string|object} gameData Object or JSON string of game-specific play data.
- * @param {integer} timePlayed Game play time related to score and gameData, in milliseconds.
- * @param {string|null} sessionId Optional session id that was given at SessionBegin. If not provided
- *   will attempt to use the last recorded session id from SessionBegin or SessionRefresh.
- * @returns {Promise} A Promise that resolves with the encrypted score payload or null if an error occurred.
+ * Start an authorization code sign in with PKCE. The state, nonce, and code verifier are saved so the sign in
+ * can be completed after a redirect reloads the page.
+ * @param {string|integer} network The network to sign in with.
+ * @param {object} signInOptions See `signInWith()`.
+ * @returns {Promise} Resolves with the `authorizationURL` to show the user and the `pendingSignIn`.
+ * @throws {EnginesisError} INVALID_PARAMETER when the network cannot be signed in with.
  */
-function encryptScoreSubmit(siteId, userId, gameId, level, gameScore, gameData, timePlayed, sessionId) {
-    return new Promise(function(resolve, reject) {
-        let gameDataString;
-        if (typeof gameData !== "string") {
-            gameDataString = JSON.stringify(gameData);
-        } else {
-            gameDataString = gameData;
-        }
-        if (!sessionId) {
-            sessionId = enginesis.sessionId;
-        }
-        encryptString(
-            `site_id=${siteId}&user_id=${userId}&game_id=${gameId}&level_id=${level}&score=${gameScore}&time_played=${timePlayed}&game_data=${gameDataString}`,
-            sessionId
-        )
-        .then(function(encryptedData) {
-            if (encryptedData) {
-                resolve(encryptedData);
-            } else {
-                reject(new Error("Internal data encryption failed, verify your session is good."));
+async function signInStart(network, signInOptions) {
+    const provider = signInProvider(network);
+    if (provider == null) {
+        throw signInError("INVALID_PARAMETER", "There is no sign in with " + network + ".");
+    }
+    const signInSettings = {...provider, ...signInOptions};
+    if (isEmpty(signInSettings.redirectURI) && typeof window !== "undefined" && window.location) {
+        signInSettings.redirectURI = window.location.origin + window.location.pathname;
+    }
+    if (isEmpty(signInSettings.clientId) || isEmpty(signInSettings.redirectURI) || isEmpty(signInSettings.authorizationEndpoint) || (isEmpty(signInSettings.tokenEndpoint) && isEmpty(signInSettings.exchangeEndpoint))) {
+        throw signInError("INVALID_PARAMETER", "Sign in with " + provider.networkName + " needs its clientId, redirectURI, authorizationEndpoint, and tokenEndpoint or exchangeEndpoint.");
+    }
+    const codeVerifier = oauthBase64URLEncode(generateEncryptIV(32));
+    const codeChallenge = oauthBase64URLEncode(await globalThis.crypto.subtle.digest("SHA-256", stringToByteArray(codeVerifier)));
+    const pendingSignIn = {
+        network: provider.networkName,
+        networkId: provider.networkId,
+        clientId: signInSettings.clientId,
+        redirectURI: signInSettings.redirectURI,
+        tokenEndpoint: signInSettings.tokenEndpoint || "",
+        exchangeEndpoint: signInSettings.exchangeEndpoint || "",
+        userInfoEndpoint: signInSettings.userInfoEndpoint || "",
+        issuer: signInSettings.issuer || "",
+        scope: signInSettings.scope || "",
+        state: oauthBase64URLEncode(generateEncryptIV(16)),
+        nonce: oauthBase64URLEncode(generateEncryptIV(16)),
+        codeVerifier: codeVerifier,
+        startedAt: Date.now()
+    };
+    saveObjectWithKey(enginesis.signInPendingKey, pendingSignIn);
+    const authorizationURL = new URL(signInSettings.authorizationEndpoint);
+    authorizationURL.searchParams.set("response_type", "code");
+    authorizationURL.searchParams.set("client_id", pendingSignIn.clientId);
+    authorizationURL.searchParams.set("redirect_uri", pendingSignIn.redirectURI);
+    authorizationURL.searchParams.set("scope", pendingSignIn.scope);
+    authorizationURL.searchParams.set("state", pendingSignIn.state);
+    authorizationURL.searchParams.set("nonce", pendingSignIn.nonce);
+    authorizationURL.searchParams.set("code_challenge", codeChallenge);
+    authorizationURL.searchParams.set("code_challenge_method", "S256");
+    return {
+        authorizationURL: authorizationURL.toString(),
+        pendingSignIn: pendingSignIn
+    };
+}
+
+/**
+ * Show the provider's sign in page in a popup window and wait for it to redirect back to our page.
+ * The popup can only be read once it is back on our origin, until then it is checked every 250ms.
+ * @param {string} authorizationURL The provider's sign in page.
+ * @param {string} redirectURI The page the provider redirects to.
+ * @returns {Promise} Resolves with the URL the provider redirected to, "" if the user closed the popup
+ *   or did not finish in `signInTimeout`, or null if the popup was blocked.
+ */
+function signInPopup(authorizationURL, redirectURI) {
+    return new Promise(function(resolve) {
+        const popup = window.open(authorizationURL, "enginesisSignIn", "popup,width=500,height=650");
+        if (popup == null) {
+            resolve(null);
+            return;
+        }
+        const startTime = Date.now();
+        const popupTimer = setInterval(function() {
+            let popupURL = "";
+            try {
+                popupURL = popup.location.href;
+            } catch (exception) {
+                // the popup is showing the provider's page
+            }
+            if (popupURL.startsWith(redirectURI)) {
+                clearInterval(popupTimer);
+                popup.close();
+                resolve(popupURL);
+            } else if (popup.closed || Date.now() - startTime > enginesis.signInTimeout) {
+                clearInterval(popupTimer);
+                if ( ! popup.closed) {
+                    popup.close();
+                }
+                resolve("");
             }
-        })
-        .catch(function(exception) {
-            reject(exception);
-        });
+        }, 250);
     });
 }
 
 /**
- * Request the upload of a file to a specific Enginesis service identified by `requestType`. See Enginesis documentation
- * regarding the request types. There are two options for indicating the file contents:
- * 1. Provide the blob of data with `fileData` and specify a file name without any path information.
- * 2. Provide null for `fileData` and provide a full path specification to a file on disk that the app can get read access to.
- * This function makes the request to the server and in response either gets a token or an error. If the token is received then
- * the file can be uploaded with _completeFileUpload().
- *
- * @param {string} requestType In order to send a file to the server you must indicate the type of service.
- * @param {string} fileName The full path and name of the file to upload.
- * @param {ArrayBuffer|null} fileData The file data.
- * @return {Promise} Call the Promise.resolve function when a valid reply comes back from the server, all other conditions call the Promise.reject function.
+ * Send a request to an identity provider and read its JSON reply.
+ * @param {string} url The provider endpoint.
+ * @param {object} requestOptions `fetch` options.
+ * @returns {Promise} Resolves with the reply.
+ * @throws {EnginesisError} SIGN_IN_FAILED when the provider cannot be reached or refuses the request.
  */
-function _requestFileUpload(requestType, fileName, fileData) {
-    return new Promise(function(resolve, reject) {
-        if (enginesis.assetUploadQueue == null) {
-            enginesis.assetUploadQueue = [];
-        }
-        let errorMessage = "";
-        let errorCode = "";
-        const uploadAttributes = {
-            target: requestType,
-            token: null,
-            uploadId: 0,
-            fileName: fileName,
-            fileSize: fileData.length,
-            serverURL: "",
-            uploadTime: Date.now()
-        };
-        const parameters = {
-            site_id: enginesis.siteId,
-            action: "request",
-            target: uploadAttributes.target,
-            file: uploadAttributes.fileName,
-            size: uploadAttributes.fileSize,
-            game_id: enginesis.gameId
-        };
-        const fetchOptions = {
-            method: "POST",
-            mode: "cors",
-            credentials: "same-origin",
-            cache: "default",
-            headers: formatHTTPHeader(),
-            body: convertParamsToFormData(parameters)
-        };
-        fetch(enginesis.siteResources.assetUploadURL, fetchOptions)
-        .then(function (response) {
-            if (response && response.ok) {
-                const contentType = response.headers.get("content-type");
-                if (contentType && contentType.includes("application/json")) {
-                    response.json()
-                    .then(function(enginesisResponse) {
-                        // if response is good, add to queue then schedule follow up to do the upload.
-                        if (enginesisResponse != null) {
-                            if (enginesisResponse.status && enginesisResponse.status.success == "1" && enginesisResponse.results) {
-                                uploadAttributes.token = enginesisResponse.results.token;
-                                uploadAttributes.uploadId = enginesisResponse.results.id;
-                                enginesis.assetUploadQueue.push(uploadAttributes);
-                                _completeFileUpload(uploadAttributes, fileData)
-                                .then(function(enginesisResponse) {
-                                    resolve(enginesisResponse);
-                                }, function (enginesisResponse) {
-                                    resolve(enginesisResponse);
-                                })
-                                .catch(function(exception) {
-                                    errorCode = "SERVICE_ERROR";
-                                    errorMessage = "Error: " + exception.toString() + " Received from service with " + fileName + " with size " + uploadAttributes.fileSize + ".";
-                                });
-                            } else {
-                                errorCode = "SERVICE_ERROR";
-                                errorMessage = "Error: " + enginesisResponse.status.extended_info + " Received from service with " + fileName + " with size " + uploadAttributes.fileSize + ".";
-                            }
-                        } else {
-                            errorCode = "SERVICE_ERROR";
-                            errorMessage = "There was a service error during the upload operation. The support team has been notified.";
-                        }
-                    })
-                    .catch(function(jsonParseException) {
-                        errorCode = "SERVICE_ERROR";
-                        errorMessage = "Unexpected response received from service: " + jsonParseException.toString();
-                    });
-                } else {
-                    errorCode = "SERVICE_ERROR";
-                    errorMessage = "Unexpected response received from service when requesting upload token.";
-                }
-            } else {
-                errorCode = "SERVICE_ERROR";
-                errorMessage = "Error received from service when requesting upload token.";
-            }
-            if (errorCode != "") {
-                reject(makeErrorResponse(errorCode, errorMessage, parameters));
+async function signInProviderRequest(url, requestOptions) {
+    let providerReply = null;
+    let response;
+    try {
+        response = await (enginesis.isNodeBuild ? nodeRequestFunction() : fetch)(url, requestOptions);
+        providerReply = await response.json();
+    } catch (exception) {
+        throw signInError("SIGN_IN_FAILED", "The identity provider did not reply: " + exception.toString());
+    }
+    if ( ! response.ok || providerReply == null) {
+        const providerError = providerReply ? (providerReply.error_description || providerReply.error || "") : "";
+        throw signInError("SIGN_IN_FAILED", "The identity provider refused the request with status " + response.status + " " + providerError);
+    }
+    return providerReply;
+}
+
+/**
+ * Identify the user from the tokens of a sign in. The ID token must be issued to us for this sign in,
+ * when there is no ID token the user is read from the provider's `userInfoEndpoint`.
+ * @param {object} pendingSignIn The sign in.
+ * @param {object} tokens The reply of the provider's token endpoint.
+ * @returns {Promise} Resolves with the registration parameters of `userLoginCoreg()`.
+ * @throws {EnginesisError} SIGN_IN_FAILED when the user cannot be identified.
+ */
+async function signInIdentify(pendingSignIn, tokens) {
+    let userInfo;
+    let idToken;
+    if ( ! isEmpty(tokens.id_token)) {
+        userInfo = jsonWebTokenClaims(tokens.id_token);
+        idToken = tokens.id_token;
+        if (userInfo == null) {
+            throw signInError("SIGN_IN_FAILED", "The ID token cannot be read.");
+        }
+        const audience = Array.isArray(userInfo.aud) ? userInfo.aud : [userInfo.aud];
+        if (userInfo.nonce !== pendingSignIn.nonce || ! audience.includes(pendingSignIn.clientId) || ( ! isEmpty(pendingSignIn.issuer) && userInfo.iss != pendingSignIn.issuer)) {
+            throw signInError("SIGN_IN_FAILED", "The ID token was not issued for this sign in.");
+        }
+        if (userInfo.exp && userInfo.exp * 1000 < Date.now()) {
+            throw signInError("SIGN_IN_FAILED", "The ID token expired.");
+        }
+    } else if ( ! isEmpty(pendingSignIn.userInfoEndpoint) && ! isEmpty(tokens.access_token)) {
+        const userInfoReply = await signInProviderRequest(pendingSignIn.userInfoEndpoint, {
+            method: "GET",
+            headers: {
+                Accept: "application/json",
+                Authorization: "Bearer " + tokens.access_token
             }
-        }, function (error) {
-            errorCode = "SERVICE_ERROR";
-            errorMessage = "Network error from service when requesting token. " + error.toString();
-            reject(makeErrorResponse(errorCode, errorMessage, parameters));
-        })
-        .catch(function (exception) {
-            errorCode = "SERVICE_ERROR";
-            errorMessage = "Unexpected response received from service when requesting token with " + exception.toString() + ".";
-            reject(makeErrorResponse(errorCode, errorMessage, parameters));
         });
-    });
+        // Twitter replies with the user in data
+        userInfo = userInfoReply.data || userInfoReply;
+        idToken = tokens.access_token;
+    } else {
+        throw signInError("SIGN_IN_FAILED", "The identity provider did not identify the user.");
+    }
+    const siteUserId = String(userInfo.sub || userInfo.id || "");
+    if (siteUserId == "") {
+        throw signInError("SIGN_IN_FAILED", "The identity provider did not identify the user.");
+    }
+    const userName = userInfo.preferred_username || userInfo.username || "";
+    const emailAddress = userInfo.email || "";
+    return {
+        siteUserId: siteUserId,
+        userName: userName,
+        realName: userInfo.name || (userName == "" ? emailAddress || siteUserId : ""),
+        emailAddress: emailAddress,
+        avatarURL: userInfo.picture || userInfo.profile_image_url || "",
+        idToken: idToken,
+        scope: pendingSignIn.scope
+    };
 }
 
 /**
- * Complete an Enginesis asset file upload when a request was previously made and an upload token
- * has been granted. Parameter `uploadAttributes` holds the attributes of the in-progress upload,
- * such as target, fileName, fileSize, token, uploadId, and others.
- *
- * @param {Object} uploadAttributes The attributes of a file upload request that is in progress.
- * @param {Blob} fileData The data of the file that is to be sent to the server.
- * @return {Promise} A promise is returned that resolves once the file upload is complete.
+ * Complete a sign in from the URL the provider redirected to: check the state, exchange the code for the
+ * tokens, and identify the user. A sign in can only be completed once. The code is exchanged with the provider's
+ * `tokenEndpoint`, or with the `exchangeEndpoint` when the provider only gives tokens to a client with a secret.
+ * @param {string} callbackURL The URL the provider redirected to.
+ * @returns {Promise} Resolves with the `networkId` and the `registrationParameters` of `userLoginCoreg()`.
+ * @throws {EnginesisError} SIGN_IN_CANCELED when the user did not allow the sign in, SIGN_IN_FAILED for any other reason.
  */
-function _completeFileUpload(uploadAttributes, fileData) {
-    return new Promise(function(resolve, reject) {
-        const parameters = {
-            site_id: enginesis.siteId,
-            game_id: enginesis.gameId,
-            action: "upload",
-            target: uploadAttributes.target,
-            file: uploadAttributes.fileName,
-            size: uploadAttributes.fileSize,
-            token: uploadAttributes.token,
-            id: uploadAttributes.uploadId,
-            image: fileData
-        };
-        const fetchOptions = {
-            method: "POST",
-            mode: "cors",
-            credentials: "same-origin",
-            cache: "default",
-            headers: formatHTTPHeader(),
-            body: convertParamsToFormData(parameters)
-        };
-        let errorCode = "";
-        let errorMessage = "";
-        fetch(enginesis.siteResources.assetUploadURL, fetchOptions)
-        .then(function (response) {
-            if (response && response.ok) {
-                const contentType = response.headers.get("content-type");
-                if (contentType && contentType.includes("application/json")) {
-                    response.json()
-                    .then(function(enginesisResponse) {
-                        if (enginesisResponse != null) {
-                            if (enginesisResponse.status && enginesisResponse.status.success == "1") {
-                                resolve(enginesisResponse);
-                            } else {
-                                errorCode = enginesisResponse.status.message;
-                                errorMessage = enginesisResponse.status.extended_info;
-                            }
-                        } else {
-                            errorCode = "SERVICE_ERROR";
-                            errorMessage = "There was a service error during the upload operation. The support team has been notified.";
-                        }
-                        if (errorCode != "") {
-                            reject(makeErrorResponse(errorCode, errorMessage, parameters));
-                        }
-                    })
-                    .catch(function(jsonParseException) {
-                        errorCode = "SERVICE_ERROR";
-                        errorMessage = jsonParseException.toString();
-                        reject(makeErrorResponse(errorCode, errorMessage, parameters));
-                    });
-                } else {
-                    errorCode = "SERVICE_ERROR";
-                    errorMessage = "Unexpected response received from service when requesting upload token.";
-                }
-            } else {
-                errorCode = "SERVICE_ERROR";
-                errorMessage = "Error received from service when requesting upload token.";
-            }
-            if (errorCode != "") {
-                reject(makeErrorResponse(errorCode, errorMessage, parameters));
-            }
-        }, function (error) {
-            errorMessage = "Network error from service when requesting token. " + error.toString();
-            reject(makeErrorResponse("SERVICE_ERROR", errorMessage, parameters));
-        }).catch(function (exception) {
-            errorMessage = "Unexpected response received from service when requesting token with " + exception.toString() + ".";
-            reject(makeErrorResponse("SERVICE_ERROR", errorMessage, parameters));
-        });
+async function signInFinish(callbackURL) {
+    const pendingSignIn = loadObjectWithKey(enginesis.signInPendingKey);
+    if (pendingSignIn == null || Date.now() - pendingSignIn.startedAt > enginesis.signInTimeout) {
+        removeObjectWithKey(enginesis.signInPendingKey);
+        throw signInError("SIGN_IN_FAILED", "There is no sign in waiting to complete.");
+    }
+    let callbackParameters;
+    try {
+        callbackParameters = new URL(callbackURL).searchParams;
+    } catch (exception) {
+        throw signInError("SIGN_IN_FAILED", "The sign in reply cannot be read.");
+    }
+    // a reply that is not for this sign in must not end it, the reply that is may still arrive
+    if (callbackParameters.get("state") !== pendingSignIn.state) {
+        throw signInError("SIGN_IN_FAILED", "The sign in reply does not match the sign in request.");
+    }
+    removeObjectWithKey(enginesis.signInPendingKey);
+    if (callbackParameters.has("error")) {
+        const providerError = callbackParameters.get("error");
+        throw signInError(providerError == "access_denied" ? "SIGN_IN_CANCELED" : "SIGN_IN_FAILED", pendingSignIn.network + " sign in error " + providerError + " " + (callbackParameters.get("error_description") || ""));
+    }
+    if (isEmpty(callbackParameters.get("code"))) {
+        throw signInError("SIGN_IN_FAILED", "The sign in reply has no authorization code.");
+    }
+    const tokens = await signInProviderRequest(pendingSignIn.exchangeEndpoint || pendingSignIn.tokenEndpoint, {
+        method: "POST",
+        headers: {
+            Accept: "application/json",
+            "Content-Type": "application/x-www-form-urlencoded"
+        },
+        body: new URLSearchParams({
+            grant_type: "authorization_code",
+            code: callbackParameters.get("code"),
+            redirect_uri: pendingSignIn.redirectURI,
+            client_id: pendingSignIn.clientId,
+            code_verifier: pendingSignIn.codeVerifier
+        }).toString()
     });
+    return {
+        networkId: pendingSignIn.networkId,
+        registrationParameters: await signInIdentify(pendingSignIn, tokens)
+    };
+}
+
+/**
+ * Answer the caller of a public function that does not end with a single service request the same way a service
+ * request is answered: the call back function gets the result and the promise rejects with an `EnginesisError`
+ * when `rejectOnError` is set.
+ * @param {object} enginesisResult The result to give the caller.
+ * @param {function} overRideCallBackFunction The call back function given to the function, if any.
+ * @returns {object} The result, unless the promise should reject.
+ */
+function answerCaller(enginesisResult, overRideCallBackFunction) {
+    requestFailedEmit(enginesisResult);
+    if (overRideCallBackFunction != null) {
+        overRideCallBackFunction(enginesisResult);
+    } else if (enginesis.callBackFunction != null) {
+        enginesis.callBackFunction(enginesisResult);
+    }
+    if (enginesis.rejectOnError && ! resultIsSuccess(enginesisResult)) {
+        throw makeEnginesisError(enginesisResult);
+    }
+    return enginesisResult;
 }
 
 /**
- * Helper function to generate an array of 16 random bytes to be used as the
+ * Helper function to generate an array of random bytes to be used as the
  * initialization vector (IV) in our encryption functions. The same IV used to
  * encrypt must be passed to decrypt, so the client who alls encrypt will need
  * to save it and provide the same value to decrypt. The IV must only be used
  * once per encrypt/decrypt pair.
- * @returns {Uint8Array} Array of 16 random bytes.
+ * @param {integer} numBytes Optional number of bytes, default is 16.
+ * @returns {Uint8Array} Array of random bytes.
  */
-function generateEncryptIV() {
-    const numBytes = 16;
-    if (window.crypto) {
-        return window.crypto.getRandomValues(new Uint8Array(numBytes));
+function generateEncryptIV(numBytes) {
+    numBytes = numBytes || 16;
+    if (typeof globalThis.crypto !== "undefined") {
+        return globalThis.crypto.getRandomValues(new Uint8Array(numBytes));
     } else {
         const randomValues = new Uint8Array(numBytes);
         for (let i = 0; i < randomValues.length; i += 1) {
@@ -2232,7 +8046,7 @@ function generateEncryptIV() {
 async function encryptString (data, key) {
     return new Promise(function(resolve, reject) {
         const encryptMethod = "AES-CBC";
-        window.crypto.subtle.importKey(
+        globalThis.crypto.subtle.importKey(
             "raw",
             stringToByteArray(key),
             {
@@ -2243,7 +8057,7 @@ async function encryptString (data, key) {
         )
         .then(function(cryptoKey) {
             const encoder = new TextEncoder();
-            window.crypto.subtle.encrypt(
+            globalThis.crypto.subtle.encrypt(
                 {
                     name: encryptMethod,
                     iv: stringToByteArray(key.substring(3, 16 + 3)),
@@ -2273,7 +8087,7 @@ async function encryptString (data, key) {
 async function decryptString(encryptedData, key) {
     return new Promise(function(resolve, reject) {
         const encryptMethod = "AES-CBC";
-        window.crypto.subtle.importKey(
+        globalThis.crypto.subtle.importKey(
             "raw",
             stringToByteArray(key),
             {
@@ -2283,7 +8097,7 @@ async function decryptString(encryptedData, key) {
             ["encrypt", "decrypt"]
         )
         .then(function(cryptoKey) {
-            window.crypto.subtle.decrypt(
+            globalThis.crypto.subtle.decrypt(
                 {
                     name: encryptMethod,
                     iv: stringToByteArray(key.substring(3, 16 + 3)),
@@ -2306,6 +8120,130 @@ async function decryptString(encryptedData, key) {
     });
 }
 
+const payloadHeaderSize = 1 + 12; // version byte and AES-GCM IV
+const payloadTagSize = 16;
+
+/**
+ * Derive the AES-GCM key of a version 2 payload from the session id with HKDF. The key is different for each
+ * site and for each `purpose`, so a payload made for one use cannot be accepted for another.
+ * @param {string} sessionId The session id from SessionBegin, SessionRefresh, or UserLogin.
+ * @param {string} purpose What the payload is for, such as "enginesis score submit".
+ * @returns {Promise} Resolves with the CryptoKey.
+ */
+function derivePayloadKey(sessionId, purpose) {
+    const subtle = globalThis.crypto.subtle;
+    return subtle.importKey("raw", stringToByteArray(sessionId), "HKDF", false, ["deriveKey"])
+    .then(function(sessionKey) {
+        return subtle.deriveKey(
+            {
+                name: "HKDF",
+                hash: "SHA-256",
+                salt: stringToByteArray("enginesis-site-" + enginesis.siteId),
+                info: stringToByteArray(purpose)
+            },
+            sessionKey,
+            {
+                name: "AES-GCM",
+                length: 256
+            },
+            false,
+            ["encrypt", "decrypt"]
+        );
+    });
+}
+
+/**
+ * Encrypt a string of data in the version 2 payload format: a version byte, a random 12 byte IV, then the
+ * AES-GCM encrypted data and its authentication tag. The version byte is authenticated with the data, so any
+ * change to the payload fails to decrypt.
+ * @param {string} data String of data to encrypt.
+ * @param {string} sessionId The session id the key is derived from.
+ * @param {string} purpose What the payload is for, see `derivePayloadKey()`.
+ * @return {Promise} A Promise that will resolve with the Base-64 encoded payload.
+ */
+async function encryptPayload(data, sessionId, purpose) {
+    return encryptPayloadWithKey(data, await derivePayloadKey(sessionId, purpose));
+}
+
+/**
+ * Encrypt a string of data in the version 2 payload format with an AES-GCM key, see `encryptPayload()`.
+ * @param {string} data String of data to encrypt.
+ * @param {CryptoKey} payloadKey The AES-GCM key.
+ * @return {Promise} A Promise that will resolve with the Base-64 encoded payload.
+ */
+async function encryptPayloadWithKey(data, payloadKey) {
+    const header = new Uint8Array(payloadHeaderSize);
+    header[0] = 2;
+    header.set(generateEncryptIV(payloadHeaderSize - 1), 1);
+    const cipherData = await globalThis.crypto.subtle.encrypt(
+        {
+            name: "AES-GCM",
+            iv: header.subarray(1),
+            additionalData: header.subarray(0, 1)
+        },
+        payloadKey,
+        stringToByteArray(data)
+    );
+    const payload = new Uint8Array(payloadHeaderSize + cipherData.byteLength);
+    payload.set(header);
+    payload.set(new Uint8Array(cipherData), payloadHeaderSize);
+    return arrayBufferToBase64(payload);
+}
+
+/**
+ * Decrypt a payload made with `encryptPayload()` and the same session id and purpose.
+ * @param {string} encryptedData String of base-64 encoded payload.
+ * @param {string} sessionId The session id the key is derived from.
+ * @param {string} purpose What the payload is for, see `derivePayloadKey()`.
+ * @return {Promise} A Promise that will resolve with the original data, or reject if the payload is not
+ *   a version 2 payload or it was changed.
+ */
+async function decryptPayload(encryptedData, sessionId, purpose) {
+    return decryptPayloadWithKey(encryptedData, await derivePayloadKey(sessionId, purpose));
+}
+
+/**
+ * Decrypt a payload made with `encryptPayloadWithKey()` and the same key.
+ * @param {string} encryptedData String of base-64 encoded payload.
+ * @param {CryptoKey} payloadKey The AES-GCM key.
+ * @return {Promise} A Promise that will resolve with the original data, or reject if the payload is not
+ *   a version 2 payload or it was changed.
+ */
+async function decryptPayloadWithKey(encryptedData, payloadKey) {
+    const payload = base64ToArrayBuffer(encryptedData);
+    if (payload.length < payloadHeaderSize + payloadTagSize || payload[0] != 2) {
+        throw new Error("The payload is not in the version 2 format.");
+    }
+    const clearData = await globalThis.crypto.subtle.decrypt(
+        {
+            name: "AES-GCM",
+            iv: payload.subarray(1, payloadHeaderSize),
+            additionalData: payload.subarray(0, 1)
+        },
+        payloadKey,
+        payload.subarray(payloadHeaderSize)
+    );
+    return new TextDecoder().decode(clearData);
+}
+
+/**
+ * Determine the payload encryption version to use with the server: the newest version both the SDK and the
+ * server agreed to for the session. Version 1 is the legacy AES-CBC format of `encryptString()`.
+ * @returns {integer} The payload encryption version.
+ */
+function payloadCryptoVersion() {
+    return Math.min(enginesis.cryptoVersion, enginesis.sessionCryptoVersion);
+}
+
+/**
+ * Remember the payload encryption version the server offers with a new session. A server that does not
+ * offer one only knows the legacy version 1.
+ * @param {object} sessionInfo Session attributes from the server.
+ */
+function updateSessionCryptoVersion(sessionInfo) {
+    enginesis.sessionCryptoVersion = parseInt(sessionInfo.crypto_version, 10) || 1;
+}
+
 /**
  * Determine if we have a logged in user.
  * @returns {boolean} True if logged in.
@@ -2334,16 +8272,81 @@ export default {
      *  * `languageCode` {string} optional parameter to indicate which language the client requests
      *        Enginesis responses.
      *  * `serverStage` {string} which Enginesis server to contact, one of ["", "-d", "-q", "-l", "-x", "*"]. Default
-     *        is "*" which indicates to match the stage this client is currently running on.
+     *        is "*" which indicates to match the stage this client is currently running on. When not running
+     *        in a browser there is no current stage and "*" is the local development stage.
+     *  * `serverHost` {string} optional parameter, the Enginesis server to contact, with an optional protocol and port
+     *        such as "https://enginesis.com" or "http://localhost:8088". Takes priority over `serverStage`. HTTPS is used
+     *        when no protocol is given.
+     *  * `storage` {object|string} optional parameter, the storage adapter the SDK saves sessions, tokens, and queued
+     *        requests in. One made with `storageAdapters`, or any object with the `getItem`, `setItem`, and `removeItem`
+     *        functions of `localStorage`, or "memory", "localStorage", or "sessionStorage". Default is `localStorage`,
+     *        or memory when it cannot be used such as in Node.js. Items are saved under keys that include the site id.
+     *  * `imageCodec` {object|string} optional parameter, the image codec the avatar functions decode and encode
+     *        images with. One made with `imageCodecs`, or "canvas" or "png". Default is "canvas" in a browser, otherwise "png".
+     *        `init` returns false when it is any other name.
      *  * `authToken` {string} optional parameter to provide a user authentication token. When not provided
      *        Enginesis will attempt to load it from URL query string (?token=) or cookie.
      *  * `callBackFunction` {function} optional parameter function to call upon a completed request.
      *        See documentation for Enginesis response object structure.
+     *  * `rejectOnError` {boolean} optional parameter, true to have service promises reject with an `EnginesisError`
+     *        when the request fails instead of resolving with the error result. Call back functions still get the result.
+     *  * `requestTimeout` {integer} optional parameter, milliseconds a request may take before it fails with TIMEOUT.
+     *        Default is 30000, 0 waits with no limit. Any request can set its own with the `timeout` request option.
+     *  * `retryPolicy` {object} optional parameter to change how failed requests are sent again, any of
+     *        `maxAttempts`, `baseDelay` (milliseconds), and `maxDelay` (milliseconds).
+     *  * `serviceIsIdempotent` {object} optional parameter of service name to boolean to change which services
+     *        are safe to send again after a failure, see `serviceDescriptionGet()`.
+     *  * `serviceQueuePolicy` {object} optional parameter of service name to queue policy to change which services
+     *        are kept while offline, e.g. `{GameFind: {durable: true, ttl: 3600000}}`. A policy has `durable`,
+     *        `ttl` (milliseconds), `dedupe` (array of parameter names), and `dedupeGroup`.
+     *  * `serviceQueueMaxSize` {integer} optional parameter for the most requests kept while offline.
+     *  * `maxConcurrentRequests` {integer} optional parameter for the most requests sent to the server at the same time.
+     *  * `serviceLane` {object} optional parameter of service name to lane to change which requests are sent first.
+     *        Lanes in order are "auth", "score", "default", and "background".
+     *  * `responseCache` {boolean|object} optional parameter, true to answer catalog requests such as `gameGet` from a
+     *        cache. Provide an object of service name to `{ttl, staleTtl}` (milliseconds) to change or add cache policies.
+     *  * `signInProviders` {object} optional parameter of network name to the OAuth settings `signInWith()` uses, e.g.
+     *        `{Google: {clientId: "...", redirectURI: "https://example.com/signin/"}}`. Settings are `clientId`, `redirectURI`,
+     *        `scope`, `authorizationEndpoint`, `tokenEndpoint`, `exchangeEndpoint`, `issuer`, and `userInfoEndpoint`, any not
+     *        given keep their default. `exchangeEndpoint` is a URL of the app's own server that is sent the token request
+     *        instead of `tokenEndpoint`, for a network that only gives tokens to a client with a secret. It adds the
+     *        client secret, sends the request to the network's token endpoint, and replies with the network's reply.
+     *  * `tabSync` {boolean} optional parameter, true to have the tabs of the site share log in, log out, session refresh,
+     *        and favorite games, with one tab at a time refreshing the session. Default is true in a browser.
+     *  * `refreshLockTimeout` {integer} optional parameter, milliseconds other tabs wait for the tab refreshing the session.
+     *  * `leaderboardCacheTime` {integer} optional parameter, milliseconds a leaderboard is shown without asking the server again.
+     *  * `leaderboardPageSize` {integer} optional parameter, number of ranks on a leaderboard page, default is 25.
+     *  * `saveSlotVersion` {integer} optional parameter, the schema version of the data the game saves in save slots, default is 1.
+     *  * `saveSlotMigrations` {object} optional parameter of schema version to a function that is given the data of the
+     *        version before it and returns the data of its version, e.g. `{2: function(data) { return {...data, volume: 1}; }}`.
+     *  * `saveSlotConflict` {function} optional parameter, given the save made on this device and the save made on another
+     *        device since they last synced, returns the save to keep, or `{data}` of the two merged. Default keeps the save made last.
+     *  * `quizOutcome` {function} optional parameter, given the quiz and the player's answers, returns the `outcomeId` of the
+     *        quiz outcome the player got. Default is the outcome most of the chosen answers lead to, or the outcome of the score.
+     *  * `analytics` {object} optional parameter, turns on the analytics pipeline of `analyticsTrack()` and `gameTrackingRecord()`:
+     *        `sinks` the analytics sinks, made with `analyticsSinks` or their names, default is "enginesis" and "dataLayer",
+     *        `flushInterval` milliseconds events wait to be sent in a batch, default 10000, `batchSize` most events sent in
+     *        a batch, default 20, `hitDataLimit` most bytes of hit_data the server takes in one GameTrackingRecord, default
+     *        255, and `sampleRates` of event category to the share of its events kept, e.g. `{stroke: 0.1}`.
      * @returns {boolean} True if the Enginesis object is considered in a valid operational state and server transactions may proceed, otherwise _false_ and further initialization is required.
      */
     init: function(parameters) {
         let authToken = null;
+        let isValidImageCodec = true;
         enginesisContext = this;
+        if (parameters && parameters.storage) {
+            storageSet(parameters.storage);
+        }
+        if (parameters && parameters.imageCodec) {
+            if (typeof parameters.imageCodec !== "string") {
+                enginesis.imageCodec = parameters.imageCodec;
+            } else if (imageCodecs.hasOwnProperty(parameters.imageCodec)) {
+                enginesis.imageCodec = imageCodecs[parameters.imageCodec]();
+            } else {
+                debugLog("Image codec " + parameters.imageCodec + " is not one of " + Object.keys(imageCodecs).join(", ") + ".");
+                isValidImageCodec = false;
+            }
+        }
         initializeLocalSessionInfo();
         if (parameters) {
             enginesis.siteId = parameters.siteId !== undefined ? parameters.siteId : 0;
@@ -2352,23 +8355,100 @@ export default {
             enginesis.gameGroupId = parameters.gameGroupId !== undefined ? parameters.gameGroupId : 0;
             enginesis.languageCode = setLanguageCode(parameters.languageCode);
             enginesis.serverStage = parameters.serverStage !== undefined ? parameters.serverStage : "*";
+            enginesis.requestedServerHost = parameters.serverHost !== undefined ? parameters.serverHost : null;
             enginesis.developerKey = parameters.developerKey !== undefined ? parameters.developerKey : "";
             enginesis.callBackFunction = parameters.callBackFunction !== undefined ? parameters.callBackFunction : null;
             authToken = parameters.authToken !== undefined ? parameters.authToken : null;
+            if (parameters.retryPolicy) {
+                enginesis.retryPolicy = {...enginesis.retryPolicy, ...parameters.retryPolicy};
+            }
+            if (parameters.serviceIsIdempotent) {
+                enginesis.serviceIsIdempotent = {...enginesis.serviceIsIdempotent, ...parameters.serviceIsIdempotent};
+            }
+            if (parameters.serviceQueuePolicy) {
+                enginesis.serviceQueuePolicy = {...enginesis.serviceQueuePolicy, ...parameters.serviceQueuePolicy};
+            }
+            if (parameters.serviceQueueMaxSize > 0) {
+                enginesis.serviceQueueMaxSize = parameters.serviceQueueMaxSize;
+            }
+            if (parameters.maxConcurrentRequests > 0) {
+                enginesis.maxConcurrentRequests = parameters.maxConcurrentRequests;
+            }
+            if (parameters.serviceLane) {
+                enginesis.serviceLane = {...enginesis.serviceLane, ...parameters.serviceLane};
+            }
+            if (typeof parameters.requestTimeout === "number" && parameters.requestTimeout >= 0) {
+                enginesis.requestTimeout = parameters.requestTimeout;
+            }
+            if (parameters.rejectOnError !== undefined) {
+                enginesis.rejectOnError = parameters.rejectOnError === true;
+            }
+            if (parameters.responseCache) {
+                enginesis.responseCacheEnabled = true;
+                if (typeof parameters.responseCache === "object") {
+                    enginesis.responseCachePolicy = {...enginesis.responseCachePolicy, ...parameters.responseCache};
+                }
+            }
+            if (parameters.signInProviders) {
+                Object.keys(parameters.signInProviders).forEach(function(networkName) {
+                    enginesis.signInProviders[networkName] = {...enginesis.signInProviders[networkName], ...parameters.signInProviders[networkName]};
+                });
+            }
+            if (parameters.refreshLockTimeout > 0) {
+                enginesis.refreshLockTimeout = parameters.refreshLockTimeout;
+            }
+            if (parameters.leaderboardCacheTime >= 0) {
+                enginesis.leaderboardCacheTime = parameters.leaderboardCacheTime;
+            }
+            if (parameters.leaderboardPageSize > 0) {
+                enginesis.leaderboardPageSize = parameters.leaderboardPageSize;
+            }
+            if (parameters.saveSlotVersion > 0) {
+                enginesis.saveSlotVersion = Math.floor(parameters.saveSlotVersion);
+            }
+            if (parameters.saveSlotMigrations) {
+                enginesis.saveSlotMigrations = {...parameters.saveSlotMigrations};
+            }
+            if (typeof parameters.saveSlotConflict === "function") {
+                enginesis.saveSlotConflict = parameters.saveSlotConflict;
+            }
+            if (typeof parameters.quizOutcome === "function") {
+                enginesis.quizOutcome = parameters.quizOutcome;
+            }
         }
+        if (enginesis.tabId == "") {
+            enginesis.tabId = byteArrayToHex(generateEncryptIV(8));
+        }
+        tabSyncStart(parameters && parameters.tabSync !== undefined ? parameters.tabSync === true : enginesis.isBrowserBuild);
         setPlatform();
         setProtocolFromCurrentLocation();
         qualifyAndSetServerStage(enginesis.serverStage);
+        storageMigrateLegacyKeys();
+        analyticsStart(parameters ? parameters.analytics : null);
+        enginesis.assetUploadQueue = null; // restored from the storage of this site when next needed
+        enginesis.responseCache = {};
+        enginesis.responseCacheIndex = null;
+        leaderboardCacheClear();
+        enginesis.scoreVault = null;
+        enginesis.scoreVaultCryptoKey = null;
+        clearTimeout(enginesis.scoreVaultRetryTimer);
+        enginesis.scoreVaultRetryTimer = null;
+        enginesis.scoreVaultRetryAttempt = 0;
         restoreUserSession(authToken);
-        if (restoreServiceQueue()) {
-            // defer the queue processing
-            if (enginesis.isBrowserBuild) {
-                window.setTimeout(restoreOnline, 500);
-            } else {
-                setTimeout(restoreOnline, 500);
+        enginesis.serviceQueueRestored = restoreServiceQueue();
+        Promise.all([enginesis.serviceQueueRestored, scoreVaultLoad()])
+        .then(function(restored) {
+            const haveQueuedRequests = restored[0] || scoreVaultUserScores(restored[1]).length > 0;
+            if (haveQueuedRequests && enginesis.isOnline) {
+                // defer the queue processing
+                if (enginesis.isBrowserBuild) {
+                    window.setTimeout(restoreOnline, 500);
+                } else {
+                    setTimeout(restoreOnline, 500);
+                }
             }
-        }
-        return isValidOperationalState();
+        });
+        return isValidImageCodec && isValidOperationalState();
     },
 
     /**
@@ -2394,14 +8474,21 @@ export default {
      * Call any service endpoint.
      * @param {string|object} serviceName If string, the Enginesis service name. If object, expects service name to be in the "fn" property of the object.
      * @param {object|null} parameters Key/value parameters to send with request.
+     * @param {object} requestOptions Optional options of the request. Every service function takes these as its last parameter.
+     *   * `timeout` {integer} milliseconds to wait for the request before it fails with TIMEOUT, 0 to wait with no limit.
+     *      The default is the `requestTimeout` option of `init`.
+     *   * `signal` {AbortSignal} abort this signal to cancel the request, it then fails with ABORTED.
+     *   * `essential` {boolean} true to send the request while paused. See `pause`.
+     *   * `keepalive` {boolean} true for a request that must complete when the page is closed, such as on `pagehide`.
      * @returns {Promise} Promise that will resolve when the server replies.
      */
-    request: function(serviceName, parameters) {
+    request: function(serviceName, parameters, requestOptions) {
         if (typeof serviceName === "object" && typeof serviceName.fn === "string") {
+            requestOptions = parameters;
             parameters = serviceName;
             serviceName = parameters.fn;
         }
-        return sendRequest(serviceName, parameters, null);
+        return sendRequest(serviceName, parameters, null, requestOptions);
     },
 
     /**
@@ -2489,32 +8576,10 @@ export default {
     /**
      * Return the error code of a response as a JavaScript error.
      * @param {object} enginesisResult
-     * @returns {Error} an error object with code set.
+     * @returns {EnginesisError} an error object with code set, of the `EnginesisError` subclass matching the code.
      */
     toError: function(enginesisResult) {
-        let enginesisStatus = null;
-        let errorMessage = "";
-        if (enginesisResult) {
-            if (enginesisResult.status) {
-                enginesisStatus = enginesisResult.status;
-            } else if (enginesisResult.results && enginesisResult.results.status) {
-                enginesisStatus = enginesisResult.results.status;
-            }
-        }
-        if (enginesisStatus == null) {
-            enginesisStatus = {
-                message: "INVALID_PARAMETER",
-                extended_info: "Result was not a valid result object."
-            };
-        }
-        if (enginesisStatus.extended_info) {
-            errorMessage = enginesisStatus.extended_info;
-        } else {
-            errorMessage = enginesisStatus.message;
-        }
-        const error = new Error(errorMessage);
-        error.code = enginesisStatus.message;
-        return error;
+        return makeEnginesisError(enginesisResult);
     },
 
     /**
@@ -2576,9 +8641,19 @@ export default {
     /**
      * A game must call `pause` when going to background or pausing the game. This allows Enginesis to
      * update its internal state and pause any timers or network requests and wait for the `resume` call.
+     * Requests in the auth and score lanes, and requests made with the `essential` option, are always sent.
+     * @param {object} pauseOptions Optional:
+     *   * `requests` {string} what to do with requests that are not essential. "hold" sends them on `resume`,
+     *     including requests in flight that are safe to send again. "cancel" fails every request that has not
+     *     completed with ABORTED. When not provided requests are sent as usual.
      */
-    pause: function() {
+    pause: function(pauseOptions) {
+        const pauseRequests = pauseOptions ? pauseOptions.requests : "";
         enginesis.isPaused = true;
+        enginesis.pauseRequests = pauseRequests == "hold" || pauseRequests == "cancel" ? pauseRequests : "";
+        if (enginesis.pauseRequests != "") {
+            pauseServiceQueue();
+        }
     },
 
     /**
@@ -2588,6 +8663,8 @@ export default {
      */
     resume: function() {
         enginesis.isPaused = false;
+        enginesis.pauseRequests = "";
+        processServiceQueue();
         enginesisContext.sessionRefreshIfExpired()
         .then(function(isRefreshed) {
             debugLog("Session was " + (isRefreshed ? "refreshed" : "OK"));
@@ -2597,6 +8674,56 @@ export default {
         });
     },
 
+    /**
+     * Add a function to be called when an Enginesis lifecycle event occurs. The listener is called
+     * with an event object where `type` is the event name. Supported events are:
+     *  * `online` Enginesis is back online after being offline. `queueLength` is the number of queued requests.
+     *  * `offline` Enginesis went offline, requests are queued until it is online. `queueLength` is the number of queued requests.
+     *  * `loggedIn` A user logged in. Provides `userId`, `userName`, and `networkId`.
+     *  * `loggedOut` The user logged out or their session could not be refreshed. `errorCode` is set when not a user logout.
+     *  * `sessionRefreshed` The authentication token was refreshed. Provides `sessionId` and `sessionExpires`.
+     *  * `sessionRefreshFailed` The authentication token could not be refreshed, such as when the server did not answer.
+     *  * `sessionExpired` The session could not be refreshed and the user must log in again. Provides `errorCode`.
+     *  * `queueFlushed` All requests queued while offline have been processed. Provides `messagesProcessed`.
+     *  * `requestFailed` A service request completed with an error. Provides `serviceName`, `errorCode`, and `enginesisResult`.
+     *  * `uploadProgress` The server received a chunk of an `uploadAsset()` file. Provides `target`, `fileName`, `uploadId`,
+     *    `bytesSent`, `totalBytes`, and `progress` from 0 to 1.
+     *  * `scoresPending` The scores waiting in the score vault changed. `count` is the number of scores of the logged in user.
+     *  * `accountMerged` What the player did as an anonymous user was added to the account they logged in to. Provides
+     *    `userId`, and the number of `favoriteGames` and `scores` added.
+     *  * `favoriteGamesChanged` The player's favorite games changed, including a change shown before the server confirmed it.
+     *    Provides the `gameIds` in order, and `errorCode` when a change the server did not accept was undone.
+     *  * `quizChanged` The quiz being played went to the next question, was finished, or got what other players got.
+     *    Provides the `quiz`, see `quizStateGet()`.
+     * A `loggedIn`, `loggedOut`, `sessionRefreshed`, or `sessionRefreshFailed` of another tab of the site has `otherTab` set to true.
+     * @param {string} eventName The event to listen for.
+     * @param {function} listener Function to call when the event occurs.
+     * @returns {boolean} True if the listener was added, false if the event is not supported.
+     */
+    on: function(eventName, listener) {
+        return enginesisEventAdd(eventName, listener, false);
+    },
+
+    /**
+     * Add a function to be called only the next time an Enginesis event occurs. See `on` for the supported events.
+     * @param {string} eventName The event to listen for.
+     * @param {function} listener Function to call when the event occurs.
+     * @returns {boolean} True if the listener was added, false if the event is not supported.
+     */
+    once: function(eventName, listener) {
+        return enginesisEventAdd(eventName, listener, true);
+    },
+
+    /**
+     * Remove a listener previously added with `on` or `once`.
+     * @param {string} eventName The event the listener was added to.
+     * @param {function} listener The function to remove. If not provided all listeners of the event are removed.
+     * @returns {integer} The number of listeners removed.
+     */
+    off: function(eventName, listener) {
+        return enginesisEventRemove(eventName, listener);
+    },
+
     /**
      * Return an object of user information. If no user is logged in a valid object is still returned
      * but with invalid user info. Note we do not hand out `loggedInUserInfo` because there are
@@ -2982,6 +9109,123 @@ export default {
         return restoreOnline();
     },
 
+    /**
+     * Return the requests waiting on the queue to be sent, such as those queued while offline.
+     * @returns {Array} A list of objects with `serviceName`, `queueId`, `queuedAt`, `expires`, and `isRestored`,
+     *   where `isRestored` is true if the request was queued before the app reloaded.
+     */
+    queuedRequestsGet: function() {
+        return enginesis.serviceQueue.filter(function(item) {
+            return item.state_status == 0;
+        }).map(function(item) {
+            return {
+                serviceName: item.fn,
+                queueId: item.queueId || null,
+                queuedAt: item.queuedAt || 0,
+                expires: item.expires || 0,
+                isRestored: item.isRestored === true
+            };
+        });
+    },
+
+    /**
+     * Requests queued while offline are saved and sent after the app reloads, but the callback or promise of
+     * the original request is gone. Set a function to handle the results of these restored requests.
+     * @param {string} serviceName The service to handle, or "*" to handle any service without its own handler.
+     * @param {function|null} handler Function called with the EnginesisResult of a restored request. Provide
+     *   null to remove the handler. Restored requests without a handler call the global callback function.
+     * @returns {boolean} True if the handler was set or removed.
+     */
+    queuedRequestHandlerSet: function(serviceName, handler) {
+        if (isEmpty(serviceName)) {
+            return false;
+        }
+        if (typeof handler === "function") {
+            enginesis.queuedRequestHandlers[serviceName] = handler;
+        } else {
+            delete enginesis.queuedRequestHandlers[serviceName];
+        }
+        return true;
+    },
+
+    /**
+     * Remove cached service responses. The cache is also cleared when a user logs in or out.
+     * @param {string} serviceName Optional, remove only the cached responses of this service, e.g. "GameGet".
+     *   When not provided all cached responses are removed.
+     * @returns {integer} The number of cached responses removed.
+     */
+    responseCacheClear: function(serviceName) {
+        return responseCacheClear(serviceName);
+    },
+
+    /**
+     * Upload a file to the Enginesis server. The file is checked against the size and type limits of `target`
+     * before an upload token is requested, then it is sent in one request, or in chunks when the server grants
+     * a chunk size with the token. When a chunked upload fails, or the app reloads before it completes, uploading
+     * the same file to the same target again resumes from the last chunk the server acknowledged. While the file
+     * is sent `uploadProgress` events report `bytesSent`, `totalBytes`, and `progress` from 0 to 1.
+     * @param {string} target The type of asset, such as "gameshare". See the Enginesis documentation regarding the upload targets.
+     * @param {Blob|File|ArrayBuffer|ArrayBufferView|string} file The file to upload. A string may be a data URL.
+     * @param {object} uploadOptions Optional:
+     *   * `fileName` {string} name of the file, required when `file` is not a File.
+     *   * `mimeType` {string} type of the file, when not given it is the type of the Blob or a guess from the file name.
+     *   * `maxSize` {integer} largest file size allowed in bytes, overrides the target limit.
+     *   * `mimeTypes` {Array} the MIME types allowed, overrides the target limit.
+     *   * `chunkSize` {integer} bytes to ask the server to take with each request, default `assetUploadChunkSize`.
+     *   * `onProgress` {function} called with each `uploadProgress` event of this upload.
+     *   * `timeout` {integer} milliseconds each request may take before the upload fails with TIMEOUT.
+     *   * `signal` {AbortSignal} abort the upload, it fails with ABORTED and can be resumed later.
+     * @param {function} overRideCallBackFunction
+     * @returns {Promise} Resolves with an EnginesisResult of `AssetUpload` once the upload is complete or has failed.
+     *   The result has the `id`, `file`, `path`, and `url` of the uploaded asset.
+     */
+    uploadAsset: function(target, file, uploadOptions, overRideCallBackFunction) {
+        return assetUpload(target, file, uploadOptions || {})
+        .then(function(enginesisResult) {
+            return answerCaller(enginesisResult, overRideCallBackFunction);
+        });
+    },
+
+    /**
+     * Return the chunked uploads that started but did not complete, including those from before the app reloaded.
+     * Upload the same file to the same target again to resume one.
+     * @returns {Array} A list of objects with `target`, `fileName`, `fileSize`, `mimeType`, `bytesSent`, and `uploadTime`.
+     */
+    pendingUploadsGet: function() {
+        return assetUploadQueueGet().map(function(uploadAttributes) {
+            return {
+                target: uploadAttributes.target,
+                fileName: uploadAttributes.fileName,
+                fileSize: uploadAttributes.fileSize,
+                mimeType: uploadAttributes.mimeType,
+                bytesSent: uploadAttributes.bytesAcknowledged,
+                uploadTime: uploadAttributes.uploadTime
+            };
+        });
+    },
+
+    /**
+     * Return the scores of the logged in user waiting in the score vault, such as scores submitted while offline,
+     * including those from before the app reloaded. A score only leaves the vault once the server accepted or
+     * refused it, so the number of scores is what can be shown as waiting to upload. The `scoresPending` event
+     * reports when the number changes.
+     * @returns {Promise} Resolves with a list of objects with `gameId`, `level`, `score`, `timePlayed`, and `queuedAt`.
+     */
+    pendingScoresGet: function() {
+        return scoreVaultLoad()
+        .then(function(vaultEntries) {
+            return scoreVaultUserScores(vaultEntries).map(function(vaultEntry) {
+                return {
+                    gameId: vaultEntry.gameId,
+                    level: vaultEntry.level,
+                    score: vaultEntry.score,
+                    timePlayed: vaultEntry.timePlayed,
+                    queuedAt: vaultEntry.queuedAt
+                };
+            });
+        });
+    },
+
     /**
      * Call a non-standard API on the server. This function will correctly format the request with
      * respect to server stage, authentication, and session. It is designed only for special game-specific
@@ -2993,25 +9237,20 @@ export default {
     requestServiceAPI: function(serviceURL, parameters) {
         return new Promise(function(resolve) {
             if (enginesis.isNodeBuild) {
-                sendNodeRequest(serviceName, parameters, function (enginesisResult) {
-                    callbackPriority(enginesisResult, resolve, overRideCallBackFunction, enginesis.callBackFunction);
-                });
-                if (enginesis.nodeRequest == null) {
-                    if (typeof window !== "undefined" && typeof window.fetch !== "undefined") {
-                        enginesis.nodeRequest = window.fetch;
-                    } else {
-                        throw new Error("enginesis.nodeRequest is not set in the node.js environment");
-                    }
-                }
-                enginesis.nodeRequest(serviceURL, {
-                    method: "POST",
-                    headers: formatHTTPHeader(),
-                    body: new URLSearchParams(parameters)
+                // there is no page to resolve a relative URL against, it is relative to the Enginesis server
+                const requestURL = new URL(serviceURL, getProtocol() + enginesis.serverHost + "/").href;
+                Promise.resolve()
+                .then(function() {
+                    return nodeRequestFunction()(requestURL, {
+                        method: "POST",
+                        headers: formatHTTPHeader(),
+                        body: new URLSearchParams(parameters)
+                    });
                 })
                 .then(async function(response) {
                     if (response.status != 200) {
-                        const errorMessage = "Service error " + response.status + " from " + enginesis.siteResources.serviceURL;
-                        resolve(forceErrorResponseString(serviceName, parameters.state_seq, "OFFLINE", errorMessage, parameters));
+                        const errorMessage = "Service error " + response.status + " from " + requestURL;
+                        resolve(forceErrorResponseObject(serviceURL, parameters.state_seq, "SERVICE_ERROR", errorMessage, parameters));
                     } else {
                         response.json()
                         .then(function (enginesisResult) {
@@ -3026,9 +9265,9 @@ export default {
                     }
                 })
                 .catch(function(requestError) {
-                    const errorMessage = "Internal error posting to " + enginesis.siteResources.serviceURL + ": " + requestError.toString();
+                    const errorMessage = "Internal error posting to " + requestURL + ": " + requestError.toString();
                     debugLog(errorMessage);
-                    resolve(forceErrorResponseString(serviceName, parameters.state_seq, "OFFLINE", errorMessage, parameters));
+                    resolve(forceErrorResponseObject(serviceURL, parameters.state_seq, "OFFLINE", errorMessage, parameters));
                 });
             } else {
                 fetch(serviceURL, {
@@ -3087,9 +9326,10 @@ export default {
      * @param {string} gameKey service provided game key matching gameId
      * @param {integer|null} gameId The game id. If null/0 then assumes the gameId was set in the constructor or with gameIdSet()
      * @param {function} overRideCallBackFunction Function called when server replies.
+     * @param {object} requestOptions Optional `timeout` and `signal` of the request, see `request()`.
      * @returns {Promise} Resolved with enginesisResult when the server replies.
      */
-    sessionBegin: function (gameKey, gameId, overRideCallBackFunction) {
+    sessionBegin: function (gameKey, gameId, overRideCallBackFunction, requestOptions) {
         const serviceName = "SessionBegin";
         if ( ! isValidOperationalState()) {
             return immediateErrorResponse(serviceName, {}, "VALIDATION_FAILED", "The internal system is not in the proper operational state.", overRideCallBackFunction);
@@ -3106,7 +9346,7 @@ export default {
             gamekey: enginesis.gameKey,
             site_mark: siteMark
         };
-        return sendRequest(serviceName, parameters, overRideCallBackFunction);
+        return sendRequest(serviceName, parameters, overRideCallBackFunction, requestOptions);
     },
 
     /**
@@ -3114,9 +9354,10 @@ export default {
      * call this when you attempt to call a service and it replied with TOKEN_EXPIRED.
      * @param {string} refreshToken optional, if not provided (empty/null) then we try to pull the one we have in the local store.
      * @param {function} overRideCallBackFunction
+     * @param {object} requestOptions Optional request options, see `request()`.
      * @returns {Promise} Resolves if successful but if fails then call `getLastResponse` to get an error code as to what went wrong.
      */
-    sessionRefresh: function (refreshToken, overRideCallBackFunction) {
+    sessionRefresh: function (refreshToken, overRideCallBackFunction, requestOptions) {
         const serviceName = "SessionRefresh";
         if (isEmpty(refreshToken)) {
             refreshToken = _getRefreshToken();
@@ -3124,60 +9365,142 @@ export default {
                 return immediateErrorResponse(serviceName, {}, "NOT_LOGGED_IN", "The requested service requires a logged in user.", overRideCallBackFunction);
             }
         }
-        let siteMark = 0;
-        if ( ! enginesis.isUserLoggedIn) {
-            siteMark = enginesis.anonymousUser.userId;
+        let siteMark = 0;
+        if ( ! enginesis.isUserLoggedIn) {
+            siteMark = enginesis.anonymousUser.userId;
+        }
+        const parameters = {
+            refresh_token: refreshToken,
+            game_id: enginesis.gameId,
+            gamekey: enginesis.gameKey,
+            site_mark: siteMark
+        };
+        return sendRequest(serviceName, parameters, overRideCallBackFunction, requestOptions);
+    },
+
+    /**
+     * Proactive check to see if the user's session has expired, and if so, refresh it.
+     * @returns {Promise} A Promise that will resolve if the session is OK or if the session has been refreshed.
+     *   If this rejects, it usually means a session doesn't exist, the user is not truly logged in, or the
+     *   session information we have in the cache has been compromised.
+     */
+    sessionRefreshIfExpired: function () {
+        return verifyUserSessionInfo();
+    },
+
+    /**
+     * Add a service to the service registry, or change the description of a service, so it can be called
+     * with `serviceCall()` and a `services` function. Use it for a service the SDK does not have a function for.
+     * @param {string} serviceName The Enginesis service, e.g. "GameRatingUpdate".
+     * @param {object} serviceDescription `parameters`, `authenticated`, and `idempotent` of the service, see `serviceDescriptionGet()`.
+     * @returns {boolean} True if the service was registered, false if the description is not valid.
+     */
+    serviceRegister: function(serviceName, serviceDescription) {
+        const parameterTypes = ["string", "integer", "number", "boolean", "date", "list", "data", "any"];
+        if (isEmpty(serviceName) || serviceDescription == null || ! Array.isArray(serviceDescription.parameters)) {
+            return false;
+        }
+        if (serviceRegistry[serviceName] !== undefined && serviceRegistry[serviceName].prepared) {
+            return false;
+        }
+        const isValid = serviceDescription.parameters.every(function(parameter) {
+            return parameter != null && ! isEmpty(parameter.name) && parameterTypes.includes(parameter.type);
+        });
+        if ( ! isValid) {
+            return false;
+        }
+        serviceRegistry[serviceName] = {
+            parameters: serviceDescription.parameters.map(function(parameter) {
+                return {...parameter};
+            }),
+            authenticated: serviceDescription.authenticated === true,
+            idempotent: serviceDescription.idempotent !== false
+        };
+        serviceFunctionMake(serviceName);
+        return true;
+    },
+
+    /**
+     * Describe a service of the service registry.
+     * @param {string} serviceName The Enginesis service, e.g. "GameRatingUpdate".
+     * @returns {object|null} A copy of the service description, null if the service is not registered. It has
+     *   * `parameters` {Array} each parameter, in the order of the SDK function, with `name`, `param` the name sent
+     *     to the server when not the same, `type`, `required`, and `default`.
+     *   * `authenticated` {boolean} true when a user must be logged in.
+     *   * `idempotent` {boolean} true when it is safe to send again after a failure.
+     *   * `prepared` {boolean} true when only the SDK function of the service can send it.
+     */
+    serviceDescriptionGet: function(serviceName) {
+        const service = serviceRegistry[serviceName];
+        if (service === undefined) {
+            return null;
         }
-        const parameters = {
-            refresh_token: refreshToken,
-            game_id: enginesis.gameId,
-            gamekey: enginesis.gameKey,
-            site_mark: siteMark
+        return {
+            parameters: (service.parameters || []).map(function(parameter) {
+                return {...parameter};
+            }),
+            authenticated: service.authenticated === true,
+            idempotent: isIdempotentService(serviceName),
+            prepared: service.prepared === true
         };
-        return sendRequest(serviceName, parameters, overRideCallBackFunction);
     },
 
     /**
-     * Proactive check to see if the user's session has expired, and if so, refresh it.
-     * @returns {Promise} A Promise that will resolve if the session is OK or if the session has been refreshed.
-     *   If this rejects, it usually means a session doesn't exist, the user is not truly logged in, or the
-     *   session information we have in the cache has been compromised.
+     * Send a request to a service with named parameters, e.g.
+     * `serviceCall("GameRatingUpdate", {gameId: 1083, rating: 5})`. The parameters are checked with the service
+     * registry first. Each service also has a function in `services`, e.g. `services.gameRatingUpdate({gameId: 1083, rating: 5})`.
+     * The positional functions, such as `gameRatingUpdate(gameId, rating)`, are not checked and leave it to the server.
+     * @param {string} serviceName The Enginesis service.
+     * @param {object} namedParameters The parameters of the service, see `serviceDescriptionGet()`.
+     * @param {function} overRideCallBackFunction Function to call with the server response when complete.
+     * @param {object} requestOptions Optional `timeout` and `signal` of the request, see `request()`.
+     * @returns {Promise} Resolves with the EnginesisResult. A MISSING_PARAM, INVALID_PARAMETER, or NOT_LOGGED_IN
+     *   error is resolved without sending the request.
      */
-    sessionRefreshIfExpired: function () {
-        return verifyUserSessionInfo();
+    serviceCall: function(serviceName, namedParameters, overRideCallBackFunction, requestOptions) {
+        return serviceCall(serviceName, namedParameters, overRideCallBackFunction, requestOptions);
     },
 
+    /**
+     * A function for each service that takes an object of named parameters, a callback function, and request
+     * options, e.g. `services.userLogin({userName: "gailgolfer", password: "..."})`. See `serviceCall()`.
+     */
+    services: services,
+
     /**
      * Submit a vote for a URI key.
      * @param {string} voteURI The URI key of the item we are voting on.
      * @param {string} voteGroupURI The URI group used to sub-group keys, for example you are voting on the best of 5 images.
      * @param {integer} voteValue The value of the vote. This depends on the voting system set by the URI key/group (for example a rating vote may range from 1 to 5.)
      * @param {function} overRideCallBackFunction
+     * @param {object} requestOptions Optional request options, see `request()`.
      * @returns {Promise}
      */
-    voteForURIUnauth: function (voteURI, voteGroupURI, voteValue, securityKey, overRideCallBackFunction) {
-        return sendRequest("VoteForURIUnauth", {uri: voteURI, vote_group_uri: voteGroupURI, vote_value: voteValue, security_key: securityKey}, overRideCallBackFunction);
+    voteForURIUnauth: function (voteURI, voteGroupURI, voteValue, securityKey, overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("VoteForURIUnauth", {voteURI: voteURI, voteGroupURI: voteGroupURI, voteValue: voteValue, securityKey: securityKey}, overRideCallBackFunction, requestOptions);
     },
 
     /**
      * Return voting results by voting group key.
      * @param {string} voteGroupURI voting group that collects all the items to be voted on
      * @param {function} overRideCallBackFunction
+     * @param {object} requestOptions Optional request options, see `request()`.
      * @returns {Promise}
      * @see: addOrUpdateVoteByURI
      */
-    voteCountPerURIGroup: function (voteGroupURI, overRideCallBackFunction) {
-        return sendRequest("VoteCountPerURIGroup", {vote_group_uri: voteGroupURI}, overRideCallBackFunction);
+    voteCountPerURIGroup: function (voteGroupURI, overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("VoteCountPerURIGroup", {voteGroupURI: voteGroupURI}, overRideCallBackFunction, requestOptions);
     },
 
     /**
      * Return information about a specific Enginesis Developer.
      * @param {integer} developerId Developer id.
      * @param {function} overRideCallBackFunction
+     * @param {object} requestOptions Optional request options, see `request()`.
      * @returns {Promise}
      */
-    developerGet: function (developerId, overRideCallBackFunction) {
-        return sendRequest("DeveloperGet", {developer_id: developerId}, overRideCallBackFunction);
+    developerGet: function (developerId, overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("DeveloperGet", {developerId: developerId}, overRideCallBackFunction, requestOptions);
     },
 
     /**
@@ -3185,8 +9508,8 @@ export default {
      * @param {integer} gameDataId The specific id assigned to the game data to get. Was generated by gameDataCreate.
      * @returns {Promise}
      */
-    gameDataGet: function (gameDataId, overRideCallBackFunction) {
-        return sendRequest("GameDataGet", {game_data_id: gameDataId}, overRideCallBackFunction);
+    gameDataGet: function (gameDataId, overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("GameDataGet", {gameDataId: gameDataId}, overRideCallBackFunction, requestOptions);
     },
 
     /**
@@ -3202,21 +9525,22 @@ export default {
      * @param addToGallery
      * @param lastScore
      * @param {function} overRideCallBackFunction
+     * @param {object} requestOptions Optional request options, see `request()`.
      * @returns {Promise}
      */
-    gameDataCreate: function (fromAddress, fromName, toAddress, toName, userMessage, userFiles, gameData, nameTag, addToGallery, lastScore, overRideCallBackFunction) {
-        return sendRequest("GameDataCreate", {
-            from_address: fromAddress,
-            from_name: fromName,
-            to_address: toAddress,
-            to_name: toName,
-            user_msg: userMessage,
-            user_files: userFiles,
-            game_data: safeData(gameData),
-            name_tag: nameTag,
-            add_to_gallery: addToGallery ? 1 : 0,
-            last_score: lastScore
-        }, overRideCallBackFunction);
+    gameDataCreate: function (fromAddress, fromName, toAddress, toName, userMessage, userFiles, gameData, nameTag, addToGallery, lastScore, overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("GameDataCreate", {
+            fromAddress: fromAddress,
+            fromName: fromName,
+            toAddress: toAddress,
+            toName: toName,
+            userMessage: userMessage,
+            userFiles: userFiles,
+            gameData: gameData,
+            nameTag: nameTag,
+            addToGallery: !! addToGallery,
+            lastScore: lastScore
+        }, overRideCallBackFunction, requestOptions);
     },
 
     /**
@@ -3232,11 +9556,13 @@ export default {
      *   * `name_tag`: Optional, string, additional search tags to assign to the game data.
      *   * `add_to_gallery`: Optional, boolean, 1 to include this in a gallery, 0 to not include in the game gallery.
      *   * `last_score`: Optional, a game score to provide with the game data and report in the user email.
-     *   * `game_image`: Optional, blob, an image to include in the email message.
+     *   * `game_image`: Optional, blob, an image to include in the email message. When the image cannot be uploaded
+     *     the message is not sent and the result is the error of the upload.
      * @param {function} overRideCallBackFunction
+     * @param {object} requestOptions Optional request options, see `request()`.
      * @returns {Promise} Resolves with the EnginesisResponse when the server request completes.
      */
-    sendToFriend: function(sendAttributes, overRideCallBackFunction) {
+    sendToFriend: function(sendAttributes, overRideCallBackFunction, requestOptions) {
         const service = "GameDataCreate";
         let errorCode = "";
         if (( ! enginesis.authTokenWasValidated || Math.floor(enginesis.loggedInUserInfo.user_id) == 0) && (isEmpty(sendAttributes.from_address) || isEmpty(sendAttributes.from_name))) {
@@ -3260,36 +9586,19 @@ export default {
             };
             // If a game image is present, get it on the server first and get it's file ref before sending the complete request.
             if (sendAttributes.game_image) {
-                return new Promise(function(resolve) {
-                    _requestFileUpload("gameshare", "game_image.png", sendAttributes.game_image)
-                    .then(function(enginesisResponse) {
-                        if (enginesisResponse.status && enginesisResponse.status.success == "1") {
-                            requestParameters.user_files = enginesisResponse.results.path + enginesisResponse.results.file;
-                        }
-                        sendRequest(service, requestParameters, overRideCallBackFunction)
-                        .then(function(enginesisResponse) {
-                            resolve(enginesisResponse);
-                        });
-                    }, function(enginesisResponse) {
-                        // there was an error uploading the file, should deal with it, but OK to continue
-                        debugLog("SendToFriend error " + enginesisResponse.toString() + " while uploading image, continuing anyway.");
-                        sendRequest(service, requestParameters, overRideCallBackFunction)
-                        .then(function(enginesisResponse) {
-                            resolve(enginesisResponse);
-                        });
-                    })
-                    .catch(function(exception) {
-                        // there was an error uploading the file, should deal with it, but OK to continue
-                        debugLog("SendToFriend exception " + exception.toString() + " while uploading image, continuing anyway.");
-                        sendRequest(service, requestParameters, overRideCallBackFunction)
-                            .then(function(enginesisResponse) {
-                                resolve(enginesisResponse);
-                            });
-                    });
-                    // callbackPriority(enginesisResult, resolve, overRideCallBackFunction, enginesis.callBackFunction);
+                return assetUpload("gameshare", sendAttributes.game_image, {fileName: "game_image.png", signal: requestOptions && requestOptions.signal})
+                .then(function(enginesisResult) {
+                    if ( ! resultIsSuccess(enginesisResult)) {
+                        // the sender expects the image in the message, let the game decide to send it without the image
+                        debugLog("SendToFriend error " + resultErrorCode(enginesisResult) + " while uploading image, message not sent.");
+                        return answerCaller(enginesisResult, overRideCallBackFunction);
+                    }
+                    const uploadedAsset = enginesisResult.results.result[0];
+                    requestParameters.user_files = uploadedAsset.path + uploadedAsset.file;
+                    return sendRequest(service, requestParameters, overRideCallBackFunction, requestOptions);
                 });
             } else {
-                return sendRequest(service, requestParameters, overRideCallBackFunction);
+                return sendRequest(service, requestParameters, overRideCallBackFunction, requestOptions);
             }
         } else {
             return immediateErrorResponse(service, {game_id: enginesis.gameId, from_address: sendAttributes.from_address, from_name: sendAttributes.from_name}, errorCode, "Error " + errorCode + " encountered while processing send to friend.", overRideCallBackFunction);
@@ -3304,7 +9613,7 @@ export default {
      * @param {date} airDate A specific date to return game configuration data. Use "" to let the server decide (usually means "today" or most recent.)
      * @returns {Promise} Resolves with the EnginesisResponse when the server request completes.
      */
-    gameConfigGet: function (gameConfigId, gameId, categoryId, airDate, overRideCallBackFunction) {
+    gameConfigGet: function (gameConfigId, gameId, categoryId, airDate, overRideCallBackFunction, requestOptions) {
         if (typeof gameConfigId === "undefined") {
             gameConfigId = 0;
         }
@@ -3317,19 +9626,38 @@ export default {
         if (typeof categoryId === "undefined") {
             categoryId = 1;
         }
-        return sendRequest("GameConfigGet", {game_config_id: gameConfigId, game_id: gameId, category: categoryId, air_date: airDate}, overRideCallBackFunction);
+        return serviceCallPositional("GameConfigGet", {gameConfigId: gameConfigId, gameId: gameId, categoryId: categoryId, airDate: airDate}, overRideCallBackFunction, requestOptions);
     },
 
     /**
-     * Track a game event for game-play metrics.
+     * Track a game event for game-play metrics. With the `analytics` option of `init` the event is a `game_event`
+     * of the analytics pipeline, see `analyticsTrack()`, otherwise it is sent right away. Nothing is sent once the player
+     * refused analytics, see `analyticsConsentSet()`. Either way `hitData` is cut to `analyticsHitDataLimit` characters.
      * @param {string} category what event generated the request (load, start, showAd, etc.)
      * @param {string} action further qualifying data about the event (depends on the event.)
      * @param {string} label path in game where event occurred
      * @param {string} hitData a value related to the action, quantifying the action, if any
      * @param {function} overRideCallBackFunction
-     * @returns {Promise} Resolves with the EnginesisResponse when the server request completes.
+     * @param {object} requestOptions Optional request options, see `request()`.
+     * @returns {Promise} Resolves with the EnginesisResponse when the server request completes, or when the
+     *   event was added to the analytics pipeline or not sent without consent.
      */
-    gameTrackingRecord: function (category, action, label, hitData, overRideCallBackFunction) {
+    gameTrackingRecord: function (category, action, label, hitData, overRideCallBackFunction, requestOptions) {
+        if (enginesis.analytics != null) {
+            return enginesisContext.analyticsTrack("game_event", {
+                category: category,
+                action: isNull(action) ? enginesisContext.gameIdGet().toString() : action,
+                label: label,
+                hitData: isNull(hitData) ? hitData : String(hitData).substring(0, enginesis.analyticsHitDataLimit)
+            }, overRideCallBackFunction);
+        }
+        if (enginesisContext.analyticsConsentGet() === false) {
+            // without the analytics pipeline the event is sent right away, unless the player refused analytics
+            return Promise.resolve(makeErrorResponse("", "", {fn: "GameTrackingRecord"}))
+            .then(function(enginesisResult) {
+                return answerCaller(enginesisResult, overRideCallBackFunction);
+            });
+        }
         if (enginesis.isBrowserBuild) {
             const gameIdString = enginesisContext.gameIdGet().toString();
             try {
@@ -3342,7 +9670,7 @@ export default {
                 if (isNull(hitData)) {
                     hitData = "";
                 } else {
-                    hitData = hitData.substring(0, 255);
+                    hitData = hitData.substring(0, enginesis.analyticsHitDataLimit);
                 }
                 if (enginesis.isBrowserBuild) {
                     // use Google Analytics or Tag Manager if it is there (send event, category, action, label, value)
@@ -3356,47 +9684,166 @@ export default {
                 debugLog("Analytics exception " + exception.toString());
             }
         }
-        return sendRequest("GameTrackingRecord", {hit_type: "game_event", hit_category: category, hit_action: action, hit_label: label, hit_data: hitData}, overRideCallBackFunction);
+        return serviceCallPositional("GameTrackingRecord", {category: category, action: action, label: label, hitData: hitData}, overRideCallBackFunction, requestOptions);
+    },
+
+    /**
+     * Track an analytics event of the event catalog, such as `round_start`, `stroke`, `hole_complete`, or `round_complete`.
+     * The event is checked with its description, see `analyticsEventDescriptionGet()`, and added to the analytics pipeline
+     * of the `analytics` option of `init`. It is sent with the next batch once the player gave consent, see `analyticsConsentSet()`.
+     * @param {string} eventName The event, e.g. "hole_complete".
+     * @param {object} properties The event's properties, e.g. `{courseId: 3, hole: 7, strokes: 2, par: 3}`.
+     * @param {function} overRideCallBackFunction
+     * @returns {Promise} Resolves with an EnginesisResult when the event was added, also when it was not kept by
+     *   sampling. It is INVALID_PARAMETER or MISSING_PARAM when the event does not match its description, and
+     *   SERVICE_ERROR when there is no analytics pipeline.
+     */
+    analyticsTrack: function(eventName, properties, overRideCallBackFunction) {
+        const analyticsEvent = analyticsEventMake(eventName, properties);
+        let enginesisResult;
+        if (enginesis.analytics == null) {
+            enginesisResult = makeErrorResponse("SERVICE_ERROR", "Analytics is not turned on, see the analytics option of init.", {fn: "GameTrackingRecord"});
+        } else if (analyticsEvent.event === undefined) {
+            enginesisResult = makeErrorResponse(analyticsEvent.errorCode, analyticsEvent.errorMessage, {fn: "GameTrackingRecord"});
+        } else {
+            analyticsAdd(analyticsEvent.event);
+            enginesisResult = makeErrorResponse("", "", {fn: "GameTrackingRecord"});
+        }
+        return Promise.resolve(enginesisResult)
+        .then(function(enginesisResult) {
+            return answerCaller(enginesisResult, overRideCallBackFunction);
+        });
+    },
+
+    /**
+     * Add an event to the analytics event catalog, or change one.
+     * @param {string} eventName The event name, e.g. "ball_in_water".
+     * @param {object} eventDescription The `category` the event is sampled by and its `parameters`, each with a `name`,
+     *   `type` of "string", "integer", "number", "boolean", or "any", and `required` true when it must have a value.
+     * @returns {boolean} True if the event was added, false if the description is not valid.
+     */
+    analyticsEventRegister: function(eventName, eventDescription) {
+        const parameterTypes = ["string", "integer", "number", "boolean", "any"];
+        if (isEmpty(eventName) || eventDescription == null || isEmpty(eventDescription.category) || ! Array.isArray(eventDescription.parameters)) {
+            return false;
+        }
+        const isValid = eventDescription.parameters.every(function(parameter) {
+            return parameter != null && ! isEmpty(parameter.name) && parameterTypes.includes(parameter.type);
+        });
+        if ( ! isValid) {
+            return false;
+        }
+        analyticsEventCatalog[eventName] = {
+            category: eventDescription.category,
+            parameters: eventDescription.parameters.map(function(parameter) {
+                return {name: parameter.name, type: parameter.type, required: parameter.required === true};
+            })
+        };
+        return true;
+    },
+
+    /**
+     * Describe an event of the analytics event catalog.
+     * @param {string} eventName The event name.
+     * @returns {object|null} A copy of the event's `category` and `parameters`, null if the event is not in the catalog.
+     */
+    analyticsEventDescriptionGet: function(eventName) {
+        const eventDescription = analyticsEventCatalog[eventName];
+        if (eventDescription === undefined) {
+            return null;
+        }
+        return {
+            category: eventDescription.category,
+            parameters: eventDescription.parameters.map(function(parameter) {
+                return {...parameter};
+            })
+        };
+    },
+
+    /**
+     * Set whether the player agreed to analytics. It is saved, so it is asked once. Until the player agreed no event
+     * is sent, the events tracked wait. When they agree the waiting events are sent, when they refuse they are dropped.
+     * @param {boolean} hasConsent True when the player agreed.
+     * @returns {Promise} Resolves with the number of events sent.
+     */
+    analyticsConsentSet: function(hasConsent) {
+        const analytics = enginesis.analytics;
+        saveObjectWithKey(enginesis.analyticsConsentKey, {hasConsent: hasConsent === true, time: Date.now()});
+        if (analytics == null) {
+            return Promise.resolve(0);
+        }
+        analytics.hasConsent = hasConsent === true;
+        if ( ! analytics.hasConsent) {
+            clearTimeout(analytics.flushTimer);
+            analytics.flushTimer = null;
+            analytics.events = [];
+        }
+        return analyticsFlush();
+    },
+
+    /**
+     * Determine whether the player agreed to analytics.
+     * @returns {boolean|null} True when they agreed, false when they refused, null when they were not asked yet.
+     */
+    analyticsConsentGet: function() {
+        if (enginesis.analytics != null) {
+            return enginesis.analytics.hasConsent;
+        }
+        const savedConsent = loadObjectWithKey(enginesis.analyticsConsentKey);
+        return savedConsent != null ? savedConsent.hasConsent === true : null;
+    },
+
+    /**
+     * Send the analytics events waiting for a batch now, such as before the game closes. Nothing is sent
+     * without the player's consent.
+     * @returns {Promise} Resolves with the number of events sent.
+     */
+    analyticsFlush: function() {
+        return analyticsFlush();
     },
 
     /**
      * Search for games given a keyword search.
      * @param {string} game_name_part
      * @param {function} overRideCallBackFunction
+     * @param {object} requestOptions Optional request options, see `request()`.
      * @returns {Promise} Resolves with the EnginesisResponse when the server request completes.
      */
-    gameFind: function(game_name_part, overRideCallBackFunction) {
-        return sendRequest("GameFind", {game_name_part: game_name_part}, overRideCallBackFunction);
+    gameFind: function(game_name_part, overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("GameFind", {gameNamePart: game_name_part}, overRideCallBackFunction, requestOptions);
     },
 
     /**
      * Search for games by only searching game names.
      * @param {string} gameName Game name or part of game name to search for.
      * @param {function} overRideCallBackFunction
+     * @param {object} requestOptions Optional request options, see `request()`.
      * @returns {Promise} Resolves with the EnginesisResponse when the server request completes.
      */
-    gameFindByName: function (gameName, overRideCallBackFunction) {
-        return sendRequest("GameFindByName", {game_name: gameName}, overRideCallBackFunction);
+    gameFindByName: function (gameName, overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("GameFindByName", {gameName: gameName}, overRideCallBackFunction, requestOptions);
     },
 
     /**
      * Return game info given a specific game-id.
      * @param {integer} gameId Id of game to get.
      * @param {function} overRideCallBackFunction
+     * @param {object} requestOptions Optional request options, see `request()`.
      * @returns {Promise} Resolves with the EnginesisResponse when the server request completes.
      */
-    gameGet: function (gameId, overRideCallBackFunction) {
-        return sendRequest("GameGet", {game_id: gameId}, overRideCallBackFunction);
+    gameGet: function (gameId, overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("GameGet", {gameId: gameId}, overRideCallBackFunction, requestOptions);
     },
 
     /**
      * Return game info given the game name.
      * @param {string} gameName
      * @param {function} overRideCallBackFunction
+     * @param {object} requestOptions Optional request options, see `request()`.
      * @returns {Promise} Resolves with the EnginesisResponse when the server request completes.
      */
-    gameGetByName: function (gameName, overRideCallBackFunction) {
-        return sendRequest("GameGetByName", {game_name: gameName}, overRideCallBackFunction);
+    gameGetByName: function (gameName, overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("GameGetByName", {gameName: gameName}, overRideCallBackFunction, requestOptions);
     },
 
     /**
@@ -3404,43 +9851,47 @@ export default {
      * @param {integer} numItemsPerCategory
      * @param {integer} gameStatusId
      * @param {function} overRideCallBackFunction
+     * @param {object} requestOptions Optional request options, see `request()`.
      * @returns {Promise} Resolves with the EnginesisResponse when the server request completes.
      */
-    gameListByCategory: function (numItemsPerCategory, gameStatusId, overRideCallBackFunction) {
-        return sendRequest("GameListByCategory", {num_items_per_category: numItemsPerCategory, game_status_id: gameStatusId}, overRideCallBackFunction);
+    gameListByCategory: function (numItemsPerCategory, gameStatusId, overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("GameListByCategory", {numItemsPerCategory: numItemsPerCategory, gameStatusId: gameStatusId}, overRideCallBackFunction, requestOptions);
     },
 
     /**
      * Return a list of available game lists for the current site-id.
      * @param {function} overRideCallBackFunction
+     * @param {object} requestOptions Optional request options, see `request()`.
      * @returns {Promise} Resolves with the EnginesisResponse when the server request completes.
      */
-    gameListList: function (overRideCallBackFunction) {
-        return sendRequest("GameListList", {}, overRideCallBackFunction);
+    gameListList: function (overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("GameListList", {}, overRideCallBackFunction, requestOptions);
     },
 
     /**
      * Return the list of games belonging to the requested game list id.
      * @param {integer} gameListId
      * @param {function} overRideCallBackFunction
+     * @param {object} requestOptions Optional request options, see `request()`.
      * @returns {Promise} Resolves with the EnginesisResponse when the server request completes.
      */
-    gameListListGames: function (gameListId, overRideCallBackFunction) {
-        return sendRequest("GameListListGames", {game_list_id: gameListId}, overRideCallBackFunction);
+    gameListListGames: function (gameListId, overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("GameListListGames", {gameListId: gameListId}, overRideCallBackFunction, requestOptions);
     },
 
     /**
      * Return the list of games belonging to the requested game list given its name.
      * @param {string} gameListName
      * @param {function} overRideCallBackFunction
+     * @param {object} requestOptions Optional request options, see `request()`.
      * @returns {Promise} Resolves with the EnginesisResponse when the server request completes.
      */
-    gameListListGamesByName: function (gameListName, overRideCallBackFunction) {
-        return sendRequest("GameListListGamesByName", {game_list_name: gameListName}, overRideCallBackFunction);
+    gameListListGamesByName: function (gameListName, overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("GameListListGamesByName", {gameListName: gameListName}, overRideCallBackFunction, requestOptions);
     },
 
-    gameListByMostPopular: function (startDate, endDate, startItem, numberOfItems, overRideCallBackFunction) {
-        return sendRequest("GameListByMostPopular", {start_date: startDate, end_date: endDate, start_item: startItem, num_items: numberOfItems}, overRideCallBackFunction);
+    gameListByMostPopular: function (startDate, endDate, startItem, numberOfItems, overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("GameListByMostPopular", {startDate: startDate, endDate: endDate, startItem: startItem, numberOfItems: numberOfItems}, overRideCallBackFunction, requestOptions);
     },
 
     /**
@@ -3448,47 +9899,47 @@ export default {
      * @param {integer} gameIdList
      * @param {string} delimiter
      * @param {function} overRideCallBackFunction
+     * @param {object} requestOptions Optional request options, see `request()`.
      * @returns {Promise} Resolves with the EnginesisResponse when the server request completes.
      */
-    gameListByIdList: function (gameIdList, delimiter, overRideCallBackFunction) {
-        return sendRequest("GameListByIdList", {game_id_list: gameIdList, delimiter: delimiter}, overRideCallBackFunction);
+    gameListByIdList: function (gameIdList, delimiter, overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("GameListByIdList", {gameIdList: gameIdList, delimiter: delimiter}, overRideCallBackFunction, requestOptions);
     },
 
-    gameListCategoryList: function (overRideCallBackFunction) {
-        return sendRequest("GameListCategoryList", {}, overRideCallBackFunction);
+    gameListCategoryList: function (overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("GameListCategoryList", {}, overRideCallBackFunction, requestOptions);
     },
 
-    gameListListRecommendedGames: function (gameListId, overRideCallBackFunction) {
-        return sendRequest("GameListListRecommendedGames", {game_list_id: gameListId}, overRideCallBackFunction);
+    gameListListRecommendedGames: function (gameListId, overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("GameListListRecommendedGames", {gameListId: gameListId}, overRideCallBackFunction, requestOptions);
     },
 
-    gamePlayEventListByMostPlayed: function (startDate, endDate, numberOfItems, overRideCallBackFunction) {
-        return sendRequest("GamePlayEventListByMostPlayed", {start_date: startDate, end_date: endDate, num_items: numberOfItems}, overRideCallBackFunction);
+    gamePlayEventListByMostPlayed: function (startDate, endDate, numberOfItems, overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("GamePlayEventListByMostPlayed", {startDate: startDate, endDate: endDate, numberOfItems: numberOfItems}, overRideCallBackFunction, requestOptions);
     },
 
-    gameRatingGet: function (gameId, overRideCallBackFunction) {
-        return sendRequest("GameRatingGet", {game_id: gameId}, overRideCallBackFunction);
+    gameRatingGet: function (gameId, overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("GameRatingGet", {gameId: gameId}, overRideCallBackFunction, requestOptions);
     },
 
-    gameRatingList: function (gameId, numberOfGames, overRideCallBackFunction) {
-        return sendRequest("GameRatingList", {game_id: gameId, num_items: numberOfGames}, overRideCallBackFunction);
+    gameRatingList: function (gameId, numberOfGames, overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("GameRatingList", {gameId: gameId, numberOfGames: numberOfGames}, overRideCallBackFunction, requestOptions);
     },
 
-    gameRatingUpdate: function (gameId, rating, overRideCallBackFunction) {
-        return sendRequest("GameRatingUpdate", {game_id: gameId, rating: rating}, overRideCallBackFunction);
+    gameRatingUpdate: function (gameId, rating, overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("GameRatingUpdate", {gameId: gameId, rating: rating}, overRideCallBackFunction, requestOptions);
     },
 
-    scoreSubmitUnauth: function (gameId, userName, score, gameData, timePlayed, userSource, overRideCallBackFunction) {
+    scoreSubmitUnauth: function (gameId, userName, score, gameData, timePlayed, userSource, overRideCallBackFunction, requestOptions) {
         // @todo: userName = enginesis.anonymousUser.userName, site_mark = enginesis.anonymousUser.userId;
-        return sendRequest("ScoreSubmitUnauth", {
-            game_id: gameId,
-            session_id: enginesis.sessionId,
-            user_name: userName,
+        return serviceCallPositional("ScoreSubmitUnauth", {
+            gameId: gameId,
+            userName: userName,
             score: score,
-            game_data: safeData(gameData),
-            time_played: timePlayed,
-            user_source: userSource
-        }, overRideCallBackFunction);
+            gameData: gameData,
+            timePlayed: timePlayed,
+            userSource: userSource
+        }, overRideCallBackFunction, requestOptions);
     },
 
     // ScoreSubmitRankGetUnauth
@@ -3497,7 +9948,8 @@ export default {
 
     /**
      * This is a test function to see if we can decrypt in JavaScript an encrypted
-     * payload sent from the Enginesis server.
+     * payload sent from the Enginesis server. When the server agreed to the version 2 payload format
+     * for the session only an authenticated version 2 payload is accepted.
      * @param {string} payload Encrypted base-64 data send from the server.
      * @returns {Promise} A Promise that resolves with a string of the decrypted data payload.
      * @throws {OperationError} If the key does not match or the data is an incorrect encoding.
@@ -3506,7 +9958,13 @@ export default {
         return new Promise(function(resolve, reject) {
             const sessionId = enginesis.sessionId;
             const safePayload = base64URLDecode(payload);
-            decryptString(safePayload, sessionId)
+            let decryptedPayload;
+            if (payloadCryptoVersion() >= 2) {
+                decryptedPayload = decryptPayload(safePayload, sessionId, "enginesis server payload");
+            } else {
+                decryptedPayload = decryptString(safePayload, sessionId);
+            }
+            decryptedPayload
             .then(function(decryptedData) {
                 if (decryptedData) {
                     resolve(decryptedData);
@@ -3534,9 +9992,15 @@ export default {
      *    the app was open, etc.)
      * @param {function} overRideCallBackFunction once the server responds resolve to this function.
      *    If not provided then resolves to the global callback function, if set.
-     * @returns {Promise} Resolves with the EnginesisResponse when the server request completes.
+     * @param {object} requestOptions Optional `timeout` and `signal` of the request, see `request()`, and
+     *    `playEvidence` of the game play, `{strokes: [...], checkpoints: [milliseconds...]}`. The server compares
+     *    the checkpoint timings with `timePlayed` and may refuse a score without believable evidence.
+     * @returns {Promise} Resolves with the EnginesisResponse when the server request completes. The score is kept,
+     *    encrypted, in the score vault until the server accepts or refuses it. While offline this resolves with OFFLINE
+     *    and the score is sent when back online, encrypted with the session that is valid then, with its result going to
+     *    the handler set with `queuedRequestHandlerSet("ScoreSubmit", ...)`. See `pendingScoresGet()`.
      */
-    scoreSubmit: function (gameId, score, level, gameData, timePlayed, overRideCallBackFunction) {
+    scoreSubmit: function (gameId, score, level, gameData, timePlayed, overRideCallBackFunction, requestOptions) {
         return new Promise(function(resolve) {
             const service = "ScoreSubmit";
             const sessionId = enginesis.sessionId;
@@ -3568,38 +10032,19 @@ export default {
                 }
             }
             if (errorCode == "") {
-                encryptScoreSubmit(enginesis.siteId, enginesis.loggedInUserInfo.user_id, gameId, level, score, gameData, timePlayed, sessionId)
-                .then(function(submitString) {
-                    if (submitString) {
-                        sendRequest(
-                            service,
-                            {
-                                data: base64URLEncode(submitString)
-                            },
-                            overRideCallBackFunction
-                        )
-                        .then(function(enginesisResult) {
-                            resolve(enginesisResult);
-                        })
-                        .catch(function(exception) {
-                            respondWithError(
-                                "SYSTEM_ERROR",
-                                "Exception encountered while exchanging score with server: " + exception.toString()
-                            );
-                        });
-                    } else {
-                        respondWithError(
-                            "SYSTEM_ERROR",
-                            "System error encountered while processing score submit."
-                        );
-                    }
-                })
-                .catch(function(exception) {
-                    respondWithError(
-                        "INVALID_PARAMETER",
-                        "Exception encountered while processing score submit: " + exception.toString()
-                    );
-                });
+                // the score is encrypted when it is sent, with the session valid at that time
+                resolve(scoreVaultSubmit({
+                    id: makeQueueId(),
+                    userId: Math.floor(enginesis.loggedInUserInfo.user_id),
+                    gameId: gameId,
+                    level: level,
+                    score: score,
+                    gameData: gameData,
+                    timePlayed: timePlayed,
+                    playEvidence: requestOptions && requestOptions.playEvidence ? requestOptions.playEvidence : null,
+                    playedAt: Date.now(),
+                    queuedAt: Date.now()
+                }, overRideCallBackFunction, requestOptions));
             } else {
                 respondWithError(
                     errorCode,
@@ -3612,7 +10057,7 @@ export default {
     // ScoreSubmitRankGet
     // ScoreSubmitRankList
 
-    scoreRankList: function (gameId, level, timePeriodType, timePeriod, startRank, numberOfRanks, overRideCallBackFunction) {
+    scoreRankList: function (gameId, level, timePeriodType, timePeriod, startRank, numberOfRanks, overRideCallBackFunction, requestOptions) {
         const service = "ScoreRankList";
         if (isEmpty(gameId)) {
             gameId = enginesis.gameId;
@@ -3637,106 +10082,262 @@ export default {
             start_rank: startRank,
             num_ranks: numberOfRanks
         };
-        return sendRequest(service, parameters, overRideCallBackFunction);
+        return sendRequest(service, parameters, overRideCallBackFunction, requestOptions);
+    },
+
+    /**
+     * Get a page of a leaderboard. A leaderboard is fetched from the server at most once in `leaderboardCacheTime`,
+     * and again after a score is submitted.
+     * @param {object} leaderboardOptions Optional, which leaderboard and page to get:
+     *   * `gameId` {integer} the game, default is the game given to `init`.
+     *   * `level` {integer} the level, such as a hole of a course, 0 (default) is the whole game.
+     *   * `period` {string} "allTime" (default), "daily", "weekly", or "monthly".
+     *   * `periodsAgo` {integer} 0 (default) is the current period, 1 the one before it, and so on.
+     *   * `count` {integer} number of ranks on a page, default is 25.
+     *   * `cursor` {string} the `nextCursor` or `previousCursor` of a page to get the ranks right after or before it, even
+     *     when scores submitted since moved them. The other options are not used.
+     *   * `refresh` {boolean} true to ask the server even when the page is cached.
+     * @param {function} overRideCallBackFunction
+     * @param {object} requestOptions Optional `timeout` and `signal` of the request, see `request()`.
+     * @returns {Promise} Resolves with the EnginesisResult of ScoreRankList. Its `leaderboard` property has the
+     *   `gameId`, `level`, `period`, `periodsAgo`, and `startRank` of the page, `nextCursor` and `previousCursor`
+     *   (null when there is no such page), and when the logged in user is on the page their `userRank`,
+     *   `previousUserRank` the last time it was fetched, and `rankChange` the number of places they moved up.
+     */
+    leaderboardGet: function(leaderboardOptions, overRideCallBackFunction, requestOptions) {
+        const options = leaderboardOptions || {};
+        const leaderboardCursor = isEmpty(options.cursor) ? null : leaderboardCursorRead(options.cursor);
+        const leaderboard = isEmpty(options.cursor) ? leaderboardMake(options) : null;
+        if (leaderboard == null && leaderboardCursor == null) {
+            return Promise.resolve(makeErrorResponse("INVALID_PARAMETER", "The leaderboard options are not valid.", {fn: "ScoreRankList"}))
+            .then(function(enginesisResult) {
+                return answerCaller(enginesisResult, overRideCallBackFunction);
+            });
+        }
+        const isRefresh = options.refresh === true;
+        return (leaderboardCursor != null ? leaderboardCursorPageGet(leaderboardCursor, isRefresh, requestOptions) : leaderboardPageGet(leaderboard, 1, isRefresh, requestOptions))
+        .then(function(enginesisResult) {
+            return answerCaller(enginesisResult, overRideCallBackFunction);
+        });
+    },
+
+    /**
+     * Get the page of a leaderboard with the logged in user's rank in the middle of it, such as to show
+     * the players just above and below them after they finish a game.
+     * @param {object} leaderboardOptions Optional, the same as `leaderboardGet()` without `cursor`.
+     * @param {function} overRideCallBackFunction
+     * @param {object} requestOptions Optional `timeout` and `signal` of the requests, see `request()`.
+     * @returns {Promise} Resolves with the EnginesisResult the same as `leaderboardGet()`, its `leaderboard` property also has
+     *   `isUserRanked`: true, false with no ranks when the user is not on the leaderboard, or null with no ranks when the
+     *   server cannot tell the user's rank. NOT_LOGGED_IN when no user is logged in.
+     */
+    leaderboardAroundMe: function(leaderboardOptions, overRideCallBackFunction, requestOptions) {
+        const options = leaderboardOptions || {};
+        const leaderboard = leaderboardMake(options);
+        const isRefresh = options.refresh === true;
+        let enginesisResult;
+        if (leaderboard == null) {
+            enginesisResult = makeErrorResponse("INVALID_PARAMETER", "The leaderboard options are not valid.", {fn: "ScoreRankList"});
+        } else if ( ! enginesis.isUserLoggedIn) {
+            enginesisResult = makeErrorResponse("NOT_LOGGED_IN", "A user must be logged in to find their rank.", {fn: "ScoreRankList"});
+        }
+        return (enginesisResult ? Promise.resolve(enginesisResult) : leaderboardUserPageGet(leaderboard, isRefresh, requestOptions))
+        .then(function(enginesisResult) {
+            return answerCaller(enginesisResult, overRideCallBackFunction);
+        });
+    },
+
+    /**
+     * Save the player's progress, such as unlocked courses, best scores, and settings, in a named save slot. The save
+     * is kept on this device first, and is sent to the server when a user is logged in and the network is up, so
+     * the player gets it back on another device. Saves made while offline are sent when back online or after logging in.
+     * @param {string} slotName The save slot, such as "progress" or "settings".
+     * @param {any} data The data to save, anything that can be converted to JSON.
+     * @param {function} overRideCallBackFunction
+     * @param {object} requestOptions Optional `timeout` and `signal` of the requests, see `request()`.
+     * @returns {Promise} Resolves with an EnginesisResult of the save slot, see `saveSlotRead()`. Its `isSynced` is false
+     *   when the save is only on this device.
+     */
+    saveSlotWrite: function(slotName, data, overRideCallBackFunction, requestOptions) {
+        if (isEmpty(slotName) || data === undefined) {
+            return Promise.resolve(makeErrorResponse("MISSING_PARAM", "A save slot name and the data to save are required.", {fn: "GameDataCreate"}))
+            .then(function(enginesisResult) {
+                return answerCaller(enginesisResult, overRideCallBackFunction);
+            });
+        }
+        const loadedSlots = saveSlotsLoad();
+        const savedSlot = loadedSlots.userSlots[slotName];
+        loadedSlots.userSlots[slotName] = {
+            data: JSON.parse(JSON.stringify(data)),
+            version: enginesis.saveSlotVersion,
+            updatedAt: Date.now(),
+            revision: savedSlot !== undefined ? savedSlot.revision : 0,
+            isDirty: true
+        };
+        saveSlotsSave(loadedSlots);
+        return saveSlotsSync([slotName], requestOptions)
+        .then(function() {
+            return enginesisContext.saveSlotRead(slotName, overRideCallBackFunction, {localOnly: true});
+        });
+    },
+
+    /**
+     * Get the player's progress from a save slot. When a user is logged in and the network is up the slot is
+     * synced with the server first, so a save made on another device is returned. A save made with an earlier
+     * schema version is changed to the current version with the `saveSlotMigrations` functions.
+     * @param {string} slotName The save slot.
+     * @param {function} overRideCallBackFunction
+     * @param {object} requestOptions Optional `timeout` and `signal` of the requests, see `request()`, and
+     *   `localOnly` true to read the save on this device without syncing.
+     * @returns {Promise} Resolves with an EnginesisResult. Its result is empty when nothing was saved in the slot, or
+     *   the save slot with `slotName`, `data`, `version`, `updatedAt`, and `isSynced`. It is VALIDATION_FAILED when
+     *   the save was made by a newer version of the game.
+     */
+    saveSlotRead: function(slotName, overRideCallBackFunction, requestOptions) {
+        const isLocalOnly = requestOptions != null && requestOptions.localOnly === true;
+        return (isLocalOnly ? Promise.resolve(null) : saveSlotsSync([slotName], requestOptions))
+        .then(function(failedResult) {
+            if (failedResult != null && resultErrorCode(failedResult) == "VALIDATION_FAILED") {
+                return failedResult;
+            }
+            const enginesisResult = makeErrorResponse("", "", {fn: "GameDataGet"});
+            const savedSlot = saveSlotsLoad().userSlots[slotName];
+            if (savedSlot !== undefined) {
+                const migratedSlot = saveSlotMigrate(savedSlot);
+                if (migratedSlot == null) {
+                    return makeErrorResponse("VALIDATION_FAILED", "Save slot " + slotName + " was saved by a newer version of the game.", {fn: "GameDataGet"});
+                }
+                enginesisResult.results.result.push(saveSlotDescribe(slotName, migratedSlot));
+            }
+            return enginesisResult;
+        })
+        .then(function(enginesisResult) {
+            return answerCaller(enginesisResult, overRideCallBackFunction);
+        });
+    },
+
+    /**
+     * Get the names of the save slots on this device.
+     * @returns {Array} The save slot names.
+     */
+    saveSlotNames: function() {
+        return Object.keys(saveSlotsLoad().userSlots);
+    },
+
+    /**
+     * Send the saves made on this device that the server does not have yet. This is done when the network comes back
+     * and after a user logs in, the game does not have to call it.
+     * @returns {Promise} Resolves with true when every save slot is synced.
+     */
+    saveSlotsSync: function() {
+        return saveSlotsSync()
+        .then(function(failedResult) {
+            const userSlots = saveSlotsLoad().userSlots;
+            return failedResult == null && enginesis.isUserLoggedIn && Object.keys(userSlots).every(function(slotName) {
+                return ! userSlots[slotName].isDirty;
+            });
+        });
     },
 
-    newsletterCategoryList: function (overRideCallBackFunction) {
-        return sendRequest("NewsletterCategoryList", {}, overRideCallBackFunction);
+    newsletterCategoryList: function (overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("NewsletterCategoryList", {}, overRideCallBackFunction, requestOptions);
     },
 
-    newsletterAddressAssign: function (emailAddress, userName, companyName, categories, overRideCallBackFunction) {
-        return sendRequest("NewsletterAddressAssign", {email_address: emailAddress, user_name: userName, company_name: companyName, categories: categories, delimiter: ","}, overRideCallBackFunction);
+    newsletterAddressAssign: function (emailAddress, userName, companyName, categories, overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("NewsletterAddressAssign", {emailAddress: emailAddress, userName: userName, companyName: companyName, categories: categories}, overRideCallBackFunction, requestOptions);
     },
 
-    newsletterAddressUpdate: function (newsletterAddressId, emailAddress, userName, companyName, active, overRideCallBackFunction) {
-        return sendRequest("NewsletterAddressUpdate", {newsletter_address_id: newsletterAddressId, email_address: emailAddress, user_name: userName, company_name: companyName, active: active}, overRideCallBackFunction);
+    newsletterAddressUpdate: function (newsletterAddressId, emailAddress, userName, companyName, active, overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("NewsletterAddressUpdate", {newsletterAddressId: newsletterAddressId, emailAddress: emailAddress, userName: userName, companyName: companyName, active: active}, overRideCallBackFunction, requestOptions);
     },
 
-    newsletterAddressDelete: function (emailAddress, overRideCallBackFunction) {
-        return sendRequest("NewsletterAddressDelete", {email_address: emailAddress, newsletter_address_id: "NULL"}, overRideCallBackFunction);
+    newsletterAddressDelete: function (emailAddress, overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("NewsletterAddressDelete", {emailAddress: emailAddress}, overRideCallBackFunction, requestOptions);
     },
 
-    newsletterAddressGet: function (emailAddress, overRideCallBackFunction) {
-        return sendRequest("NewsletterAddressGet", {email_address: emailAddress}, overRideCallBackFunction);
+    newsletterAddressGet: function (emailAddress, overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("NewsletterAddressGet", {emailAddress: emailAddress}, overRideCallBackFunction, requestOptions);
     },
 
-    promotionItemList: function (promotionId, queryDate, overRideCallBackFunction) {
+    promotionItemList: function (promotionId, queryDate, overRideCallBackFunction, requestOptions) {
         // promotionId is required. queryDate can be null or a valid date
-        return sendRequest("PromotionItemList", {promotion_id: promotionId, query_date: queryDate}, overRideCallBackFunction);
+        return serviceCallPositional("PromotionItemList", {promotionId: promotionId, queryDate: queryDate}, overRideCallBackFunction, requestOptions);
     },
 
-    promotionList: function (promotionId, queryDate, showItems, overRideCallBackFunction) {
+    promotionList: function (promotionId, queryDate, showItems, overRideCallBackFunction, requestOptions) {
         // promotionId is required. queryDate can be null or a valid date. showItems if true/false, default is false
-        return sendRequest("PromotionItemList", {promotion_id: promotionId, query_date: queryDate, show_items: showItems}, overRideCallBackFunction);
+        return serviceCallPositional("PromotionItemList", {promotionId: promotionId, queryDate: queryDate, showItems: showItems}, overRideCallBackFunction, requestOptions);
     },
 
-    recommendedGameList: function (gameId, overRideCallBackFunction) {
-        return sendRequest("RecommendedGameList", {game_id: gameId}, overRideCallBackFunction);
+    recommendedGameList: function (gameId, overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("RecommendedGameList", {gameId: gameId}, overRideCallBackFunction, requestOptions);
     },
 
-    registeredUserCreate: function (userName, password, email, realName, dateOfBirth, gender, city, state, zipcode, countryCode, mobileNumber, imId, tagline, siteUserId, networkId, agreement, securityQuestionId, securityAnswer, imgUrl, aboutMe, additionalInfo, sourceSiteId, captchaId, captchaResponse, overRideCallBackFunction) {
-        return sendRequest("RegisteredUserCreate", {
-            site_id: enginesis.siteId,
-            user_name: userName,
-            real_name: realName,
-            dob: dateOfBirth,
+    /**
+     * Register a new user. A user name or email address that is not provided is taken from what the player gave
+     * as an anonymous user, see `anonymousUserSetUserName` and `anonymousUserSetSubscriberEmail`. When the server
+     * logs the new user in, what they did as an anonymous user is added to their account.
+     * @returns {Promise} Resolves with the EnginesisResponse when the server request completes.
+     */
+    registeredUserCreate: function (userName, password, email, realName, dateOfBirth, gender, city, state, zipcode, countryCode, mobileNumber, imId, tagline, siteUserId, networkId, agreement, securityQuestionId, securityAnswer, imgUrl, aboutMe, additionalInfo, sourceSiteId, captchaId, captchaResponse, overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("RegisteredUserCreate", {
+            userName: userName,
+            password: password,
+            email: email,
+            realName: realName,
+            dateOfBirth: dateOfBirth,
             gender: gender,
-            email_address: email,
             city: city,
             state: state,
             zipcode: zipcode,
-            country_code: countryCode,
-            mobile_number: mobileNumber,
-            im_id: imId,
-            img_url: imgUrl,
-            about_me: aboutMe,
+            countryCode: countryCode,
+            mobileNumber: mobileNumber,
+            imId: imId,
             tagline: tagline,
-            additional_info: additionalInfo,
-            site_user_id: siteUserId,
-            network_id: networkId,
+            siteUserId: siteUserId,
+            networkId: networkId,
             agreement: agreement,
-            password: password,
-            security_question_id: securityQuestionId,
-            security_answer: securityAnswer,
-            source_site_id: sourceSiteId,
-            captcha_id: isEmpty(captchaId) ? enginesis.captchaId : captchaId,
-            captcha_response: isEmpty(captchaResponse) ? enginesis.captchaResponse : captchaResponse
-        }, overRideCallBackFunction);
-    },
-
-    registeredUserUpdate: function (userName, email, realName, dateOfBirth, gender, city, state, zipcode, countryCode, mobileNumber, imId, tagline, imgUrl, aboutMe, additionalInfo, captchaId, captchaResponse, overRideCallBackFunction) {
-        return sendRequest("RegisteredUserUpdate", {
-            site_id: enginesis.siteId,
-            user_id: enginesis.userId,
-            user_name: userName,
-            real_name: realName,
-            dob: dateOfBirth,
+            securityQuestionId: securityQuestionId,
+            securityAnswer: securityAnswer,
+            imgUrl: imgUrl,
+            aboutMe: aboutMe,
+            additionalInfo: additionalInfo,
+            sourceSiteId: sourceSiteId,
+            captchaId: captchaId,
+            captchaResponse: captchaResponse
+        }, overRideCallBackFunction, requestOptions);
+    },
+
+    registeredUserUpdate: function (userName, email, realName, dateOfBirth, gender, city, state, zipcode, countryCode, mobileNumber, imId, tagline, imgUrl, aboutMe, additionalInfo, captchaId, captchaResponse, overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("RegisteredUserUpdate", {
+            userName: userName,
+            email: email,
+            realName: realName,
+            dateOfBirth: dateOfBirth,
             gender: gender,
-            email_address: email,
             city: city,
             state: state,
             zipcode: zipcode,
-            country_code: countryCode,
-            mobile_number: mobileNumber,
-            im_id: imId,
-            img_url: imgUrl,
-            about_me: aboutMe,
+            countryCode: countryCode,
+            mobileNumber: mobileNumber,
+            imId: imId,
             tagline: tagline,
-            additional_info: additionalInfo,
-            captcha_id: isEmpty(captchaId) ? enginesis.captchaId : captchaId,
-            captcha_response: isEmpty(captchaResponse) ? enginesis.captchaResponse : captchaResponse,
-        }, overRideCallBackFunction);
+            imgUrl: imgUrl,
+            aboutMe: aboutMe,
+            additionalInfo: additionalInfo,
+            captchaId: captchaId,
+            captchaResponse: captchaResponse
+        }, overRideCallBackFunction, requestOptions);
     },
 
-    registeredUserSecurityUpdate: function (captchaId, captchaResponse, security_question_id, security_question, security_answer, overRideCallBackFunction) {
-        return sendRequest("RegisteredUserSecurityUpdate", {
-            site_id: enginesis.siteId,
-            captcha_id: isEmpty(captchaId) ? enginesis.captchaId : captchaId,
-            captcha_response: isEmpty(captchaResponse) ? enginesis.captchaResponse : captchaResponse,
-            security_question_id: security_question_id,
-            security_question: security_question,
-            security_answer: security_answer
-        }, overRideCallBackFunction);
+    registeredUserSecurityUpdate: function (captchaId, captchaResponse, security_question_id, security_question, security_answer, overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("RegisteredUserSecurityUpdate", {
+            captchaId: captchaId,
+            captchaResponse: captchaResponse,
+            securityQuestionId: security_question_id,
+            securityQuestion: security_question,
+            securityAnswer: security_answer
+        }, overRideCallBackFunction, requestOptions);
     },
 
     /**
@@ -3746,10 +10347,11 @@ export default {
      * @param user_id
      * @param secondary_password
      * @param {function} overRideCallBackFunction
+     * @param {object} requestOptions Optional request options, see `request()`.
      * @returns {Promise} Resolves with the EnginesisResponse when the server request completes.
      */
-    registeredUserConfirm: function (user_id, secondary_password, overRideCallBackFunction) {
-        return sendRequest("RegisteredUserConfirm", {user_id: user_id, secondary_password: secondary_password}, overRideCallBackFunction);
+    registeredUserConfirm: function (user_id, secondary_password, overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("RegisteredUserConfirm", {userId: user_id, secondaryPassword: secondary_password}, overRideCallBackFunction, requestOptions);
     },
 
     /**
@@ -3759,10 +10361,11 @@ export default {
      * @param {string} userName
      * @param {string} email
      * @param {function} overRideCallBackFunction
+     * @param {object} requestOptions Optional request options, see `request()`.
      * @returns {Promise} Resolves with the EnginesisResponse when the server request completes.
      */
-    registeredUserForgotPassword: function (userName, email, overRideCallBackFunction) {
-        return sendRequest("RegisteredUserForgotPassword", {user_name: userName, email: email}, overRideCallBackFunction);
+    registeredUserForgotPassword: function (userName, email, overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("RegisteredUserForgotPassword", {userName: userName, email: email}, overRideCallBackFunction, requestOptions);
     },
 
     /**
@@ -3774,47 +10377,42 @@ export default {
      * @param {string} email_address - identify the user by email address
      * @param {string} secondary_password - the original secondary password generated in forgot password flow.
      * @param {function} overRideCallBackFunction
+     * @param {object} requestOptions Optional request options, see `request()`.
      * @returns {Promise} Resolves with the EnginesisResponse when the server request completes.
      */
-    registeredUserResetSecondaryPassword: function (user_id, user_name, email_address, secondary_password, overRideCallBackFunction) {
-        return sendRequest("RegisteredUserResetSecondaryPassword", {
-            user_id: user_id,
-            user_name: user_name,
-            email_address: email_address,
-            secondary_password: secondary_password
-        }, overRideCallBackFunction);
+    registeredUserResetSecondaryPassword: function (user_id, user_name, email_address, secondary_password, overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("RegisteredUserResetSecondaryPassword", {
+            userId: user_id,
+            userName: user_name,
+            emailAddress: email_address,
+            secondaryPassword: secondary_password
+        }, overRideCallBackFunction, requestOptions);
     },
 
-    registeredUserRequestPasswordChange: function (overRideCallBackFunction) {
-        return sendRequest("RegisteredUserRequestPasswordChange", {
-            site_id: enginesis.siteId
-        }, overRideCallBackFunction);
+    registeredUserRequestPasswordChange: function (overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("RegisteredUserRequestPasswordChange", {}, overRideCallBackFunction, requestOptions);
     },
 
     // @todo: Should include the user-id?
-    registeredUserPasswordChange: function (captchaId, captchaResponse, password, secondary_password, overRideCallBackFunction) {
-        return sendRequest("RegisteredUserPasswordChange", {
-            site_id: enginesis.siteId,
-            captcha_id: isEmpty(captchaId) ? enginesis.captchaId : captchaId,
-            captcha_response: isEmpty(captchaResponse) ? enginesis.captchaResponse : captchaResponse,
+    registeredUserPasswordChange: function (captchaId, captchaResponse, password, secondary_password, overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("RegisteredUserPasswordChange", {
+            captchaId: captchaId,
+            captchaResponse: captchaResponse,
             password: password,
-            secondary_password: secondary_password
-        }, overRideCallBackFunction);
+            secondaryPassword: secondary_password
+        }, overRideCallBackFunction, requestOptions);
     },
 
-    registeredUserSecurityGet: function (overRideCallBackFunction) {
-        return sendRequest("RegisteredUserSecurityGet", {
-            site_id: enginesis.siteId,
-            site_user_id: ""
-        }, overRideCallBackFunction);
+    registeredUserSecurityGet: function (overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("RegisteredUserSecurityGet", {}, overRideCallBackFunction, requestOptions);
     },
 
-    registeredUserGet: function (userId, siteUserId, networkId, overRideCallBackFunction) {
+    registeredUserGet: function (userId, siteUserId, networkId, overRideCallBackFunction, requestOptions) {
         // Return public information about user given id
-        return sendRequest("RegisteredUserGet", {get_user_id: userId, site_user_id: siteUserId, network_id: networkId}, overRideCallBackFunction);
+        return serviceCallPositional("RegisteredUserGet", {userId: userId, siteUserId: siteUserId, networkId: networkId}, overRideCallBackFunction, requestOptions);
     },
 
-    siteListGames: function(startItem, numberOfItems, gameStatusId, overRideCallBackFunction) {
+    siteListGames: function(startItem, numberOfItems, gameStatusId, overRideCallBackFunction, requestOptions) {
         // return a list of all assets assigned to the site in title order
         if (startItem == null || startItem < 0) {
             startItem = 1;
@@ -3825,34 +10423,36 @@ export default {
         if (gameStatusId == null || gameStatusId > 3) {
             gameStatusId = 2;
         }
-        return sendRequest("SiteListGames", {start_item: startItem, num_items: numberOfItems, game_status_id: gameStatusId}, overRideCallBackFunction);
+        return serviceCallPositional("SiteListGames", {startItem: startItem, numberOfItems: numberOfItems, gameStatusId: gameStatusId}, overRideCallBackFunction, requestOptions);
     },
 
-    siteListGamesRandom: function(numberOfItems, overRideCallBackFunction) {
+    siteListGamesRandom: function(numberOfItems, overRideCallBackFunction, requestOptions) {
         if (numberOfItems == null || numberOfItems > 500) {
             numberOfItems = 500;
         }
-        return sendRequest("SiteListGamesRandom", {num_items: numberOfItems}, overRideCallBackFunction);
+        return serviceCallPositional("SiteListGamesRandom", {numberOfItems: numberOfItems}, overRideCallBackFunction, requestOptions);
     },
 
     /**
      * Return public information about user given user name.
      * @param {string} userName A user name to query.
      * @param {function} overRideCallBackFunction Function to call with the server response when complete.
+     * @param {object} requestOptions Optional `timeout` and `signal` of the request, see `request()`.
      * @returns {Promise} Resolves with the EnginesisResponse when the server request completes.
      */
-    userGetByName: function (userName, overRideCallBackFunction) {
-        return sendRequest("UserGetByName", {user_name: userName}, overRideCallBackFunction);
+    userGetByName: function (userName, overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("UserGetByName", {userName: userName}, overRideCallBackFunction, requestOptions);
     },
 
     /**
      * Return public information about user given an email address.
      * @param {string} userName A user name to query.
      * @param {function} overRideCallBackFunction Function to call with the server response when complete.
+     * @param {object} requestOptions Optional `timeout` and `signal` of the request, see `request()`.
      * @returns {Promise} Resolves with the EnginesisResponse when the server request completes.
      */
-    userGetByEmail: function (emailAddress, overRideCallBackFunction) {
-        return sendRequest("UserGetByEmail", {email_address: emailAddress}, overRideCallBackFunction);
+    userGetByEmail: function (emailAddress, overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("UserGetByEmail", {emailAddress: emailAddress}, overRideCallBackFunction, requestOptions);
     },
 
     /**
@@ -3860,20 +10460,20 @@ export default {
      * both locally and on the server.
      * @returns {Promise} Resolves with the EnginesisResponse when the server request completes.
      */
-    userLogout: function(overRideCallBackFunction) {
-        return sendRequest("UserLogout", {}, overRideCallBackFunction);
+    userLogout: function(overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("UserLogout", {}, overRideCallBackFunction, requestOptions);
     },
 
     /**
      * Perform a user login given a user name (also accepts user email address) and the password.
      * In the callback function you receive a response if the login succeeds or not. A successful
-     * login provides information about the user.
+     * login provides information about the user, and what the player did as an anonymous user is added to their account.
      * @param {string} userName The user name or email to identify the user.
      * @param {string} password The user's password which should conform to the password rules.
      * @returns {Promise} Resolves with the EnginesisResponse when the server request completes.
      */
-    userLogin: function(userName, password, overRideCallBackFunction) {
-        return sendRequest("UserLogin", {user_name: userName, password: password}, overRideCallBackFunction);
+    userLogin: function(userName, password, overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("UserLogin", {userName: userName, password: password}, overRideCallBackFunction, requestOptions);
     },
 
     /**
@@ -3892,9 +10492,10 @@ export default {
      *   scope
      * @param {integer} networkId We must know which network this registration comes from.
      * @param {function} overRideCallBackFunction {function} called when server replies.
+     * @param {object} requestOptions Optional `timeout` and `signal` of the request, see `request()`.
      * @returns {Promise} Resolves with the EnginesisResponse when the server request completes.
      */
-    userLoginCoreg: function (registrationParameters, networkId, overRideCallBackFunction) {
+    userLoginCoreg: function (registrationParameters, networkId, overRideCallBackFunction, requestOptions) {
         if (typeof registrationParameters.siteUserId === "undefined" || registrationParameters.siteUserId.length == 0) {
             return false;
         }
@@ -3929,25 +10530,86 @@ export default {
         }
         if (typeof registrationParameters.dob === "undefined" || registrationParameters.dob.length == 0) {
             registrationParameters.dob = new Date();
-            registrationParameters.dob = registrationParameters.dob.toISOString().slice(0, 9);
+            registrationParameters.dob = registrationParameters.dob.toISOString().slice(0, 10);
         } else if (registrationParameters.dob instanceof Date) {
             // if is date() then convert to string
-            registrationParameters.dob = registrationParameters.dob.toISOString().slice(0, 9);
+            registrationParameters.dob = registrationParameters.dob.toISOString().slice(0, 10);
         }
-        return sendRequest("UserLoginCoreg", {
-            site_user_id: registrationParameters.siteUserId,
-            user_name: registrationParameters.userName,
-            real_name: registrationParameters.realName,
-            email_address: registrationParameters.emailAddress,
+        return serviceCallPositional("UserLoginCoreg", {
+            siteUserId: registrationParameters.siteUserId,
+            userName: registrationParameters.userName,
+            realName: registrationParameters.realName,
+            emailAddress: registrationParameters.emailAddress,
             gender: registrationParameters.gender,
             dob: registrationParameters.dob,
-            network_id: networkId,
+            networkId: networkId,
             scope: registrationParameters.scope,
             agreement: registrationParameters.agreement,
-            avatar_url: registrationParameters.avatarURL,
-            id_token: registrationParameters.idToken
-        },
-        overRideCallBackFunction);
+            avatarURL: registrationParameters.avatarURL,
+            idToken: registrationParameters.idToken
+        }, overRideCallBackFunction, requestOptions);
+    },
+
+    /**
+     * Sign in with the user's account of another network, such as Google. The user signs in on the network's page
+     * with the OAuth authorization code flow and PKCE, and the identity it confirms is logged in with `userLoginCoreg()`.
+     * The network must have its `clientId` set in the `signInProviders` init parameter.
+     * @param {string|integer} network A network name of `supportedNetworks` such as "Google", or its network id.
+     * @param {object} signInOptions Optional, any of the `signInProviders` settings to use for this sign in, and:
+     *   * `mode` {string} "popup" (default) shows the network's page in a popup window, "redirect" goes to it from this page.
+     *     After a redirect the network returns to `redirectURI`, where `signInComplete()` finishes the sign in.
+     *   * `authorize` {function} shows the network's page instead of a popup, such as in a web view. It is given the
+     *     page URL and returns a Promise resolving with the URL the network redirected to, or "" when the user quit.
+     *   * `navigate` {function} goes to the network's page in "redirect" mode. Default sets `window.location`.
+     * @param {function} overRideCallBackFunction
+     * @param {object} requestOptions Optional `timeout` and `signal` of the UserLoginCoreg request.
+     * @returns {Promise} Resolves with the EnginesisResponse of UserLoginCoreg, an error of SIGN_IN_CANCELED when the user quit,
+     *   or SIGN_IN_FAILED when the network's reply is not for this sign in. Resolves with null in "redirect" mode.
+     */
+    signInWith: function(network, signInOptions, overRideCallBackFunction, requestOptions) {
+        signInOptions = signInOptions || {};
+        return signInStart(network, signInOptions)
+        .then(function(authorizationRequest) {
+            if (signInOptions.mode == "redirect") {
+                (signInOptions.navigate || window.location.assign.bind(window.location))(authorizationRequest.authorizationURL);
+                return null;
+            }
+            const authorize = signInOptions.authorize || function(authorizationURL) {
+                return signInPopup(authorizationURL, authorizationRequest.pendingSignIn.redirectURI);
+            };
+            return Promise.resolve(authorize(authorizationRequest.authorizationURL))
+            .then(function(callbackURL) {
+                if (isEmpty(callbackURL)) {
+                    removeObjectWithKey(enginesis.signInPendingKey);
+                    throw callbackURL === "" ? signInError("SIGN_IN_CANCELED", "The user did not finish signing in.") : signInError("SIGN_IN_FAILED", "The sign in window could not be shown.");
+                }
+                return signInFinish(callbackURL);
+            });
+        })
+        .then(function(signInIdentity) {
+            if (signInIdentity == null) {
+                return null;
+            }
+            return enginesisContext.userLoginCoreg(signInIdentity.registrationParameters, signInIdentity.networkId, overRideCallBackFunction, requestOptions);
+        }, function(exception) {
+            return answerCaller(exception.result || makeErrorResponse("SYSTEM_ERROR", exception.toString(), {fn: "UserLoginCoreg"}), overRideCallBackFunction);
+        });
+    },
+
+    /**
+     * Finish a sign in of `signInWith()` in "redirect" mode, on the `redirectURI` page the network returned to.
+     * @param {string} callbackURL The URL the network redirected to. Default is the URL of this page.
+     * @param {function} overRideCallBackFunction
+     * @param {object} requestOptions Optional `timeout` and `signal` of the UserLoginCoreg request.
+     * @returns {Promise} Resolves with the EnginesisResponse of UserLoginCoreg, or an error the same as `signInWith()`.
+     */
+    signInComplete: function(callbackURL, overRideCallBackFunction, requestOptions) {
+        return signInFinish(callbackURL || window.location.href)
+        .then(function(signInIdentity) {
+            return enginesisContext.userLoginCoreg(signInIdentity.registrationParameters, signInIdentity.networkId, overRideCallBackFunction, requestOptions);
+        }, function(exception) {
+            return answerCaller(exception.result || makeErrorResponse("SYSTEM_ERROR", exception.toString(), {fn: "UserLoginCoreg"}), overRideCallBackFunction);
+        });
     },
 
     /**
@@ -3957,26 +10619,65 @@ export default {
      * @return {string} URL.
      */
     avatarURL: function (size, userId) {
+        const loggedInUserId = enginesis.loggedInUserInfo ? enginesis.loggedInUserInfo.user_id : 0;
         if (userId == 0) {
-            userId = enginesis.loggedInUserInfo ? enginesis.loggedInUserInfo.user_id : 0;
+            userId = loggedInUserId;
         }
         // @todo: Size is determined by site_data, sites could have different sizes
         if (size < 0) {
             size = 0;
-        } else if (size > 2) {
-            size = 2;
+        } else if (size > enginesis.avatarSizes.length - 1) {
+            size = enginesis.avatarSizes.length - 1;
+        }
+        let avatarURL = enginesis.siteResources.avatarImageURL + "?site_id=" + enginesis.siteId + "&user_id=" + userId + "&size=" + size;
+        if (enginesis.avatarUpdated > 0 && userId == loggedInUserId) {
+            avatarURL += "&v=" + enginesis.avatarUpdated;
         }
-        return enginesis.siteResources.avatarImageURL + "?site_id=" + enginesis.siteId + "&user_id=" + userId + "&size=" + size;
+        return avatarURL;
+    },
+
+    /**
+     * Make the avatar images from an image the user picked, so they can be shown before they are uploaded.
+     * The image is cropped to a square and resized to each of the `avatarSizes` that `avatarURL(size)` shows.
+     * The images are encoded from the pixels, so the EXIF data and any other metadata of the file are not kept.
+     * @param {Blob|File} imageFile The image the user picked.
+     * @param {object} avatarOptions Optional:
+     *   * `crop` {object} the square the user picked, `x` and `y` of its top left corner and its `size`, in pixels
+     *     of the image. Default is the largest square in the center of the image.
+     *   * `mimeType` {string} type of image to make, default is the type of the image codec, JPEG in a browser.
+     *   * `maxBytes` {integer} largest image file to make, default `avatarMaxBytes`. Images are made smaller to fit.
+     *   * `background` {Array} red, green, and blue to show behind transparent pixels of a JPEG. Default is white.
+     * @returns {Promise} Resolves with the `crop` used and a list of `images`, one for each size, with `size`, `width`,
+     *   `blob`, and `fileName`. Rejects with an `EnginesisError` of INVALID_FILE_SIZE or INVALID_FILE_TYPE when the image cannot be used.
+     */
+    avatarPrepare: function(imageFile, avatarOptions) {
+        return avatarPrepare(imageFile, avatarOptions || {});
+    },
+
+    /**
+     * Set the avatar of the logged in user from an image they picked. The images of `avatarPrepare()` are
+     * uploaded to the `avatar` asset target.
+     * @param {Blob|File} imageFile The image the user picked.
+     * @param {object} avatarOptions Optional, the options of `avatarPrepare()` and the `signal` and `timeout` of `uploadAsset()`.
+     * @param {function} overRideCallBackFunction
+     * @returns {Promise} Resolves with an EnginesisResult of `AvatarUpload` with the upload result of each size.
+     */
+    avatarUpload: function(imageFile, avatarOptions, overRideCallBackFunction) {
+        return avatarUpload(imageFile, avatarOptions || {})
+        .then(function(enginesisResult) {
+            return answerCaller(enginesisResult, overRideCallBackFunction);
+        });
     },
 
     /**
      * Get information about a specific quiz.
      * @param {integer} quiz_id
      * @param {function} overRideCallBackFunction
+     * @param {object} requestOptions Optional request options, see `request()`.
      * @returns {Promise} Resolves with the EnginesisResponse when the server request completes.
      */
-    quizGet: function (quiz_id, overRideCallBackFunction) {
-        return sendRequest("QuizGet", {game_id: quiz_id}, overRideCallBackFunction);
+    quizGet: function (quiz_id, overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("QuizGet", {quizId: quiz_id}, overRideCallBackFunction, requestOptions);
     },
 
     /**
@@ -3985,10 +10686,11 @@ export default {
      * @param {integer} quiz_id
      * @param {integer} game_group_id
      * @param {function} overRideCallBackFunction
+     * @param {object} requestOptions Optional request options, see `request()`.
      * @returns {Promise} Resolves with the EnginesisResponse when the server request completes.
      */
-    quizPlay: function (quiz_id, game_group_id, overRideCallBackFunction) {
-        return sendRequest("QuizPlay", {game_id: quiz_id, game_group_id: game_group_id}, overRideCallBackFunction);
+    quizPlay: function (quiz_id, game_group_id, overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("QuizPlay", {quizId: quiz_id, gameGroupId: game_group_id}, overRideCallBackFunction, requestOptions);
     },
 
     /**
@@ -3997,10 +10699,11 @@ export default {
      * @param {integer} quiz_id if a specific quiz id is requested we try to return this one. If for some reason we cannot, the next quiz in the scheduled series is returned.
      * @param {integer} game_group_id quiz group id.
      * @param {function} overRideCallBackFunction
+     * @param {object} requestOptions Optional request options, see `request()`.
      * @returns {Promise} Resolves with the EnginesisResponse when the server request completes.
      */
-    quizPlayScheduled: function (quiz_id, game_group_id, overRideCallBackFunction) {
-        return sendRequest("QuizPlayScheduled", {game_id: quiz_id, game_group_id: game_group_id}, overRideCallBackFunction);
+    quizPlayScheduled: function (quiz_id, game_group_id, overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("QuizPlayScheduled", {quizId: quiz_id, gameGroupId: game_group_id}, overRideCallBackFunction, requestOptions);
     },
 
     /**
@@ -4008,10 +10711,11 @@ export default {
      * @param {integer} quiz_id
      * @param {integer} game_group_id
      * @param {function} overRideCallBackFunction
+     * @param {object} requestOptions Optional request options, see `request()`.
      * @returns {Promise} Resolves with the EnginesisResponse when the server request completes.
      */
-    quizOutcomesCountList: function(quiz_id, game_group_id, overRideCallBackFunction) {
-        return sendRequest("QuizOutcomesCountList", {game_id: quiz_id, game_group_id: game_group_id}, overRideCallBackFunction);
+    quizOutcomesCountList: function(quiz_id, game_group_id, overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("QuizOutcomesCountList", {quizId: quiz_id, gameGroupId: game_group_id}, overRideCallBackFunction, requestOptions);
     },
 
     /**
@@ -4019,10 +10723,11 @@ export default {
      * @param {integer} quiz_id
      * @param {object} results
      * @param {function} overRideCallBackFunction
+     * @param {object} requestOptions Optional request options, see `request()`.
      * @returns {Promise} Resolves with the EnginesisResponse when the server request completes.
      */
-    quizSubmit: function(quiz_id, results, overRideCallBackFunction) {
-        return sendRequest("QuizSubmit", {game_id: quiz_id, results: results}, overRideCallBackFunction);
+    quizSubmit: function(quiz_id, results, overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("QuizSubmit", {quizId: quiz_id, results: results}, overRideCallBackFunction, requestOptions);
     },
 
     /**
@@ -4033,17 +10738,166 @@ export default {
      * @param {integer} question_id
      * @param {integer} choice_id
      * @param {function} overRideCallBackFunction
+     * @param {object} requestOptions Optional request options, see `request()`.
      * @returns {Promise} Resolves with the EnginesisResponse when the server request completes.
      */
-    quizQuestionPlayed: function(quiz_id, question_id, choice_id, overRideCallBackFunction) {
-        return sendRequest("QuizQuestionPlayed", {game_id: quiz_id, question_id: question_id, choice_id: choice_id}, overRideCallBackFunction);
+    quizQuestionPlayed: function(quiz_id, question_id, choice_id, overRideCallBackFunction, requestOptions) {
+        return serviceCallPositional("QuizQuestionPlayed", {quizId: quiz_id, questionId: question_id, choiceId: choice_id}, overRideCallBackFunction, requestOptions);
+    },
+
+    /**
+     * Play a quiz, such as trivia between holes. The quiz runner loads the quiz and shows its questions one at a time.
+     * Answer each with `quizAnswer()`, the answer is recorded with `quizQuestionPlayed`. A question with a time limit is
+     * answered without a choice when its time runs out. After the last question the outcome is chosen, see the
+     * `quizOutcome` option of `init`, the results are submitted with `quizSubmit`, and what the other players got is
+     * fetched with `quizOutcomesCountList`. `quizChanged` is emitted each time the quiz changes. The quiz is kept on the
+     * device until it is complete, use `quizResume()` after the app reloads. A quiz being played is ended.
+     * @param {integer} quiz_id The quiz to play.
+     * @param {object} options Optional `gameGroupId` of the quiz group, and `scheduled` true to play the next quiz
+     *   of the group's schedule when the quiz cannot be played.
+     * @param {function} overRideCallBackFunction
+     * @param {object} requestOptions Optional request options, see `request()`.
+     * @returns {Promise} Resolves with an EnginesisResult, its result is the quiz, see `quizStateGet()`.
+     */
+    quizStart: function(quiz_id, options, overRideCallBackFunction, requestOptions) {
+        const quizOptions = options || {};
+        const serviceName = quizOptions.scheduled === true ? "QuizPlayScheduled" : "QuizPlay";
+        enginesisContext.quizQuit();
+        return quizServiceCall(serviceName, {quizId: quiz_id, gameGroupId: quizOptions.gameGroupId}, requestOptions)
+        .then(function(enginesisResult) {
+            if ( ! resultIsSuccess(enginesisResult)) {
+                return enginesisResult;
+            }
+            const quiz = quizFromResult(enginesisResult);
+            if (quiz == null) {
+                return makeErrorResponse("QUIZ_ERROR", "Quiz " + quiz_id + " has no questions.", {fn: serviceName});
+            }
+            enginesis.quizSession = {
+                quizId: quiz.quizId || parseInt(quiz_id, 10),
+                gameGroupId: quizOptions.gameGroupId,
+                quiz: quiz,
+                state: "question",
+                questionIndex: 0,
+                questionStartedAt: Date.now(),
+                answers: [],
+                outcome: null,
+                otherOutcomes: null
+            };
+            quizTimerStart();
+            quizSessionChanged();
+            return quizSessionResult(enginesis.quizSession, serviceName);
+        })
+        .then(function(enginesisResult) {
+            return answerCaller(enginesisResult, overRideCallBackFunction);
+        });
+    },
+
+    /**
+     * Answer the current question of the quiz being played, see `quizStart()`. The quiz goes to the next question, or
+     * after the last question it is finished.
+     * @param {integer} choice_id The choice the player picked.
+     * @param {function} overRideCallBackFunction
+     * @param {object} requestOptions Optional request options, see `request()`.
+     * @returns {Promise} Resolves with an EnginesisResult, its result is the quiz, see `quizStateGet()`.
+     */
+    quizAnswer: function(choice_id, overRideCallBackFunction, requestOptions) {
+        const quizSession = enginesis.quizSession;
+        let quizUpdate;
+        if (quizSession == null || quizSession.state != "question") {
+            quizUpdate = Promise.resolve(makeErrorResponse("QUIZ_ERROR", "There is no quiz question to answer.", {fn: "QuizQuestionPlayed"}));
+        } else {
+            quizUpdate = quizAnswerRecord(choice_id == null ? -1 : choice_id, requestOptions);
+        }
+        return quizUpdate
+        .then(function(enginesisResult) {
+            return answerCaller(enginesisResult, overRideCallBackFunction);
+        });
+    },
+
+    /**
+     * Continue the quiz that was being played before the app reloaded. The quiz is fetched again and the saved answers
+     * are checked with it. The time to answer the current question continues from when it was shown, if it ran out the
+     * question is answered without a choice. A finished quiz that was not yet submitted is submitted, unless its
+     * QuizSubmit is waiting on the service queue.
+     * @param {function} overRideCallBackFunction
+     * @param {object} requestOptions Optional request options, see `request()`.
+     * @returns {Promise} Resolves with an EnginesisResult, its result is the quiz, see `quizStateGet()`, or empty
+     *   when there is no quiz to resume. It is QUIZ_ERROR when the saved answers are not of the quiz.
+     */
+    quizResume: function(overRideCallBackFunction, requestOptions) {
+        let quizRestore;
+        if (enginesis.quizSession != null) {
+            quizRestore = Promise.resolve(enginesis.quizSession);
+        } else {
+            const savedSession = loadObjectWithKey(enginesis.quizSessionKey);
+            if (savedSession != null && ! quizSessionIsValid(savedSession)) {
+                debugLog("The saved quiz is not valid and cannot be resumed.");
+                removeObjectWithKey(enginesis.quizSessionKey);
+            }
+            quizRestore = quizSessionIsValid(savedSession) ? quizSessionRestore(savedSession, requestOptions) : Promise.resolve(null);
+        }
+        return quizRestore
+        .then(function(quizSession) {
+            if (quizSession == null) {
+                return makeErrorResponse("", "", {fn: "QuizPlay"});
+            }
+            if (quizSession.results) {
+                return quizSession;
+            }
+            enginesis.quizSession = quizSession;
+            if (quizSession.state == "submitting") {
+                return quizSubmitIsQueued(quizSession.quizId)
+                .then(function(isQueued) {
+                    if ( ! isQueued) {
+                        return quizSubmit(quizSession, requestOptions);
+                    }
+                    // the same as a quiz submitted while offline, it is complete without the other players' outcomes
+                    quizSession.state = "complete";
+                    quizSessionChanged();
+                    return quizSessionResult(quizSession, "QuizSubmit");
+                });
+            }
+            const question = quizSession.quiz.questions[quizSession.questionIndex];
+            if (quizSession.state == "question" && question.timeLimit > 0 && quizSession.questionStartedAt + question.timeLimit <= Date.now()) {
+                return quizAnswerRecord(null, requestOptions);
+            }
+            if (quizSession.state == "question") {
+                quizTimerStart();
+            }
+            return quizSessionResult(quizSession, "QuizPlay");
+        })
+        .then(function(enginesisResult) {
+            return answerCaller(enginesisResult, overRideCallBackFunction);
+        });
+    },
+
+    /**
+     * Get the quiz being played.
+     * @returns {object|null} The quiz: `quizId`, `title`, `state` "question", "submitting", or "complete",
+     *   `questionNumber` from 1, `questionCount`, the current `question` with its `questionId`, `question`, `choices`,
+     *   and `timeLimit` and `timeRemaining` in milliseconds, null without a limit, the `answers` with their
+     *   `questionId`, `choiceId`, null when the time ran out, `isCorrect`, and `timeTaken`, the `outcome` with the
+     *   `score`, `outcomeId`, and `title`, and `otherOutcomes`, the `outcomeId`, `title`, `count`, and `share` of
+     *   the outcomes other players got. Null when no quiz is being played.
+     */
+    quizStateGet: function() {
+        return enginesis.quizSession != null ? quizSessionDescribe(enginesis.quizSession) : null;
+    },
+
+    /**
+     * Stop playing the quiz. It cannot be resumed.
+     */
+    quizQuit: function() {
+        quizTimerStop();
+        enginesis.quizSession = null;
+        quizSessionSave();
     },
 
     /**
-     * Determine if the game_id in question is among the user's favorite games. This function will
-     * return an answer right away by looking at the cached list of games. If a call back function is
-     * provided, the server will be queried for a updated list of favorite games and the test
-     * will be done asynchronously.
+     * Determine if the game_id in question is among the player's favorite games. This function will
+     * return an answer right away by looking at the list of favorite games shown to the player. If a call back
+     * function is provided and a user is logged in, the server will be queried for a updated list of favorite games
+     * and the test will be done asynchronously.
      *
      * @param {integer} game_id A game id to check, or null/0 to check the current game id.
      * @param {function} callBackFunction If provided, query the server then call this function with the result.
@@ -4051,136 +10905,114 @@ export default {
      */
     isUserFavoriteGame: function (game_id, callBackFunction) {
         const gameId = parseInt(game_id, 10) || enginesis.gameId;
-        const isFavorite = enginesis.favoriteGames.has(gameId);
-        if (typeof callBackFunction === "function" && enginesis.favoriteGamesNextCheck < Date.now()) {
-            enginesisContext.userFavoriteGamesList()
-            .then(function(enginesisResult) {
-                // @todo: handle error from enginesisResult
-                callBackFunction(gameId, enginesis.favoriteGames.has(gameId));
-            });
+        const isFavorite = enginesis.favoriteGames.includes(gameId);
+        if (typeof callBackFunction === "function") {
+            if ( ! enginesis.isUserLoggedIn) {
+                callBackFunction(gameId, isFavorite);
+            } else if (enginesis.favoriteGamesNextCheck < Date.now()) {
+                const favoriteGamesUpdated = function() {
+                    // @todo: handle error from enginesisResult
+                    callBackFunction(gameId, enginesis.favoriteGames.includes(gameId));
+                };
+                enginesisContext.userFavoriteGamesList()
+                .then(favoriteGamesUpdated, favoriteGamesUpdated);
+            }
         }
         return isFavorite;
     },
 
+    /**
+     * Get the player's favorite games in order, as they are shown to the player. This includes changes the
+     * server has not confirmed yet. The account's favorite games are requested from the server the first time
+     * after a user logs in. `favoriteGamesChanged` is emitted when the list changes.
+     * @returns {Promise} Resolves with the game ids.
+     */
+    favoriteGamesGet: function() {
+        const isLoaded = ! enginesis.isUserLoggedIn || enginesis.favoriteGamesNextCheck > 0;
+        return (isLoaded ? Promise.resolve(null) : enginesisContext.userFavoriteGamesList(function() {}))
+        .catch(function() {
+            // rejectOnError, the favorites request has already reported its error
+            return null;
+        })
+        .then(function() {
+            return enginesis.favoriteGames.slice();
+        });
+    },
+
     /**
      * Get list of users favorite games. User must be logged in.
      * @param {function} overRideCallBackFunction
+     * @param {object} requestOptions Optional request options, see `request()`.
      * @returns {Promise} Resolves with the EnginesisResponse when the server request completes.
      */
-    userFavoriteGamesList: function (overRideCallBackFunction) {
+    userFavoriteGamesList: function (overRideCallBackFunction, requestOptions) {
         // @todo: wait until timer expires? Or do it now because caller wants it now?
         // if (enginesis.favoriteGamesNextCheck < Date.now()) {
         enginesis.favoriteGamesNextCheck = Date.now() + 60000;
-        return sendRequest("UserFavoriteGamesList", {}, overRideCallBackFunction);
+        return serviceCallPositional("UserFavoriteGamesList", {}, overRideCallBackFunction, requestOptions);
     },
 
     /**
-     * Assign a game-id to the list of user favorite games. User must be logged in.
+     * Assign a game-id to the list of the player's favorite games. The game is shown as a favorite right away, and
+     * if the server does not accept it the change is undone. When no user is logged in the favorite games are kept
+     * on this device and added to the account when the player logs in.
      * @param {integer} game_id
      * @param {function} overRideCallBackFunction
+     * @param {object} requestOptions Optional request options, see `request()`.
      * @returns {Promise} Resolves with the EnginesisResponse when the server request completes.
      */
-    userFavoriteGamesAssign: function(game_id, overRideCallBackFunction) {
-        const serviceName = "UserFavoriteGamesAssign";
+    userFavoriteGamesAssign: function(game_id, overRideCallBackFunction, requestOptions) {
         const gameId = game_id || enginesis.gameId;
-        const serviceParameters = {
-            game_id: gameId
-        };
-        enginesis.favoriteGames.add(gameId);
-        if ( ! enginesis.isUserLoggedIn) {
-            const errorCode = "NOT_AUTHENTICATED";
-            const errorMessage = "You must log in to update your favorite games.";
-            anonymousUserSave();
-            return immediateErrorResponse(serviceName, serviceParameters, errorCode, errorMessage, overRideCallBackFunction);
-        } else {
-            return sendRequest(serviceName, serviceParameters, overRideCallBackFunction);
-        }
+        return favoriteGamesChange("UserFavoriteGamesAssign", {action: "assign", gameIds: favoriteGameIds(gameId)}, {gameId: gameId}, overRideCallBackFunction, requestOptions);
     },
 
     /**
-     * Assign a list of game-ids to the list of user favorite games. User must be logged in. List is separated by commas.
-     * @param {integer} game_id_list
+     * Assign a list of game-ids to the list of the player's favorite games. List is separated by commas.
+     * See `userFavoriteGamesAssign()`.
+     * @param {string} game_id_list
      * @param {function} overRideCallBackFunction
+     * @param {object} requestOptions Optional request options, see `request()`.
      * @returns {Promise} Resolves with the EnginesisResponse when the server request completes.
      */
-    userFavoriteGamesAssignList: function(game_id_list, overRideCallBackFunction) {
-        const gameIdList = game_id_list.split(",");
-        for (let i = 0; i < gameIdList.length; i += 1) {
-            enginesis.favoriteGames.add(gameIdList[i]);
-        }
-        const serviceName = "UserFavoriteGamesAssignList";
-        const serviceParameters = {
-            game_id_list: game_id_list,
-            delimiter: ","
-        };
-        if ( ! enginesis.isUserLoggedIn) {
-            const errorCode = "NOT_AUTHENTICATED";
-            const errorMessage = "You must log in to update your favorite games.";
-            anonymousUserSave();
-            return immediateErrorResponse(serviceName, serviceParameters, errorCode, errorMessage, overRideCallBackFunction);
-        } else {
-            return sendRequest(serviceName, serviceParameters, overRideCallBackFunction);
-        }
+    userFavoriteGamesAssignList: function(game_id_list, overRideCallBackFunction, requestOptions) {
+        return favoriteGamesChange("UserFavoriteGamesAssignList", {action: "assign", gameIds: favoriteGameIds(game_id_list)}, {gameIdList: game_id_list}, overRideCallBackFunction, requestOptions);
     },
 
     /**
-     * Remove a game-id from the list of user favorite games. User must be logged in.
+     * Remove a game-id from the list of the player's favorite games. See `userFavoriteGamesAssign()`.
      * @param {integer|null} game_id
      * @param {function} overRideCallBackFunction
+     * @param {object} requestOptions Optional request options, see `request()`.
      * @returns {Promise} Resolves with the EnginesisResponse when the server request completes.
      */
-    userFavoriteGamesUnassign: function(game_id, overRideCallBackFunction) {
+    userFavoriteGamesUnassign: function(game_id, overRideCallBackFunction, requestOptions) {
         const gameId = game_id || enginesis.gameId;
-        const serviceName = "UserFavoriteGamesUnassign";
-        const serviceParameters = {
-            game_id: gameId
-        };
-        enginesis.favoriteGames.delete(gameId);
-        if ( ! enginesis.isUserLoggedIn) {
-            const errorCode = "NOT_AUTHENTICATED";
-            const errorMessage = "You must log in to update your favorite games.";
-            anonymousUserSave();
-            return immediateErrorResponse(serviceName, serviceParameters, errorCode, errorMessage, overRideCallBackFunction);
-        } else {
-            return sendRequest(serviceName, serviceParameters, overRideCallBackFunction);
-        }
+        return favoriteGamesChange("UserFavoriteGamesUnassign", {action: "unassign", gameIds: favoriteGameIds(gameId)}, {gameId: gameId}, overRideCallBackFunction, requestOptions);
     },
 
     /**
-     * Remove a list of game-ids from the list of user favorite games. User must be logged in. List is separated by commas.
-     * @param {integer} game_id_list
+     * Remove a list of game-ids from the list of the player's favorite games. List is separated by commas.
+     * See `userFavoriteGamesAssign()`.
+     * @param {string} game_id_list
      * @param {function} overRideCallBackFunction
+     * @param {object} requestOptions Optional request options, see `request()`.
      * @returns {Promise} Resolves with the EnginesisResponse when the server request completes.
      */
-    userFavoriteGamesUnassignList: function(game_id_list, overRideCallBackFunction) {
-        const gameIdList = game_id_list.split(",");
-        for (let i = 0; i < gameIdList.length; i += 1) {
-            enginesis.favoriteGames.delete(gameIdList[i]);
-        }
-        const serviceName = "UserFavoriteGamesUnassignList";
-        const serviceParameters = {
-            game_id_list: game_id_list,
-            delimiter: ","
-        };
-        if ( ! enginesis.isUserLoggedIn) {
-            const errorCode = "NOT_AUTHENTICATED";
-            const errorMessage = "You must log in to update your favorite games.";
-            anonymousUserSave();
-            return immediateErrorResponse(serviceName, serviceParameters, errorCode, errorMessage, overRideCallBackFunction);
-        } else {
-            return sendRequest(serviceName, serviceParameters, overRideCallBackFunction);
-        }
+    userFavoriteGamesUnassignList: function(game_id_list, overRideCallBackFunction, requestOptions) {
+        return favoriteGamesChange("UserFavoriteGamesUnassignList", {action: "unassign", gameIds: favoriteGameIds(game_id_list)}, {gameIdList: game_id_list}, overRideCallBackFunction, requestOptions);
     },
 
     /**
-     * Change the order of a game in the list of user favorites.
+     * Change the order of a game in the list of the player's favorite games. See `userFavoriteGamesAssign()`.
      * @param {integer} game_id
-     * @param {integer} sort_order
+     * @param {integer} sort_order The position the game is moved to, 1 is the first.
      * @param {function} overRideCallBackFunction
+     * @param {object} requestOptions Optional request options, see `request()`.
      * @returns {Promise} Resolves with the EnginesisResponse when the server request completes.
      */
-    userFavoriteGamesMove: function(game_id, sort_order, overRideCallBackFunction) {
-        return sendRequest("UserFavoriteGamesMove", {game_id: game_id, sort_order: sort_order}, overRideCallBackFunction);
+    userFavoriteGamesMove: function(game_id, sort_order, overRideCallBackFunction, requestOptions) {
+        const change = {action: "move", gameIds: favoriteGameIds(game_id), sortOrder: parseInt(sort_order, 10) || 1};
+        return favoriteGamesChange("UserFavoriteGamesMove", change, {gameId: game_id, sortOrder: sort_order}, overRideCallBackFunction, requestOptions);
     },
 
     anonymousUserSetDateLastVisit: function() {
@@ -4277,14 +11109,43 @@ export default {
     },
 
     /**
-     * Add a favorite game_id to the user favorite games list only if it does not already exist in the list.
+     * Add a favorite game_id to the anonymous player's favorite games list only if it does not already exist in the list.
+     * Once a user is logged in this is the same as `userFavoriteGamesAssign()`.
      * @param {integer} gameId
+     * @returns {Promise} Resolves with the EnginesisResponse when the game was added.
      */
     anonymousUserAddFavoriteGame: function(gameId) {
+        return favoriteGamesChange("UserFavoriteGamesAssign", {action: "assign", gameIds: favoriteGameIds(gameId)}, {gameId: gameId});
+    },
+
+    /**
+     * Keep a score of an anonymous player so it can be added to their account once they log in or register.
+     * Only the newest `anonymousUserMaxScores` scores are kept.
+     * @param {integer} gameId The game that was played.
+     * @param {integer} score The score.
+     * @param {integer} level The game level the score pertains to. Use 0 for final score.
+     * @param {string|object} gameData Game-specific data of the game play, submitted with the score.
+     * @param {integer} timePlayed The number of milliseconds the game was played.
+     * @param {object} playEvidence Optional evidence of the game play, see `scoreSubmit()`. It is submitted with the
+     *    score so the server can check the time played, as the session it was played in has ended when it is submitted.
+     */
+    anonymousUserAddScore: function(gameId, score, level, gameData, timePlayed, playEvidence) {
         if (enginesis.anonymousUser == null) {
             anonymousUserLoad();
         }
-        enginesis.anonymousUser.favoriteGames.add(gameId);
+        const scores = enginesis.anonymousUser.scores;
+        scores.push({
+            gameId: isEmpty(gameId) ? enginesis.gameId : gameId,
+            level: level || 0,
+            score: score,
+            gameData: gameData,
+            timePlayed: timePlayed,
+            playEvidence: playEvidence || null,
+            dateCreated: Date.now()
+        });
+        if (scores.length > enginesis.anonymousUserMaxScores) {
+            scores.splice(0, scores.length - enginesis.anonymousUserMaxScores);
+        }
         anonymousUserSave();
     },
 
@@ -4308,7 +11169,7 @@ export default {
         return "https://" + enginesis.serverHost + "/sites/" + enginesis.siteId + "/conf/" + conferenceId + "/";
     },
 
-    conferenceGet: function(conferenceId, overRideCallBackFunction) {
+    conferenceGet: function(conferenceId, overRideCallBackFunction, requestOptions) {
         let visibleId;
         if (parseInt(conferenceId, 10) > 0) {
             visibleId = "";
@@ -4316,10 +11177,10 @@ export default {
             visibleId = conferenceId;
             conferenceId = 0;
         }
-        return sendRequest("ConferenceGet", {conference_id: conferenceId, visible_id: visibleId}, overRideCallBackFunction);
+        return serviceCallPositional("ConferenceGet", {conferenceId: conferenceId, visibleId: visibleId}, overRideCallBackFunction, requestOptions);
     },
 
-    conferenceTopicGet: function(conferenceId, conferenceTopicId, overRideCallBackFunction) {
+    conferenceTopicGet: function(conferenceId, conferenceTopicId, overRideCallBackFunction, requestOptions) {
         let visibleId;
         if (parseInt(conferenceId, 10) > 0) {
             visibleId = "";
@@ -4327,10 +11188,10 @@ export default {
             visibleId = conferenceId;
             conferenceId = 0;
         }
-        return sendRequest("ConferenceTopicGet", {conference_id: conferenceId, visible_id: visibleId, conference_topic_id: conferenceTopicId}, overRideCallBackFunction);
+        return serviceCallPositional("ConferenceTopicGet", {conferenceId: conferenceId, visibleId: visibleId, conferenceTopicId: conferenceTopicId}, overRideCallBackFunction, requestOptions);
     },
 
-    conferenceTopicList: function(conferenceId, tags, startDate, endDate, startItem, numItems, overRideCallBackFunction) {
+    conferenceTopicList: function(conferenceId, tags, startDate, endDate, startItem, numItems, overRideCallBackFunction, requestOptions) {
         let visibleId;
         if (parseInt(conferenceId, 10) > 0) {
             visibleId = "";
@@ -4338,7 +11199,7 @@ export default {
             visibleId = conferenceId;
             conferenceId = 0;
         }
-        return sendRequest("ConferenceTopicList", {conference_id: conferenceId, visible_id: visibleId, tags: tags, start_date: startDate, end_date: endDate, start_item: startItem, num_items: numItems}, overRideCallBackFunction);
+        return serviceCallPositional("ConferenceTopicList", {conferenceId: conferenceId, visibleId: visibleId, tags: tags, startDate: startDate, endDate: endDate, startItem: startItem, numItems: numItems}, overRideCallBackFunction, requestOptions);
     },
 
     // @private: Exported private functions for unit testing only
@@ -0,0 +1,70 @@
+import { jest, describe, test, expect } from "@jest/globals";
+import { useEnginesisFixture, gameId, nextEvent } from "./enginesisFixture.js";
+import enginesis from "../public/js/lib/enginesis.js";
+
+describe("account merge", function() {
+    const mockServer = useEnginesisFixture();
+
+    function allScoresSent() {
+        return nextEvent(enginesis, "scoresPending", function(event) {
+            return event.count == 0;
+        });
+    }
+
+    test("adds anonymous favorites and scores to the account after log in", async function() {
+        enginesis.anonymousUserAddFavoriteGame(1083);
+        enginesis.anonymousUserAddFavoriteGame(1084);
+        enginesis.anonymousUserAddScore(gameId, 700, 1, {holes: 3}, 30000);
+        enginesis.anonymousUserAddScore(gameId, 900, 2, {holes: 6}, 45000);
+        const accountMerged = nextEvent(enginesis, "accountMerged");
+        const scoresSent = allScoresSent();
+        await enginesis.userLogin("tester", "test-password");
+        expect(await accountMerged).toEqual({type: "accountMerged", userId: 10241, favoriteGames: 2, scores: 2});
+        await scoresSent;
+        expect(mockServer.favoriteGames[10241]).toEqual([1083, 1084]);
+        expect(mockServer.scores.map(function(score) {
+            return [score.user_id, score.level_id, score.score, score.game_data];
+        })).toEqual([[10241, 1, 700, "{\"holes\":3}"], [10241, 2, 900, "{\"holes\":6}"]]);
+        expect(window.localStorage.getItem("enginesis.106.enginesisAnonymousUser")).toBeNull();
+    });
+
+    test("adds an anonymous score played longer than the new session has lasted", async function() {
+        const playedAt = Date.now() - 60 * 60 * 1000;
+        jest.spyOn(Date, "now").mockReturnValue(playedAt);
+        enginesis.anonymousUserAddScore(gameId, 2400, 0, {holes: 18}, 25 * 60 * 1000, {strokes: [[12, 40], [3, 88]], checkpoints: [600000, 1450000]});
+        Date.now.mockRestore();
+        const scoresSent = allScoresSent();
+        await enginesis.userLogin("tester", "test-password");
+        await scoresSent;
+        expect(mockServer.scores).toEqual([expect.objectContaining({score: 2400, time_played: 25 * 60 * 1000, strokes: 2, checkpoints: "600000,1450000"})]);
+    });
+
+    test("does not merge the same anonymous player twice", async function() {
+        const accountMergedListener = jest.fn();
+        enginesis.anonymousUserAddFavoriteGame(1084);
+        enginesis.on("accountMerged", accountMergedListener);
+        const accountMerged = nextEvent(enginesis, "accountMerged");
+        await enginesis.userLogin("tester", "test-password");
+        await accountMerged;
+        await enginesis.userLogout();
+        await enginesis.userLogin("tester", "test-password");
+        enginesis.off("accountMerged", accountMergedListener);
+        expect(accountMergedListener).toHaveBeenCalledTimes(1);
+        expect(mockServer.requestsFor("UserFavoriteGamesAssignList").length).toBe(1);
+    });
+
+    test("prefills a registration from the anonymous player and merges their scores", async function() {
+        enginesis.anonymousUserSetUserName("putter");
+        enginesis.anonymousUserSetSubscriberEmail("putter@example.com");
+        enginesis.anonymousUserAddScore(gameId, 1200, 0, {holes: 9}, 60000);
+        const accountMerged = nextEvent(enginesis, "accountMerged");
+        const scoresSent = allScoresSent();
+        const enginesisResult = await enginesis.registeredUserCreate("", "putter-password", "");
+        expect(enginesis.isError(enginesisResult)).toBe(false);
+        expect(mockServer.requestsFor("RegisteredUserCreate")[0]).toEqual(expect.objectContaining({user_name: "putter", email_address: "putter@example.com"}));
+        expect(enginesis.isUserLoggedIn()).toBe(true);
+        expect((await accountMerged).scores).toBe(1);
+        await scoresSent;
+        expect(mockServer.scores).toEqual([expect.objectContaining({user_name: "putter", score: 1200})]);
+    });
+});
@@ -0,0 +1,196 @@
+import { jest, describe, test, expect, afterEach } from "@jest/globals";
+import { useEnginesisFixture, gameId, initParameters, waitFor } from "./enginesisFixture.js";
+import enginesis, { analyticsSinks } from "../public/js/lib/enginesis.js";
+
+describe("analytics pipeline", function() {
+    const mockServer = useEnginesisFixture(null);
+    let memorySink;
+
+    function analyticsInit(analyticsOptions) {
+        memorySink = analyticsSinks.memory();
+        enginesis.init({...initParameters, analytics: {sinks: [memorySink], ...analyticsOptions}});
+    }
+
+    afterEach(function() {
+        enginesis.init(initParameters);
+    });
+
+    test("sends nothing until the player agrees and then sends the waiting events in batches", async function() {
+        analyticsInit({batchSize: 2});
+        expect(enginesis.analyticsConsentGet()).toBeNull();
+        await enginesis.analyticsTrack("round_start", {courseId: 3, holes: 9});
+        await enginesis.analyticsTrack("hole_complete", {courseId: 3, hole: 1, strokes: "2", par: 3});
+        await enginesis.gameTrackingRecord("level", "start", "hole 2");
+        expect(await enginesis.analyticsFlush()).toBe(0);
+        expect(memorySink.events).toEqual([]);
+        expect(mockServer.trackingEvents).toEqual([]);
+
+        expect(await enginesis.analyticsConsentSet(true)).toBe(3);
+        expect(memorySink.events.map(function(event) {
+            return event.name;
+        })).toEqual(["round_start", "hole_complete", "game_event"]);
+        expect(memorySink.events[1]).toEqual(expect.objectContaining({category: "hole", data: {courseId: 3, hole: 1, strokes: 2, par: 3}, gameId: gameId, sampleRate: 1}));
+        expect(memorySink.events[2].data).toEqual({category: "level", action: "start", label: "hole 2"});
+
+        // the consent is saved, so the next session does not ask again
+        analyticsInit();
+        expect(enginesis.analyticsConsentGet()).toBe(true);
+    });
+
+    test("drops the waiting events when the player refuses", async function() {
+        analyticsInit();
+        await enginesis.analyticsTrack("stroke", {courseId: 3, hole: 1, strokeNumber: 1, power: 0.8});
+        expect(await enginesis.analyticsConsentSet(false)).toBe(0);
+        await enginesis.analyticsTrack("stroke", {courseId: 3, hole: 1, strokeNumber: 2});
+        await enginesis.analyticsConsentSet(true);
+        expect(memorySink.events).toEqual([]);
+        expect(JSON.parse(window.localStorage.getItem("enginesis.106.enginesisAnalyticsConsent"))).toEqual(expect.objectContaining({hasConsent: true}));
+    });
+
+    test("checks events with the catalog and keeps only the sampled share of a category", async function() {
+        analyticsInit({sampleRates: {stroke: 0}});
+        await enginesis.analyticsConsentSet(true);
+        const unknownEvent = await enginesis.analyticsTrack("ball_in_water", {hole: 4});
+        const missingProperty = await enginesis.analyticsTrack("hole_complete", {courseId: 3, hole: 1, strokes: 2});
+        const invalidProperty = await enginesis.analyticsTrack("round_start", {courseId: "windmill", holes: 9});
+        expect(unknownEvent.results.status.message).toBe("INVALID_PARAMETER");
+        expect(missingProperty.results.status.message).toBe("MISSING_PARAM");
+        expect(invalidProperty.results.status.message).toBe("INVALID_PARAMETER");
+
+        expect(enginesis.analyticsEventRegister("ball_in_water", {category: "hazard", parameters: [{name: "hole", type: "integer", required: true}]})).toBe(true);
+        expect(enginesis.analyticsEventRegister("ball_lost", {category: "hazard", parameters: [{name: "hole", type: "whole"}]})).toBe(false);
+        const sampledOut = await enginesis.analyticsTrack("stroke", {courseId: 3, hole: 4, strokeNumber: 1});
+        const registeredEvent = await enginesis.analyticsTrack("ball_in_water", {hole: 4});
+        expect(enginesis.isError(sampledOut)).toBe(false);
+        expect(enginesis.isError(registeredEvent)).toBe(false);
+        expect(await enginesis.analyticsFlush()).toBe(1);
+        expect(memorySink.events.map(function(event) {
+            return event.name;
+        })).toEqual(["ball_in_water"]);
+    });
+
+    test("sends a batch to Enginesis in one request after the flush interval", async function() {
+        enginesis.init({...initParameters, analytics: {sinks: ["enginesis"], flushInterval: 10}});
+        await enginesis.analyticsConsentSet(true);
+        await enginesis.analyticsTrack("round_start", {courseId: 3, holes: 9});
+        await enginesis.analyticsTrack("round_complete", {courseId: 3, strokes: 31, par: 27});
+        expect(mockServer.trackingEvents).toEqual([]);
+        await waitFor(50);
+        expect(mockServer.trackingEvents.length).toBe(1);
+        expect(mockServer.trackingEvents[0]).toEqual(expect.objectContaining({hit_category: "analytics", hit_action: "batch", hit_label: "2", hit_type: "game_event_batch"}));
+        const hit = JSON.parse(mockServer.trackingEvents[0].hit_data);
+        expect(hit).toEqual(expect.objectContaining({g: gameId, u: 0}));
+        expect(hit.e.map(function(event) {
+            return [event[0], event[2]];
+        })).toEqual([["round_start", [3, 9]], ["round_complete", [3, 31, 27]]]);
+    });
+
+    test("batches many events in one request within the hit data the server takes by default", async function() {
+        enginesis.init({...initParameters, analytics: {sinks: ["enginesis"]}});
+        await enginesis.analyticsConsentSet(true);
+        await enginesis.analyticsTrack("round_start", {courseId: 3, holes: 9});
+        for (let strokeNumber = 1; strokeNumber <= 4; strokeNumber += 1) {
+            await enginesis.analyticsTrack("stroke", {courseId: 3, hole: 1, strokeNumber: strokeNumber, power: 0.8, angle: 12.5});
+        }
+        await enginesis.analyticsTrack("hole_complete", {courseId: 3, hole: 1, strokes: 4, par: 3});
+        await enginesis.analyticsFlush();
+        expect(mockServer.trackingEvents.length).toBe(1);
+        expect(mockServer.trackingEvents[0].hit_label).toBe("6");
+        expect(new TextEncoder().encode(mockServer.trackingEvents[0].hit_data).length).toBeLessThanOrEqual(255);
+    });
+
+    test("splits a batch to Enginesis so the hit data of each request fits what the server takes", async function() {
+        enginesis.init({...initParameters, analytics: {sinks: ["enginesis"]}});
+        await enginesis.analyticsConsentSet(true);
+        await enginesis.analyticsTrack("round_start", {courseId: 3, holes: 9});
+        await enginesis.analyticsTrack("stroke", {courseId: 3, hole: 1, strokeNumber: 1, power: 0.8, angle: 12.5});
+        await enginesis.analyticsTrack("hole_complete", {courseId: 3, hole: 1, strokes: 1, par: 3});
+        await enginesis.analyticsTrack("round_complete", {courseId: 3, strokes: 1, par: 3});
+        for (let strokeNumber = 1; strokeNumber <= 10; strokeNumber += 1) {
+            await enginesis.analyticsTrack("stroke", {courseId: 3, hole: 2, strokeNumber: strokeNumber, power: 0.8, angle: 12.5});
+        }
+        await enginesis.analyticsFlush();
+        expect(mockServer.trackingEvents.length).toBeGreaterThan(1);
+        const hitData = mockServer.trackingEvents.map(function(trackingEvent) {
+            return trackingEvent.hit_data;
+        });
+        hitData.forEach(function(hit) {
+            expect(new TextEncoder().encode(hit).length).toBeLessThanOrEqual(255);
+        });
+        expect(hitData.flatMap(function(hit) {
+            return JSON.parse(hit).e;
+        }).map(function(event) {
+            return event[0];
+        })).toEqual(["round_start", "stroke", "hole_complete", "round_complete"].concat(new Array(10).fill("stroke")));
+    });
+
+    test("cuts the hit data of a game event to what the server takes and sends it", async function() {
+        enginesis.init({...initParameters, analytics: {sinks: ["enginesis"]}});
+        await enginesis.analyticsConsentSet(true);
+        await enginesis.gameTrackingRecord("level", "complete", "hole 3", "x".repeat(300));
+        await enginesis.analyticsFlush();
+        expect(mockServer.trackingEvents).toEqual([expect.objectContaining({hit_category: "level", hit_action: "complete", hit_label: "hole 3", hit_data: "x".repeat(255)})]);
+    });
+
+    test("sends the waiting events with keepalive when the page is hidden", async function() {
+        const listeners = {};
+        const keepAliveServices = [];
+        window.addEventListener = function(eventType, listener) {
+            listeners[eventType] = listener;
+        };
+        window.removeEventListener = function(eventType) {
+            delete listeners[eventType];
+        };
+        enginesis.setNodeRequest(function(url, requestOptions) {
+            if (requestOptions.keepalive) {
+                keepAliveServices.push(new URLSearchParams(requestOptions.body).get("fn"));
+            }
+            return mockServer.request(url, requestOptions);
+        });
+        enginesis.init({...initParameters, analytics: {sinks: ["enginesis"], flushInterval: 60000}});
+        await enginesis.analyticsConsentSet(true);
+        await enginesis.analyticsTrack("round_complete", {courseId: 3, strokes: 31, par: 27});
+        expect(mockServer.trackingEvents).toEqual([]);
+        listeners.pagehide();
+        await waitFor(20);
+        enginesis.init(initParameters);
+        delete window.addEventListener;
+        delete window.removeEventListener;
+        expect(keepAliveServices).toEqual(["GameTrackingRecord"]);
+        expect(JSON.parse(mockServer.trackingEvents[0].hit_data).e[0][0]).toBe("round_complete");
+        expect(listeners.pagehide).toBeUndefined();
+    });
+
+    test("pushes the events to the dataLayer of Tag Manager or to Google Analytics", async function() {
+        window.dataLayer = [];
+        enginesis.init({...initParameters, analytics: {sinks: ["dataLayer"]}});
+        await enginesis.analyticsConsentSet(true);
+        await enginesis.analyticsTrack("hole_complete", {courseId: 3, hole: 2, strokes: 4, par: 3});
+        await enginesis.gameTrackingRecord("level", "start", "hole 3");
+        await enginesis.analyticsFlush();
+        expect(window.dataLayer).toEqual([
+            {event: "hole_complete", gameid: "1083", action: "hole", label: "", value: "{\"courseId\":3,\"hole\":2,\"strokes\":4,\"par\":3}"},
+            {event: "level", gameid: "1083", action: "start", label: "hole 3", value: ""}
+        ]);
+        delete window.dataLayer;
+
+        window.ga = jest.fn();
+        await enginesis.gameTrackingRecord("level", "complete", "hole 3", "4");
+        await enginesis.analyticsFlush();
+        expect(window.ga).toHaveBeenCalledWith("send", "event", "level", "complete", "hole 3", "4");
+        delete window.ga;
+        expect(mockServer.trackingEvents).toEqual([]);
+    });
+
+    test("does not send a game event without the pipeline once the player refused", async function() {
+        enginesis.init(initParameters);
+        await enginesis.analyticsConsentSet(false);
+        const refusedResult = await enginesis.gameTrackingRecord("level", "start", "hole 1");
+        expect(enginesis.isError(refusedResult)).toBe(false);
+        expect(mockServer.trackingEvents).toEqual([]);
+
+        await enginesis.analyticsConsentSet(true);
+        await enginesis.gameTrackingRecord("level", "start", "hole 1");
+        expect(mockServer.trackingEvents).toEqual([expect.objectContaining({hit_category: "level", hit_action: "start", hit_label: "hole 1"})]);
+    });
+});
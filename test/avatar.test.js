@@ -0,0 +1,129 @@
+import { describe, test, expect } from "@jest/globals";
+import zlib from "zlib";
+import { useEnginesisFixture, initParameters } from "./enginesisFixture.js";
+import enginesis, { imageCodecs, InvalidParameterError } from "../public/js/lib/enginesis.js";
+
+const red = [255, 0, 0];
+const blue = [0, 0, 255];
+
+/**
+ * Make a PNG file the way a camera or photo editor would, RGB pixels and metadata chunks.
+ * @param {integer} width Image width.
+ * @param {integer} height Image height.
+ * @param {function} pixelColor Returns the RGB of the pixel at x, y.
+ * @returns {Blob} The PNG file.
+ */
+function makePNG(width, height, pixelColor) {
+    function chunk(chunkType, chunkData) {
+        const chunkBuffer = Buffer.alloc(chunkData.length + 12);
+        chunkBuffer.writeUInt32BE(chunkData.length, 0);
+        chunkBuffer.write(chunkType, 4, "ascii");
+        chunkData.copy(chunkBuffer, 8);
+        chunkBuffer.writeUInt32BE(zlib.crc32(chunkBuffer.subarray(4, chunkData.length + 8)), chunkData.length + 8);
+        return chunkBuffer;
+    }
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;
+    header[9] = 2;
+    const rows = Buffer.alloc((width * 3 + 1) * height);
+    for (let y = 0; y < height; y += 1) {
+        for (let x = 0; x < width; x += 1) {
+            Buffer.from(pixelColor(x, y)).copy(rows, y * (width * 3 + 1) + 1 + x * 3);
+        }
+    }
+    return new Blob([
+        Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]),
+        chunk("IHDR", header),
+        chunk("eXIf", Buffer.from("Exif GPS 37.7749 -122.4194")),
+        chunk("tEXt", Buffer.from("Author\0Camera Owner")),
+        chunk("IDAT", zlib.deflateSync(rows)),
+        chunk("IEND", Buffer.alloc(0))
+    ], {type: "image/png"});
+}
+
+/**
+ * Get the RGB of a pixel of a decoded image.
+ */
+function pixelAt(image, x, y) {
+    const pixel = (y * image.width + x) * 4;
+    return Array.from(image.data.subarray(pixel, pixel + 3));
+}
+
+describe("avatar", function() {
+    const mockServer = useEnginesisFixture();
+    const halfRedHalfBlue = makePNG(400, 200, function(x) {
+        return x < 200 ? red : blue;
+    });
+
+    test("crops the center square and makes each avatar size", async function() {
+        const pngCodec = imageCodecs.png();
+        const preparedAvatar = await enginesis.avatarPrepare(halfRedHalfBlue);
+        expect(preparedAvatar.crop).toEqual({x: 100, y: 0, size: 200});
+        expect(preparedAvatar.images.map(function(avatarImage) {
+            return avatarImage.width;
+        })).toEqual([50, 150, 200]);
+        const smallImage = await pngCodec.decode(preparedAvatar.images[0].blob);
+        expect(smallImage.width).toBe(50);
+        expect(smallImage.height).toBe(50);
+        expect(pixelAt(smallImage, 10, 25)).toEqual(red);
+        expect(pixelAt(smallImage, 40, 25)).toEqual(blue);
+    });
+
+    test("crops the square the user picked", async function() {
+        const preparedAvatar = await enginesis.avatarPrepare(halfRedHalfBlue, {crop: {x: 300, y: 50, size: 150}});
+        expect(preparedAvatar.crop).toEqual({x: 250, y: 50, size: 150});
+        const mediumImage = await imageCodecs.png().decode(preparedAvatar.images[1].blob);
+        expect(pixelAt(mediumImage, 0, 0)).toEqual(blue);
+        expect(pixelAt(mediumImage, 149, 149)).toEqual(blue);
+    });
+
+    test("does not keep the image metadata", async function() {
+        const preparedAvatar = await enginesis.avatarPrepare(halfRedHalfBlue);
+        const imageBytes = Buffer.from(await preparedAvatar.images[2].blob.arrayBuffer()).toString("latin1");
+        expect(imageBytes).not.toContain("eXIf");
+        expect(imageBytes).not.toContain("GPS");
+        expect(imageBytes).not.toContain("tEXt");
+    });
+
+    test("makes images smaller until they fit the byte limit", async function() {
+        let seed = 7;
+        const noise = makePNG(200, 200, function() {
+            seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+            return [seed & 0xff, (seed >> 8) & 0xff, (seed >> 16) & 0xff];
+        });
+        const preparedAvatar = await enginesis.avatarPrepare(noise, {maxBytes: 20000});
+        preparedAvatar.images.forEach(function(avatarImage) {
+            expect(avatarImage.blob.size).toBeLessThanOrEqual(20000);
+        });
+        expect(preparedAvatar.images[0].width).toBe(50);
+        expect(preparedAvatar.images[2].width).toBeLessThan(200);
+        expect(preparedAvatar.images[1].width).toBeLessThanOrEqual(preparedAvatar.images[2].width);
+    });
+
+    test("rejects a file that is not an image", async function() {
+        await expect(enginesis.avatarPrepare(new Blob(["hello"], {type: "text/plain"}))).rejects.toBeInstanceOf(InvalidParameterError);
+        await expect(enginesis.avatarPrepare(new Blob(["not a png"], {type: "image/png"}))).rejects.toMatchObject({code: "INVALID_FILE_TYPE"});
+    });
+
+    test("does not start with an image codec it does not have", function() {
+        expect(enginesis.init({...initParameters, imageCodec: "webp"})).toBe(false);
+        expect(enginesis.init({...initParameters, imageCodec: "png"})).toBe(true);
+    });
+
+    test("uploads each size for the logged in user", async function() {
+        const notLoggedIn = await enginesis.avatarUpload(halfRedHalfBlue);
+        expect(notLoggedIn.results.status.message).toBe("NOT_LOGGED_IN");
+        await enginesis.userLogin("tester", "test-password");
+        const enginesisResult = await enginesis.avatarUpload(halfRedHalfBlue);
+        expect(enginesis.isError(enginesisResult)).toBe(false);
+        expect(enginesisResult.results.result.map(function(uploadedImage) {
+            return uploadedImage.file;
+        })).toEqual(["avatar-0.png", "avatar-1.png", "avatar-2.png"]);
+        expect(Object.values(mockServer.uploads).map(function(upload) {
+            return upload.target + " " + upload.mimeType;
+        })).toEqual(["avatar image/png", "avatar image/png", "avatar image/png"]);
+        expect(enginesis.avatarURL(1, 0)).toMatch(/user_id=10241&size=1&v=\d+$/);
+    });
+});
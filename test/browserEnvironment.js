@@ -0,0 +1,273 @@
+/**
+ * The SDK keeps its session in cookies and local storage, its queued requests in IndexedDB, and encrypts
+ * scores with `window.crypto`. Import this module before the SDK to give Node the small part of a browser `window` it uses.
+ * `window.location` is not provided so the SDK still runs as a Node build and sends requests
+ * with the function given to `setNodeRequest()`.
+ */
+const localStorage = {};
+Object.defineProperties(localStorage, {
+    getItem: {
+        value: function(key) {
+            return Object.prototype.hasOwnProperty.call(localStorage, key) ? localStorage[key] : null;
+        }
+    },
+    setItem: {
+        value: function(key, value) {
+            localStorage[key] = String(value);
+        }
+    },
+    removeItem: {
+        value: function(key) {
+            delete localStorage[key];
+        }
+    },
+    clear: {
+        value: function() {
+            Object.keys(localStorage).forEach(function(key) {
+                delete localStorage[key];
+            });
+        }
+    }
+});
+
+/**
+ * The databases of the IndexedDB kept in memory, name to `{version, stores}` where `stores` is a Map of store name
+ * to `{keyPath, records}` and `records` is a Map of key to value.
+ */
+const databases = new Map();
+
+/**
+ * Call an event handler of a request or transaction, such as `onsuccess`, if it is set.
+ * @param {object} target The request or transaction.
+ * @param {string} handlerName The handler.
+ */
+function fire(target, handlerName) {
+    if (typeof target[handlerName] === "function") {
+        target[handlerName]({target: target});
+    }
+}
+
+/**
+ * Sort keys in the order IndexedDB keeps them, numbers before strings.
+ * @param {Array} keys The keys of a store.
+ * @returns {Array} The keys in order.
+ */
+function sortedKeys(keys) {
+    return Array.from(keys).sort(function(a, b) {
+        if (typeof a !== typeof b) {
+            return typeof a === "number" ? -1 : 1;
+        }
+        return a < b ? -1 : (a > b ? 1 : 0);
+    });
+}
+
+/**
+ * Make a transaction on a database. Each request completes asynchronously, in the order it was made,
+ * and the transaction completes once no request is left.
+ * @param {object} database The database.
+ * @param {string} mode "readonly" or "readwrite".
+ * @returns {object} The transaction.
+ */
+function makeTransaction(database, mode) {
+    let pending = 0;
+    let isDone = false;
+    const transaction = {
+        mode: mode || "readonly",
+        error: null,
+        oncomplete: null,
+        onerror: null,
+        onabort: null,
+        objectStore: objectStore
+    };
+
+    function checkComplete() {
+        setTimeout(function() {
+            if (pending == 0 && ! isDone) {
+                isDone = true;
+                fire(transaction, "oncomplete");
+            }
+        }, 0);
+    }
+
+    function run(operation, existingRequest) {
+        const request = existingRequest || {result: undefined, error: null, onsuccess: null, onerror: null, transaction: transaction};
+        if (isDone) {
+            throw new DOMException("The transaction has finished.", "TransactionInactiveError");
+        }
+        pending += 1;
+        setTimeout(function() {
+            try {
+                request.result = operation();
+                fire(request, "onsuccess");
+            } catch (error) {
+                request.error = error;
+                transaction.error = error;
+                isDone = true;
+                fire(request, "onerror");
+                fire(transaction, "onerror");
+            }
+            pending -= 1;
+            checkComplete();
+        }, 0);
+        return request;
+    }
+
+    function objectStore(storeName) {
+        const store = database.stores.get(storeName);
+        if (store === undefined) {
+            throw new DOMException("No object store " + storeName + ".", "NotFoundError");
+        }
+
+        function write(operation) {
+            return run(function() {
+                if (transaction.mode != "readwrite") {
+                    throw new DOMException("The transaction is read only.", "ReadOnlyError");
+                }
+                return operation();
+            });
+        }
+
+        return {
+            put: function(value, key) {
+                return write(function() {
+                    const recordKey = store.keyPath ? value[store.keyPath] : key;
+                    store.records.set(recordKey, structuredClone(value));
+                    return recordKey;
+                });
+            },
+            delete: function(key) {
+                return write(function() {
+                    store.records.delete(key);
+                });
+            },
+            clear: function() {
+                return write(function() {
+                    store.records.clear();
+                });
+            },
+            get: function(key) {
+                return run(function() {
+                    return store.records.has(key) ? structuredClone(store.records.get(key)) : undefined;
+                });
+            },
+            getAll: function() {
+                return run(function() {
+                    return sortedKeys(store.records.keys()).map(function(key) {
+                        return structuredClone(store.records.get(key));
+                    });
+                });
+            },
+            openCursor: function() {
+                const keys = sortedKeys(store.records.keys());
+                let index = 0;
+                const cursorRequest = run(cursorAt);
+
+                function cursorAt() {
+                    if (index >= keys.length) {
+                        return null;
+                    }
+                    return {
+                        key: keys[index],
+                        value: structuredClone(store.records.get(keys[index])),
+                        continue: function() {
+                            index += 1;
+                            run(cursorAt, cursorRequest);
+                        }
+                    };
+                }
+                return cursorRequest;
+            }
+        };
+    }
+
+    checkComplete();
+    return transaction;
+}
+
+/**
+ * An IndexedDB kept in memory with just the part of the API the SDK uses: opening a database with an upgrade,
+ * object stores with or without a key path, and `put`, `delete`, `clear`, `get`, `getAll`, and `openCursor` in a transaction.
+ */
+const indexedDB = {
+    open: function(databaseName, version) {
+        const openRequest = {result: null, error: null, onsuccess: null, onerror: null, onupgradeneeded: null};
+        setTimeout(function() {
+            let database = databases.get(databaseName);
+            if (database === undefined) {
+                database = {version: 0, stores: new Map()};
+                databases.set(databaseName, database);
+            }
+            const requestedVersion = version || Math.max(database.version, 1);
+            if (requestedVersion < database.version) {
+                openRequest.error = new DOMException("The database is a later version.", "VersionError");
+                fire(openRequest, "onerror");
+                return;
+            }
+            openRequest.result = {
+                name: databaseName,
+                objectStoreNames: {
+                    contains: function(storeName) {
+                        return database.stores.has(storeName);
+                    }
+                },
+                createObjectStore: function(storeName, storeOptions) {
+                    database.stores.set(storeName, {keyPath: storeOptions ? storeOptions.keyPath : undefined, records: new Map()});
+                },
+                transaction: function(storeNames, mode) {
+                    return makeTransaction(database, mode);
+                },
+                close: function() {}
+            };
+            if (requestedVersion > database.version) {
+                database.version = requestedVersion;
+                fire(openRequest, "onupgradeneeded");
+            }
+            fire(openRequest, "onsuccess");
+        }, 0);
+        return openRequest;
+    }
+};
+
+globalThis.indexedDB = indexedDB;
+
+globalThis.window = {
+    document: {
+        cookie: ""
+    },
+    localStorage: localStorage,
+    indexedDB: indexedDB,
+    crypto: globalThis.crypto,
+    btoa: globalThis.btoa,
+    atob: globalThis.atob
+};
+
+/**
+ * Forget everything saved in cookies, local storage, and IndexedDB, as if the app was installed fresh.
+ * The IndexedDB databases are emptied rather than deleted, as the SDK keeps them open.
+ */
+export function resetBrowserEnvironment() {
+    localStorage.clear();
+    databases.forEach(function(database) {
+        database.stores.forEach(function(store) {
+            store.records.clear();
+        });
+    });
+    globalThis.window.document.cookie = "";
+}
+
+/**
+ * Look at what is saved in an IndexedDB object store.
+ * @param {string} databaseName The database.
+ * @param {string} storeName The object store.
+ * @returns {Array} The values saved in the store in key order, empty if there is no such store.
+ */
+export function indexedDBRecords(databaseName, storeName) {
+    const database = databases.get(databaseName);
+    const store = database !== undefined ? database.stores.get(storeName) : undefined;
+    if (store === undefined) {
+        return [];
+    }
+    return sortedKeys(store.records.keys()).map(function(key) {
+        return store.records.get(key);
+    });
+}
@@ -0,0 +1,71 @@
+/**
+ * What every test of the SDK starts with: the site and game the SDK is initialized with, a browser as if the app
+ * was installed fresh, and the mock Enginesis server answering its requests. Import this module before the SDK,
+ * it imports the browser environment first.
+ */
+import { jest, beforeEach, afterAll } from "@jest/globals";
+import { resetBrowserEnvironment } from "./browserEnvironment.js";
+import { createMockEnginesisServer } from "./mockEnginesisServer.js";
+import enginesis from "../public/js/lib/enginesis.js";
+
+export const siteId = 106;
+export const developerKey = "DEADBEEFCAFEF00D";
+export const gameId = 1083;
+export const initParameters = {siteId: siteId, gameId: gameId, developerKey: developerKey, serverStage: "enginesis-l.com"};
+
+/**
+ * Start each test of the describe block this is called in with a fresh browser environment and a reset mock server
+ * that the SDK sends its requests to. The SDK's console log is kept quiet.
+ * @param {object|null} testInitParameters Optional parameters given to `init` before each test over `initParameters`.
+ *   null to leave `init` to each test.
+ * @returns {object} The mock server, the same object for every test of the block.
+ */
+export function useEnginesisFixture(testInitParameters) {
+    const mockServer = createMockEnginesisServer({siteId: siteId, developerKey: developerKey});
+
+    beforeEach(function() {
+        jest.spyOn(console, "log").mockImplementation(function() {});
+        resetBrowserEnvironment();
+        mockServer.reset();
+        enginesis.setNodeRequest(mockServer.request);
+        if (testInitParameters !== null) {
+            enginesis.init({...initParameters, ...testInitParameters});
+        }
+    });
+
+    afterAll(function() {
+        jest.restoreAllMocks();
+    });
+
+    return mockServer;
+}
+
+/**
+ * Wait a while, such as for a timer of the SDK to go off.
+ * @param {integer} milliseconds How long to wait.
+ * @returns {Promise} Resolves once the time passed.
+ */
+export function waitFor(milliseconds) {
+    return new Promise(function(resolve) {
+        setTimeout(resolve, milliseconds);
+    });
+}
+
+/**
+ * Wait for the SDK to emit an event.
+ * @param {object} sdk The SDK emitting the event, such as `enginesis` or a reloaded copy of it.
+ * @param {string} eventName The event.
+ * @param {function} isExpected Optional, given the event returns true when it is the one to wait for.
+ * @returns {Promise} Resolves with the event.
+ */
+export function nextEvent(sdk, eventName, isExpected) {
+    return new Promise(function(resolve) {
+        function eventListener(event) {
+            if (isExpected == null || isExpected(event)) {
+                sdk.off(eventName, eventListener);
+                resolve(event);
+            }
+        }
+        sdk.on(eventName, eventListener);
+    });
+}
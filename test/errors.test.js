@@ -0,0 +1,87 @@
+import { jest, describe, test, expect, afterEach } from "@jest/globals";
+import { useEnginesisFixture, gameId, initParameters } from "./enginesisFixture.js";
+import enginesis, {
+    EnginesisError,
+    AuthenticationError,
+    NotLoggedInError,
+    TokenExpiredError,
+    ConnectionError,
+    OfflineError,
+    ValidationFailedError
+} from "../public/js/lib/enginesis.js";
+
+describe("errors", function() {
+    const mockServer = useEnginesisFixture(null);
+
+    function initialize(rejectOnError) {
+        enginesis.init({
+            ...initParameters,
+            retryPolicy: {baseDelay: 1, maxDelay: 1},
+            rejectOnError: rejectOnError === true
+        });
+    }
+
+    afterEach(async function() {
+        mockServer.setNetworkDown(false);
+        await enginesis.restoreOnline();
+    });
+
+    test("converts an error result to the error class of its code", function() {
+        const enginesisError = enginesis.toError({
+            fn: "UserFavoriteGamesList",
+            results: {status: {success: "0", message: "TOKEN_EXPIRED", extended_info: "Token has expired."}}
+        });
+        expect(enginesisError).toBeInstanceOf(TokenExpiredError);
+        expect(enginesisError).toBeInstanceOf(AuthenticationError);
+        expect(enginesisError).toBeInstanceOf(EnginesisError);
+        expect(enginesisError).toBeInstanceOf(Error);
+        expect(enginesisError.name).toBe("TokenExpiredError");
+        expect(enginesisError.code).toBe("TOKEN_EXPIRED");
+        expect(enginesisError.message).toBe("Token has expired.");
+        expect(enginesisError.retryable).toBe(true);
+        expect(enginesisError.serviceName).toBe("UserFavoriteGamesList");
+        expect(enginesisError.result.results.status.message).toBe("TOKEN_EXPIRED");
+    });
+
+    test("uses the base class for codes without a subclass", function() {
+        const enginesisError = enginesis.toError({
+            fn: "UserLogin",
+            results: {status: {success: "0", message: "INVALID_LOGIN", extended_info: ""}}
+        });
+        expect(enginesisError.constructor).toBe(EnginesisError);
+        expect(enginesisError.code).toBe("INVALID_LOGIN");
+        expect(enginesisError.message).toBe("INVALID_LOGIN");
+        expect(enginesisError.retryable).toBe(false);
+    });
+
+    test("resolves with the error result by default", async function() {
+        initialize();
+        const enginesisResult = await enginesis.scoreSubmit(gameId, 1000, 0, {}, 60000);
+        expect(enginesisResult.results.status.message).toBe("NOT_LOGGED_IN");
+    });
+
+    test("rejects with a typed error when asked to", async function() {
+        initialize(true);
+        const callBackFunction = jest.fn();
+        const submitted = enginesis.scoreSubmit(gameId, 1000, 0, {}, 60000, callBackFunction);
+        await expect(submitted).rejects.toBeInstanceOf(NotLoggedInError);
+        await expect(submitted).rejects.toMatchObject({code: "NOT_LOGGED_IN", serviceName: "ScoreSubmit", retryable: false});
+        expect(callBackFunction.mock.calls[0][0].results.status.message).toBe("NOT_LOGGED_IN");
+        const enginesisResult = await enginesis.gameGet(gameId);
+        expect(enginesis.isError(enginesisResult)).toBe(false);
+    });
+
+    test("rejects requests that fail while offline", async function() {
+        initialize(true);
+        mockServer.setNetworkDown(true);
+        const found = enginesis.gameFind("putt");
+        await expect(found).rejects.toBeInstanceOf(OfflineError);
+        await expect(found).rejects.toBeInstanceOf(ConnectionError);
+        await expect(found).rejects.toMatchObject({retryable: true, serviceName: "GameFind"});
+    });
+
+    test("rejects requests when not initialized", async function() {
+        enginesis.init({serverStage: "enginesis-l.com", rejectOnError: true});
+        await expect(enginesis.gameGet(gameId)).rejects.toBeInstanceOf(ValidationFailedError);
+    });
+});
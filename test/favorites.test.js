@@ -0,0 +1,87 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from "@jest/globals";
+import { useEnginesisFixture } from "./enginesisFixture.js";
+import enginesis from "../public/js/lib/enginesis.js";
+
+const testerId = 10241;
+
+describe("favorite games", function() {
+    const mockServer = useEnginesisFixture();
+    let favoriteGamesChanged;
+
+    beforeEach(async function() {
+        if (enginesis.isUserLoggedIn()) {
+            await enginesis.userLogout();
+        }
+        favoriteGamesChanged = jest.fn();
+        enginesis.on("favoriteGamesChanged", favoriteGamesChanged);
+    });
+
+    afterEach(async function() {
+        enginesis.off("favoriteGamesChanged", favoriteGamesChanged);
+        mockServer.setNetworkDown(false);
+        await enginesis.restoreOnline();
+    });
+
+    test("keeps an anonymous player's favorites on the device and adds them to the account", async function() {
+        mockServer.favoriteGames[testerId] = [2001];
+        await enginesis.userFavoriteGamesAssign(1083);
+        await enginesis.userFavoriteGamesAssign(1084);
+        const movedResult = await enginesis.userFavoriteGamesMove(1084, 1);
+        expect(enginesis.isError(movedResult)).toBe(false);
+        expect(await enginesis.favoriteGamesGet()).toEqual([1084, 1083]);
+        expect(favoriteGamesChanged).toHaveBeenLastCalledWith({type: "favoriteGamesChanged", gameIds: [1084, 1083], errorCode: ""});
+        expect(mockServer.requests).toEqual([]);
+
+        await enginesis.userLogin("tester", "test-password");
+        await new Promise(function(resolve) {
+            enginesis.once("accountMerged", resolve);
+        });
+        expect(mockServer.favoriteGames[testerId]).toEqual([2001, 1084, 1083]);
+        expect(await enginesis.favoriteGamesGet()).toEqual([2001, 1084, 1083]);
+
+        await enginesis.userLogout();
+        expect(await enginesis.favoriteGamesGet()).toEqual([]);
+        expect(enginesis.isUserFavoriteGame(2001)).toBe(false);
+    });
+
+    test("shows a change before the server answers and undoes it when the server does not accept it", async function() {
+        mockServer.favoriteGames[testerId] = [1083, 1084];
+        await enginesis.userLogin("tester", "test-password");
+        expect(await enginesis.favoriteGamesGet()).toEqual([1083, 1084]);
+
+        mockServer.holdService("UserFavoriteGamesAssign");
+        const assignResult = enginesis.userFavoriteGamesAssign(1085);
+        expect(enginesis.isUserFavoriteGame(1085)).toBe(true);
+        mockServer.releaseHeldRequests();
+        expect(enginesis.isError(await assignResult)).toBe(false);
+        expect(await enginesis.favoriteGamesGet()).toEqual([1083, 1084, 1085]);
+
+        mockServer.failNextRequest("UserFavoriteGamesUnassign", 400);
+        const unassignResult = enginesis.userFavoriteGamesUnassign(1084);
+        expect(enginesis.isUserFavoriteGame(1084)).toBe(false);
+        expect(enginesis.isError(await unassignResult)).toBe(true);
+        expect(enginesis.isUserFavoriteGame(1084)).toBe(true);
+        expect(await enginesis.favoriteGamesGet()).toEqual([1083, 1084, 1085]);
+        expect(favoriteGamesChanged).toHaveBeenLastCalledWith({
+            type: "favoriteGamesChanged",
+            gameIds: [1083, 1084, 1085],
+            errorCode: (await unassignResult).results.status.message
+        });
+    });
+
+    test("keeps a reorder made while offline and sends it when back online", async function() {
+        mockServer.favoriteGames[testerId] = [1083, 1084, 1085];
+        await enginesis.userLogin("tester", "test-password");
+        await enginesis.favoriteGamesGet();
+        mockServer.setNetworkDown(true);
+        const offlineResult = await enginesis.userFavoriteGamesMove(1085, 1);
+        expect(offlineResult.results.status.message).toBe("OFFLINE");
+        expect(await enginesis.favoriteGamesGet()).toEqual([1085, 1083, 1084]);
+
+        mockServer.setNetworkDown(false);
+        await enginesis.restoreOnline();
+        expect(mockServer.favoriteGames[testerId]).toEqual([1085, 1083, 1084]);
+        expect(await enginesis.favoriteGamesGet()).toEqual([1085, 1083, 1084]);
+        expect(mockServer.requestsFor("UserFavoriteGamesList").length).toBe(1);
+    });
+});
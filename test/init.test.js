@@ -0,0 +1,54 @@
+import { describe, test, expect } from "@jest/globals";
+import { useEnginesisFixture, siteId, gameId, initParameters } from "./enginesisFixture.js";
+import enginesis from "../public/js/lib/enginesis.js";
+
+describe("init", function() {
+    const mockServer = useEnginesisFixture(null);
+
+    test("is not operational without a site id and developer key", function() {
+        expect(enginesis.init({serverStage: "enginesis-l.com"})).toBe(false);
+        expect(enginesis.init({siteId: siteId, serverStage: "enginesis-l.com"})).toBe(false);
+    });
+
+    test("is operational with a site id and developer key", function() {
+        const isValid = enginesis.init(initParameters);
+        expect(isValid).toBe(true);
+        expect(enginesis.siteIdGet()).toBe(siteId);
+        expect(enginesis.gameIdGet()).toBe(gameId);
+        expect(enginesis.serverStageGet()).toBe("-l");
+        expect(enginesis.serverBaseUrlGet()).toBe("enginesis-l.com");
+        expect(enginesis.isUserLoggedIn()).toBe(false);
+    });
+
+    test("refuses requests when not operational", async function() {
+        enginesis.init({serverStage: "enginesis-l.com"});
+        const enginesisResult = await enginesis.gameGet(gameId);
+        expect(enginesis.isError(enginesisResult)).toBe(true);
+        expect(enginesisResult.results.status.message).toBe("VALIDATION_FAILED");
+    });
+
+    test("begins an anonymous game session", async function() {
+        enginesis.init(initParameters);
+        const enginesisResult = await enginesis.sessionBegin("", gameId);
+        expect(enginesis.isError(enginesisResult)).toBe(false);
+        expect(enginesis.sessionIdGet()).toBe(enginesisResult.results.result[0].session_id);
+        expect(enginesis.gameInfoGet().title).toBe("Putt Putt Planet");
+    });
+
+    test("talks to the mock server over HTTP", async function() {
+        enginesis.init(initParameters);
+        const serverURL = await mockServer.listen(0);
+        enginesis.setNodeRequest(function(url, requestOptions) {
+            const requestURL = new URL(url);
+            return fetch(serverURL + requestURL.pathname, requestOptions);
+        });
+        try {
+            const enginesisResult = await enginesis.gameGetByName("matchmaster");
+            expect(enginesis.isError(enginesisResult)).toBe(false);
+            expect(enginesisResult.results.result[0].game_id).toBe(1084);
+        } finally {
+            enginesis.setNodeRequest(mockServer.request);
+            await mockServer.close();
+        }
+    });
+});
@@ -0,0 +1,152 @@
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+import { useEnginesisFixture, gameId } from "./enginesisFixture.js";
+import enginesis from "../public/js/lib/enginesis.js";
+
+const testerId = 10241;
+
+describe("leaderboard", function() {
+    const mockServer = useEnginesisFixture();
+
+    function addScore(userId, levelId, score, daysAgo) {
+        mockServer.scores.push({
+            user_id: userId,
+            user_name: "golfer" + userId,
+            game_id: gameId,
+            level_id: levelId,
+            score: score,
+            date_created: new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000).toISOString()
+        });
+    }
+
+    function ranksOf(enginesisResult) {
+        return enginesisResult.results.result.map(function(rankEntry) {
+            return rankEntry.rank;
+        });
+    }
+
+    beforeEach(function() {
+        for (let i = 0; i < 60; i += 1) {
+            addScore(20000 + i, 0, 1000 - i * 10, 0);
+        }
+        for (let i = 0; i < 5; i += 1) {
+            addScore(30000 + i, 0, 10, 40);
+            addScore(30000 + i, 3, 50 + i, 0);
+        }
+        addScore(testerId, 0, 605, 0);
+    });
+
+    test("pages through a leaderboard with cursors", async function() {
+        const firstPage = await enginesis.leaderboardGet({count: 20});
+        expect(ranksOf(firstPage)[0]).toBe(1);
+        expect(firstPage.leaderboard).toEqual(expect.objectContaining({period: "allTime", level: 0, startRank: 1, previousCursor: null}));
+        const secondPage = await enginesis.leaderboardGet({cursor: firstPage.leaderboard.nextCursor});
+        expect(ranksOf(secondPage)).toEqual(Array.from({length: 20}, function(value, index) {
+            return index + 21;
+        }));
+        const previousPage = await enginesis.leaderboardGet({cursor: secondPage.leaderboard.previousCursor});
+        expect(ranksOf(previousPage)).toEqual(ranksOf(firstPage));
+        expect(previousPage.cached).toBe(true);
+        const badCursor = await enginesis.leaderboardGet({count: 20, cursor: firstPage.leaderboard.nextCursor.replace(/./, "!")});
+        expect(badCursor.results.status.message).toBe("INVALID_PARAMETER");
+        expect(mockServer.requestsFor("ScoreRankList").length).toBe(2);
+    });
+
+    test("the next page starts after the last entry seen when scores moved it down", async function() {
+        const firstPage = await enginesis.leaderboardGet({count: 20});
+        const lastEntry = firstPage.results.result[19];
+        addScore(40000, 0, 5000, 0);
+        addScore(40001, 0, 4000, 0);
+        const nextPage = await enginesis.leaderboardGet({cursor: firstPage.leaderboard.nextCursor, refresh: true});
+        expect(nextPage.results.result.length).toBe(20);
+        expect(nextPage.results.result[0].rank).toBe(lastEntry.rank + 3);
+        expect(nextPage.leaderboard.startRank).toBe(23);
+        const previousPage = await enginesis.leaderboardGet({cursor: nextPage.leaderboard.previousCursor});
+        expect(previousPage.results.result[19]).toEqual(expect.objectContaining({user_id: lastEntry.user_id, rank: 22}));
+    });
+
+    test("emits requestFailed once for a leaderboard request the server refused", async function() {
+        const requestFailedListener = jest.fn();
+        enginesis.on("requestFailed", requestFailedListener);
+        mockServer.failNextRequest("ScoreRankList", 400);
+        const enginesisResult = await enginesis.leaderboardGet({count: 20});
+        enginesis.off("requestFailed", requestFailedListener);
+        expect(enginesis.isError(enginesisResult)).toBe(true);
+        expect(requestFailedListener).toHaveBeenCalledTimes(1);
+    });
+
+    test("gets the leaderboard of a period or a level", async function() {
+        const allTime = await enginesis.leaderboardGet({count: 100});
+        const monthly = await enginesis.leaderboardGet({period: "monthly", count: 100});
+        const hole = await enginesis.leaderboardGet({level: 3});
+        const unknownPeriod = await enginesis.leaderboardGet({period: "yearly"});
+        expect(allTime.results.result.length).toBe(66);
+        expect(allTime.leaderboard.nextCursor).toBeNull();
+        expect(monthly.results.result.length).toBe(61);
+        expect(mockServer.requestsFor("ScoreRankList")[1]).toEqual(expect.objectContaining({time_period_type: "3", time_period: "0"}));
+        expect(hole.results.result.map(function(rankEntry) {
+            return rankEntry.score;
+        })).toEqual([54, 53, 52, 51, 50]);
+        expect(unknownPeriod.results.status.message).toBe("INVALID_PARAMETER");
+    });
+
+    test("centers the page on the user and reports how far they moved", async function() {
+        const notLoggedIn = await enginesis.leaderboardAroundMe();
+        expect(notLoggedIn.results.status.message).toBe("NOT_LOGGED_IN");
+        await enginesis.userLogin("tester", "test-password");
+        const aroundMe = await enginesis.leaderboardAroundMe({count: 11});
+        expect(ranksOf(aroundMe)).toEqual([36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46]);
+        expect(aroundMe.results.result[5].user_id).toBe(testerId);
+        expect(aroundMe.leaderboard).toEqual(expect.objectContaining({userRank: 41, previousUserRank: null, rankChange: null, isUserRanked: true}));
+        expect(mockServer.requestsFor("ScoreRankList")).toEqual([
+            expect.objectContaining({user_id: String(testerId), num_ranks: "1"}),
+            expect.objectContaining({start_rank: "36", num_ranks: "11"})
+        ]);
+
+        mockServer.scores.find(function(score) {
+            return score.user_id == testerId;
+        }).score = 725;
+        const cachedAroundMe = await enginesis.leaderboardAroundMe({count: 11});
+        expect(cachedAroundMe.leaderboard.userRank).toBe(41);
+        const refreshedAroundMe = await enginesis.leaderboardAroundMe({count: 11, refresh: true});
+        expect(refreshedAroundMe.results.result[5].user_id).toBe(testerId);
+        expect(refreshedAroundMe.leaderboard).toEqual(expect.objectContaining({userRank: 29, previousUserRank: 41, rankChange: 12}));
+    });
+
+    test("finds the user far down the leaderboard without fetching the ranks above them", async function() {
+        for (let i = 0; i < 1200; i += 1) {
+            addScore(50000 + i, 0, 700 + i, 0);
+        }
+        await enginesis.userLogin("tester", "test-password");
+        const aroundMe = await enginesis.leaderboardAroundMe({count: 5});
+        expect(ranksOf(aroundMe)).toEqual([1239, 1240, 1241, 1242, 1243]);
+        expect(aroundMe.leaderboard).toEqual(expect.objectContaining({userRank: 1241, isUserRanked: true}));
+        expect(mockServer.requestsFor("ScoreRankList").map(function(request) {
+            return request.num_ranks;
+        })).toEqual(["1", "5"]);
+    });
+
+    test("tells a user who is not on the leaderboard from one whose rank the server cannot tell", async function() {
+        await enginesis.userLogin("tester", "test-password");
+        const notRanked = await enginesis.leaderboardAroundMe({level: 3});
+        expect(notRanked.results.result).toEqual([]);
+        expect(notRanked.leaderboard).toEqual(expect.objectContaining({userRank: null, isUserRanked: false}));
+        mockServer.reset({scoreRankListByUser: false});
+        addScore(20000, 0, 1000, 0);
+        await enginesis.userLogin("tester", "test-password");
+        const rankUnknown = await enginesis.leaderboardAroundMe({refresh: true});
+        expect(rankUnknown.results.result).toEqual([]);
+        expect(rankUnknown.leaderboard).toEqual(expect.objectContaining({userRank: null, isUserRanked: null}));
+    });
+
+    test("does not use a cached leaderboard after a score is submitted", async function() {
+        await enginesis.userLogin("tester", "test-password");
+        await enginesis.sessionBegin("", gameId);
+        const before = await enginesis.leaderboardGet({count: 5});
+        await enginesis.scoreSubmit(gameId, 5000, 0, {}, 1000);
+        const after = await enginesis.leaderboardGet({count: 5});
+        expect(before.results.result[0].score).toBe(1000);
+        expect(after.cached).toBeUndefined();
+        expect(after.results.result[0]).toEqual(expect.objectContaining({score: 5000, user_id: testerId}));
+        expect(after.leaderboard.userRank).toBe(1);
+    });
+});
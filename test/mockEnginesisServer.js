@@ -0,0 +1,1230 @@
+/**
+ * A local mock of the Enginesis service for testing the SDK without a network. It can be used
+ * in-process by giving `mockServer.request` to `enginesis.setNodeRequest()`, or run as a small
+ * Node HTTP server:
+ *   node test/mockEnginesisServer.js --port 8088
+ * Only the services the SDK calls are implemented, with just enough logic to behave like the
+ * real server: sessions, registration, log in and token refresh, encrypted score submit, leaderboards,
+ * favorite games, quizzes, and asset upload. It is also a stub OAuth identity provider for sign in with another network.
+ */
+import http from "http";
+import crypto from "crypto";
+import { pathToFileURL } from "url";
+
+const defaultUsers = [
+    {
+        user_id: 10241,
+        user_name: "tester",
+        password: "test-password",
+        site_user_id: "",
+        network_id: 1,
+        access_level: 10,
+        email_address: "tester@enginesis.com"
+    }
+];
+
+const defaultGames = [
+    {
+        game_id: 1083,
+        game_name: "puttputtplanet",
+        title: "Putt Putt Planet",
+        short_desc: "Mini golf across the solar system.",
+        game_status_id: 2
+    },
+    {
+        game_id: 1084,
+        game_name: "matchmaster",
+        title: "Match Master",
+        short_desc: "Match the tiles.",
+        game_status_id: 2
+    }
+];
+
+const defaultQuizzes = [
+    {
+        quiz: {quiz_id: 2001, title: "Mini Golf Trivia"},
+        questions: [
+            {
+                question_id: 1,
+                question: "How many holes does a round of mini golf usually have?",
+                time_limit: 20,
+                choices: [
+                    {choice_id: 11, choice: "9", is_correct: 0},
+                    {choice_id: 12, choice: "18", is_correct: 1},
+                    {choice_id: 13, choice: "27", is_correct: 0}
+                ]
+            },
+            {
+                question_id: 2,
+                question: "What is one stroke under par called?",
+                time_limit: 20,
+                choices: [
+                    {choice_id: 21, choice: "Birdie", is_correct: 1},
+                    {choice_id: 22, choice: "Bogey", is_correct: 0}
+                ]
+            },
+            {
+                question_id: 3,
+                question: "What is a hole in one also called?",
+                time_limit: 20,
+                choices: [
+                    {choice_id: 31, choice: "An albatross", is_correct: 0},
+                    {choice_id: 32, choice: "An ace", is_correct: 1}
+                ]
+            }
+        ],
+        outcomes: [
+            {outcome_id: 1, title: "Beginner", min_score: 0, max_score: 1},
+            {outcome_id: 2, title: "Club Pro", min_score: 2, max_score: 2},
+            {outcome_id: 3, title: "Champion", min_score: 3, max_score: 3}
+        ]
+    }
+];
+
+/**
+ * Compute the MD5 hex digest of a string.
+ * @param {string} data String to hash.
+ * @returns {string} 32 hex digits.
+ */
+function md5(data) {
+    return crypto.createHash("md5").update(data).digest("hex");
+}
+
+/**
+ * Compute the Enginesis day stamp, it must match the SDK `sessionDayStamp()`.
+ * @returns {integer} The day stamp.
+ */
+function sessionDayStamp() {
+    const SESSION_DAYSTAMP_HOURS = 48;
+    return Math.floor(Date.now() / (SESSION_DAYSTAMP_HOURS * 60 * 60 * 1000));
+}
+
+/**
+ * Compute the dates a ScoreRankList time period covers, in UTC. Weeks start on Monday.
+ * @param {integer} timePeriodType 0 all time, 1 a day, 2 a week, 3 a month.
+ * @param {integer} timePeriod How many periods before the current one, 0 is the current period.
+ * @returns {object} The `start` and `end` time of the period, milliseconds.
+ */
+function scoreTimePeriod(timePeriodType, timePeriod) {
+    const dayLength = 24 * 60 * 60 * 1000;
+    const now = new Date();
+    const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+    if (timePeriodType == 1) {
+        return {start: today - timePeriod * dayLength, end: today - (timePeriod - 1) * dayLength};
+    } else if (timePeriodType == 2) {
+        const monday = today - ((now.getUTCDay() + 6) % 7) * dayLength;
+        return {start: monday - timePeriod * 7 * dayLength, end: monday - (timePeriod - 1) * 7 * dayLength};
+    } else if (timePeriodType == 3) {
+        return {start: Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - timePeriod, 1), end: Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - timePeriod + 1, 1)};
+    }
+    return {start: -Infinity, end: Infinity};
+}
+
+/**
+ * Make a random token of hex digits.
+ * @param {integer} numberOfBytes Number of random bytes, the token is twice as long.
+ * @returns {string} A random token.
+ */
+function makeToken(numberOfBytes) {
+    return crypto.randomBytes(numberOfBytes).toString("hex");
+}
+
+/**
+ * Convert a request body from any of the forms the SDK sends into a plain key/value object.
+ * @param {URLSearchParams|FormData|string|object} body The request body.
+ * @returns {object} Key/value pairs.
+ */
+function bodyToParameters(body) {
+    if (body == null) {
+        return {};
+    }
+    if (typeof body === "string") {
+        return Object.fromEntries(new URLSearchParams(body));
+    }
+    if (typeof body.entries === "function") {
+        return Object.fromEntries(body.entries());
+    }
+    return {...body};
+}
+
+/**
+ * Make a response object that looks enough like a fetch `Response` for the SDK.
+ * @param {integer} status HTTP status code.
+ * @param {object|null} data Data to send back as JSON.
+ * @returns {object} A fetch-like response.
+ */
+function makeResponse(status, data) {
+    const body = data == null ? "" : JSON.stringify(data);
+    return {
+        status: status,
+        ok: status >= 200 && status < 300,
+        statusText: status == 200 ? "OK" : "Error",
+        headers: new Headers({"content-type": "application/json"}),
+        body: body,
+        json: function() {
+            return Promise.resolve(JSON.parse(body));
+        },
+        text: function() {
+            return Promise.resolve(body);
+        }
+    };
+}
+
+/**
+ * Create a mock Enginesis server.
+ * @param {object} options Optional configuration:
+ *   * `siteId` {integer} the site id the SDK is initialized with. Default 106.
+ *   * `developerKey` {string} the developer key the SDK is initialized with, it is part of the session hash.
+ *   * `users` {Array} registered users that can log in, each with `user_id`, `user_name`, and `password`.
+ *   * `games` {Array} games that can be found with the game services.
+ *   * `quizzes` {Array} quizzes that can be played with the quiz services, each the quiz, its questions, and its outcomes.
+ *   * `authTokenLifetime` {integer} milliseconds an authentication token is valid. Default 1 hour.
+ *   * `cryptoVersion` {integer} newest payload encryption version the server offers with a session. Default 2,
+ *     1 is a server that only knows the legacy AES-CBC format.
+ *   * `timePlayedTolerance` {integer} milliseconds a score's time played may be longer than its session. Default 2 minutes.
+ *   * `scoreRankListByUser` {boolean} false when ScoreRankList does not know `user_id` and replies with the ranks of
+ *     every user. Default true, it replies with the best rank of that user only.
+ *   * `chunkedUploads` {boolean} true when the upload endpoint grants the chunk size it is asked for, otherwise
+ *     it takes each file with one `upload` request. Default false.
+ * @returns {object} The mock server.
+ */
+export function createMockEnginesisServer(options) {
+    let configuration;
+    const mockServer = {
+        httpServer: null,
+        url: null
+    };
+
+    /**
+     * Forget everything the server was sent, as if it was started fresh, such as before each test.
+     * @param {object} resetOptions Optional configuration replacing that of `createMockEnginesisServer()` until the next reset.
+     */
+    mockServer.reset = function(resetOptions) {
+        configuration = {
+            siteId: 106,
+            developerKey: "DEADBEEFCAFEF00D",
+            users: defaultUsers,
+            games: defaultGames,
+            quizzes: defaultQuizzes,
+            authTokenLifetime: 60 * 60 * 1000,
+            cryptoVersion: 2,
+            timePlayedTolerance: 2 * 60 * 1000,
+            scoreRankListByUser: true,
+            chunkedUploads: false,
+            ...options,
+            ...resetOptions
+        };
+        Object.assign(mockServer, {
+            siteId: configuration.siteId,
+            developerKey: configuration.developerKey,
+            users: configuration.users.map(function(user) {
+                return {...user};
+            }),
+            games: configuration.games.map(function(game) {
+                return {...game};
+            }),
+            authTokens: {},
+            refreshTokens: {},
+            sessions: {},
+            scores: [],
+            scoreNonces: {},
+            favoriteGames: {},
+            gameData: [],
+            quizzes: JSON.parse(JSON.stringify(configuration.quizzes)),
+            quizQuestionsPlayed: [],
+            quizResults: [],
+            uploads: {},
+            uploadRequests: [],
+            identityProvider: {
+                issuer: "https://idp.enginesis-l.com",
+                clientId: "enginesis-test-client",
+                secret: makeToken(32),
+                clientSecret: makeToken(16),
+                isClientSecretRequired: false, // when true only the app's exchange endpoint, which has the client secret, gets tokens
+                user: {
+                    sub: "idp-73104",
+                    name: "Gail Golfer",
+                    preferred_username: "gailgolfer",
+                    email: "gail@enginesis.com"
+                },
+                nonce: null, // when set, the ID token has this nonce instead of the one of the sign in
+                codes: {},
+                tokenRequests: []
+            },
+            trackingEvents: [],
+            requests: [],
+            isNetworkDown: false,
+            failures: {},
+            heldServices: {},
+            heldRequests: []
+        });
+    };
+    mockServer.reset();
+
+    function findUser(userId) {
+        return mockServer.users.find(function(user) {
+            return user.user_id == userId;
+        }) || null;
+    }
+
+    function findGame(gameId) {
+        return mockServer.games.find(function(game) {
+            return game.game_id == gameId;
+        }) || null;
+    }
+
+    function success(parameters, result) {
+        return {
+            fn: parameters.fn,
+            results: {
+                status: {
+                    success: "1",
+                    message: "",
+                    extended_info: ""
+                },
+                passthru: passThrough(parameters),
+                result: result
+            }
+        };
+    }
+
+    function failure(parameters, errorCode, errorMessage) {
+        return {
+            fn: parameters.fn,
+            results: {
+                status: {
+                    success: "0",
+                    message: errorCode,
+                    extended_info: errorMessage || ""
+                },
+                passthru: passThrough(parameters),
+                result: []
+            }
+        };
+    }
+
+    function passThrough(parameters) {
+        const passthru = {...parameters};
+        delete passthru.authtok;
+        delete passthru.password;
+        delete passthru.data;
+        return passthru;
+    }
+
+    /**
+     * Compute the session hash the same way the server does. The SDK verifies this with `sessionVerifyHash()`.
+     */
+    function sessionHash(user, gameId, siteMark) {
+        const userId = user ? user.user_id : 0;
+        const userName = user ? user.user_name : "";
+        const siteUserId = user ? user.site_user_id || "" : "";
+        const networkId = user ? user.network_id || 1 : 1;
+        const accessLevel = user ? user.access_level || 10 : 10;
+        const mark = userId == 0 ? siteMark || 0 : 0;
+        return md5(`s=${mockServer.siteId}&u=${userId}&d=${sessionDayStamp()}&n=${userName}&g=${gameId || 0}&i=${siteUserId}&w=${networkId}&l=${accessLevel}&m=${mark}&k=${mockServer.developerKey}`);
+    }
+
+    function issueAuthToken(user) {
+        const authToken = makeToken(24);
+        const expires = Date.now() + configuration.authTokenLifetime;
+        mockServer.authTokens[authToken] = {
+            userId: user.user_id,
+            expires: expires
+        };
+        return {
+            authToken: authToken,
+            expires: new Date(expires).toISOString()
+        };
+    }
+
+    function issueRefreshToken(user) {
+        const refreshToken = makeToken(16);
+        mockServer.refreshTokens[refreshToken] = user.user_id;
+        return refreshToken;
+    }
+
+    function beginSession(user, gameId) {
+        const sessionId = md5(makeToken(16));
+        mockServer.sessions[sessionId] = {
+            userId: user ? user.user_id : 0,
+            gameId: gameId,
+            beginTime: Date.now(),
+            lastCounter: 0
+        };
+        return sessionId;
+    }
+
+    /**
+     * Make the session information returned from log in and session refresh.
+     */
+    function userSessionInfo(user, gameId) {
+        const token = issueAuthToken(user);
+        return withCryptoVersion({
+            user_id: user.user_id,
+            user_name: user.user_name,
+            site_user_id: user.site_user_id || "",
+            network_id: user.network_id || 1,
+            access_level: user.access_level || 10,
+            email_address: user.email_address || "",
+            session_id: beginSession(user, gameId),
+            authtok: token.authToken,
+            expires: token.expires,
+            refresh_token: issueRefreshToken(user),
+            cr: sessionHash(user, gameId, 0)
+        });
+    }
+
+    /**
+     * Determine the user making a request from its authentication token.
+     * @returns {object} Either `{user}` or `{errorCode, errorMessage}`.
+     */
+    function authenticate(parameters) {
+        const authToken = parameters.authtok;
+        if (authToken == null || authToken == "") {
+            return {errorCode: "NOT_LOGGED_IN", errorMessage: "The requested service requires a logged in user."};
+        }
+        const tokenInfo = mockServer.authTokens[authToken];
+        if (tokenInfo == null) {
+            return {errorCode: "INVALID_TOKEN", errorMessage: "The authentication token is not valid."};
+        }
+        if (tokenInfo.expires <= Date.now()) {
+            return {errorCode: "TOKEN_EXPIRED", errorMessage: "The authentication token has expired."};
+        }
+        return {user: findUser(tokenInfo.userId)};
+    }
+
+    /**
+     * Add the payload encryption version the server offers to session information.
+     */
+    function withCryptoVersion(sessionInfo) {
+        if (configuration.cryptoVersion >= 2) {
+            sessionInfo.crypto_version = configuration.cryptoVersion;
+        }
+        return sessionInfo;
+    }
+
+    /**
+     * Derive the key of a version 2 payload, matching the SDK `derivePayloadKey()`.
+     */
+    function payloadKey(sessionId, purpose) {
+        return Buffer.from(crypto.hkdfSync("sha256", sessionId, "enginesis-site-" + mockServer.siteId, purpose, 32));
+    }
+
+    /**
+     * Decrypt a score submit payload with the session id as the key. A version 2 payload matches the SDK
+     * `encryptPayload()`, any other payload is the legacy format of the SDK `encryptString()`.
+     */
+    function decryptScorePayload(data, sessionId) {
+        const encrypted = Buffer.from(data.replace(/-/g, "+").replace(/_/g, "/").replace(/~/g, "="), "base64");
+        if (configuration.cryptoVersion >= 2 && encrypted[0] == 2) {
+            const decipher = crypto.createDecipheriv("aes-256-gcm", payloadKey(sessionId, "enginesis score submit"), encrypted.subarray(1, 13));
+            decipher.setAAD(encrypted.subarray(0, 1));
+            decipher.setAuthTag(encrypted.subarray(encrypted.length - 16));
+            return Buffer.concat([decipher.update(encrypted.subarray(13, encrypted.length - 16)), decipher.final()]).toString("utf8");
+        }
+        const decipher = crypto.createDecipheriv("aes-256-cbc", Buffer.from(sessionId), Buffer.from(sessionId.substring(3, 16 + 3)));
+        return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+    }
+
+    /**
+     * Check a decrypted score submit is not one we have seen before and that its timing is believable.
+     * @returns {object|null} The `errorCode` and `errorMessage` to fail with, null when the submission is good.
+     */
+    function scoreSubmissionError(submission, session) {
+        const replayWindow = 5 * 60 * 1000;
+        const counter = parseInt(submission.counter, 10);
+        const timestamp = parseInt(submission.timestamp, 10);
+        const timePlayed = parseInt(submission.time_played, 10);
+        if ( ! submission.nonce || isNaN(counter) || isNaN(timestamp)) {
+            return {errorCode: "INVALID_PARAMETER", errorMessage: "The score submit payload is missing its nonce, counter, or timestamp."};
+        }
+        if (mockServer.scoreNonces[submission.nonce] || counter <= session.lastCounter || Math.abs(Date.now() - timestamp) > replayWindow) {
+            return {errorCode: "REPLAYED_SUBMISSION", errorMessage: "This score was already submitted."};
+        }
+        const checkpoints = submission.checkpoints ? submission.checkpoints.split(",").map(Number) : [];
+        const checkpointsInOrder = checkpoints.every(function(checkpointTime, index) {
+            return checkpointTime >= 0 && (index == 0 || checkpointTime >= checkpoints[index - 1]);
+        });
+        // a score played before the session, such as one of an anonymous player, is checked against its evidence only
+        const playedAt = parseInt(submission.played_at, 10) || Date.now();
+        const isPlayedInSession = playedAt >= session.beginTime;
+        if ( ! (timePlayed > 0)
+            || playedAt > Date.now() + configuration.timePlayedTolerance
+            || (isPlayedInSession && timePlayed > Date.now() - session.beginTime + configuration.timePlayedTolerance)
+            || ! checkpointsInOrder
+            || (checkpoints.length > 0 && checkpoints[checkpoints.length - 1] > timePlayed)) {
+            return {errorCode: "IMPLAUSIBLE_TIME_PLAYED", errorMessage: "The time played does not agree with the session or the play evidence."};
+        }
+        return null;
+    }
+
+    /**
+     * Make an ID token signed by the identity provider, HS256 with its secret.
+     */
+    function signIdToken(claims) {
+        const tokenParts = [{alg: "HS256", typ: "JWT"}, claims].map(function(tokenPart) {
+            return Buffer.from(JSON.stringify(tokenPart)).toString("base64url");
+        });
+        const signature = crypto.createHmac("sha256", mockServer.identityProvider.secret).update(tokenParts.join(".")).digest("base64url");
+        return tokenParts.join(".") + "." + signature;
+    }
+
+    /**
+     * Return the claims of an ID token the identity provider signed, null if it is not one.
+     */
+    function verifyIdToken(idToken) {
+        const tokenParts = String(idToken || "").split(".");
+        if (tokenParts.length != 3) {
+            return null;
+        }
+        const signature = crypto.createHmac("sha256", mockServer.identityProvider.secret).update(tokenParts[0] + "." + tokenParts[1]).digest("base64url");
+        if (signature != tokenParts[2]) {
+            return null;
+        }
+        return JSON.parse(Buffer.from(tokenParts[1], "base64url").toString());
+    }
+
+    /**
+     * Handle a request to the identity provider token endpoint, exchange an authorization code for the tokens.
+     * The code verifier must match the PKCE challenge of the authorization request.
+     */
+    function handleToken(parameters) {
+        const identityProvider = mockServer.identityProvider;
+        const authorization = identityProvider.codes[parameters.code];
+        identityProvider.tokenRequests.push({...parameters});
+        delete identityProvider.codes[parameters.code];
+        if (identityProvider.isClientSecretRequired && parameters.client_secret != identityProvider.clientSecret) {
+            return {status: 401, reply: {error: "invalid_client", error_description: "The client secret is required."}};
+        }
+        if (parameters.grant_type != "authorization_code" || authorization == null) {
+            return {status: 400, reply: {error: "invalid_grant", error_description: "The code is not valid."}};
+        }
+        const codeChallenge = crypto.createHash("sha256").update(parameters.code_verifier || "").digest("base64url");
+        if (codeChallenge != authorization.codeChallenge || parameters.redirect_uri != authorization.redirectURI || parameters.client_id != authorization.clientId) {
+            return {status: 400, reply: {error: "invalid_grant", error_description: "The code was not issued to this client."}};
+        }
+        const now = Math.floor(Date.now() / 1000);
+        return {
+            status: 200,
+            reply: {
+                access_token: makeToken(16),
+                token_type: "Bearer",
+                expires_in: 3600,
+                id_token: signIdToken({
+                    ...identityProvider.user,
+                    iss: identityProvider.issuer,
+                    aud: authorization.clientId,
+                    nonce: identityProvider.nonce || authorization.nonce,
+                    iat: now,
+                    exp: now + 3600
+                })
+            }
+        };
+    }
+
+    function favoriteGamesOf(userId) {
+        if (mockServer.favoriteGames[userId] == null) {
+            mockServer.favoriteGames[userId] = [];
+        }
+        return mockServer.favoriteGames[userId];
+    }
+
+    function favoriteGamesResult(parameters, userId) {
+        return success(parameters, favoriteGamesOf(userId).map(function(gameId, index) {
+            const game = findGame(gameId) || {game_id: gameId};
+            return {...game, sort_order: index + 1};
+        }));
+    }
+
+    function findQuiz(quizId) {
+        return mockServer.quizzes.find(function(quiz) {
+            return quiz.quiz.quiz_id == quizId;
+        });
+    }
+
+    function gameIdList(parameters) {
+        return String(parameters.game_id_list || "").split(parameters.delimiter || ",").filter(function(gameId) {
+            return gameId != "";
+        }).map(function(gameId) {
+            return parseInt(gameId, 10);
+        });
+    }
+
+    const services = {
+        SessionBegin: function(parameters) {
+            const gameId = parseInt(parameters.game_id, 10) || 0;
+            const authentication = parameters.authtok ? authenticate(parameters) : {user: null};
+            const user = authentication.user || null;
+            const sessionInfo = withCryptoVersion({
+                session_id: beginSession(user, gameId),
+                site_mark: parameters.site_mark || 0,
+                cr: sessionHash(user, gameId, parameters.site_mark),
+                tokenExpired: authentication.errorCode == "TOKEN_EXPIRED" ? "1" : "0",
+                ...(findGame(gameId) || {game_id: gameId})
+            });
+            if (user != null) {
+                const token = issueAuthToken(user);
+                sessionInfo.authtok = token.authToken;
+                sessionInfo.expires = token.expires;
+            }
+            return success(parameters, [sessionInfo]);
+        },
+
+        SessionRefresh: function(parameters) {
+            const userId = mockServer.refreshTokens[parameters.refresh_token];
+            const user = userId == null ? null : findUser(userId);
+            if (user == null) {
+                return failure(parameters, "INVALID_TOKEN", "The refresh token is not valid.");
+            }
+            delete mockServer.refreshTokens[parameters.refresh_token];
+            return success(parameters, [userSessionInfo(user, parseInt(parameters.game_id, 10) || 0)]);
+        },
+
+        UserLogin: function(parameters) {
+            const user = mockServer.users.find(function(user) {
+                return user.user_name == parameters.user_name && user.password == parameters.password;
+            });
+            if (user == null) {
+                return failure(parameters, "INVALID_USER_ID", "User name or password is not valid.");
+            }
+            return success(parameters, [userSessionInfo(user, parseInt(parameters.game_id, 10) || 0)]);
+        },
+
+        RegisteredUserCreate: function(parameters) {
+            if ( ! parameters.user_name || ! parameters.password) {
+                return failure(parameters, "MISSING_PARAM", "A user name and password are required.");
+            }
+            if (mockServer.users.some(function(user) {
+                return user.user_name == parameters.user_name;
+            })) {
+                return failure(parameters, "NAME_IN_USE", "The user name is already registered.");
+            }
+            const user = {
+                user_id: Math.max(...mockServer.users.map(function(user) {
+                    return user.user_id;
+                })) + 1,
+                user_name: parameters.user_name,
+                password: parameters.password,
+                site_user_id: "",
+                network_id: 1,
+                access_level: 10,
+                email_address: parameters.email_address || ""
+            };
+            mockServer.users.push(user);
+            return success(parameters, [userSessionInfo(user, parseInt(parameters.game_id, 10) || 0)]);
+        },
+
+        UserLoginCoreg: function(parameters) {
+            const claims = verifyIdToken(parameters.id_token);
+            if (claims == null || claims.sub != parameters.site_user_id) {
+                return failure(parameters, "NOT_AUTHENTICATED", "The ID token is not valid.");
+            }
+            const networkId = parseInt(parameters.network_id, 10);
+            let user = mockServer.users.find(function(user) {
+                return user.network_id == networkId && user.site_user_id == parameters.site_user_id;
+            });
+            if (user == null) {
+                user = {
+                    user_id: Math.max(...mockServer.users.map(function(user) {
+                        return user.user_id;
+                    })) + 1,
+                    user_name: parameters.user_name || parameters.real_name,
+                    password: "",
+                    site_user_id: parameters.site_user_id,
+                    network_id: networkId,
+                    access_level: 10,
+                    email_address: parameters.email_address || ""
+                };
+                mockServer.users.push(user);
+            }
+            return success(parameters, [userSessionInfo(user, parseInt(parameters.game_id, 10) || 0)]);
+        },
+
+        UserLogout: function(parameters) {
+            const authentication = authenticate(parameters);
+            if (authentication.user == null) {
+                return failure(parameters, authentication.errorCode, authentication.errorMessage);
+            }
+            delete mockServer.authTokens[parameters.authtok];
+            return success(parameters, [{user_id: authentication.user.user_id}]);
+        },
+
+        GameGet: function(parameters) {
+            const game = findGame(parameters.game_id);
+            if (game == null) {
+                return failure(parameters, "GAME_NOT_FOUND", "Game " + parameters.game_id + " was not found.");
+            }
+            return success(parameters, [{...game}]);
+        },
+
+        GameGetByName: function(parameters) {
+            const game = mockServer.games.find(function(game) {
+                return game.game_name == parameters.game_name;
+            });
+            if (game == null) {
+                return failure(parameters, "GAME_NOT_FOUND", "Game " + parameters.game_name + " was not found.");
+            }
+            return success(parameters, [{...game}]);
+        },
+
+        GameFind: function(parameters) {
+            const namePart = String(parameters.game_name_part || "").toLowerCase();
+            return success(parameters, mockServer.games.filter(function(game) {
+                return game.title.toLowerCase().includes(namePart) || game.game_name.includes(namePart);
+            }));
+        },
+
+        SiteListGames: function(parameters) {
+            return success(parameters, mockServer.games.map(function(game) {
+                return {...game};
+            }));
+        },
+
+        // a user has one game data record of each name tag, GameDataCreate with a name tag they have replaces it
+        GameDataCreate: function(parameters) {
+            const authentication = authenticate(parameters);
+            const userId = authentication.user != null ? authentication.user.user_id : 0;
+            const nameTag = parameters.name_tag || "";
+            let gameData = userId == 0 || nameTag == "" ? undefined : mockServer.gameData.find(function(gameData) {
+                return gameData.user_id == userId && gameData.name_tag == nameTag;
+            });
+            if (gameData === undefined) {
+                gameData = {
+                    game_data_id: 5000 + mockServer.gameData.length,
+                    user_id: userId,
+                    game_id: parseInt(parameters.game_id, 10) || 0,
+                    name_tag: nameTag
+                };
+                mockServer.gameData.push(gameData);
+            }
+            Object.assign(gameData, {
+                from_address: parameters.from_address || "",
+                to_address: parameters.to_address || "",
+                user_files: parameters.user_files || "",
+                game_data: parameters.game_data || "",
+                date_created: new Date().toISOString()
+            });
+            return success(parameters, [{game_data_id: gameData.game_data_id}]);
+        },
+
+        // by game_data_id, or the game data of the logged in user with a name tag
+        GameDataGet: function(parameters) {
+            let gameData;
+            if (parameters.game_data_id) {
+                gameData = mockServer.gameData.find(function(gameData) {
+                    return gameData.game_data_id == parameters.game_data_id;
+                });
+            } else {
+                const authentication = authenticate(parameters);
+                if (authentication.user == null) {
+                    return failure(parameters, authentication.errorCode, authentication.errorMessage);
+                }
+                gameData = mockServer.gameData.find(function(gameData) {
+                    return gameData.user_id == authentication.user.user_id && gameData.name_tag == parameters.name_tag;
+                });
+            }
+            return success(parameters, gameData !== undefined ? [{...gameData}] : []);
+        },
+
+        GameTrackingRecord: function(parameters) {
+            mockServer.trackingEvents.push(passThrough(parameters));
+            return success(parameters, []);
+        },
+
+        ScoreSubmit: function(parameters) {
+            const authentication = authenticate(parameters);
+            if (authentication.user == null) {
+                return failure(parameters, authentication.errorCode, authentication.errorMessage);
+            }
+            let submission = null;
+            let session = null;
+            const sessionIds = Object.keys(mockServer.sessions);
+            for (let i = sessionIds.length - 1; i >= 0 && submission == null; i -= 1) {
+                session = mockServer.sessions[sessionIds[i]];
+                if (session.userId == authentication.user.user_id) {
+                    try {
+                        submission = Object.fromEntries(new URLSearchParams(decryptScorePayload(parameters.data || "", sessionIds[i])));
+                    } catch (exception) {
+                        submission = null;
+                    }
+                }
+            }
+            if (submission == null) {
+                return failure(parameters, "INVALID_PARAMETER", "The score submit payload could not be decrypted.");
+            }
+            if (submission.user_id != authentication.user.user_id || submission.site_id != mockServer.siteId) {
+                return failure(parameters, "INVALID_PARAMETER", "The score submit payload does not match the session.");
+            }
+            const submissionError = scoreSubmissionError(submission, session);
+            if (submissionError != null) {
+                return failure(parameters, submissionError.errorCode, submissionError.errorMessage);
+            }
+            mockServer.scoreNonces[submission.nonce] = true;
+            session.lastCounter = parseInt(submission.counter, 10);
+            const score = {
+                user_id: authentication.user.user_id,
+                user_name: authentication.user.user_name,
+                game_id: parseInt(submission.game_id, 10),
+                level_id: parseInt(submission.level_id, 10) || 0,
+                score: parseInt(submission.score, 10),
+                time_played: parseInt(submission.time_played, 10),
+                evidence: submission.evidence,
+                strokes: parseInt(submission.strokes, 10) || 0,
+                checkpoints: submission.checkpoints,
+                game_data: submission.game_data,
+                date_created: new Date().toISOString()
+            };
+            mockServer.scores.push(score);
+            const rank = mockServer.scores.filter(function(otherScore) {
+                return otherScore.game_id == score.game_id && otherScore.level_id == score.level_id && otherScore.score > score.score;
+            }).length + 1;
+            return success(parameters, [{game_id: score.game_id, score: score.score, rank: rank}]);
+        },
+
+        ScoreRankList: function(parameters) {
+            const startRank = Math.max(1, parseInt(parameters.start_rank, 10) || 1);
+            const numberOfRanks = parseInt(parameters.num_ranks, 10) || 100;
+            const levelId = parseInt(parameters.level_id, 10) || 0;
+            const timePeriod = scoreTimePeriod(parseInt(parameters.time_period_type, 10) || 0, parseInt(parameters.time_period, 10) || 0);
+            const ranks = mockServer.scores.filter(function(score) {
+                const dateCreated = Date.parse(score.date_created);
+                return score.game_id == parameters.game_id && score.level_id == levelId && dateCreated >= timePeriod.start && dateCreated < timePeriod.end;
+            }).sort(function(a, b) {
+                return b.score - a.score;
+            }).map(function(score, index) {
+                return {
+                    rank: index + 1,
+                    user_id: score.user_id,
+                    user_name: score.user_name,
+                    score: score.score,
+                    date_created: score.date_created
+                };
+            });
+            const userId = parseInt(parameters.user_id, 10) || 0;
+            if (configuration.scoreRankListByUser && userId > 0) {
+                return success(parameters, ranks.filter(function(rankEntry) {
+                    return rankEntry.user_id == userId;
+                }).slice(startRank - 1, startRank - 1 + numberOfRanks));
+            }
+            return success(parameters, ranks.slice(startRank - 1, startRank - 1 + numberOfRanks));
+        },
+
+        UserFavoriteGamesList: function(parameters) {
+            const authentication = authenticate(parameters);
+            if (authentication.user == null) {
+                return failure(parameters, authentication.errorCode, authentication.errorMessage);
+            }
+            return favoriteGamesResult(parameters, authentication.user.user_id);
+        },
+
+        UserFavoriteGamesAssign: function(parameters) {
+            parameters.game_id_list = parameters.game_id;
+            return services.UserFavoriteGamesAssignList(parameters);
+        },
+
+        UserFavoriteGamesAssignList: function(parameters) {
+            const authentication = authenticate(parameters);
+            if (authentication.user == null) {
+                return failure(parameters, authentication.errorCode, authentication.errorMessage);
+            }
+            const favoriteGames = favoriteGamesOf(authentication.user.user_id);
+            gameIdList(parameters).forEach(function(gameId) {
+                if ( ! favoriteGames.includes(gameId)) {
+                    favoriteGames.push(gameId);
+                }
+            });
+            return favoriteGamesResult(parameters, authentication.user.user_id);
+        },
+
+        UserFavoriteGamesUnassign: function(parameters) {
+            parameters.game_id_list = parameters.game_id;
+            return services.UserFavoriteGamesUnassignList(parameters);
+        },
+
+        UserFavoriteGamesUnassignList: function(parameters) {
+            const authentication = authenticate(parameters);
+            if (authentication.user == null) {
+                return failure(parameters, authentication.errorCode, authentication.errorMessage);
+            }
+            const removeGames = gameIdList(parameters);
+            mockServer.favoriteGames[authentication.user.user_id] = favoriteGamesOf(authentication.user.user_id).filter(function(gameId) {
+                return ! removeGames.includes(gameId);
+            });
+            return favoriteGamesResult(parameters, authentication.user.user_id);
+        },
+
+        UserFavoriteGamesMove: function(parameters) {
+            const authentication = authenticate(parameters);
+            if (authentication.user == null) {
+                return failure(parameters, authentication.errorCode, authentication.errorMessage);
+            }
+            const gameId = parseInt(parameters.game_id, 10);
+            const favoriteGames = favoriteGamesOf(authentication.user.user_id).filter(function(favoriteGameId) {
+                return favoriteGameId != gameId;
+            });
+            favoriteGames.splice(Math.max(0, (parseInt(parameters.sort_order, 10) || 1) - 1), 0, gameId);
+            mockServer.favoriteGames[authentication.user.user_id] = favoriteGames;
+            return favoriteGamesResult(parameters, authentication.user.user_id);
+        },
+
+        QuizGet: function(parameters) {
+            const quiz = findQuiz(parameters.game_id);
+            if (quiz == null) {
+                return failure(parameters, "QUIZ_ERROR", "There is no quiz " + parameters.game_id + ".");
+            }
+            return success(parameters, [quiz]);
+        },
+
+        QuizPlay: function(parameters) {
+            return services.QuizGet(parameters);
+        },
+
+        QuizPlayScheduled: function(parameters) {
+            // the requested quiz when there is one, otherwise the next quiz of the schedule
+            const quiz = findQuiz(parameters.game_id) || mockServer.quizzes[0];
+            if (quiz == null) {
+                return failure(parameters, "QUIZ_NOT_SCHEDULED_AT_THIS_TIME", "There is no quiz scheduled during the time period indicated.");
+            }
+            return success(parameters, [quiz]);
+        },
+
+        QuizQuestionPlayed: function(parameters) {
+            mockServer.quizQuestionsPlayed.push({
+                quiz_id: parseInt(parameters.game_id, 10),
+                question_id: parseInt(parameters.question_id, 10),
+                choice_id: parameters.choice_id !== undefined ? parseInt(parameters.choice_id, 10) : null
+            });
+            return success(parameters, []);
+        },
+
+        QuizSubmit: function(parameters) {
+            let results;
+            try {
+                results = JSON.parse(parameters.results);
+            } catch (exception) {
+                return failure(parameters, "QUIZ_RESULTS_DATA_ERROR", "Quiz results were not saved due to an internal error.");
+            }
+            mockServer.quizResults.push({quiz_id: parseInt(parameters.game_id, 10), ...results});
+            return success(parameters, []);
+        },
+
+        QuizOutcomesCountList: function(parameters) {
+            const outcomeCounts = {};
+            mockServer.quizResults.forEach(function(quizResult) {
+                if (quizResult.quiz_id == parameters.game_id && quizResult.outcome_id) {
+                    outcomeCounts[quizResult.outcome_id] = (outcomeCounts[quizResult.outcome_id] || 0) + 1;
+                }
+            });
+            return success(parameters, Object.keys(outcomeCounts).map(function(outcomeId) {
+                return {outcome_id: parseInt(outcomeId, 10), count: outcomeCounts[outcomeId]};
+            }));
+        }
+    };
+
+    /**
+     * Handle a request to the asset upload endpoint. `action` is "request" to get an upload token, then "upload"
+     * with the token to send the whole file in `image`. When the server grants chunked uploads the reply to "request"
+     * has a `chunk_size`, then "chunk" sends the part of the file at `offset`, "status" finds out how much
+     * of the file was received, and "complete" finishes the upload once the whole file was sent.
+     */
+    function handleUpload(parameters) {
+        mockServer.uploadRequests.push({action: parameters.action, target: parameters.target, file: parameters.file, offset: parameters.offset});
+        if (parameters.action == "request") {
+            if (parameters.file == null || parameters.file == "" || ! (parseInt(parameters.size, 10) > 0)) {
+                return {status: {success: "0", message: "INVALID_PARAMETER", extended_info: "A file name and size are required."}, results: {}};
+            }
+            const token = makeToken(16);
+            const uploadId = Object.keys(mockServer.uploads).length + 1;
+            mockServer.uploads[token] = {
+                id: uploadId,
+                target: parameters.target,
+                file: parameters.file,
+                size: parseInt(parameters.size, 10),
+                mimeType: parameters.mime_type,
+                received: 0,
+                chunks: [],
+                data: null
+            };
+            const uploadGranted = {token: token, id: uploadId};
+            if (configuration.chunkedUploads && parseInt(parameters.chunk_size, 10) > 0) {
+                uploadGranted.chunk_size = parameters.chunk_size;
+            }
+            return {status: {success: "1", message: "", extended_info: ""}, results: uploadGranted};
+        }
+        const upload = mockServer.uploads[parameters.token];
+        if (upload == null || upload.id != parameters.id) {
+            return {status: {success: "0", message: "INVALID_TOKEN", extended_info: "The upload token is not valid."}, results: {}};
+        }
+        const path = "/uploads/" + upload.target + "/";
+        if (parameters.action == "upload") {
+            if (parameters.image == null || parameters.image.size != upload.size) {
+                return {status: {success: "0", message: "INVALID_PARAMETER", extended_info: "Expected a file of " + upload.size + " bytes."}, results: {}};
+            }
+            upload.received = upload.size;
+            upload.data = parameters.image;
+            return {status: {success: "1", message: "", extended_info: ""}, results: {id: upload.id, file: upload.file, path: path, url: path + upload.file}};
+        } else if (parameters.action == "status") {
+            return {status: {success: "1", message: "", extended_info: ""}, results: {id: upload.id, received: upload.received}};
+        } else if (parameters.action == "chunk") {
+            const offset = parseInt(parameters.offset, 10);
+            if (parameters.data == null || ! (offset >= 0) || offset > upload.received) {
+                return {status: {success: "0", message: "INVALID_PARAMETER", extended_info: "Expected the chunk at " + upload.received + "."}, results: {id: upload.id, received: upload.received}};
+            }
+            if (offset == upload.received) {
+                // a chunk we already have is sent again when its reply was lost
+                upload.chunks.push(parameters.data);
+                upload.received += parameters.data.size;
+            }
+            return {status: {success: "1", message: "", extended_info: ""}, results: {id: upload.id, received: upload.received}};
+        } else if (parameters.action == "complete") {
+            if (upload.received != upload.size) {
+                return {status: {success: "0", message: "INVALID_PARAMETER", extended_info: "Received " + upload.received + " of " + upload.size + " bytes."}, results: {}};
+            }
+            upload.data = new Blob(upload.chunks, {type: upload.mimeType});
+            return {status: {success: "1", message: "", extended_info: ""}, results: {id: upload.id, file: upload.file, path: path, url: path + upload.file}};
+        }
+        return {status: {success: "0", message: "INVALID_PARAMETER", extended_info: "Unknown upload action " + parameters.action + "."}, results: {}};
+    }
+
+    /**
+     * Process one service request and return its Enginesis result.
+     * @param {object} parameters The key/value parameters of the request, `fn` is the service name.
+     * @returns {object} An Enginesis result object.
+     */
+    mockServer.handleService = function(parameters) {
+        const service = services[parameters.fn];
+        mockServer.requests.push(passThrough(parameters));
+        if (parameters.site_id != mockServer.siteId) {
+            return failure(parameters, "INVALID_SITE", "Site " + parameters.site_id + " is not valid.");
+        }
+        if (service == null) {
+            return failure(parameters, "INVALID_SERVICE_REQUEST", "Service " + parameters.fn + " is not supported by the mock server.");
+        }
+        return service(parameters);
+    };
+
+    /**
+     * A fetch compatible function that answers requests in-process. Give this to `enginesis.setNodeRequest()`.
+     * @param {string} url The request URL. Requests to /procs/asset.php are uploads, /oauth/token is the identity
+     *   provider token endpoint, /signin/exchange is the app's server adding the client secret to a token request,
+     *   all others are services.
+     * @param {object} requestOptions fetch options, only `body` and `signal` are used.
+     * @returns {Promise} Resolves with a fetch-like response, or rejects like fetch when the network is down.
+     */
+    mockServer.request = function(url, requestOptions) {
+        return new Promise(function(resolve, reject) {
+            if (mockServer.isNetworkDown) {
+                const networkError = new TypeError("fetch failed");
+                networkError.cause = {code: "ECONNREFUSED"};
+                reject(networkError);
+                return;
+            }
+            const parameters = bodyToParameters(requestOptions ? requestOptions.body : null);
+            const pathName = new URL(url, "http://localhost").pathname;
+            if (pathName == "/procs/asset.php") {
+                resolve(makeResponse(200, handleUpload(parameters)));
+                return;
+            }
+            if (pathName == "/oauth/token" || pathName == "/signin/exchange") {
+                const tokenResponse = handleToken(pathName == "/signin/exchange" ? {...parameters, client_secret: mockServer.identityProvider.clientSecret} : parameters);
+                resolve(makeResponse(tokenResponse.status, tokenResponse.reply));
+                return;
+            }
+            if (mockServer.heldServices[parameters.fn]) {
+                const heldRequest = {parameters: parameters, resolve: resolve};
+                mockServer.heldRequests.push(heldRequest);
+                if (requestOptions && requestOptions.signal) {
+                    requestOptions.signal.addEventListener("abort", function() {
+                        mockServer.heldRequests = mockServer.heldRequests.filter(function(otherRequest) {
+                            return otherRequest !== heldRequest;
+                        });
+                        reject(new DOMException("This operation was aborted", "AbortError"));
+                    });
+                }
+                return;
+            }
+            const failure = mockServer.failures[parameters.fn];
+            if (failure) {
+                failure.count -= 1;
+                if (failure.count < 1) {
+                    delete mockServer.failures[parameters.fn];
+                }
+                mockServer.requests.push(passThrough(parameters));
+                resolve(makeResponse(failure.httpStatus, null));
+                return;
+            }
+            resolve(makeResponse(200, mockServer.handleService(parameters)));
+        });
+    };
+
+    /**
+     * Answer an authorization request as the identity provider does once the user signs in, with the URL
+     * it redirects to. Pass this as the `authorize` sign in option.
+     * @param {string} authorizationURL The authorization URL the SDK made.
+     * @param {boolean} userAllows Optional, false when the user does not allow the sign in.
+     * @returns {string} The redirect URL with the authorization code and state, or the error.
+     */
+    mockServer.authorize = function(authorizationURL, userAllows) {
+        const authorizationParameters = new URL(authorizationURL).searchParams;
+        const redirectURL = new URL(authorizationParameters.get("redirect_uri"));
+        if (userAllows === false) {
+            redirectURL.searchParams.set("error", "access_denied");
+        } else {
+            const code = makeToken(16);
+            mockServer.identityProvider.codes[code] = {
+                clientId: authorizationParameters.get("client_id"),
+                redirectURI: authorizationParameters.get("redirect_uri"),
+                nonce: authorizationParameters.get("nonce"),
+                codeChallenge: authorizationParameters.get("code_challenge_method") == "S256" ? authorizationParameters.get("code_challenge") : ""
+            };
+            redirectURL.searchParams.set("code", code);
+        }
+        redirectURL.searchParams.set("state", authorizationParameters.get("state"));
+        return redirectURL.toString();
+    };
+
+    /**
+     * Expire every authentication token issued so far. The next authenticated request gets `TOKEN_EXPIRED`.
+     */
+    mockServer.expireAuthTokens = function() {
+        Object.keys(mockServer.authTokens).forEach(function(authToken) {
+            mockServer.authTokens[authToken].expires = 0;
+        });
+    };
+
+    /**
+     * Make requests fail as if there is no network connection.
+     * @param {boolean} isNetworkDown True to fail all requests, false to answer them again.
+     */
+    mockServer.setNetworkDown = function(isNetworkDown) {
+        mockServer.isNetworkDown = isNetworkDown;
+    };
+
+    /**
+     * Answer the next request to a service with an HTTP error status.
+     * @param {string} serviceName The service to fail.
+     * @param {integer} httpStatus The HTTP status to answer with, such as 500 or 503.
+     * @param {integer} count Optional number of requests in a row to fail, default 1.
+     */
+    mockServer.failNextRequest = function(serviceName, httpStatus, count) {
+        mockServer.failures[serviceName] = {httpStatus: httpStatus, count: count > 0 ? count : 1};
+    };
+
+    /**
+     * Do not answer requests to a service, as if the server hangs, until `releaseHeldRequests` is called.
+     * A held request rejects with an AbortError when its signal is aborted.
+     * @param {string} serviceName The service to hold.
+     */
+    mockServer.holdService = function(serviceName) {
+        mockServer.heldServices[serviceName] = true;
+    };
+
+    /**
+     * Stop holding requests and answer every request that was held.
+     */
+    mockServer.releaseHeldRequests = function() {
+        const heldRequests = mockServer.heldRequests;
+        mockServer.heldServices = {};
+        mockServer.heldRequests = [];
+        heldRequests.forEach(function(heldRequest) {
+            heldRequest.resolve(makeResponse(200, mockServer.handleService(heldRequest.parameters)));
+        });
+    };
+
+    /**
+     * Encrypt a payload for the SDK `decryptServerPayload()`, in the format of the newest version the server offers.
+     * @param {string} data The data to encrypt.
+     * @param {string} sessionId The session id the key is made from.
+     * @returns {string} The encrypted payload, URL safe base-64.
+     */
+    mockServer.encryptPayload = function(data, sessionId) {
+        let encrypted;
+        if (configuration.cryptoVersion >= 2) {
+            const header = Buffer.concat([Buffer.from([2]), crypto.randomBytes(12)]);
+            const cipher = crypto.createCipheriv("aes-256-gcm", payloadKey(sessionId, "enginesis server payload"), header.subarray(1));
+            cipher.setAAD(header.subarray(0, 1));
+            encrypted = Buffer.concat([header, cipher.update(data, "utf8"), cipher.final(), cipher.getAuthTag()]);
+        } else {
+            const cipher = crypto.createCipheriv("aes-256-cbc", Buffer.from(sessionId), Buffer.from(sessionId.substring(3, 16 + 3)));
+            encrypted = Buffer.concat([cipher.update(data, "utf8"), cipher.final()]);
+        }
+        return encrypted.toString("base64").replace(/\+/g, "-").replace(/\//g, "_").replace(/=/g, "~");
+    };
+
+    /**
+     * Return the requests received for a service.
+     * @param {string} serviceName The service name.
+     * @returns {Array} The parameters of each request, in the order they were received.
+     */
+    mockServer.requestsFor = function(serviceName) {
+        return mockServer.requests.filter(function(request) {
+            return request.fn == serviceName;
+        });
+    };
+
+    /**
+     * Start an HTTP server answering requests the same as `request`.
+     * @param {integer} port Port to listen on, 0 picks any free port.
+     * @returns {Promise} Resolves with the base URL of the server, e.g. "http://127.0.0.1:8088".
+     */
+    mockServer.listen = function(port) {
+        return new Promise(function(resolve, reject) {
+            mockServer.httpServer = http.createServer(function(httpRequest, httpResponse) {
+                const chunks = [];
+                httpRequest.on("data", function(chunk) {
+                    chunks.push(chunk);
+                });
+                httpRequest.on("end", function() {
+                    const headers = {"content-type": httpRequest.headers["content-type"] || "application/x-www-form-urlencoded"};
+                    new Response(Buffer.concat(chunks), {headers: headers}).formData()
+                    .catch(function() {
+                        return new URLSearchParams();
+                    })
+                    .then(function(formData) {
+                        return mockServer.request(httpRequest.url, {body: formData});
+                    })
+                    .then(function(response) {
+                        httpResponse.writeHead(response.status, {
+                            "Content-Type": "application/json",
+                            "Access-Control-Allow-Origin": "*"
+                        });
+                        httpResponse.end(response.body);
+                    });
+                });
+            });
+            mockServer.httpServer.on("error", reject);
+            mockServer.httpServer.listen(port || 0, "127.0.0.1", function() {
+                mockServer.url = "http://127.0.0.1:" + mockServer.httpServer.address().port;
+                resolve(mockServer.url);
+            });
+        });
+    };
+
+    /**
+     * Stop the HTTP server.
+     * @returns {Promise} Resolves when the server is closed.
+     */
+    mockServer.close = function() {
+        return new Promise(function(resolve) {
+            if (mockServer.httpServer == null) {
+                resolve();
+                return;
+            }
+            mockServer.httpServer.close(function() {
+                mockServer.httpServer = null;
+                resolve();
+            });
+        });
+    };
+
+    return mockServer;
+}
+
+if (process.argv[1] && import.meta.url == pathToFileURL(process.argv[1]).href) {
+    const portArgument = process.argv.indexOf("--port");
+    const port = portArgument > 0 ? parseInt(process.argv[portArgument + 1], 10) : 8088;
+    createMockEnginesisServer().listen(port)
+    .then(function(url) {
+        console.log("Mock Enginesis server listening at " + url);
+    });
+}
@@ -0,0 +1,70 @@
+import { jest, describe, test, expect, beforeAll, beforeEach, afterAll } from "@jest/globals";
+import { createMockEnginesisServer } from "./mockEnginesisServer.js";
+import enginesis from "../public/js/lib/enginesis.js";
+
+// No browser environment here: the SDK must use Node's own fetch, crypto and the storage it is given.
+const siteId = 106;
+const developerKey = "DEADBEEFCAFEF00D";
+const gameId = 1083;
+
+function createStorage() {
+    const items = {};
+    return {
+        items: items,
+        getItem: function(key) {
+            return Object.prototype.hasOwnProperty.call(items, key) ? items[key] : null;
+        },
+        setItem: function(key, value) {
+            items[key] = String(value);
+        },
+        removeItem: function(key) {
+            delete items[key];
+        }
+    };
+}
+
+describe("Node.js", function() {
+    const mockServer = createMockEnginesisServer({siteId: siteId, developerKey: developerKey});
+    let serverURL;
+    let storage;
+
+    beforeAll(async function() {
+        jest.spyOn(console, "log").mockImplementation(function() {});
+        serverURL = await mockServer.listen(0);
+    });
+
+    beforeEach(function() {
+        storage = createStorage();
+        enginesis.init({siteId: siteId, gameId: gameId, developerKey: developerKey, serverHost: serverURL, storage: storage});
+    });
+
+    afterAll(async function() {
+        await mockServer.close();
+        jest.restoreAllMocks();
+    });
+
+    test("runs without a browser window", function() {
+        expect(typeof window).toBe("undefined");
+        expect(enginesis.serverBaseUrlGet()).toBe(serverURL.replace("http://", ""));
+        expect(enginesis.serverStageGet()).toBe("-l");
+    });
+
+    test("logs in and submits a score over HTTP", async function() {
+        const loginResult = await enginesis.userLogin("tester", "test-password");
+        expect(enginesis.isError(loginResult)).toBe(false);
+        await enginesis.sessionBegin("", gameId);
+        const enginesisResult = await enginesis.scoreSubmit(gameId, 2500, 1, {strokes: 40}, 45000);
+        expect(enginesis.isError(enginesisResult)).toBe(false);
+        expect(mockServer.scores).toEqual([
+            expect.objectContaining({user_id: 10241, game_id: gameId, score: 2500})
+        ]);
+    });
+
+    test("keeps the session in the storage it is given", async function() {
+        await enginesis.userLogin("tester", "test-password");
+        expect(storage.getItem("enginesis.106.engsession_user")).toContain("tester");
+        enginesis.init({siteId: siteId, gameId: gameId, developerKey: developerKey, serverHost: serverURL, storage: storage});
+        expect(enginesis.isUserLoggedIn()).toBe(true);
+        expect(enginesis.userIdGet()).toBe(10241);
+    });
+});
@@ -0,0 +1,123 @@
+import { jest, describe, test, expect, afterEach } from "@jest/globals";
+import { indexedDBRecords } from "./browserEnvironment.js";
+import { useEnginesisFixture, gameId, waitFor, initParameters } from "./enginesisFixture.js";
+import enginesis from "../public/js/lib/enginesis.js";
+
+describe("offline queue", function() {
+    const mockServer = useEnginesisFixture({retryPolicy: {baseDelay: 1, maxDelay: 1}});
+
+    // the queue is read from and written to IndexedDB in the background
+    function waitForIndexedDB() {
+        return waitFor(50);
+    }
+
+    afterEach(async function() {
+        // leave the queue empty so the next test does not start with queued requests
+        mockServer.setNetworkDown(false);
+        await enginesis.restoreOnline();
+    });
+
+    test("goes offline on a network error", async function() {
+        const offlineListener = jest.fn();
+        enginesis.on("offline", offlineListener);
+        mockServer.setNetworkDown(true);
+        const enginesisResult = await enginesis.gameTrackingRecord("game", "play", "level-1", "");
+        enginesis.off("offline", offlineListener);
+        expect(enginesisResult.results.status.message).toBe("OFFLINE");
+        expect(offlineListener).toHaveBeenCalledTimes(1);
+        expect(enginesis.queuedRequestsGet().map(function(queuedRequest) {
+            return queuedRequest.serviceName;
+        })).toEqual(["GameTrackingRecord"]);
+    });
+
+    test("queues durable requests and fails other requests while offline", async function() {
+        mockServer.setNetworkDown(true);
+        await enginesis.gameTrackingRecord("game", "play", "level-1", "");
+        const findResult = await enginesis.gameFind("putt");
+        const ratingResult = await enginesis.gameRatingUpdate(gameId, 5);
+        expect(findResult.results.status.message).toBe("OFFLINE");
+        expect(ratingResult.results.status.message).toBe("OFFLINE");
+        expect(enginesis.queuedRequestsGet().map(function(queuedRequest) {
+            return queuedRequest.serviceName;
+        })).toEqual(["GameTrackingRecord", "GameRatingUpdate"]);
+    });
+
+    test("keeps only the newest of requests with the same dedupe key", async function() {
+        mockServer.setNetworkDown(true);
+        await enginesis.gameTrackingRecord("game", "play", "level-1", "");
+        await enginesis.gameRatingUpdate(gameId, 3);
+        await enginesis.gameRatingUpdate(gameId, 4);
+        await enginesis.gameRatingUpdate(1084, 2);
+        expect(enginesis.queuedRequestsGet().map(function(queuedRequest) {
+            return queuedRequest.serviceName;
+        })).toEqual(["GameTrackingRecord", "GameRatingUpdate", "GameRatingUpdate"]);
+        mockServer.setNetworkDown(false);
+        mockServer.requests = [];
+        await enginesis.restoreOnline();
+        expect(mockServer.requestsFor("GameRatingUpdate").map(function(request) {
+            return request.rating;
+        })).toEqual(["4", "2"]);
+    });
+
+    test("sends the queue when back online", async function() {
+        const queueFlushedListener = jest.fn();
+        mockServer.setNetworkDown(true);
+        await enginesis.gameTrackingRecord("game", "play", "level-1", "");
+        await enginesis.gameTrackingRecord("game", "play", "level-2", "");
+        mockServer.setNetworkDown(false);
+        enginesis.on("queueFlushed", queueFlushedListener);
+        await enginesis.restoreOnline();
+        enginesis.off("queueFlushed", queueFlushedListener);
+        expect(enginesis.queuedRequestsGet()).toEqual([]);
+        expect(mockServer.trackingEvents.map(function(trackingEvent) {
+            return trackingEvent.hit_label;
+        })).toEqual(["level-1", "level-2"]);
+        expect(queueFlushedListener).toHaveBeenCalledWith({type: "queueFlushed", messagesProcessed: 2});
+    });
+
+    test("saves durable requests and restores them after the app reloads", async function() {
+        mockServer.setNetworkDown(true);
+        await enginesis.gameTrackingRecord("game", "play", "saved", "");
+        await waitForIndexedDB();
+        // the page that queued the request is gone once it reloads, it does not send anything more
+        enginesis.setNodeRequest(function() {
+            return Promise.reject(new TypeError("fetch failed"));
+        });
+        expect(indexedDBRecords("enginesis.106.enginesisServiceQueue", "requests").map(function(savedRequest) {
+            return savedRequest.fn;
+        })).toEqual(["GameTrackingRecord"]);
+        expect(window.localStorage.getItem("enginesis.106.enginesisServiceQueue")).toBeNull();
+
+        // a new copy of the SDK shares the saved queue the same as a reloaded page would
+        mockServer.setNetworkDown(false);
+        const reloadedEnginesis = (await import("../public/js/lib/enginesis.js?reload")).default;
+        const restoredResults = [];
+        reloadedEnginesis.setNodeRequest(mockServer.request);
+        reloadedEnginesis.queuedRequestHandlerSet("GameTrackingRecord", function(enginesisResult) {
+            restoredResults.push(enginesisResult);
+        });
+        const queueFlushed = new Promise(function(resolve) {
+            reloadedEnginesis.once("queueFlushed", resolve);
+        });
+        reloadedEnginesis.init(initParameters);
+        await queueFlushed;
+        expect(mockServer.trackingEvents.map(function(trackingEvent) {
+            return trackingEvent.hit_label;
+        })).toEqual(["saved"]);
+        expect(restoredResults.length).toBe(1);
+        expect(reloadedEnginesis.isError(restoredResults[0])).toBe(false);
+        await waitForIndexedDB();
+        expect(indexedDBRecords("enginesis.106.enginesisServiceQueue", "requests")).toEqual([]);
+        enginesis.setNodeRequest(mockServer.request);
+    });
+
+    test("resolves every caller with its own result", async function() {
+        const gameIds = [1083, 1084, 1083, 1084, 1083];
+        const enginesisResults = await Promise.all(gameIds.map(function(gameId) {
+            return enginesis.gameGet(gameId);
+        }));
+        expect(enginesisResults.map(function(enginesisResult) {
+            return enginesisResult.results.result[0].game_id;
+        })).toEqual(gameIds);
+    });
+});
@@ -0,0 +1,168 @@
+import { jest, describe, test, expect, afterEach } from "@jest/globals";
+import { useEnginesisFixture, initParameters, waitFor } from "./enginesisFixture.js";
+import enginesis from "../public/js/lib/enginesis.js";
+
+const quizId = 2001;
+
+describe("quiz runner", function() {
+    const mockServer = useEnginesisFixture();
+
+    function quizOf(enginesisResult) {
+        return enginesisResult.results.result[0];
+    }
+
+    afterEach(function() {
+        enginesis.quizQuit();
+    });
+
+    test("records each answer, submits the outcome and shows what the other players got", async function() {
+        mockServer.quizResults.push({quiz_id: quizId, score: 3, outcome_id: 3});
+        const quizChanged = jest.fn();
+        enginesis.on("quizChanged", quizChanged);
+        const startResult = await enginesis.quizStart(quizId);
+        expect(quizOf(startResult)).toEqual(expect.objectContaining({state: "question", questionNumber: 1, questionCount: 3, title: "Mini Golf Trivia"}));
+        expect(quizOf(startResult).question.choices[1]).toEqual({choiceId: 12, choice: "18"});
+        expect(quizOf(startResult).question.timeLimit).toBe(20000);
+
+        const invalidResult = await enginesis.quizAnswer(99);
+        expect(invalidResult.results.status.message).toBe("INVALID_QUIZ_CHOICE_ID");
+        await enginesis.quizAnswer(12);
+        await enginesis.quizAnswer(21);
+        const finishedResult = await enginesis.quizAnswer(31);
+        enginesis.off("quizChanged", quizChanged);
+        expect(quizOf(finishedResult)).toEqual(expect.objectContaining({
+            state: "complete",
+            question: null,
+            outcome: {score: 2, outcomeId: 2, title: "Club Pro"},
+            otherOutcomes: [
+                {outcomeId: 2, title: "Club Pro", count: 1, share: 0.5},
+                {outcomeId: 3, title: "Champion", count: 1, share: 0.5}
+            ]
+        }));
+        expect(mockServer.quizQuestionsPlayed.map(function(questionPlayed) {
+            return questionPlayed.choice_id;
+        })).toEqual([12, 21, 31]);
+        expect(mockServer.quizResults[1]).toEqual(expect.objectContaining({quiz_id: quizId, score: 2, outcome_id: 2}));
+        expect(quizChanged).toHaveBeenLastCalledWith({type: "quizChanged", quiz: quizOf(finishedResult)});
+        expect(window.localStorage.getItem("enginesis.106.enginesisQuizSession")).toBeNull();
+
+        const noQuestionResult = await enginesis.quizAnswer(12);
+        expect(noQuestionResult.results.status.message).toBe("QUIZ_ERROR");
+    });
+
+    test("answers a question without a choice when its time runs out", async function() {
+        mockServer.quizzes[0].questions[0].time_limit = 0.05;
+        await enginesis.quizStart(quizId);
+        await new Promise(function(resolve) {
+            enginesis.once("quizChanged", resolve);
+        });
+        const quiz = enginesis.quizStateGet();
+        expect(quiz.questionNumber).toBe(2);
+        expect(quiz.answers[0]).toEqual(expect.objectContaining({questionId: 1, choiceId: null, isCorrect: false}));
+        expect(quiz.question.timeRemaining).toBeGreaterThan(19000);
+        await enginesis.quizAnswer(21);
+        expect(mockServer.quizQuestionsPlayed).toEqual([
+            {quiz_id: quizId, question_id: 1, choice_id: null},
+            {quiz_id: quizId, question_id: 2, choice_id: 21}
+        ]);
+    });
+
+    test("resumes the quiz after the app reloads", async function() {
+        mockServer.quizzes[0].questions.forEach(function(question) {
+            question.time_limit = 0;
+        });
+        await enginesis.quizStart(quizId);
+        await enginesis.quizAnswer(12);
+
+        const reloadedEnginesis = (await import("../public/js/lib/enginesis.js?reload")).default;
+        reloadedEnginesis.setNodeRequest(mockServer.request);
+        reloadedEnginesis.init(initParameters);
+        const resumedResult = await reloadedEnginesis.quizResume();
+        expect(quizOf(resumedResult)).toEqual(expect.objectContaining({state: "question", questionNumber: 2}));
+        expect(quizOf(resumedResult).question.timeRemaining).toBeNull();
+        await reloadedEnginesis.quizAnswer(21);
+        const finishedResult = await reloadedEnginesis.quizAnswer(32);
+        expect(quizOf(finishedResult).outcome).toEqual({score: 3, outcomeId: 3, title: "Champion"});
+        expect(mockServer.quizQuestionsPlayed.length).toBe(3);
+        expect(mockServer.quizResults.length).toBe(1);
+        reloadedEnginesis.quizQuit();
+    });
+
+    test("saves only the answers of the quiz being played and does not resume a changed save", async function() {
+        await enginesis.quizStart(quizId);
+        await enginesis.quizAnswer(12);
+        const savedSession = JSON.parse(window.localStorage.getItem("enginesis.106.enginesisQuizSession"));
+        expect(Object.keys(savedSession).sort()).toEqual(["answers", "questionIndex", "questionStartedAt", "quizId"]);
+        expect(savedSession.answers).toEqual([{questionId: 1, choiceId: 12, timeTaken: expect.any(Number)}]);
+        enginesis.quizQuit();
+
+        window.localStorage.setItem("enginesis.106.enginesisQuizSession", JSON.stringify({...savedSession, questionIndex: 3}));
+        const resumedResult = await enginesis.quizResume();
+        expect(resumedResult.results.result).toEqual([]);
+        expect(window.localStorage.getItem("enginesis.106.enginesisQuizSession")).toBeNull();
+        expect(mockServer.quizResults.length).toBe(0);
+    });
+
+    test("does not submit a resumed quiz again when its submit is waiting on the queue", async function() {
+        mockServer.quizzes[0].questions.forEach(function(question) {
+            question.time_limit = 0;
+        });
+        await enginesis.quizStart(quizId);
+        await enginesis.quizAnswer(12);
+        await enginesis.quizAnswer(21);
+        mockServer.setNetworkDown(true);
+        await enginesis.quizAnswer(32);
+        const answers = enginesis.quizStateGet().answers;
+        await waitFor(50);
+        // the app closed after the submit was queued and before the quiz was saved as complete
+        window.localStorage.setItem("enginesis.106.enginesisQuizSession", JSON.stringify({
+            quizId: quizId,
+            questionIndex: 3,
+            questionStartedAt: Date.now(),
+            answers: answers.map(function(answer) {
+                return {questionId: answer.questionId, choiceId: answer.choiceId, timeTaken: answer.timeTaken};
+            })
+        }));
+        mockServer.setNetworkDown(false);
+
+        const reloadedEnginesis = (await import("../public/js/lib/enginesis.js?reload")).default;
+        reloadedEnginesis.setNodeRequest(mockServer.request);
+        reloadedEnginesis.init(initParameters);
+        const resumedResult = await reloadedEnginesis.quizResume();
+        expect(quizOf(resumedResult)).toEqual(expect.objectContaining({state: "complete", outcome: {score: 3, outcomeId: 3, title: "Champion"}}));
+        expect(mockServer.quizResults.length).toBe(0);
+        await reloadedEnginesis.restoreOnline();
+        expect(mockServer.quizResults.length).toBe(1);
+        // leave the app before the reload online for the next test
+        await enginesis.restoreOnline();
+    });
+
+    test("chooses the outcome most of the answers lead to", async function() {
+        mockServer.quizzes.push({
+            quiz: {quiz_id: 2002, title: "What Kind of Golfer Are You?"},
+            questions: [1, 2, 3].map(function(questionId) {
+                return {
+                    question_id: questionId,
+                    question: "Question " + questionId,
+                    choices: [
+                        {choice_id: questionId * 10 + 1, choice: "Careful", outcome_id: 1},
+                        {choice_id: questionId * 10 + 2, choice: "Bold", outcome_id: 2}
+                    ]
+                };
+            }),
+            outcomes: [
+                {outcome_id: 1, title: "The Strategist"},
+                {outcome_id: 2, title: "The Daredevil"}
+            ]
+        });
+        await enginesis.quizStart(2002);
+        await enginesis.quizAnswer(12);
+        await enginesis.quizAnswer(21);
+        const finishedResult = await enginesis.quizAnswer(32);
+        expect(quizOf(finishedResult).outcome).toEqual({score: 0, outcomeId: 2, title: "The Daredevil"});
+
+        const missingResult = await enginesis.quizStart(3000);
+        expect(missingResult.results.status.message).toBe("QUIZ_ERROR");
+        expect(enginesis.quizStateGet()).toBeNull();
+    });
+});
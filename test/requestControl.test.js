@@ -0,0 +1,73 @@
+import { jest, describe, test, expect, afterEach } from "@jest/globals";
+import { useEnginesisFixture, gameId } from "./enginesisFixture.js";
+import enginesis from "../public/js/lib/enginesis.js";
+
+describe("request timeouts and cancellation", function() {
+    const mockServer = useEnginesisFixture();
+
+    afterEach(async function() {
+        enginesis.resume();
+        mockServer.releaseHeldRequests();
+        await enginesis.restoreOnline();
+    });
+
+    test("fails with TIMEOUT when the server does not reply in time", async function() {
+        mockServer.holdService("GameFind");
+        const enginesisResult = await enginesis.gameFind("putt", null, {timeout: 20});
+        expect(enginesisResult.results.status.message).toBe("TIMEOUT");
+        expect(mockServer.heldRequests.length).toBe(0);
+        expect(enginesis.queuedRequestsGet()).toEqual([]);
+    });
+
+    test("fails with ABORTED when the signal is aborted", async function() {
+        const abortController = new AbortController();
+        mockServer.holdService("GameFind");
+        const found = enginesis.gameFind("putt", null, {signal: abortController.signal});
+        abortController.abort();
+        const enginesisResult = await found;
+        expect(enginesisResult.results.status.message).toBe("ABORTED");
+        expect(enginesis.queuedRequestsGet()).toEqual([]);
+    });
+
+    test("does not send a request when the signal was already aborted", async function() {
+        const abortController = new AbortController();
+        abortController.abort();
+        const enginesisResult = await enginesis.gameGet(gameId, null, {signal: abortController.signal});
+        expect(enginesisResult.results.status.message).toBe("ABORTED");
+        expect(mockServer.requestsFor("GameGet").length).toBe(0);
+    });
+
+    test("answers with the server reply when it comes before the timeout", async function() {
+        const callBackFunction = jest.fn();
+        const enginesisResult = await enginesis.gameGet(gameId, callBackFunction, {timeout: 1000});
+        expect(enginesis.isError(enginesisResult)).toBe(false);
+        expect(callBackFunction).toHaveBeenCalledTimes(1);
+    });
+
+    test("holds requests that are not essential while paused", async function() {
+        mockServer.holdService("GameGet");
+        const gameGot = enginesis.gameGet(gameId);
+        enginesis.pause({requests: "hold"});
+        const found = enginesis.gameFind("putt");
+        const loggedIn = await enginesis.userLogin("tester", "test-password");
+        expect(enginesis.isError(loggedIn)).toBe(false);
+        expect(mockServer.heldRequests.length).toBe(0);
+        expect(mockServer.requestsFor("GameFind").length).toBe(0);
+        mockServer.releaseHeldRequests();
+        enginesis.resume();
+        const enginesisResults = await Promise.all([gameGot, found]);
+        enginesisResults.forEach(function(enginesisResult) {
+            expect(enginesis.isError(enginesisResult)).toBe(false);
+        });
+        expect(mockServer.requestsFor("GameGet").length).toBe(1);
+    });
+
+    test("cancels requests that are not essential when paused", async function() {
+        mockServer.holdService("GameFind");
+        const found = enginesis.gameFind("putt");
+        const gameGot = enginesis.gameGet(gameId, null, {essential: true});
+        enginesis.pause({requests: "cancel"});
+        expect((await found).results.status.message).toBe("ABORTED");
+        expect(enginesis.isError(await gameGot)).toBe(false);
+    });
+});
@@ -0,0 +1,74 @@
+import { describe, test, expect } from "@jest/globals";
+import { useEnginesisFixture, gameId, initParameters, waitFor } from "./enginesisFixture.js";
+import enginesis from "../public/js/lib/enginesis.js";
+
+describe("response cache", function() {
+    const mockServer = useEnginesisFixture(null);
+
+    function savedCacheKeys() {
+        return Object.keys(window.localStorage).filter(function(key) {
+            return key.startsWith("enginesis.106.enginesisResponseCache:");
+        });
+    }
+
+    test("answers a request from the cache until its time to live is over", async function() {
+        enginesis.init({...initParameters, responseCache: {GameGet: {ttl: 30, staleTtl: 0}}});
+        const firstResult = await enginesis.gameGet(gameId);
+        const cachedResult = await enginesis.gameGet(gameId);
+        expect(firstResult.cached).toBeUndefined();
+        expect(cachedResult).toEqual(expect.objectContaining({cached: true, stale: false}));
+        expect(cachedResult.results.result).toEqual(firstResult.results.result);
+        expect(mockServer.requestsFor("GameGet").length).toBe(1);
+
+        await waitFor(40);
+        const expiredResult = await enginesis.gameGet(gameId);
+        expect(expiredResult.cached).toBeUndefined();
+        expect(mockServer.requestsFor("GameGet").length).toBe(2);
+    });
+
+    test("answers with a stale response and refreshes it in the background", async function() {
+        enginesis.init({...initParameters, responseCache: {GameGet: {ttl: 10, staleTtl: 60000}}});
+        await enginesis.gameGet(gameId);
+        await waitFor(20);
+        const staleResult = await enginesis.gameGet(gameId);
+        expect(staleResult).toEqual(expect.objectContaining({cached: true, stale: true}));
+        await waitFor(0);
+        expect(mockServer.requestsFor("GameGet").length).toBe(2);
+        const refreshedResult = await enginesis.gameGet(gameId);
+        expect(refreshedResult).toEqual(expect.objectContaining({cached: true, stale: false}));
+    });
+
+    test("keeps each response in its own storage item and reads it after a reload", async function() {
+        enginesis.init({...initParameters, responseCache: true});
+        await enginesis.gameGet(gameId);
+        await enginesis.gameGetByName("matchmaster");
+        expect(Object.keys(JSON.parse(window.localStorage.getItem("enginesis.106.enginesisResponseCache"))).length).toBe(2);
+        expect(savedCacheKeys().length).toBe(2);
+
+        const reloadedEnginesis = (await import("../public/js/lib/enginesis.js?reload")).default;
+        reloadedEnginesis.setNodeRequest(mockServer.request);
+        reloadedEnginesis.init({...initParameters, responseCache: true});
+        const cachedResult = await reloadedEnginesis.gameGetByName("matchmaster");
+        expect(cachedResult.cached).toBe(true);
+        expect(cachedResult.results.result[0].game_id).toBe(1084);
+        expect(mockServer.requestsFor("GameGetByName").length).toBe(1);
+    });
+
+    test("removes the responses of a service from memory and storage", async function() {
+        enginesis.init({...initParameters, responseCache: true});
+        await enginesis.gameGet(gameId);
+        await enginesis.gameGetByName("matchmaster");
+        expect(enginesis.responseCacheClear("GameGet")).toBe(1);
+        expect(Object.keys(JSON.parse(window.localStorage.getItem("enginesis.106.enginesisResponseCache")))).toEqual([
+            expect.stringMatching(/^GameGetByName:/)
+        ]);
+        await enginesis.gameGet(gameId);
+        await enginesis.gameGetByName("matchmaster");
+        expect(mockServer.requestsFor("GameGet").length).toBe(2);
+        expect(mockServer.requestsFor("GameGetByName").length).toBe(1);
+
+        expect(enginesis.responseCacheClear()).toBe(2);
+        expect(window.localStorage.getItem("enginesis.106.enginesisResponseCache")).toBeNull();
+        expect(savedCacheKeys()).toEqual([]);
+    });
+});
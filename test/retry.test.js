@@ -0,0 +1,63 @@
+import { jest, describe, test, expect } from "@jest/globals";
+import { useEnginesisFixture, initParameters } from "./enginesisFixture.js";
+import enginesis from "../public/js/lib/enginesis.js";
+
+describe("retry", function() {
+    const mockServer = useEnginesisFixture(null);
+
+    function initialize(testInitParameters) {
+        enginesis.init({
+            ...initParameters,
+            retryPolicy: {maxAttempts: 3, baseDelay: 40, maxDelay: 1000},
+            ...testInitParameters
+        });
+    }
+
+    test("sends a request again with a growing delay until it succeeds", async function() {
+        initialize();
+        jest.spyOn(Math, "random").mockReturnValue(1);
+        mockServer.failNextRequest("GameFind", 500, 2);
+        const startTime = Date.now();
+        const enginesisResult = await enginesis.gameFind("putt");
+        Math.random.mockRestore();
+        expect(enginesis.isError(enginesisResult)).toBe(false);
+        expect(mockServer.requestsFor("GameFind").length).toBe(3);
+        // 40ms before the second attempt and 80ms before the third
+        expect(Date.now() - startTime).toBeGreaterThanOrEqual(115);
+    });
+
+    test("gives up after the most attempts of the retry policy", async function() {
+        initialize({retryPolicy: {maxAttempts: 2, baseDelay: 1, maxDelay: 1}});
+        mockServer.failNextRequest("GameFind", 500, 3);
+        const enginesisResult = await enginesis.gameFind("putt");
+        expect(enginesisResult.results.status.message).toBe("SERVICE_ERROR");
+        expect(mockServer.requestsFor("GameFind").length).toBe(2);
+    });
+
+    test("does not send a request again when the server refused it", async function() {
+        initialize({retryPolicy: {baseDelay: 1, maxDelay: 1}});
+        mockServer.failNextRequest("GameFind", 400, 2);
+        const enginesisResult = await enginesis.gameFind("putt");
+        expect(enginesisResult.results.status.message).toBe("INVALID_SERVICE_REQUEST");
+        expect(mockServer.requestsFor("GameFind").length).toBe(1);
+    });
+
+    test("sends a request that is not idempotent again when a request module rejects with 503", async function() {
+        initialize({retryPolicy: {baseDelay: 1, maxDelay: 1}, serviceIsIdempotent: {GameFind: false}});
+        let rejections = 0;
+        enginesis.setNodeRequest(function(url, requestOptions) {
+            if (rejections < 1) {
+                // Axios rejects on an HTTP error status, with the response on the error
+                const requestError = new Error("Request failed with status code 503");
+                requestError.response = {status: 503};
+                rejections += 1;
+                return Promise.reject(requestError);
+            }
+            return mockServer.request(url, requestOptions);
+        });
+        const enginesisResult = await enginesis.gameFind("putt");
+        expect(enginesis.isError(enginesisResult)).toBe(false);
+        expect(rejections).toBe(1);
+        expect(mockServer.requestsFor("GameFind").length).toBe(1);
+    });
+});
@@ -0,0 +1,114 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from "@jest/globals";
+import { useEnginesisFixture, gameId, initParameters } from "./enginesisFixture.js";
+import enginesis from "../public/js/lib/enginesis.js";
+
+const slotInitParameters = {
+    ...initParameters,
+    retryPolicy: {baseDelay: 1, maxDelay: 1},
+    // each copy of the SDK has its own storage, the same as another device would
+    storage: "memory",
+    saveSlotVersion: 1,
+    saveSlotMigrations: {}
+};
+
+describe("save slots", function() {
+    const mockServer = useEnginesisFixture(slotInitParameters);
+    let otherDevice;
+
+    beforeEach(async function() {
+        await enginesis.userLogin("tester", "test-password");
+        otherDevice = (await import("../public/js/lib/enginesis.js?device")).default;
+        otherDevice.setNodeRequest(mockServer.request);
+    });
+
+    afterEach(async function() {
+        mockServer.setNetworkDown(false);
+        await enginesis.restoreOnline();
+    });
+
+    async function otherDeviceLogin(deviceParameters) {
+        otherDevice.init({...slotInitParameters, ...deviceParameters});
+        await otherDevice.userLogin("tester", "test-password");
+    }
+
+    test("saves on the device first and sends the save when back online", async function() {
+        mockServer.setNetworkDown(true);
+        const offlineResult = await enginesis.saveSlotWrite("progress", {courses: ["Windmill Way"], bestScores: {1: 31}});
+        expect(enginesis.isError(offlineResult)).toBe(false);
+        expect(offlineResult.results.result[0]).toEqual(expect.objectContaining({slotName: "progress", version: 1, isSynced: false}));
+        expect(mockServer.gameData).toEqual([]);
+
+        mockServer.setNetworkDown(false);
+        await enginesis.restoreOnline();
+        expect(mockServer.gameData).toEqual([expect.objectContaining({game_id: gameId, name_tag: "saveSlot:1083:progress"})]);
+        expect(JSON.parse(decodeURIComponent(mockServer.gameData[0].game_data))).toEqual(expect.objectContaining({revision: 1}));
+        const savedResult = await enginesis.saveSlotRead("progress", null, {localOnly: true});
+        expect(savedResult.results.result[0]).toEqual(expect.objectContaining({data: {courses: ["Windmill Way"], bestScores: {1: 31}}, isSynced: true}));
+        expect(enginesis.saveSlotNames()).toEqual(["progress"]);
+    });
+
+    test("gets the save back on another device", async function() {
+        await enginesis.saveSlotWrite("settings", {volume: 0.5});
+        await otherDeviceLogin();
+        const enginesisResult = await otherDevice.saveSlotRead("settings");
+        const emptyResult = await otherDevice.saveSlotRead("progress");
+        expect(enginesisResult.results.result[0]).toEqual(expect.objectContaining({data: {volume: 0.5}, isSynced: true}));
+        expect(emptyResult.results.result).toEqual([]);
+        expect(mockServer.gameData.length).toBe(1);
+    });
+
+    test("migrates a save of an earlier version and does not read a save of a later version", async function() {
+        await enginesis.saveSlotWrite("settings", {volume: 0.5});
+        await otherDeviceLogin({
+            saveSlotVersion: 3,
+            saveSlotMigrations: {
+                2: function(data) {
+                    return {...data, music: true};
+                },
+                3: function(data) {
+                    return {...data, volume: Math.round(data.volume * 10)};
+                }
+            }
+        });
+        const migratedResult = await otherDevice.saveSlotRead("settings");
+        expect(migratedResult.results.result[0]).toEqual(expect.objectContaining({data: {volume: 5, music: true}, version: 3}));
+
+        await otherDevice.saveSlotWrite("settings", {volume: 7, music: false});
+        const newerResult = await enginesis.saveSlotRead("settings");
+        expect(newerResult.results.status.message).toBe("VALIDATION_FAILED");
+        expect(mockServer.gameData.length).toBe(1);
+        expect(JSON.parse(decodeURIComponent(mockServer.gameData[0].game_data))).toEqual(expect.objectContaining({version: 3, revision: 2}));
+    });
+
+    test("asks which save to keep when both devices saved since they last synced", async function() {
+        const saveSlotConflict = jest.fn(function(localSlot, remoteSlot) {
+            return {data: {holes: Math.max(localSlot.data.holes, remoteSlot.data.holes), tries: localSlot.data.tries + remoteSlot.data.tries}};
+        });
+        await enginesis.saveSlotWrite("progress", {holes: 3, tries: 1});
+        await otherDeviceLogin({saveSlotConflict: saveSlotConflict});
+        await otherDevice.saveSlotRead("progress");
+
+        mockServer.setNetworkDown(true);
+        await otherDevice.saveSlotWrite("progress", {holes: 4, tries: 2});
+        mockServer.setNetworkDown(false);
+        await enginesis.saveSlotWrite("progress", {holes: 6, tries: 2});
+        await otherDevice.restoreOnline();
+        expect(saveSlotConflict).toHaveBeenCalledWith(
+            expect.objectContaining({data: {holes: 4, tries: 2}, isSynced: false}),
+            expect.objectContaining({data: {holes: 6, tries: 2}, isSynced: true})
+        );
+        const mergedResult = await enginesis.saveSlotRead("progress");
+        expect(mergedResult.results.result[0].data).toEqual({holes: 6, tries: 4});
+
+        // without a conflict function the save made last is kept
+        mockServer.setNetworkDown(true);
+        await enginesis.saveSlotWrite("progress", {holes: 7, tries: 5});
+        mockServer.setNetworkDown(false);
+        await otherDevice.saveSlotWrite("progress", {holes: 8, tries: 5});
+        const createCount = mockServer.requestsFor("GameDataCreate").length;
+        await enginesis.restoreOnline();
+        expect((await enginesis.saveSlotRead("progress")).results.result[0].data).toEqual({holes: 8, tries: 5});
+        expect(mockServer.requestsFor("GameDataCreate").length).toBe(createCount);
+        expect(mockServer.gameData.length).toBe(1);
+    });
+});
@@ -0,0 +1,175 @@
+import { describe, test, expect } from "@jest/globals";
+import { useEnginesisFixture, gameId, initParameters } from "./enginesisFixture.js";
+import enginesis from "../public/js/lib/enginesis.js";
+
+describe("score submit", function() {
+    const mockServer = useEnginesisFixture();
+
+    test("requires a logged in user", async function() {
+        const enginesisResult = await enginesis.scoreSubmit(gameId, 1000, 0, {}, 60000);
+        expect(enginesisResult.results.status.message).toBe("NOT_LOGGED_IN");
+        expect(mockServer.requestsFor("ScoreSubmit").length).toBe(0);
+    });
+
+    test("encrypts the score so the server can decrypt it with the session", async function() {
+        await enginesis.userLogin("tester", "test-password");
+        await enginesis.sessionBegin("", gameId);
+        const gameData = {strokes: 31, holes: 9};
+        const enginesisResult = await enginesis.scoreSubmit(gameId, 4200, 2, gameData, 93000);
+        expect(enginesis.isError(enginesisResult)).toBe(false);
+        expect(mockServer.requestsFor("ScoreSubmit")[0].score).toBeUndefined();
+        expect(mockServer.scores).toEqual([
+            expect.objectContaining({
+                user_id: 10241,
+                game_id: gameId,
+                level_id: 2,
+                score: 4200,
+                time_played: 93000,
+                game_data: JSON.stringify(gameData)
+            })
+        ]);
+        expect(enginesisResult.results.result[0].rank).toBe(1);
+    });
+
+    test("is rejected when encrypted with another session", async function() {
+        await enginesis.userLogin("tester", "test-password");
+        await enginesis.sessionBegin("", gameId);
+        mockServer.sessions = {};
+        const enginesisResult = await enginesis.scoreSubmit(gameId, 4200, 0, {}, 93000);
+        expect(enginesisResult.results.status.message).toBe("INVALID_PARAMETER");
+        expect(mockServer.scores.length).toBe(0);
+    });
+
+    test("encrypts the score with AES-GCM when the server offers version 2", async function() {
+        const submittedData = [];
+        enginesis.setNodeRequest(function(url, requestOptions) {
+            if (requestOptions.body.get("fn") == "ScoreSubmit") {
+                const data = requestOptions.body.get("data");
+                submittedData.push(Buffer.from(data.replace(/-/g, "+").replace(/_/g, "/").replace(/~/g, "="), "base64"));
+                // flip a bit of the encrypted score
+                const tampered = Buffer.from(submittedData[0]);
+                tampered[20] ^= 1;
+                requestOptions.body.set("data", tampered.toString("base64").replace(/\+/g, "-").replace(/\//g, "_").replace(/=/g, "~"));
+            }
+            return mockServer.request(url, requestOptions);
+        });
+        await enginesis.userLogin("tester", "test-password");
+        await enginesis.sessionBegin("", gameId);
+        const enginesisResult = await enginesis.scoreSubmit(gameId, 4200, 0, {}, 93000);
+        expect(submittedData[0][0]).toBe(2);
+        expect(enginesisResult.results.status.message).toBe("INVALID_PARAMETER");
+        expect(mockServer.scores.length).toBe(0);
+    });
+
+    test("uses a new IV for each score", async function() {
+        const submittedData = [];
+        enginesis.setNodeRequest(function(url, requestOptions) {
+            if (requestOptions.body.get("fn") == "ScoreSubmit") {
+                submittedData.push(requestOptions.body.get("data"));
+            }
+            return mockServer.request(url, requestOptions);
+        });
+        await enginesis.userLogin("tester", "test-password");
+        await enginesis.sessionBegin("", gameId);
+        await enginesis.scoreSubmit(gameId, 4200, 0, {}, 93000);
+        await enginesis.scoreSubmit(gameId, 4200, 0, {}, 93000);
+        expect(mockServer.scores.length).toBe(2);
+        expect(submittedData[0]).not.toBe(submittedData[1]);
+    });
+
+    test("uses the legacy format when the server does not offer version 2", async function() {
+        mockServer.reset({cryptoVersion: 1});
+        await enginesis.userLogin("tester", "test-password");
+        await enginesis.sessionBegin("", gameId);
+        const enginesisResult = await enginesis.scoreSubmit(gameId, 4200, 0, {}, 93000);
+        expect(enginesis.isError(enginesisResult)).toBe(false);
+        expect(mockServer.scores[0].score).toBe(4200);
+        expect(await enginesis.decryptServerPayload(mockServer.encryptPayload("legacy payload", enginesis.sessionIdGet()))).toBe("legacy payload");
+    });
+
+    test("decrypts a version 2 server payload", async function() {
+        await enginesis.userLogin("tester", "test-password");
+        await enginesis.sessionBegin("", gameId);
+        const payload = mockServer.encryptPayload("rank=1&score=4200", enginesis.sessionIdGet());
+        expect(await enginesis.decryptServerPayload(payload)).toBe("rank=1&score=4200");
+        await expect(enginesis.decryptServerPayload(payload.substring(0, 30) + (payload[30] == "A" ? "B" : "A") + payload.substring(31))).rejects.toThrow();
+    });
+
+    test("ranks submitted scores", async function() {
+        await enginesis.userLogin("tester", "test-password");
+        await enginesis.sessionBegin("", gameId);
+        await enginesis.scoreSubmit(gameId, 300, 0, {}, 1000);
+        await enginesis.scoreSubmit(gameId, 900, 0, {}, 1000);
+        await enginesis.scoreSubmit(gameId, 600, 0, {}, 1000);
+        const enginesisResult = await enginesis.scoreRankList(gameId, 0);
+        expect(enginesisResult.results.result.map(function(rank) {
+            return rank.score;
+        })).toEqual([900, 600, 300]);
+    });
+
+    test("refuses a score payload that is sent again", async function() {
+        const submittedData = [];
+        enginesis.setNodeRequest(function(url, requestOptions) {
+            if (requestOptions.body.get("fn") == "ScoreSubmit") {
+                submittedData.push(requestOptions.body.get("data"));
+                // send the first payload again in place of the new one
+                requestOptions.body.set("data", submittedData[0]);
+            }
+            return mockServer.request(url, requestOptions);
+        });
+        await enginesis.userLogin("tester", "test-password");
+        await enginesis.sessionBegin("", gameId);
+        const firstResult = await enginesis.scoreSubmit(gameId, 4200, 0, {}, 93000);
+        const replayedResult = await enginesis.scoreSubmit(gameId, 9900, 0, {}, 93000);
+        expect(enginesis.isError(firstResult)).toBe(false);
+        expect(replayedResult.results.status.message).toBe("REPLAYED_SUBMISSION");
+        expect(mockServer.scores.length).toBe(1);
+    });
+
+    test("counts each score of the session", async function() {
+        await enginesis.userLogin("tester", "test-password");
+        await enginesis.sessionBegin("", gameId);
+        await enginesis.scoreSubmit(gameId, 300, 0, {}, 1000);
+        await enginesis.scoreSubmit(gameId, 900, 0, {}, 1000);
+        expect(JSON.parse(window.localStorage.getItem("enginesis.106.enginesisScoreCounter"))).toEqual({sessionId: enginesis.sessionIdGet(), counter: 2});
+        await enginesis.sessionBegin("", gameId);
+        await enginesis.scoreSubmit(gameId, 600, 0, {}, 1000);
+        expect(mockServer.scores.length).toBe(3);
+        expect(JSON.parse(window.localStorage.getItem("enginesis.106.enginesisScoreCounter")).counter).toBe(1);
+    });
+
+    test("sends scores submitted together one at a time so each counter arrives in order", async function() {
+        enginesis.init({...initParameters, maxConcurrentRequests: 4});
+        await enginesis.userLogin("tester", "test-password");
+        await enginesis.sessionBegin("", gameId);
+        const enginesisResults = await Promise.all([300, 900, 600, 1200].map(function(score) {
+            return enginesis.scoreSubmit(gameId, score, 0, {}, 1000, null, {playEvidence: score == 300 ? {strokes: [[1, 2]], checkpoints: [500]} : null});
+        }));
+        expect(enginesisResults.map(enginesis.isError)).toEqual([false, false, false, false]);
+        expect(mockServer.scores.map(function(submission) {
+            return submission.score;
+        })).toEqual([300, 900, 600, 1200]);
+    });
+
+    test("sends the play evidence with the score", async function() {
+        const playEvidence = {strokes: [[12, 40], [3, 88], [7, 15]], checkpoints: [21000, 52000.4, 90000]};
+        await enginesis.userLogin("tester", "test-password");
+        await enginesis.sessionBegin("", gameId);
+        const enginesisResult = await enginesis.scoreSubmit(gameId, 4200, 0, {}, 93000, null, {playEvidence: playEvidence});
+        expect(enginesis.isError(enginesisResult)).toBe(false);
+        expect(mockServer.scores[0]).toEqual(expect.objectContaining({strokes: 3, checkpoints: "21000,52000,90000"}));
+        expect(mockServer.scores[0].evidence).toMatch(/^[0-9a-f]{32}$/);
+    });
+
+    test("refuses a time played the session or evidence cannot account for", async function() {
+        await enginesis.userLogin("tester", "test-password");
+        await enginesis.sessionBegin("", gameId);
+        const longerThanSession = await enginesis.scoreSubmit(gameId, 4200, 0, {}, 30 * 60 * 1000);
+        const afterLastCheckpoint = await enginesis.scoreSubmit(gameId, 4200, 0, {}, 60000, null, {playEvidence: {strokes: [1], checkpoints: [20000, 75000]}});
+        const outOfOrder = await enginesis.scoreSubmit(gameId, 4200, 0, {}, 60000, null, {playEvidence: {strokes: [1], checkpoints: [40000, 20000]}});
+        expect([longerThanSession, afterLastCheckpoint, outOfOrder].map(function(enginesisResult) {
+            return enginesisResult.results.status.message;
+        })).toEqual(["IMPLAUSIBLE_TIME_PLAYED", "IMPLAUSIBLE_TIME_PLAYED", "IMPLAUSIBLE_TIME_PLAYED"]);
+        expect(mockServer.scores.length).toBe(0);
+    });
+});
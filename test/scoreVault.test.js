@@ -0,0 +1,128 @@
+import { jest, describe, test, expect, afterEach } from "@jest/globals";
+import { indexedDBRecords } from "./browserEnvironment.js";
+import { useEnginesisFixture, gameId, initParameters, waitFor } from "./enginesisFixture.js";
+import enginesis from "../public/js/lib/enginesis.js";
+
+const vaultInitParameters = {
+    ...initParameters,
+    retryPolicy: {baseDelay: 1, maxDelay: 1}
+};
+
+describe("score vault", function() {
+    const mockServer = useEnginesisFixture(vaultInitParameters);
+
+    async function submitOffline(scores) {
+        await enginesis.userLogin("tester", "test-password");
+        await enginesis.sessionBegin("", gameId);
+        mockServer.setNetworkDown(true);
+        await enginesis.gameTrackingRecord("game", "play", "level-1", "");
+        const enginesisResults = [];
+        for (const score of scores) {
+            enginesisResults.push(await enginesis.scoreSubmit(gameId, score, 0, {holes: 9}, 1000));
+        }
+        return enginesisResults;
+    }
+
+    afterEach(async function() {
+        mockServer.setNetworkDown(false);
+        await enginesis.restoreOnline();
+    });
+
+    test("keeps scores submitted while offline encrypted until they are sent", async function() {
+        const scoresPendingListener = jest.fn();
+        enginesis.on("scoresPending", scoresPendingListener);
+        const enginesisResults = await submitOffline([4200, 3100, 5300]);
+        enginesis.off("scoresPending", scoresPendingListener);
+        expect(enginesisResults.map(function(enginesisResult) {
+            return enginesisResult.results.status.message;
+        })).toEqual(["OFFLINE", "OFFLINE", "OFFLINE"]);
+        expect(scoresPendingListener).toHaveBeenLastCalledWith({type: "scoresPending", count: 3});
+        expect((await enginesis.pendingScoresGet()).map(function(pendingScore) {
+            return pendingScore.score;
+        })).toEqual([4200, 3100, 5300]);
+        const savedVault = window.localStorage.getItem("enginesis.106.enginesisScoreVault");
+        expect(savedVault).not.toBeNull();
+        expect(savedVault).not.toContain("4200");
+        expect(savedVault).not.toContain("holes");
+        // the key is kept where a script can use it but not read it
+        expect(window.localStorage.getItem("enginesis.106.enginesisScoreVaultKey")).toBeNull();
+        expect(indexedDBRecords("enginesis.106.enginesisScoreVaultKey", "keys")).toEqual([expect.objectContaining({extractable: false, type: "secret"})]);
+        expect(enginesis.queuedRequestsGet().map(function(queuedRequest) {
+            return queuedRequest.serviceName;
+        })).toEqual(["GameTrackingRecord"]);
+    });
+
+    test("sends saved scores with the new session after the app reloads", async function() {
+        await submitOffline([4200, 3100, 5300]);
+
+        // the server forgot the session the scores were submitted in, only the new session can be used
+        mockServer.setNetworkDown(false);
+        mockServer.sessions = {};
+        const reloadedEnginesis = (await import("../public/js/lib/enginesis.js?reload")).default;
+        const submittedResults = [];
+        reloadedEnginesis.setNodeRequest(mockServer.request);
+        reloadedEnginesis.queuedRequestHandlerSet("ScoreSubmit", function(enginesisResult) {
+            submittedResults.push(enginesisResult);
+        });
+        const queueFlushed = new Promise(function(resolve) {
+            reloadedEnginesis.once("queueFlushed", resolve);
+        });
+        reloadedEnginesis.init(vaultInitParameters);
+        await reloadedEnginesis.sessionBegin("", gameId);
+        await queueFlushed;
+        expect(submittedResults.map(function(enginesisResult) {
+            return reloadedEnginesis.isError(enginesisResult);
+        })).toEqual([false, false, false]);
+        expect(mockServer.scores.map(function(score) {
+            return score.score;
+        })).toEqual([4200, 3100, 5300]);
+        expect(await reloadedEnginesis.pendingScoresGet()).toEqual([]);
+        expect(window.localStorage.getItem("enginesis.106.enginesisScoreVault")).toBeNull();
+    });
+
+    test("refreshes an expired session before sending a score", async function() {
+        await submitOffline([4200]);
+        const tomorrow = Date.now() + 25 * 60 * 60 * 1000;
+        jest.spyOn(Date, "now").mockImplementation(function() {
+            return tomorrow;
+        });
+        mockServer.setNetworkDown(false);
+        mockServer.requests = [];
+        await enginesis.restoreOnline();
+        Date.now.mockRestore();
+        expect(mockServer.requests.map(function(request) {
+            return request.fn;
+        })).toEqual(["SessionRefresh", "ScoreSubmit"]);
+        expect(mockServer.scores.length).toBe(1);
+        expect(await enginesis.pendingScoresGet()).toEqual([]);
+    });
+
+    test("sends a score again later when the server could not take it", async function() {
+        const submittedResults = [];
+        enginesis.queuedRequestHandlerSet("ScoreSubmit", function(enginesisResult) {
+            submittedResults.push(enginesisResult);
+        });
+        await enginesis.userLogin("tester", "test-password");
+        await enginesis.sessionBegin("", gameId);
+        mockServer.failNextRequest("ScoreSubmit", 503, 3);
+        const failedResult = await enginesis.scoreSubmit(gameId, 4200, 0, {}, 1000);
+        expect(failedResult.results.status.message).toBe("SERVICE_ERROR");
+        expect((await enginesis.pendingScoresGet()).length).toBe(1);
+        await waitFor(50);
+        expect(submittedResults.map(enginesis.isError)).toEqual([false]);
+        expect(mockServer.scores.length).toBe(1);
+        expect(await enginesis.pendingScoresGet()).toEqual([]);
+    });
+
+    test("removes a score the server refuses and keeps one it did not receive", async function() {
+        await enginesis.userLogin("tester", "test-password");
+        await enginesis.sessionBegin("", gameId);
+        const refusedResult = await enginesis.scoreSubmit(gameId, 4200, 0, {}, 30 * 60 * 1000);
+        expect(refusedResult.results.status.message).toBe("IMPLAUSIBLE_TIME_PLAYED");
+        expect(await enginesis.pendingScoresGet()).toEqual([]);
+        mockServer.setNetworkDown(true);
+        const failedResult = await enginesis.scoreSubmit(gameId, 4200, 0, {}, 1000);
+        expect(failedResult.results.status.message).toBe("OFFLINE");
+        expect((await enginesis.pendingScoresGet()).length).toBe(1);
+    });
+});
@@ -0,0 +1,70 @@
+import { describe, test, expect } from "@jest/globals";
+import { useEnginesisFixture, gameId } from "./enginesisFixture.js";
+import enginesis from "../public/js/lib/enginesis.js";
+
+describe("service registry", function() {
+    const mockServer = useEnginesisFixture({retryPolicy: {baseDelay: 1, maxDelay: 1}});
+
+    test("sends named parameters with their server names", async function() {
+        const enginesisResult = await enginesis.services.registeredUserCreate({userName: "newgolfer", password: "new-password", email: "new@enginesis.com", agreement: true});
+        expect(enginesis.isError(enginesisResult)).toBe(false);
+        expect(enginesis.isUserLoggedIn()).toBe(true);
+        expect(mockServer.requestsFor("RegisteredUserCreate")[0]).toEqual(expect.objectContaining({
+            user_name: "newgolfer",
+            email_address: "new@enginesis.com",
+            agreement: "1"
+        }));
+    });
+
+    test("the positional functions send the same request", async function() {
+        await enginesis.gameRatingUpdate(gameId, 4);
+        await enginesis.services.gameRatingUpdate({gameId: gameId, rating: 4});
+        const ratingRequests = mockServer.requestsFor("GameRatingUpdate").map(function(request) {
+            return request.game_id + ":" + request.rating;
+        });
+        expect(ratingRequests).toEqual(["1083:4", "1083:4"]);
+    });
+
+    test("does not send a request with parameters that are not valid", async function() {
+        const missingResult = await enginesis.services.gameGet({});
+        const unknownResult = await enginesis.services.gameGet({gameId: gameId, gameName: "Putt"});
+        const typeResult = await enginesis.serviceCall("GameRatingUpdate", {gameId: gameId, rating: "five"});
+        const loggedOutResult = await enginesis.services.userFavoriteGamesMove({gameId: gameId, sortOrder: 1});
+        expect(missingResult.results.status.message).toBe("MISSING_PARAM");
+        expect(unknownResult.results.status.message).toBe("INVALID_PARAMETER");
+        expect(typeResult.results.status.message).toBe("INVALID_PARAMETER");
+        expect(loggedOutResult.results.status.message).toBe("NOT_LOGGED_IN");
+        expect(mockServer.requests).toEqual([]);
+    });
+
+    test("the positional functions leave checking their parameters to the server", async function() {
+        const positionalResult = await enginesis.userLogin("tester");
+        await enginesis.quizQuestionPlayed(7, 21, "b");
+        await enginesis.userFavoriteGamesList();
+        expect(enginesis.isError(positionalResult)).toBe(true);
+        expect(mockServer.requestsFor("UserLogin").length).toBe(1);
+        expect(mockServer.requestsFor("QuizQuestionPlayed")[0]).toEqual(expect.objectContaining({choice_id: "b"}));
+        expect(mockServer.requestsFor("UserFavoriteGamesList").length).toBe(1);
+    });
+
+    test("registers a service and retries it only when it is idempotent", async function() {
+        expect(enginesis.serviceRegister("ScoreSubmit", {parameters: []})).toBe(false);
+        expect(enginesis.serviceRegister("GameRatingAverage", {parameters: [{name: "gameId", param: "game_id", type: "whole"}]})).toBe(false);
+        expect(enginesis.serviceRegister("GameRatingAverage", {
+            parameters: [{name: "gameId", param: "game_id", type: "integer", required: true}],
+            idempotent: false
+        })).toBe(true);
+        expect(enginesis.serviceDescriptionGet("GameRatingAverage")).toEqual(expect.objectContaining({authenticated: false, idempotent: false}));
+        mockServer.failNextRequest("GameRatingAverage", 500);
+        await enginesis.services.gameRatingAverage({gameId: gameId});
+        expect(mockServer.requestsFor("GameRatingAverage").length).toBe(1);
+
+        mockServer.requests = [];
+        enginesis.serviceRegister("GameRatingAverage", {parameters: [{name: "gameId", param: "game_id", type: "integer"}]});
+        mockServer.failNextRequest("GameRatingAverage", 500);
+        await enginesis.services.gameRatingAverage({gameId: gameId});
+        expect(mockServer.requestsFor("GameRatingAverage").map(function(request) {
+            return request.game_id;
+        })).toEqual(["1083", "1083"]);
+    });
+});
@@ -0,0 +1,127 @@
+import { describe, test, expect } from "@jest/globals";
+import { useEnginesisFixture, initParameters } from "./enginesisFixture.js";
+import enginesis from "../public/js/lib/enginesis.js";
+
+const signInInitParameters = {
+    ...initParameters,
+    signInProviders: {
+        Google: {
+            clientId: "enginesis-test-client",
+            redirectURI: "https://www.enginesis-l.com/signin/",
+            authorizationEndpoint: "https://idp.enginesis-l.com/oauth/authorize",
+            tokenEndpoint: "https://idp.enginesis-l.com/oauth/token",
+            issuer: "https://idp.enginesis-l.com"
+        }
+    }
+};
+
+describe("sign in with another network", function() {
+    const mockServer = useEnginesisFixture(signInInitParameters);
+
+    test("logs in the user the network identifies", async function() {
+        let authorizationURL = "";
+        const enginesisResult = await enginesis.signInWith("google", {
+            authorize: function(url) {
+                authorizationURL = new URL(url);
+                return mockServer.authorize(url);
+            }
+        });
+        expect(enginesis.isError(enginesisResult)).toBe(false);
+        expect(authorizationURL.searchParams.get("code_challenge_method")).toBe("S256");
+        expect(authorizationURL.searchParams.get("scope")).toBe("openid email profile");
+        expect(mockServer.identityProvider.tokenRequests[0].code_verifier).toMatch(/^[\w-]{43}$/);
+        expect(mockServer.requestsFor("UserLoginCoreg")).toEqual([expect.objectContaining({
+            network_id: "7",
+            site_user_id: "idp-73104",
+            user_name: "gailgolfer",
+            email_address: "gail@enginesis.com"
+        })]);
+        expect(enginesis.isUserLoggedIn()).toBe(true);
+        expect(window.localStorage.getItem("enginesis.106.enginesisSignIn")).toBeNull();
+    });
+
+    test("fails when the reply is not for this sign in", async function() {
+        const tamperedResult = await enginesis.signInWith("Google", {
+            authorize: function(url) {
+                return mockServer.authorize(url).replace(/state=[^&]*/, "state=forged");
+            }
+        });
+        const canceledResult = await enginesis.signInWith("Google", {
+            authorize: function(url) {
+                return mockServer.authorize(url, false);
+            }
+        });
+        expect(tamperedResult.results.status.message).toBe("SIGN_IN_FAILED");
+        expect(canceledResult.results.status.message).toBe("SIGN_IN_CANCELED");
+        expect(mockServer.identityProvider.tokenRequests).toEqual([]);
+        expect(mockServer.requestsFor("UserLoginCoreg")).toEqual([]);
+    });
+
+    test("fails when the ID token was issued for another sign in", async function() {
+        mockServer.identityProvider.nonce = "another-sign-in";
+        const enginesisResult = await enginesis.signInWith(7, {authorize: mockServer.authorize});
+        expect(enginesisResult.results.status.message).toBe("SIGN_IN_FAILED");
+        expect(mockServer.identityProvider.tokenRequests.length).toBe(1);
+        expect(mockServer.requestsFor("UserLoginCoreg")).toEqual([]);
+        expect(enginesis.isUserLoggedIn()).toBe(false);
+    });
+
+    test("fails when the ID token was issued by another network", async function() {
+        mockServer.identityProvider.issuer = "https://idp.elsewhere.com";
+        const enginesisResult = await enginesis.signInWith("Google", {authorize: mockServer.authorize});
+        expect(enginesisResult.results.status.message).toBe("SIGN_IN_FAILED");
+        expect(mockServer.requestsFor("UserLoginCoreg")).toEqual([]);
+    });
+
+    test("still completes after a reply that is not for this sign in", async function() {
+        let authorizationURL = "";
+        await enginesis.signInWith("Google", {
+            mode: "redirect",
+            navigate: function(url) {
+                authorizationURL = url;
+            }
+        });
+        const callbackURL = mockServer.authorize(authorizationURL);
+        const forgedResult = await enginesis.signInComplete(callbackURL.replace(/state=[^&]*/, "state=forged"));
+        const enginesisResult = await enginesis.signInComplete(callbackURL);
+        expect(forgedResult.results.status.message).toBe("SIGN_IN_FAILED");
+        expect(enginesis.isError(enginesisResult)).toBe(false);
+        expect(enginesis.isUserLoggedIn()).toBe(true);
+    });
+
+    test("exchanges the code with the exchange endpoint when the network needs the client secret", async function() {
+        mockServer.identityProvider.isClientSecretRequired = true;
+        const refusedResult = await enginesis.signInWith("Google", {authorize: mockServer.authorize});
+        expect(refusedResult.results.status.message).toBe("SIGN_IN_FAILED");
+        const enginesisResult = await enginesis.signInWith("Google", {
+            authorize: mockServer.authorize,
+            exchangeEndpoint: "https://www.enginesis-l.com/signin/exchange"
+        });
+        expect(enginesis.isError(enginesisResult)).toBe(false);
+        expect(mockServer.identityProvider.tokenRequests[1]).toEqual(expect.objectContaining({client_secret: mockServer.identityProvider.clientSecret}));
+        expect(mockServer.requestsFor("UserLoginCoreg")).toEqual([expect.objectContaining({network_id: "7", site_user_id: "idp-73104"})]);
+        expect(enginesis.isUserLoggedIn()).toBe(true);
+    });
+
+    test("completes a redirect sign in after the page loads again", async function() {
+        let authorizationURL = "";
+        const redirectResult = await enginesis.signInWith("Google", {
+            mode: "redirect",
+            navigate: function(url) {
+                authorizationURL = url;
+            }
+        });
+        expect(redirectResult).toBeNull();
+
+        // a new copy of the SDK shares the saved sign in the same as the page the network redirects to would
+        const reloadedEnginesis = (await import("../public/js/lib/enginesis.js?reload")).default;
+        reloadedEnginesis.setNodeRequest(mockServer.request);
+        reloadedEnginesis.init(signInInitParameters);
+        const callbackURL = mockServer.authorize(authorizationURL);
+        const enginesisResult = await reloadedEnginesis.signInComplete(callbackURL);
+        expect(reloadedEnginesis.isError(enginesisResult)).toBe(false);
+        expect(reloadedEnginesis.isUserLoggedIn()).toBe(true);
+        const repeatedResult = await reloadedEnginesis.signInComplete(callbackURL);
+        expect(repeatedResult.results.status.message).toBe("SIGN_IN_FAILED");
+    });
+});
@@ -0,0 +1,108 @@
+import { describe, test, expect } from "@jest/globals";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { indexedDBRecords } from "./browserEnvironment.js";
+import { useEnginesisFixture, siteId, initParameters } from "./enginesisFixture.js";
+import enginesis, { storageAdapters } from "../public/js/lib/enginesis.js";
+
+describe("storage", function() {
+    const mockServer = useEnginesisFixture(null);
+
+    function initialize(options) {
+        return enginesis.init({...initParameters, ...options});
+    }
+
+    test("keeps the items of each site apart", async function() {
+        const storage = storageAdapters.memory();
+        initialize({storage: storage});
+        await enginesis.userLogin("tester", "test-password");
+        expect(storage.getItem("enginesis.106.engsession_user")).toContain("tester");
+        initialize({siteId: 107});
+        expect(enginesis.isUserLoggedIn()).toBe(false);
+        initialize();
+        expect(enginesis.isUserLoggedIn()).toBe(true);
+    });
+
+    test("moves items saved without a site id to the site", function() {
+        window.localStorage.setItem("engrefreshtoken", JSON.stringify({refreshToken: "saved-refresh-token", timestamp: 0}));
+        initialize({storage: "localStorage"});
+        expect(window.localStorage.getItem("engrefreshtoken")).toBeNull();
+        expect(window.localStorage.getItem("enginesis.106.engrefreshtoken")).toContain("saved-refresh-token");
+    });
+
+    test("keeps the item saved for the site when an item without a site id is also saved", function() {
+        window.localStorage.setItem("engrefreshtoken", JSON.stringify({refreshToken: "legacy-refresh-token", timestamp: 0}));
+        window.localStorage.setItem("enginesis.106.engrefreshtoken", JSON.stringify({refreshToken: "site-refresh-token", timestamp: 0}));
+        initialize({storage: "localStorage"});
+        expect(window.localStorage.getItem("engrefreshtoken")).toBeNull();
+        expect(window.localStorage.getItem("enginesis.106.engrefreshtoken")).toContain("site-refresh-token");
+    });
+
+    test("keeps items in memory when the storage fails", async function() {
+        const failingStorage = {
+            getItem: function() {
+                return null;
+            },
+            setItem: function() {
+                throw new Error("QuotaExceededError");
+            },
+            removeItem: function() {}
+        };
+        initialize({storage: failingStorage});
+        const enginesisResult = await enginesis.userLogin("tester", "test-password");
+        expect(enginesis.isError(enginesisResult)).toBe(false);
+        initialize({storage: failingStorage});
+        expect(enginesis.isUserLoggedIn()).toBe(true);
+        expect(enginesis.userIdGet()).toBe(10241);
+    });
+
+    test("uses memory when the browser blocks localStorage", function() {
+        const localStorage = window.localStorage;
+        Object.defineProperty(window, "localStorage", {
+            configurable: true,
+            get: function() {
+                throw new Error("SecurityError");
+            }
+        });
+        try {
+            expect(storageAdapters.localStorage().name).toBe("memory");
+        } finally {
+            Object.defineProperty(window, "localStorage", {configurable: true, writable: true, value: localStorage});
+        }
+        expect(storageAdapters.sessionStorage().name).toBe("memory");
+    });
+
+    test("saves the session in IndexedDB", async function() {
+        const storage = await storageAdapters.indexedDB("enginesis-storage-test");
+        expect(storage.name).toBe("indexedDB");
+        initialize({storage: storage});
+        await enginesis.userLogin("tester", "test-password");
+        await storage.flush();
+        expect(indexedDBRecords("enginesis-storage-test", "items")).toEqual(expect.arrayContaining([expect.stringContaining("tester")]));
+
+        const reopenedStorage = await storageAdapters.indexedDB("enginesis-storage-test");
+        expect(reopenedStorage.getItem("enginesis.106.engsession_user")).toContain("tester");
+        initialize({storage: reopenedStorage});
+        expect(enginesis.isUserLoggedIn()).toBe(true);
+    });
+
+    test("saves the session in a file", async function() {
+        const directory = await mkdtemp(path.join(tmpdir(), "enginesis-"));
+        const filePath = path.join(directory, "storage.json");
+        try {
+            const storage = await storageAdapters.file(filePath);
+            expect(storage.name).toBe("file");
+            initialize({storage: storage});
+            await enginesis.userLogin("tester", "test-password");
+            await storage.flush();
+
+            const reopenedStorage = await storageAdapters.file(filePath);
+            expect(reopenedStorage.getItem("enginesis.106.engsession_user")).toContain("tester");
+            initialize({storage: reopenedStorage});
+            expect(enginesis.isUserLoggedIn()).toBe(true);
+        } finally {
+            await rm(directory, {recursive: true, force: true});
+        }
+    });
+});
@@ -0,0 +1,207 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from "@jest/globals";
+import { useEnginesisFixture, initParameters, waitFor } from "./enginesisFixture.js";
+import enginesis from "../public/js/lib/enginesis.js";
+
+const tabInitParameters = {
+    ...initParameters,
+    tabSync: true
+};
+const NodeBroadcastChannel = globalThis.BroadcastChannel;
+
+/**
+ * A BroadcastChannel between the copies of the SDK in this process, each copy is a tab.
+ */
+class TabBroadcastChannel {
+    static channels = [];
+
+    constructor(name) {
+        this.name = name;
+        this.onmessage = null;
+        TabBroadcastChannel.channels.push(this);
+    }
+
+    postMessage(message) {
+        const data = structuredClone(message);
+        TabBroadcastChannel.channels.forEach(function(channel) {
+            if (channel !== this && channel.name == this.name) {
+                setTimeout(function() {
+                    // a tab that closed its channel no longer gets messages
+                    if (channel.onmessage != null && TabBroadcastChannel.channels.includes(channel)) {
+                        channel.onmessage({data: data});
+                    }
+                }, 0);
+            }
+        }, this);
+    }
+
+    close() {
+        TabBroadcastChannel.channels = TabBroadcastChannel.channels.filter(function(channel) {
+            return channel !== this;
+        }, this);
+    }
+}
+
+/**
+ * Wait for the messages between tabs to be delivered.
+ */
+function tabMessagesDelivered() {
+    return waitFor(5);
+}
+
+describe("tab sync", function() {
+    // each test starts its tabs once they can share a channel
+    const mockServer = useEnginesisFixture(null);
+    let otherTab;
+
+    beforeEach(async function() {
+        globalThis.BroadcastChannel = TabBroadcastChannel;
+        enginesis.init(tabInitParameters);
+
+        // a new copy of the SDK shares storage and channels the same as another tab of the site would
+        otherTab = (await import("../public/js/lib/enginesis.js?tab")).default;
+        otherTab.setNodeRequest(mockServer.request);
+        otherTab.init(tabInitParameters);
+    });
+
+    afterEach(function() {
+        enginesis.init({...tabInitParameters, tabSync: false});
+        otherTab.init({...tabInitParameters, tabSync: false});
+        globalThis.BroadcastChannel = NodeBroadcastChannel;
+    });
+
+    test("logs in and out of every tab", async function() {
+        const loggedOutListener = jest.fn();
+        await enginesis.userLogin("tester", "test-password");
+        await tabMessagesDelivered();
+        expect(otherTab.isUserLoggedIn()).toBe(true);
+        expect(otherTab.getLoggedInUserInfo().authToken).toBe(enginesis.getLoggedInUserInfo().authToken);
+
+        await enginesis.userFavoriteGamesAssign(1084);
+        await tabMessagesDelivered();
+        expect(otherTab.isUserFavoriteGame(1084)).toBe(true);
+
+        otherTab.on("loggedOut", loggedOutListener);
+        await enginesis.userLogout();
+        await tabMessagesDelivered();
+        otherTab.off("loggedOut", loggedOutListener);
+        expect(otherTab.isUserLoggedIn()).toBe(false);
+        expect(loggedOutListener).toHaveBeenCalledWith({type: "loggedOut", errorCode: "", otherTab: true});
+    });
+
+    test("only one tab refreshes the session", async function() {
+        await enginesis.userLogin("tester", "test-password");
+        await tabMessagesDelivered();
+        mockServer.expireAuthTokens();
+        const enginesisResults = await Promise.all([
+            enginesis.userFavoriteGamesAssign(1083),
+            otherTab.userFavoriteGamesAssign(1084)
+        ]);
+        expect(enginesisResults.map(function(enginesisResult) {
+            return enginesis.isError(enginesisResult);
+        })).toEqual([false, false]);
+        expect(mockServer.requestsFor("SessionRefresh").length).toBe(1);
+        expect(otherTab.getLoggedInUserInfo().authToken).toBe(enginesis.getLoggedInUserInfo().authToken);
+        expect(window.localStorage.getItem("enginesis.106.enginesisRefreshLock")).toBeNull();
+    });
+
+    test("only one tab refreshes the session when both tabs take the lock at the same time", async function() {
+        const localStorage = window.localStorage;
+        let lockReadsBeforeWrite = 2;
+        await enginesis.userLogin("tester", "test-password");
+        await tabMessagesDelivered();
+        mockServer.expireAuthTokens();
+        // both tabs read the lock before either wrote it, as tabs running at the same time can
+        window.localStorage = {
+            getItem: function(key) {
+                if (key == "enginesis.106.enginesisRefreshLock" && lockReadsBeforeWrite > 0) {
+                    lockReadsBeforeWrite -= 1;
+                    return null;
+                }
+                return localStorage.getItem(key);
+            },
+            setItem: function(key, value) {
+                localStorage.setItem(key, value);
+            },
+            removeItem: function(key) {
+                localStorage.removeItem(key);
+            }
+        };
+        const enginesisResults = await Promise.all([
+            enginesis.userFavoriteGamesAssign(1083),
+            otherTab.userFavoriteGamesAssign(1084)
+        ]);
+        window.localStorage = localStorage;
+        expect(enginesisResults.map(function(enginesisResult) {
+            return enginesis.isError(enginesisResult);
+        })).toEqual([false, false]);
+        expect(mockServer.requestsFor("SessionRefresh").length).toBe(1);
+    });
+
+    test("does not wait for another tab whose refresh failed", async function() {
+        enginesis.init({...tabInitParameters, retryPolicy: {maxAttempts: 1}});
+        otherTab.init({...tabInitParameters, retryPolicy: {maxAttempts: 1}});
+        await enginesis.userLogin("tester", "test-password");
+        await tabMessagesDelivered();
+        mockServer.expireAuthTokens();
+        mockServer.failNextRequest("SessionRefresh", 503, 2);
+        const startTime = Date.now();
+        const enginesisResults = await Promise.all([
+            enginesis.userFavoriteGamesAssign(1083),
+            otherTab.userFavoriteGamesAssign(1084)
+        ]);
+        expect(enginesisResults.map(function(enginesisResult) {
+            return enginesis.isError(enginesisResult);
+        })).toEqual([true, true]);
+        expect(mockServer.requestsFor("SessionRefresh").length).toBe(1);
+        expect(Date.now() - startTime).toBeLessThan(1000);
+    });
+
+    test("uses the storage event of local storage when there is no BroadcastChannel", async function() {
+        const storageListeners = [];
+        const tabMessages = [];
+        const localStorage = window.localStorage;
+        // local storage of a browser, where a change is a storage event in the other tabs
+        window.localStorage = {
+            getItem: function(key) {
+                return localStorage.getItem(key);
+            },
+            setItem: function(key, value) {
+                localStorage.setItem(key, value);
+                if (key == "enginesis.106.enginesisTabMessage") {
+                    tabMessages.push(JSON.parse(value));
+                }
+                storageListeners.forEach(function(storageListener) {
+                    storageListener({key: key, newValue: value});
+                });
+            },
+            removeItem: function(key) {
+                localStorage.removeItem(key);
+            }
+        };
+        delete globalThis.BroadcastChannel;
+        window.addEventListener = function(eventType, listener) {
+            storageListeners.push(listener);
+        };
+        window.removeEventListener = function(eventType, listener) {
+            storageListeners.splice(storageListeners.indexOf(listener), 1);
+        };
+        enginesis.init(tabInitParameters);
+        otherTab.init(tabInitParameters);
+        expect(storageListeners.length).toBe(2);
+
+        await enginesis.userLogin("tester", "test-password");
+        expect(otherTab.isUserLoggedIn()).toBe(true);
+        expect(otherTab.getLoggedInUserInfo().authToken).toBe(enginesis.getLoggedInUserInfo().authToken);
+        await enginesis.userLogout();
+        expect(otherTab.isUserLoggedIn()).toBe(false);
+        expect(tabMessages.map(function(tabMessage) {
+            return tabMessage.type;
+        })).toEqual(expect.arrayContaining(["loggedIn", "loggedOut"]));
+        expect(JSON.stringify(tabMessages)).not.toMatch(/authToken|refresh_?[tT]oken/);
+        enginesis.init({...tabInitParameters, tabSync: false});
+        otherTab.init({...tabInitParameters, tabSync: false});
+        window.localStorage = localStorage;
+        delete window.addEventListener;
+        delete window.removeEventListener;
+    });
+});
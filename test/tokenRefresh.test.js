@@ -0,0 +1,66 @@
+import { jest, describe, test, expect, beforeEach } from "@jest/globals";
+import { useEnginesisFixture } from "./enginesisFixture.js";
+import enginesis from "../public/js/lib/enginesis.js";
+
+describe("token refresh", function() {
+    const mockServer = useEnginesisFixture();
+
+    beforeEach(async function() {
+        const enginesisResult = await enginesis.userLogin("tester", "test-password");
+        expect(enginesis.isError(enginesisResult)).toBe(false);
+    });
+
+    test("logs in", function() {
+        expect(enginesis.isUserLoggedIn()).toBe(true);
+        expect(enginesis.userIdGet()).toBe(10241);
+        expect(enginesis.getRefreshToken()).not.toBeNull();
+    });
+
+    test("refreshes an expired token and replays the request", async function() {
+        const sessionRefreshedListener = jest.fn();
+        const authToken = enginesis.getLoggedInUserInfo().authToken;
+        enginesis.on("sessionRefreshed", sessionRefreshedListener);
+        mockServer.expireAuthTokens();
+        const enginesisResult = await enginesis.userFavoriteGamesAssign(1084);
+        enginesis.off("sessionRefreshed", sessionRefreshedListener);
+        expect(enginesis.isError(enginesisResult)).toBe(false);
+        expect(enginesisResult.results.result.map(function(game) {
+            return game.game_id;
+        })).toEqual([1084]);
+        expect(mockServer.requestsFor("SessionRefresh").length).toBe(1);
+        expect(enginesis.getLoggedInUserInfo().authToken).not.toBe(authToken);
+        expect(sessionRefreshedListener).toHaveBeenCalledTimes(1);
+    });
+
+    test("shares one refresh among requests that expire together", async function() {
+        mockServer.expireAuthTokens();
+        const enginesisResults = await Promise.all([
+            enginesis.userFavoriteGamesAssign(1083),
+            enginesis.userFavoriteGamesAssign(1084),
+            enginesis.userFavoriteGamesList()
+        ]);
+        enginesisResults.forEach(function(enginesisResult) {
+            expect(enginesis.isError(enginesisResult)).toBe(false);
+        });
+        expect(mockServer.requestsFor("SessionRefresh").length).toBe(1);
+        expect(mockServer.favoriteGames[10241].sort()).toEqual([1083, 1084]);
+    });
+
+    test("logs out when the refresh token is not accepted", async function() {
+        const sessionExpiredListener = jest.fn();
+        const loggedOutListener = jest.fn();
+        enginesis.on("sessionExpired", sessionExpiredListener);
+        enginesis.on("loggedOut", loggedOutListener);
+        mockServer.refreshTokens = {};
+        mockServer.expireAuthTokens();
+        const enginesisResult = await enginesis.userFavoriteGamesList();
+        enginesis.off("sessionExpired", sessionExpiredListener);
+        enginesis.off("loggedOut", loggedOutListener);
+        expect(enginesisResult.results.status.message).toBe("TOKEN_EXPIRED");
+        expect(mockServer.requestsFor("SessionRefresh").length).toBe(1);
+        expect(mockServer.requestsFor("UserFavoriteGamesList").length).toBe(1);
+        expect(sessionExpiredListener).toHaveBeenCalledWith({type: "sessionExpired", errorCode: "INVALID_TOKEN"});
+        expect(loggedOutListener).toHaveBeenCalledWith({type: "loggedOut", errorCode: "INVALID_TOKEN"});
+        expect(enginesis.isUserLoggedIn()).toBe(false);
+    });
+});
@@ -0,0 +1,151 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from "@jest/globals";
+import { useEnginesisFixture, initParameters } from "./enginesisFixture.js";
+import enginesis from "../public/js/lib/enginesis.js";
+
+const uploadInitParameters = {
+    ...initParameters,
+    retryPolicy: {baseDelay: 1, maxDelay: 1}
+};
+
+describe("asset upload", function() {
+    const mockServer = useEnginesisFixture(uploadInitParameters);
+
+    function uploadedData() {
+        return Object.values(mockServer.uploads)[0].data.text();
+    }
+
+    afterEach(function() {
+        mockServer.setNetworkDown(false);
+    });
+
+    test("uploads a file with one request when the server does not grant chunks", async function() {
+        const onProgress = jest.fn();
+        const file = new Blob(["0123456789"], {type: "image/png"});
+        const enginesisResult = await enginesis.uploadAsset("gameshare", file, {fileName: "shot.png", chunkSize: 4, onProgress: onProgress});
+        expect(enginesis.isError(enginesisResult)).toBe(false);
+        expect(enginesisResult.results.result[0].url).toBe("/uploads/gameshare/shot.png");
+        expect(mockServer.uploadRequests.map(function(uploadRequest) {
+            return uploadRequest.action;
+        })).toEqual(["request", "upload"]);
+        expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({bytesSent: 10, totalBytes: 10, progress: 1}));
+        expect(await uploadedData()).toBe("0123456789");
+        expect(enginesis.pendingUploadsGet()).toEqual([]);
+    });
+
+    test("does not send the message without the game image it could not upload", async function() {
+        mockServer.setNetworkDown(true);
+        const enginesisResult = await enginesis.sendToFriend({
+            from_address: "gail@enginesis.com",
+            from_name: "Gail",
+            to_address: "friend@enginesis.com",
+            to_name: "Friend",
+            game_image: new Blob(["not really a png"], {type: "image/png"})
+        });
+        expect(enginesis.isError(enginesisResult)).toBe(true);
+        expect(enginesisResult.fn).toBe("AssetUpload");
+        expect(mockServer.requestsFor("GameDataCreate")).toEqual([]);
+    });
+
+    test("uploads the data of a data URL", async function() {
+        const enginesisResult = await enginesis.uploadAsset("gameshare", "data:image/png;base64," + btoa("not really a png"), {fileName: "game_image.png"});
+        expect(enginesis.isError(enginesisResult)).toBe(false);
+        expect(Object.values(mockServer.uploads)[0].size).toBe(16);
+        expect(await uploadedData()).toBe("not really a png");
+    });
+
+    test("checks the size and type before requesting an upload token", async function() {
+        const typeResult = await enginesis.uploadAsset("gameshare", new Blob(["hello"], {type: "text/plain"}), {fileName: "hello.txt"});
+        const sizeResult = await enginesis.uploadAsset("gameshare", new Uint8Array(64), {fileName: "big.png", maxSize: 32});
+        const emptyResult = await enginesis.uploadAsset("gameshare", new ArrayBuffer(0), {fileName: "empty.png"});
+        expect(typeResult.results.status.message).toBe("INVALID_FILE_TYPE");
+        expect(sizeResult.results.status.message).toBe("INVALID_FILE_SIZE");
+        expect(emptyResult.results.status.message).toBe("INVALID_FILE_SIZE");
+        expect(mockServer.uploadRequests.length).toBe(0);
+    });
+
+    describe("when the server grants chunked uploads", function() {
+        beforeEach(function() {
+            mockServer.reset({chunkedUploads: true});
+        });
+
+        test("uploads a file in chunks and reports progress", async function() {
+            const uploadProgressListener = jest.fn();
+            const onProgress = jest.fn();
+            const file = new Blob(["0123456789"], {type: "image/png"});
+            enginesis.on("uploadProgress", uploadProgressListener);
+            const enginesisResult = await enginesis.uploadAsset("gameshare", file, {fileName: "shot.png", chunkSize: 4, onProgress: onProgress});
+            enginesis.off("uploadProgress", uploadProgressListener);
+            expect(enginesis.isError(enginesisResult)).toBe(false);
+            expect(enginesisResult.results.result[0].url).toBe("/uploads/gameshare/shot.png");
+            expect(mockServer.uploadRequests.map(function(uploadRequest) {
+                return uploadRequest.action + (uploadRequest.offset !== undefined ? uploadRequest.offset : "");
+            })).toEqual(["request", "chunk0", "chunk4", "chunk8", "complete"]);
+            expect(onProgress.mock.calls.map(function(call) {
+                return call[0].bytesSent;
+            })).toEqual([4, 8, 10]);
+            expect(uploadProgressListener).toHaveBeenLastCalledWith(expect.objectContaining({type: "uploadProgress", fileName: "shot.png", totalBytes: 10, progress: 1}));
+            expect(await uploadedData()).toBe("0123456789");
+            expect(enginesis.pendingUploadsGet()).toEqual([]);
+        });
+
+        test("resumes from the last acknowledged chunk after the app reloads", async function() {
+            const file = new Blob(["0123456789"], {type: "image/png"});
+            const failedResult = await enginesis.uploadAsset("gameshare", file, {
+                fileName: "shot.png",
+                chunkSize: 4,
+                onProgress: function() {
+                    mockServer.setNetworkDown(true);
+                }
+            });
+            expect(enginesis.isError(failedResult)).toBe(true);
+            expect(enginesis.pendingUploadsGet()).toEqual([expect.objectContaining({fileName: "shot.png", fileSize: 10, bytesSent: 4})]);
+            expect(window.localStorage.getItem("enginesis.106.enginesisAssetUploads")).toContain("shot.png");
+
+            // a new copy of the SDK shares the saved uploads the same as a reloaded page would
+            mockServer.setNetworkDown(false);
+            mockServer.uploadRequests = [];
+            const reloadedEnginesis = (await import("../public/js/lib/enginesis.js?reload")).default;
+            reloadedEnginesis.setNodeRequest(mockServer.request);
+            reloadedEnginesis.init(uploadInitParameters);
+            const enginesisResult = await reloadedEnginesis.uploadAsset("gameshare", file, {fileName: "shot.png", chunkSize: 4});
+            expect(reloadedEnginesis.isError(enginesisResult)).toBe(false);
+            expect(mockServer.uploadRequests.map(function(uploadRequest) {
+                return uploadRequest.action + (uploadRequest.offset !== undefined ? uploadRequest.offset : "");
+            })).toEqual(["status", "chunk4", "chunk8", "complete"]);
+            expect(await uploadedData()).toBe("0123456789");
+            expect(window.localStorage.getItem("enginesis.106.enginesisAssetUploads")).toBeNull();
+        });
+
+        test("does not resume with a different file of the same name and size", async function() {
+            const failedResult = await enginesis.uploadAsset("gameshare", new Blob(["0123456789"], {type: "image/png"}), {
+                fileName: "shot.png",
+                chunkSize: 4,
+                onProgress: function() {
+                    mockServer.setNetworkDown(true);
+                }
+            });
+            expect(enginesis.isError(failedResult)).toBe(true);
+            mockServer.setNetworkDown(false);
+            mockServer.uploadRequests = [];
+            const enginesisResult = await enginesis.uploadAsset("gameshare", new Blob(["9876543210"], {type: "image/png"}), {fileName: "shot.png", chunkSize: 4});
+            expect(enginesis.isError(enginesisResult)).toBe(false);
+            expect(mockServer.uploadRequests.map(function(uploadRequest) {
+                return uploadRequest.action + (uploadRequest.offset !== undefined ? uploadRequest.offset : "");
+            })).toEqual(["request", "chunk0", "chunk4", "chunk8", "complete"]);
+        });
+
+        test("fails with ABORTED when the signal is aborted", async function() {
+            const abortController = new AbortController();
+            const enginesisResult = await enginesis.uploadAsset("gameshare", new Blob(["0123456789"], {type: "image/png"}), {
+                fileName: "shot.png",
+                chunkSize: 4,
+                signal: abortController.signal,
+                onProgress: function() {
+                    abortController.abort();
+                }
+            });
+            expect(enginesisResult.results.status.message).toBe("ABORTED");
+            expect(enginesis.pendingUploadsGet()[0].bytesSent).toBe(4);
+        });
+    });
+});